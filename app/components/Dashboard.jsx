@@ -1,6 +1,6 @@
 "use client";
 
-import { useEffect, useState } from "react";
+import { useEffect, useRef, useState } from "react";
 import {
   FiHome,
   FiDollarSign,
@@ -8,6 +8,7 @@ import {
   FiSettings,
   FiBarChart2,
   FiList,
+  FiShield,
 } from "react-icons/fi";
 import TopBar from "./layout/TopBar";
 import DashboardSection from "./layout/DashboardSection";
@@ -17,19 +18,32 @@ import SettingsSection from "./layout/SettingsSection";
 import SalesSection from "./layout/SalesSection";
 import { usePersonalizationStore } from "../stores/usePersonalizationStore";
 import SchedulingSection from "./layout/ScheduleSections";
+import AuditSection from "./layout/AuditSection";
+import ConflictDialog from "./helper/ConflictDialog";
+import { useTrashStore } from "../stores/useTrashStore";
+import { useAuthStore, useCan } from "../stores/authStore";
+import { useBranchStore } from "../stores/useBranchStore";
+import { recallBooking } from "../lib/recalls";
 
 export default function DashboardPage() {
   const [activeSection, setActiveSection] = useState("patients");
+  // Appointment to prefill in Schedule (booked from a recall)
+  const [booking, setBooking] = useState(null);
+  // Appointment to show in Schedule (opened from a patient's timeline)
+  const [focusAppointment, setFocusAppointment] = useState(null);
 
   const { personalization, fetchPersonalization } = usePersonalizationStore();
+  const role = useAuthStore((state) => state.role);
+  const can = useCan();
+  const activeBranchId = useBranchStore((state) => state.activeBranchId);
 
   const mockStats = {
     totalPatients: 1245,
     newPatients: 23,
     activeTreatments: 87,
-    revenueMonth: 452000,
+    revenueMonth: 45200000, // centavos
     revenueGrowth: 8,
-    outstandingBalance: 35700,
+    outstandingBalance: 3570000,
   };
 
   const mockTopServices = [
@@ -39,17 +53,56 @@ export default function DashboardPage() {
   ];
 
   const renderSection = () => {
+    // 🔐 Section matrix lives in lib/permissions.js
+    if (!can(`section:${activeSection}`)) {
+      return (
+        <div className="p-6 flex flex-col items-center justify-center text-center gap-2 h-full">
+          <FiShield className="text-4xl text-[var(--theme-color)]" />
+          <h2 className="text-xl font-semibold text-gray-700">
+            You don&apos;t have access to this section
+          </h2>
+          <p className="text-sm text-gray-500">
+            Signed in as <span className="font-medium">{role}</span>. Ask an
+            admin if you need access.
+          </p>
+        </div>
+      );
+    }
+
     switch (activeSection) {
       case "dashboard":
         return (
-          <DashboardSection stats={mockStats} topServices={mockTopServices} />
+          <DashboardSection
+            stats={mockStats}
+            topServices={mockTopServices}
+            onBookRecall={(recall) => {
+              setBooking(recallBooking(recall));
+              setActiveSection("scheduling");
+            }}
+          />
         );
       case "scheduling":
-        return <SchedulingSection />;
+        return (
+          <SchedulingSection
+            booking={booking}
+            onBookingOpened={() => setBooking(null)}
+            focus={focusAppointment}
+            onFocusShown={() => setFocusAppointment(null)}
+          />
+        );
       case "patients":
-        return <PatientsSection />;
+        return (
+          <PatientsSection
+            onOpenAppointment={(appointment) => {
+              setFocusAppointment(appointment);
+              setActiveSection("scheduling");
+            }}
+          />
+        );
       case "reports":
         return <ReportsSection />;
+      case "audit":
+        return <AuditSection />;
       case "settings":
         return <SettingsSection />;
       default:
@@ -66,8 +119,29 @@ export default function DashboardPage() {
     }`;
 
   useEffect(() => {
-    fetchPersonalization();
+    // 🗑️ Once settings are known, empty trash past its retention period
+    // (only admins may delete for good)
+    fetchPersonalization().then(
+      () =>
+        can("trash:manage") &&
+        useTrashStore
+          .getState()
+          .purgeExpired(
+            usePersonalizationStore.getState().personalization
+              ?.trashRetentionDays
+          )
+    );
   }, []);
+
+  // 🏥 Switching branch reloads its personalization; the section below is
+  // keyed on the branch so it remounts and refetches its own data
+  const loadedBranchId = useRef(activeBranchId);
+  useEffect(() => {
+    if (activeBranchId === loadedBranchId.current) return;
+    loadedBranchId.current = activeBranchId;
+    fetchPersonalization();
+  }, [activeBranchId]);
+
   return (
     <div className="drawer lg:drawer-open bg-white text-gray-800">
       <input id="dashboard-drawer" type="checkbox" className="drawer-toggle" />
@@ -76,7 +150,11 @@ export default function DashboardPage() {
       <div className="drawer-content flex flex-col">
         <TopBar />
 
-        <div className="flex-1 overflow-y-auto bg-white">{renderSection()}</div>
+        <div key={activeBranchId} className="flex-1 overflow-y-auto bg-white">
+          {renderSection()}
+        </div>
+
+        <ConflictDialog />
       </div>
 
       {/* Sidebar */}
@@ -108,66 +186,100 @@ export default function DashboardPage() {
               </li>
               <li>
                 <a
-                  className={getLinkClasses("patients")}
+                  className={getLinkClasses("dashboard")}
                   onClick={() => {
-                    setActiveSection("patients");
+                    setActiveSection("dashboard");
                     document.getElementById("dashboard-drawer").checked = false;
                   }}
                 >
-                  <FiUsers /> Patients
+                  <FiHome /> Dashboard
                 </a>
               </li>
-
               <li>
                 <a
-                  className={getLinkClasses("scheduling")}
+                  className={getLinkClasses("patients")}
                   onClick={() => {
-                    setActiveSection("scheduling");
+                    setActiveSection("patients");
                     document.getElementById("dashboard-drawer").checked = false;
                   }}
                 >
-                  <FiList /> Schedules
+                  <FiUsers /> Patients
                 </a>
               </li>
-            </ul>
 
-            <ul className="menu p-4 gap-2 uppercase text-gray-500 text-sm tracking-wide">
-              <li className="menu-title text-[var(--theme-color)] font-semibold">
-                Reports
-              </li>
               <li>
                 <a
-                  className={getLinkClasses("reports")}
+                  className={getLinkClasses("scheduling")}
                   onClick={() => {
-                    setActiveSection("reports");
+                    setActiveSection("scheduling");
                     document.getElementById("dashboard-drawer").checked = false;
                   }}
                 >
-                  <FiBarChart2 /> Reports
+                  <FiList /> Schedules
                 </a>
               </li>
             </ul>
+
+            {can("section:reports") && (
+              <ul className="menu p-4 gap-2 uppercase text-gray-500 text-sm tracking-wide">
+                <li className="menu-title text-[var(--theme-color)] font-semibold">
+                  Reports
+                </li>
+                <li>
+                  <a
+                    className={getLinkClasses("reports")}
+                    onClick={() => {
+                      setActiveSection("reports");
+                      document.getElementById(
+                        "dashboard-drawer"
+                      ).checked = false;
+                    }}
+                  >
+                    <FiBarChart2 /> Reports
+                  </a>
+                </li>
+                {can("section:audit") && (
+                  <li>
+                    <a
+                      className={getLinkClasses("audit")}
+                      onClick={() => {
+                        setActiveSection("audit");
+                        document.getElementById(
+                          "dashboard-drawer"
+                        ).checked = false;
+                      }}
+                    >
+                      <FiShield /> Audit Log
+                    </a>
+                  </li>
+                )}
+              </ul>
+            )}
           </div>
 
           {/* Footer / Settings */}
-          <div className="p-4 border-t border-green-100 bg-white">
-            <ul className="menu">
-              <li className="menu-title text-[var(--theme-color)] font-semibold">
-                System
-              </li>
-              <li>
-                <a
-                  className={getLinkClasses("settings")}
-                  onClick={() => {
-                    setActiveSection("settings");
-                    document.getElementById("dashboard-drawer").checked = false;
-                  }}
-                >
-                  <FiSettings /> Settings
-                </a>
-              </li>
-            </ul>
-          </div>
+          {can("section:settings") && (
+            <div className="p-4 border-t border-green-100 bg-white">
+              <ul className="menu">
+                <li className="menu-title text-[var(--theme-color)] font-semibold">
+                  System
+                </li>
+                <li>
+                  <a
+                    className={getLinkClasses("settings")}
+                    onClick={() => {
+                      setActiveSection("settings");
+                      document.getElementById(
+                        "dashboard-drawer"
+                      ).checked = false;
+                    }}
+                  >
+                    <FiSettings /> Settings
+                  </a>
+                </li>
+              </ul>
+            </div>
+          )}
         </aside>
       </div>
     </div>
@@ -2,6 +2,14 @@
 
 import { useEffect, useState } from "react";
 import { FiLoader } from "react-icons/fi";
+import { validate } from "@/app/lib/validation";
+import { findDuplicates } from "@/app/lib/duplicates";
+import { needsGuardian } from "@/app/lib/family";
+import { useHmoStore } from "@/app/stores/useHmoStore";
+import FieldError from "./FieldError";
+import PatientPicker from "./PatientPicker";
+
+const NO_GUARDIAN = { patientId: "", patientName: "" };
 
 export default function AddPatientModal({
   isOpen,
@@ -21,16 +29,61 @@ export default function AddPatientModal({
     emergencyToContact: "",
     emergencyToContactNumber: "",
     note: "",
+    hmoProviderId: "",
+    hmoMemberId: "",
+    hmoValidUntil: "",
   });
 
+  const [errors, setErrors] = useState({});
+  // Required for patients under 18, linked once the patient is saved
+  const [guardian, setGuardian] = useState(NO_GUARDIAN);
+  // Likely existing records of this patient; null until checked
+  const [duplicates, setDuplicates] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const { providers, fetchHmo } = useHmoStore();
+
   const handleChange = (e) => {
     setForm({ ...form, [e.target.name]: e.target.value });
+    setErrors({ ...errors, [e.target.name]: null });
+    if (["patientName", "birthdate", "contact"].includes(e.target.name)) {
+      setDuplicates(null);
+    }
   };
 
-  const handleSave = () => {
-    // Retain original validation
-    if (!form.patientName || !form.contact) return;
-    onSave(form);
+  // 👥 Look for the patient under a slightly different name first. A failed
+  // check (e.g. offline) doesn't block the save.
+  const checkDuplicates = async () => {
+    setChecking(true);
+    try {
+      const found = await findDuplicates(form);
+      setDuplicates(found);
+      return found;
+    } catch (err) {
+      console.error("Duplicate check failed:", err);
+      return [];
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleSave = async () => {
+    const result = validate("patient", form);
+    const minorWithoutGuardian =
+      needsGuardian(form.birthdate) && !guardian.patientId;
+    setErrors({
+      ...result.errors,
+      guardian: minorWithoutGuardian
+        ? "Patients under 18 need a guardian"
+        : null,
+    });
+    if (!result.valid || minorWithoutGuardian) return;
+    if (!duplicates && (await checkDuplicates()).length) return;
+    const guardianId = needsGuardian(form.birthdate)
+      ? guardian.patientId
+      : null;
+    if (!(await onSave(form, guardianId))) return;
+    setDuplicates(null);
+    setGuardian(NO_GUARDIAN);
     // Reset state after save
     setForm({
       patientName: "",
@@ -43,12 +96,19 @@ export default function AddPatientModal({
       emergencyToContact: "",
       emergencyToContactNumber: "",
       note: "",
+      hmoProviderId: "",
+      hmoMemberId: "",
+      hmoValidUntil: "",
     });
   };
 
   useEffect(() => {
+    if (isOpen && !providers.length) fetchHmo();
     if (!isOpen) {
       // Reset form on modal close
+      setErrors({});
+      setDuplicates(null);
+      setGuardian(NO_GUARDIAN);
       setForm({
         patientName: "",
         address: "",
@@ -60,6 +120,9 @@ export default function AddPatientModal({
         emergencyToContact: "",
         emergencyToContactNumber: "",
         note: "",
+        hmoProviderId: "",
+        hmoMemberId: "",
+        hmoValidUntil: "",
       });
     }
   }, [isOpen]);
@@ -110,6 +173,7 @@ export default function AddPatientModal({
                     className="input input-bordered w-full bg-[#D9FFE5] border-[#B3E6C2] text-gray-800 rounded-xl"
                     required
                   />
+                  <FieldError error={errors.patientName} />
                 </div>
                 <div>
                   <label className="label">
@@ -138,6 +202,7 @@ export default function AddPatientModal({
                     onChange={handleChange}
                     className="input input-bordered w-full  bg-[#D9FFE5] border-[#B3E6C2] text-gray-800 rounded-xl"
                   />
+                  <FieldError error={errors.birthdate} />
                 </div>
                 <div>
                   <label className="label">
@@ -154,6 +219,7 @@ export default function AddPatientModal({
                     className="input input-bordered w-full bg-[#D9FFE5] border-[#B3E6C2] text-gray-800 rounded-xl"
                     required
                   />
+                  <FieldError error={errors.contact} />
                 </div>
                 {/* Row 3: Civil Status and Occupation (NEW) */}
                 <div>
@@ -202,6 +268,29 @@ export default function AddPatientModal({
                     className="input input-bordered w-full bg-[#D9FFE5] border-[#B3E6C2] text-gray-800 rounded-xl"
                   />
                 </div>
+                {/* Row 5: Guardian, for minors */}
+                {needsGuardian(form.birthdate) && (
+                  <div className="md:col-span-2">
+                    <label className="label">
+                      <span className="label-text text-gray-700">
+                        Guardian *
+                      </span>
+                    </label>
+                    <PatientPicker
+                      value={guardian}
+                      onChange={(picked) => {
+                        setGuardian(picked);
+                        setErrors({ ...errors, guardian: null });
+                      }}
+                      placeholder="Search the parent or guardian's record"
+                    />
+                    <FieldError error={errors.guardian} />
+                    <p className="text-xs text-gray-500 mt-1">
+                      Patients under 18 need a guardian. Register the guardian
+                      first if they are not a patient yet.
+                    </p>
+                  </div>
+                )}
               </div>
             </div>
 
@@ -249,6 +338,74 @@ export default function AddPatientModal({
                     onChange={handleChange}
                     className="input input-bordered w-full bg-[#D9FFE5] border-[#B3E6C2] text-gray-800 rounded-xl"
                   />
+                  <FieldError error={errors.emergencyToContactNumber} />
+                </div>
+              </div>
+            </div>
+
+            {/* HMO card */}
+            <input
+              type="radio"
+              name="tabset"
+              role="tab"
+              className="tab text-green-500 font-semibold"
+              aria-label="HMO"
+              id="tab-hmo"
+            />
+            <div
+              role="tabpanel"
+              className="tab-content p-4 bg-[#E9FFF0] rounded-xl"
+              htmlFor="tab-hmo"
+            >
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                  <label className="label">
+                    <span className="label-text text-gray-700">HMO</span>
+                  </label>
+                  <select
+                    name="hmoProviderId"
+                    value={form.hmoProviderId}
+                    onChange={handleChange}
+                    className="select select-bordered w-full bg-[#D9FFE5] border-[#B3E6C2] text-gray-800 rounded-xl"
+                  >
+                    <option value="">None (pays directly)</option>
+                    {providers.map((p) => (
+                      <option key={p.$id} value={p.$id}>
+                        {p.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="label">
+                    <span className="label-text text-gray-700">Member ID</span>
+                  </label>
+                  <input
+                    type="text"
+                    name="hmoMemberId"
+                    placeholder="As printed on the card"
+                    value={form.hmoMemberId}
+                    onChange={handleChange}
+                    disabled={!form.hmoProviderId}
+                    className="input input-bordered w-full bg-[#D9FFE5] border-[#B3E6C2] text-gray-800 rounded-xl"
+                  />
+                  <FieldError error={errors.hmoMemberId} />
+                </div>
+                <div>
+                  <label className="label">
+                    <span className="label-text text-gray-700">
+                      Valid until
+                    </span>
+                  </label>
+                  <input
+                    type="date"
+                    name="hmoValidUntil"
+                    value={form.hmoValidUntil}
+                    onChange={handleChange}
+                    disabled={!form.hmoProviderId}
+                    className="input input-bordered w-full bg-[#D9FFE5] border-[#B3E6C2] text-gray-800 rounded-xl"
+                  />
+                  <FieldError error={errors.hmoValidUntil} />
                 </div>
               </div>
             </div>
@@ -282,7 +439,36 @@ export default function AddPatientModal({
             </div>
           </div>
 
+          {/* Possible duplicates */}
+          {duplicates?.length > 0 && (
+            <div role="alert" className="alert alert-warning mt-4 block">
+              <p className="font-semibold">
+                This patient may already be registered:
+              </p>
+              <ul className="mt-1 text-sm list-disc list-inside">
+                {duplicates.slice(0, 5).map(({ patient, reasons }) => (
+                  <li key={patient.$id}>
+                    <strong>{patient.patientName}</strong>
+                    {[patient.birthdate, patient.contact]
+                      .filter(Boolean)
+                      .map((v) => ` · ${v}`)}{" "}
+                    <span className="text-xs">({reasons.join(", ")})</span>
+                  </li>
+                ))}
+              </ul>
+              <p className="text-xs mt-1">
+                Check the existing record first. If it's a different person,
+                save anyway; records registered twice can be merged later.
+              </p>
+            </div>
+          )}
+
           {/* Buttons */}
+          {Object.values(errors).some(Boolean) && (
+            <p className="text-sm text-red-500 mt-4 text-right">
+              Please fix the highlighted fields (check every tab).
+            </p>
+          )}
           <div className="flex justify-end mt-6 gap-3">
             <button
               className="btn btn-outline border-[#B3E6C2] text-gray-700 hover:bg-[#D9FFE5] rounded-xl"
@@ -296,12 +482,15 @@ export default function AddPatientModal({
                 loading ? "opacity-70 cursor-not-allowed" : "hover:scale-105"
               }`}
               onClick={handleSave}
-              disabled={loading}
+              disabled={loading || checking}
             >
-              {loading ? (
+              {loading || checking ? (
                 <>
-                  <FiLoader className="animate-spin mr-2" /> Saving...
+                  <FiLoader className="animate-spin mr-2" />{" "}
+                  {checking ? "Checking..." : "Saving..."}
                 </>
+              ) : duplicates?.length ? (
+                "Save anyway"
               ) : (
                 "Save"
               )}
@@ -0,0 +1,401 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import {
+  FiDownload,
+  FiEdit2,
+  FiFileText,
+  FiLoader,
+  FiTrash2,
+  FiUpload,
+} from "react-icons/fi";
+import { useAttachmentStore } from "@/app/stores/useAttachmentStore";
+import {
+  ACCEPT,
+  TAG_LABELS,
+  TAG_OPTIONS,
+  attachmentUrls,
+  formatSize,
+  guessTag,
+  isImage,
+  isPdf,
+  thumbnailUrl,
+} from "@/app/lib/attachments";
+
+const EMPTY_DETAILS = { tag: "", toothNumber: "", note: "" };
+
+// 🖼️ Image thumbnail, or a file icon for PDFs and failed previews
+function Thumbnail({ attachment }) {
+  const [src, setSrc] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    if (!isImage(attachment)) return;
+    let cancelled = false;
+    thumbnailUrl(attachment)
+      .then((url) => !cancelled && setSrc(url))
+      .catch(() => !cancelled && setFailed(true));
+    return () => {
+      cancelled = true;
+    };
+  }, [attachment.fileId]);
+
+  if (!isImage(attachment) || failed) {
+    return <FiFileText className="w-10 h-10 text-[#00A388]" />;
+  }
+  if (!src) return <FiLoader className="animate-spin text-gray-400" />;
+  return (
+    <img
+      src={src}
+      alt={attachment.name}
+      className="w-full h-full object-cover"
+      onError={() => setFailed(true)}
+    />
+  );
+}
+
+// 🔍 Full-size view: images inline, PDFs in the browser's viewer
+function Preview({ attachment, onClose }) {
+  const [urls, setUrls] = useState(null);
+
+  useEffect(() => {
+    attachmentUrls(attachment)
+      .then(setUrls)
+      .catch((err) => {
+        console.error("Opening attachment failed:", err);
+        setUrls({ error: true });
+      });
+  }, [attachment.fileId]);
+
+  return (
+    <div
+      className="fixed inset-0 z-[1100] bg-black/80 flex flex-col p-4"
+      onClick={onClose}
+    >
+      <div
+        className="flex items-center justify-between text-white mb-2 gap-2"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <span className="truncate">
+          {TAG_LABELS[attachment.tag] || attachment.tag} · {attachment.name}
+          {attachment.toothNumber && ` · Tooth ${attachment.toothNumber}`}
+        </span>
+        <div className="flex gap-2 shrink-0">
+          {urls?.download && (
+            <a
+              href={urls.download}
+              download={attachment.name}
+              className="btn btn-sm btn-ghost text-white"
+            >
+              <FiDownload /> Download
+            </a>
+          )}
+          <button className="btn btn-sm btn-ghost text-white" onClick={onClose}>
+            ✕
+          </button>
+        </div>
+      </div>
+      <div
+        className="flex-1 flex items-center justify-center min-h-0"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {!urls ? (
+          <FiLoader className="animate-spin text-white w-8 h-8" />
+        ) : urls.error ? (
+          <p className="text-white">Couldn't open this file.</p>
+        ) : isImage(attachment) ? (
+          <img
+            src={urls.view}
+            alt={attachment.name}
+            className="max-w-full max-h-full object-contain"
+          />
+        ) : isPdf(attachment) ? (
+          <iframe
+            src={urls.view}
+            title={attachment.name}
+            className="w-full h-full bg-white rounded"
+          />
+        ) : (
+          <p className="text-white">No preview for this file type.</p>
+        )}
+      </div>
+      {attachment.note && (
+        <p
+          className="text-white text-sm mt-2"
+          onClick={(e) => e.stopPropagation()}
+        >
+          {attachment.note}
+        </p>
+      )}
+    </div>
+  );
+}
+
+// 📎 X-rays, photos and documents of one patient; `previewId` opens one
+// straight away (from the patient timeline)
+export default function AttachmentsModal({ patientId, previewId, onClose }) {
+  const { items, loading, uploading, upload, updateItem, deleteItem } =
+    useAttachmentStore();
+  const [selected, setSelected] = useState([]);
+  const [details, setDetails] = useState(EMPTY_DETAILS);
+  const [editingId, setEditingId] = useState(null);
+  const [filterTag, setFilterTag] = useState("");
+  const [previewing, setPreviewing] = useState(
+    () => items.find((a) => a.$id === previewId) || null
+  );
+
+  const handleChange = (e) =>
+    setDetails({ ...details, [e.target.name]: e.target.value });
+
+  const handlePick = (e) => {
+    const picked = [...e.target.files];
+    setSelected(picked);
+    if (picked.length && !details.tag) {
+      setDetails({ ...details, tag: guessTag(picked[0]) });
+    }
+  };
+
+  const reset = () => {
+    setSelected([]);
+    setDetails(EMPTY_DETAILS);
+    setEditingId(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (editingId) {
+      if (await updateItem(editingId, details)) reset();
+      return;
+    }
+    const created = await upload(patientId, selected, details);
+    if (created.length === selected.length) return reset();
+    // Keep only what didn't make it, so a retry doesn't upload twice
+    setSelected(
+      selected.filter((f) => !created.some((d) => d.name === f.name))
+    );
+  };
+
+  const startEdit = (attachment) => {
+    setSelected([]);
+    setEditingId(attachment.$id);
+    setDetails({
+      tag: attachment.tag || "",
+      toothNumber: attachment.toothNumber || "",
+      note: attachment.note || "",
+    });
+  };
+
+  const handleDelete = async (attachment) => {
+    if (
+      window.confirm(`Delete ${attachment.name}? The file will be removed.`)
+    ) {
+      await deleteItem(attachment);
+      if (editingId === attachment.$id) reset();
+    }
+  };
+
+  const shown = filterTag ? items.filter((a) => a.tag === filterTag) : items;
+
+  return (
+    <dialog open className="modal modal-open z-[1000]">
+      <div className="modal-box w-full max-w-lg sm:max-w-xl md:max-w-3xl lg:max-w-5xl bg-white text-[#1E2B1F] shadow-xl border border-[#DCD1B4] rounded-2xl">
+        {/* HEADER */}
+        <div className="flex justify-between items-center border-b border-[#E6D8BA] pb-3 mb-3">
+          <h3 className="font-bold text-lg text-[#1E2B1F]">
+            Attachments
+            {editingId && " (Editing)"}
+          </h3>
+          <button
+            onClick={onClose}
+            className="btn btn-sm bg-transparent text-[#1E2B1F] hover:bg-[#E6D8BA]"
+          >
+            ✕
+          </button>
+        </div>
+
+        {/* UPLOAD / EDIT FORM */}
+        <form
+          onSubmit={handleSubmit}
+          className="grid grid-cols-1 md:grid-cols-4 gap-2 bg-[#EDE6D2] p-3 rounded-xl mb-4"
+        >
+          {!editingId && (
+            <label className="btn btn-sm bg-white border border-[#DCD1B4] rounded-lg md:col-span-4 justify-start font-normal">
+              <FiUpload />
+              {selected.length
+                ? selected.map((f) => f.name).join(", ")
+                : "Choose X-rays, photos or PDFs"}
+              <input
+                type="file"
+                multiple
+                accept={ACCEPT}
+                className="hidden"
+                onChange={handlePick}
+              />
+            </label>
+          )}
+          <select
+            name="tag"
+            value={details.tag}
+            onChange={handleChange}
+            className="select select-sm bg-[#FFF8EA] border border-[#DCD1B4] rounded-lg"
+          >
+            <option value="" disabled>
+              Type
+            </option>
+            {TAG_OPTIONS.map(({ value, label }) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <input
+            name="toothNumber"
+            value={details.toothNumber}
+            onChange={handleChange}
+            placeholder="Tooth (e.g. 36)"
+            inputMode="numeric"
+            maxLength={2}
+            className="input input-sm bg-[#FFF8EA] border border-[#DCD1B4] rounded-lg"
+          />
+          <input
+            name="note"
+            value={details.note}
+            onChange={handleChange}
+            placeholder="Note"
+            className="input input-sm bg-[#FFF8EA] border border-[#DCD1B4] rounded-lg"
+          />
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={
+                !!uploading || !details.tag || (!editingId && !selected.length)
+              }
+              className="btn btn-sm bg-[#00A388] hover:bg-[#00A388] text-white border-none rounded-lg grow"
+            >
+              {uploading && <FiLoader className="animate-spin" />}
+              {editingId ? "Save" : "Upload"}
+            </button>
+            {(editingId || selected.length > 0) && (
+              <button
+                type="button"
+                onClick={reset}
+                className="btn btn-sm btn-ghost rounded-lg"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+          {uploading && (
+            <div className="md:col-span-4">
+              <progress
+                className="progress progress-success w-full"
+                value={uploading.done * 100 + uploading.progress}
+                max={uploading.total * 100}
+              />
+              <p className="text-xs text-gray-600">
+                Uploading {uploading.done + 1} of {uploading.total}
+              </p>
+            </div>
+          )}
+        </form>
+
+        {/* FILTER */}
+        {items.length > 0 && (
+          <div className="flex flex-wrap gap-2 mb-3">
+            {[{ value: "", label: "All" }, ...TAG_OPTIONS].map(
+              ({ value, label }) => (
+                <button
+                  key={value}
+                  onClick={() => setFilterTag(value)}
+                  className={`badge badge-lg cursor-pointer ${
+                    filterTag === value
+                      ? "bg-[#00A388] text-white border-none"
+                      : "badge-outline"
+                  }`}
+                >
+                  {label}
+                </button>
+              )
+            )}
+          </div>
+        )}
+
+        {/* GRID */}
+        {loading && !items.length ? (
+          <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-3">
+            {[...Array(4)].map((_, i) => (
+              <div
+                key={i}
+                className="aspect-square bg-mint-100 rounded-xl animate-pulse"
+              />
+            ))}
+          </div>
+        ) : !shown.length ? (
+          <p className="text-sm text-gray-500 text-center py-6">
+            No attachments yet.
+          </p>
+        ) : (
+          <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-3 max-h-[55vh] overflow-y-auto">
+            {shown.map((attachment) => (
+              <div
+                key={attachment.$id}
+                className={`rounded-xl border overflow-hidden bg-white ${
+                  editingId === attachment.$id
+                    ? "border-[#00A388]"
+                    : "border-[#DCD1B4]"
+                }`}
+              >
+                <button
+                  onClick={() => setPreviewing(attachment)}
+                  className="aspect-square w-full flex items-center justify-center bg-[#FFF8EA] cursor-pointer"
+                >
+                  <Thumbnail attachment={attachment} />
+                </button>
+                <div className="p-2 text-xs space-y-1">
+                  <p className="font-semibold truncate" title={attachment.name}>
+                    {attachment.name}
+                  </p>
+                  <p className="text-gray-500">
+                    {TAG_LABELS[attachment.tag] || attachment.tag}
+                    {attachment.toothNumber &&
+                      ` · Tooth ${attachment.toothNumber}`}
+                    {" · "}
+                    {formatSize(attachment.size)}
+                  </p>
+                  {attachment.note && (
+                    <p
+                      className="text-gray-600 truncate"
+                      title={attachment.note}
+                    >
+                      {attachment.note}
+                    </p>
+                  )}
+                  <div className="flex justify-end gap-1">
+                    <button
+                      onClick={() => startEdit(attachment)}
+                      className="btn btn-xs btn-ghost"
+                      title="Edit"
+                    >
+                      <FiEdit2 />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(attachment)}
+                      className="btn btn-xs btn-ghost text-error"
+                      title="Delete"
+                    >
+                      <FiTrash2 />
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {previewing && (
+        <Preview attachment={previewing} onClose={() => setPreviewing(null)} />
+      )}
+    </dialog>
+  );
+}
@@ -0,0 +1,95 @@
+"use client";
+
+import { useMemo } from "react";
+import { useBranchStore } from "@/app/stores/useBranchStore";
+import { useMoney } from "@/app/stores/usePersonalizationStore";
+import { minor as amountOf } from "@/app/lib/money";
+
+// 🏥 Consolidated view: the same totals split per branch. Only shown with
+// "All branches" selected; a single branch is just the regular report.
+export default function BranchBreakdown({
+  transactions = [],
+  installments = [],
+  expenses = [],
+  showExpenses = false,
+}) {
+  const { branches, activeBranchId, getBranchName } = useBranchStore();
+  const money = useMoney();
+
+  const rows = useMemo(() => {
+    const totals = new Map(
+      branches.map((b) => [
+        b.$id,
+        { collected: 0, outstanding: 0, expenses: 0, sales: 0 },
+      ])
+    );
+    const add = (branchId, key, amount) => {
+      const id = branchId || "";
+      if (!totals.has(id)) {
+        totals.set(id, { collected: 0, outstanding: 0, expenses: 0, sales: 0 });
+      }
+      totals.get(id)[key] += amount;
+    };
+
+    transactions.forEach((t) => {
+      add(t.branchId, "sales", amountOf(t.totalAmount));
+      if (t.paymentType === "installment") {
+        add(t.branchId, "outstanding", amountOf(t.remaining));
+      } else {
+        add(t.branchId, "collected", amountOf(t.totalAmount));
+      }
+    });
+    installments.forEach((i) =>
+      add(i.branchId, "collected", amountOf(i.amount))
+    );
+    expenses.forEach((ex) => add(ex.branchId, "expenses", amountOf(ex.amount)));
+
+    return [...totals.entries()].map(([branchId, t]) => ({
+      branchId,
+      name: branchId ? getBranchName(branchId) : "Unassigned",
+      ...t,
+    }));
+  }, [branches, transactions, installments, expenses, getBranchName]);
+
+  if (activeBranchId || !branches.length) return null;
+
+  return (
+    <div className="bg-white border border-green-300/40 rounded-xl shadow-sm overflow-x-auto">
+      <div className="px-4 pt-4 font-semibold text-[var(--theme-color)]">
+        By branch
+      </div>
+      <table className="table table-sm">
+        <thead>
+          <tr>
+            <th>Branch</th>
+            <th className="text-right">Sales</th>
+            <th className="text-right">Collected</th>
+            <th className="text-right">Outstanding</th>
+            {showExpenses && <th className="text-right">Expenses</th>}
+            {showExpenses && <th className="text-right">Net</th>}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r) => (
+            <tr key={r.branchId || "unassigned"} className="hover:bg-green-50">
+              <td className="font-medium">{r.name}</td>
+              <td className="text-right">{money(r.sales)}</td>
+              <td className="text-right">{money(r.collected)}</td>
+              <td className="text-right text-red-500">
+                {money(r.outstanding)}
+              </td>
+              {showExpenses && (
+                <td className="text-right">{money(r.expenses)}</td>
+              )}
+              {showExpenses && (
+                <td className="text-right font-semibold">
+                  {money(r.collected - r.expenses)}
+                </td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
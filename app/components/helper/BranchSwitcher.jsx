@@ -0,0 +1,36 @@
+"use client";
+
+import { useEffect } from "react";
+import { useBranchStore } from "@/app/stores/useBranchStore";
+import { FiMapPin } from "react-icons/fi";
+
+// 🏥 TopBar branch picker. Hidden until a branch is set up in Settings.
+export default function BranchSwitcher() {
+  const { branches, activeBranchId, fetchBranches, setActiveBranch } =
+    useBranchStore();
+
+  useEffect(() => {
+    fetchBranches();
+  }, [fetchBranches]);
+
+  if (!branches.length) return null;
+
+  return (
+    <label className="flex items-center gap-2 text-[var(--theme-color)]">
+      <FiMapPin className="hidden sm:block" />
+      <select
+        className="select select-sm select-bordered bg-white border-green-300 text-gray-700"
+        value={activeBranchId}
+        onChange={(e) => setActiveBranch(e.target.value)}
+        aria-label="Branch"
+      >
+        <option value="">All branches</option>
+        {branches.map((b) => (
+          <option key={b.$id} value={b.$id}>
+            {b.name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
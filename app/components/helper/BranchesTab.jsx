@@ -0,0 +1,177 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useBranchStore } from "@/app/stores/useBranchStore";
+import { Building2, PlusCircle, Save } from "lucide-react";
+
+const EMPTY_FORM = { name: "", address: "" };
+
+export default function BranchesTab() {
+  const {
+    branches,
+    activeBranchId,
+    fetchBranches,
+    addBranch,
+    updateBranch,
+    loading,
+  } = useBranchStore();
+
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editing, setEditing] = useState(null); // { $id, name, address }
+
+  useEffect(() => {
+    fetchBranches();
+  }, [fetchBranches]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) return alert("Please enter a branch name.");
+    if (await addBranch({ ...form, name: form.name.trim() })) {
+      setForm(EMPTY_FORM);
+    }
+  };
+
+  const handleSave = async () => {
+    if (!editing.name.trim()) return alert("Please enter a branch name.");
+    const { $id, name, address } = editing;
+    if (await updateBranch($id, { name: name.trim(), address })) {
+      setEditing(null);
+    }
+  };
+
+  return (
+    <div className="mt-6 space-y-4">
+      <div>
+        <h2 className="text-lg font-semibold text-[var(--theme-color)]">
+          Branches
+        </h2>
+        <p className="text-sm text-gray-500">
+          Patients, schedules and financial records belong to the branch
+          selected in the top bar when they are created. Each branch can have
+          its own Personalization.
+        </p>
+      </div>
+
+      {/* Add branch */}
+      <form
+        onSubmit={handleAdd}
+        className="grid grid-cols-1 md:grid-cols-3 gap-3 items-end bg-white rounded-2xl shadow p-4"
+      >
+        <label className="form-control">
+          <span className="text-xs text-gray-500 mb-1">Name *</span>
+          <input
+            className="input input-sm input-bordered bg-white border-green-300"
+            placeholder="e.g. Downtown"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+          />
+        </label>
+        <label className="form-control">
+          <span className="text-xs text-gray-500 mb-1">Address</span>
+          <input
+            className="input input-sm input-bordered bg-white border-green-300"
+            value={form.address}
+            onChange={(e) => setForm({ ...form, address: e.target.value })}
+          />
+        </label>
+        <button
+          type="submit"
+          className="btn btn-sm bg-[var(--theme-color)] text-white"
+        >
+          <PlusCircle size={16} /> Add Branch
+        </button>
+      </form>
+
+      {/* Branch list */}
+      <div className="bg-white rounded-2xl shadow overflow-x-auto">
+        <table className="table table-sm">
+          <thead className="bg-[var(--theme-color)] text-white">
+            <tr>
+              <th>Name</th>
+              <th>Address</th>
+              <th className="text-center">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading && !branches.length ? (
+              <tr>
+                <td colSpan="3" className="text-center text-gray-500 py-6">
+                  Loading branches...
+                </td>
+              </tr>
+            ) : branches.length ? (
+              branches.map((b) =>
+                editing?.$id === b.$id ? (
+                  <tr key={b.$id}>
+                    <td>
+                      <input
+                        className="input input-sm input-bordered bg-white w-full"
+                        value={editing.name}
+                        onChange={(e) =>
+                          setEditing({ ...editing, name: e.target.value })
+                        }
+                      />
+                    </td>
+                    <td>
+                      <input
+                        className="input input-sm input-bordered bg-white w-full"
+                        value={editing.address || ""}
+                        onChange={(e) =>
+                          setEditing({ ...editing, address: e.target.value })
+                        }
+                      />
+                    </td>
+                    <td className="text-center space-x-2">
+                      <button
+                        className="btn btn-xs bg-[var(--theme-color)] text-white"
+                        onClick={handleSave}
+                      >
+                        <Save size={14} /> Save
+                      </button>
+                      <button
+                        className="btn btn-xs btn-ghost"
+                        onClick={() => setEditing(null)}
+                      >
+                        Cancel
+                      </button>
+                    </td>
+                  </tr>
+                ) : (
+                  <tr key={b.$id} className="hover:bg-green-50">
+                    <td className="font-medium">
+                      <Building2
+                        size={14}
+                        className="inline mr-1 text-[var(--theme-color)]"
+                      />
+                      {b.name}
+                      {b.$id === activeBranchId && (
+                        <span className="badge badge-sm badge-success ml-2">
+                          current
+                        </span>
+                      )}
+                    </td>
+                    <td>{b.address || "—"}</td>
+                    <td className="text-center">
+                      <button
+                        className="btn btn-xs btn-ghost text-[var(--theme-color)]"
+                        onClick={() => setEditing(b)}
+                      >
+                        Edit
+                      </button>
+                    </td>
+                  </tr>
+                )
+              )
+            ) : (
+              <tr>
+                <td colSpan="3" className="text-center text-gray-500 py-6">
+                  No branches yet. Everything is shared until you add one.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
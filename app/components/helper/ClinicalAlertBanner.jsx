@@ -0,0 +1,28 @@
+"use client";
+
+import { SEVERITY_LABELS } from "@/app/lib/clinicalAlerts";
+
+// 🚨 Red banner listing a patient's clinical alerts (lib/clinicalAlerts.js).
+// Renders nothing when there are none; `compact` for appointment cards.
+export default function ClinicalAlertBanner({ alerts = [], compact = false }) {
+  if (!alerts.length) return null;
+
+  return (
+    <div
+      role="alert"
+      className={`bg-red-600 text-white rounded-lg flex flex-wrap items-center gap-x-3 gap-y-1 ${
+        compact ? "px-2 py-1 text-xs" : "px-4 py-2 text-sm"
+      }`}
+    >
+      <span className="font-bold uppercase tracking-wide">
+        ⚠ {compact ? "Alert" : "Clinical alert"}
+      </span>
+      {alerts.map((alert) => (
+        <span key={alert.key}>
+          <strong>{alert.label}:</strong> {alert.name}
+          {alert.severity && ` (${SEVERITY_LABELS[alert.severity]})`}
+        </span>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+"use client";
+
+import { FiAlertTriangle } from "react-icons/fi";
+import { useConflictStore } from "@/app/stores/useConflictStore";
+import { ENTITIES, ENTITY_FOR_COLLECTION } from "@/app/lib/validation";
+import { formatMoney } from "@/app/lib/money";
+
+const fieldOf = (collectionId, key) =>
+  ENTITIES[ENTITY_FOR_COLLECTION[collectionId]]?.fields[key];
+
+const show = (field, value) =>
+  value === null || value === undefined || value === ""
+    ? "—"
+    : field?.type === "money"
+    ? formatMoney(value)
+    : String(value);
+
+// ⚠️ Shown when a save collided with someone else's (lib/concurrency.js):
+// both versions of the fields that clash, side by side
+export default function ConflictDialog() {
+  const { conflicts, answer } = useConflictStore();
+  const conflict = conflicts[0];
+  if (!conflict) return null;
+
+  const { collectionId, fields, mine, server } = conflict;
+
+  return (
+    <dialog className="modal modal-open z-[100000]">
+      <div className="modal-box max-w-2xl bg-white">
+        <h3 className="text-lg font-bold text-red-500 flex items-center gap-2">
+          <FiAlertTriangle /> Someone else saved this record
+        </h3>
+        <p className="text-sm text-gray-600 mt-1">
+          It was changed on another workstation
+          {server.$updatedAt
+            ? ` at ${new Date(server.$updatedAt).toLocaleTimeString()}`
+            : ""}{" "}
+          while you were editing. Choose which version to keep.
+        </p>
+
+        <div className="overflow-x-auto mt-4">
+          <table className="table table-sm">
+            <thead>
+              <tr>
+                <th>Field</th>
+                <th>Your version</th>
+                <th>Their version</th>
+              </tr>
+            </thead>
+            <tbody>
+              {fields.map((key) => (
+                <tr key={key}>
+                  <td className="font-medium text-gray-700">
+                    {fieldOf(collectionId, key)?.label || key}
+                  </td>
+                  <td className="text-[var(--theme-color)] whitespace-pre-wrap">
+                    {show(fieldOf(collectionId, key), mine[key])}
+                  </td>
+                  <td className="text-gray-700 whitespace-pre-wrap">
+                    {show(fieldOf(collectionId, key), server[key])}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="modal-action">
+          <button className="btn btn-ghost" onClick={() => answer("theirs")}>
+            Keep theirs
+          </button>
+          <button
+            className="btn btn-error text-white"
+            onClick={() => answer("mine")}
+          >
+            Keep mine
+          </button>
+        </div>
+      </div>
+    </dialog>
+  );
+}
@@ -4,6 +4,7 @@ import toast from "react-hot-toast";
 // 🛑 Using 'html-to-image' which is more modern than html2canvas
 import { toPng } from "html-to-image";
 import jsPDF from "jspdf";
+import ClinicalAlertBanner from "./ClinicalAlertBanner";
 
 // Helper component for an individual consent section
 const ConsentSection = ({ title, content, initialsImage }) => (
@@ -29,8 +30,18 @@ const ConsentSection = ({ title, content, initialsImage }) => (
   </div>
 );
 
-export default function ConsentFormModal({ patient, calculateAge, onClose }) {
+// `guardians`: the patient's linked guardians (lib/family.js). The one picked
+// signs for a minor and is named on the form. `alerts` (lib/clinicalAlerts.js)
+// are printed above the patient's details.
+export default function ConsentFormModal({
+  patient,
+  guardians = [],
+  alerts = [],
+  calculateAge,
+  onClose,
+}) {
   const contentRef = useRef(null);
+  const [guardianId, setGuardianId] = useState(guardians[0]?.$id || "");
   const [signatureImage, setSignatureImage] = useState(null);
   const [isUploading, setIsUploading] = useState(false);
   const [isGenerating, setIsGenerating] = useState(false);
@@ -130,6 +141,7 @@ export default function ConsentFormModal({ patient, calculateAge, onClose }) {
   };
 
   const age = calculateAge(patient.birthdate);
+  const guardian = guardians.find((g) => g.$id === guardianId);
 
   return (
     <div className="modal modal-open z-50">
@@ -138,6 +150,21 @@ export default function ConsentFormModal({ patient, calculateAge, onClose }) {
         <div className="bg-red-600 text-white px-6 py-4 sticky top-0 z-10 rounded-t-2xl flex justify-between items-center no-print">
           <h2 className="text-xl font-bold">Informed Consent Form</h2>
           <div className="flex flex-col md:flex-row space-x-2 space-y-2 md:space-y-0">
+            {guardians.length > 0 && (
+              <select
+                value={guardianId}
+                onChange={(e) => setGuardianId(e.target.value)}
+                className="select select-sm bg-white text-red-600"
+                disabled={isGenerating}
+              >
+                {guardians.map((g) => (
+                  <option key={g.$id} value={g.$id}>
+                    Guardian: {g.patientName}
+                  </option>
+                ))}
+                <option value="">Signed by the patient</option>
+              </select>
+            )}
             <label
               className={`btn btn-sm border-none bg-white text-red-600 hover:bg-gray-100 cursor-pointer ${
                 isGenerating ? "opacity-50 cursor-not-allowed" : ""
@@ -192,12 +219,24 @@ export default function ConsentFormModal({ patient, calculateAge, onClose }) {
             <h1 className="consent-title text-2xl font-extrabold text-center mb-6">
               INFORMED CONSENT
             </h1>
+            {alerts.length > 0 && (
+              <div className="mb-4">
+                <ClinicalAlertBanner alerts={alerts} />
+              </div>
+            )}
             <div className="patient-info text-sm mb-6 border-b pb-4">
               <p className="mb-1">
                 **Patient Name:**
                 <span className="font-semibold">{patient.patientName}</span>   
               </p>
 
+              {patient.chartNumber && (
+                <p className="mb-1">
+                  **Chart No.:**
+                  <span className="font-semibold">{patient.chartNumber}</span>
+                </p>
+              )}
+
               <p className="mb-1">
                 **Date of Birth:**
                 <span className="font-semibold">
@@ -217,6 +256,17 @@ export default function ConsentFormModal({ patient, calculateAge, onClose }) {
                 </span>
               </p>
 
+              {guardian && (
+                <p className="mb-1">
+                  **Guardian:**
+                  <span className="font-semibold">
+                    {guardian.patientName}
+
+                    {guardian.contact && ` (${guardian.contact})`}
+                  </span>
+                </p>
+              )}
+
               <p>
                 **Address:**
                 <span className="font-semibold">
@@ -292,7 +342,9 @@ export default function ConsentFormModal({ patient, calculateAge, onClose }) {
               <div className="grid grid-cols-2 gap-8 mt-6">
                 <div>
                   <span className="text-sm font-medium block">
-                    Patient/Guardian E-Signature:          
+                    {guardian
+                      ? "Guardian E-Signature:"
+                      : "Patient/Guardian E-Signature:"}
                   </span>
                   {/* Final Signature Image Display */}       
                   <div className="w-full h-16 border-b border-black mt-1 text-center text-lg font-signature italic flex items-center justify-start p-2">
@@ -313,6 +365,11 @@ export default function ConsentFormModal({ patient, calculateAge, onClose }) {
                       </span>
                     )}
                   </div>
+                  {guardian && (
+                    <span className="text-xs block mt-1">
+                      {guardian.patientName}, guardian of {patient.patientName}
+                    </span>
+                  )}
                 </div>
                 <div>
                   <span className="text-sm font-medium">Date:</span>           
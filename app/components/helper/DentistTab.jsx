@@ -1,14 +1,13 @@
 "use client";
 
 import { useState, useEffect } from "react";
-import { databases } from "@/app/lib/appwrite";
-import { ID } from "appwrite";
+import { db } from "@/app/lib/db";
+import { listAll } from "@/app/lib/paginate";
 import { motion } from "framer-motion";
 import { Plus, Trash2, User, Phone, Mail, Building2 } from "lucide-react";
 import toast from "react-hot-toast";
 
-const DATABASE_ID = process.env.NEXT_PUBLIC_DATABASE_ID;
-const COLLECTION_ID = "dentists"; // Create this collection in Appwrite
+const COLLECTION_ID = "dentists"; // see lib/schema.js
 
 export default function DentistTab() {
   const [dentists, setDentists] = useState([]);
@@ -28,8 +27,8 @@ export default function DentistTab() {
   const fetchDentists = async () => {
     setLoading(true);
     try {
-      const res = await databases.listDocuments(DATABASE_ID, COLLECTION_ID);
-      setDentists(res.documents);
+      const docs = await listAll(COLLECTION_ID);
+      setDentists(docs);
     } catch (error) {
       console.error("Error loading dentists:", error);
     } finally {
@@ -42,8 +41,7 @@ export default function DentistTab() {
 
     toast.success("this features note yet available");
     // try {
-    //   const res = await databases.createDocument(
-    //     DATABASE_ID,
+    //   const res = await db.createDocument(
     //     COLLECTION_ID,
     //     ID.unique(),
     //     {
@@ -65,7 +63,7 @@ export default function DentistTab() {
   const deleteDentist = async (id) => {
     if (!confirm("Delete this dentist?")) return;
     try {
-      await databases.deleteDocument(DATABASE_ID, COLLECTION_ID, id);
+      await db.deleteDocument(COLLECTION_ID, id);
       setDentists((prev) => prev.filter((d) => d.$id !== id));
     } catch (error) {
       console.error("Error deleting dentist:", error);
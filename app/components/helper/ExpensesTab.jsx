@@ -3,15 +3,21 @@
 import { useEffect, useState, useMemo } from "react";
 import { useTransactionsStore } from "@/app/stores/useTransactionsStore";
 import { Trash2, PlusCircle, Loader2 } from "lucide-react";
+import { validate } from "@/app/lib/validation";
+import { currencySymbol, minor, sumMoney } from "@/app/lib/money";
+import { useMoney } from "@/app/stores/usePersonalizationStore";
+import FieldError from "./FieldError";
 
 export default function ExpensesTab() {
   const { expenses, fetchAllPayments, deleteExpense, addExpense, loading } =
     useTransactionsStore();
+  const money = useMoney();
 
   const [showModal, setShowModal] = useState(false);
   const [showConfirm, setShowConfirm] = useState(false);
   const [expenseToDelete, setExpenseToDelete] = useState(null);
   const [isDeleting, setIsDeleting] = useState(false);
+  const [errors, setErrors] = useState({});
   const [newExpense, setNewExpense] = useState({
     title: "",
     category: "",
@@ -26,13 +32,10 @@ export default function ExpensesTab() {
 
   // Derived summary data
   const { totalExpenses, categoryTotals } = useMemo(() => {
-    const total = expenses.reduce(
-      (acc, exp) => acc + parseFloat(exp.amount || 0),
-      0
-    );
+    const total = sumMoney(expenses, "amount");
     const byCategory = expenses.reduce((acc, exp) => {
       const cat = exp.category || "Uncategorized";
-      acc[cat] = (acc[cat] || 0) + parseFloat(exp.amount || 0);
+      acc[cat] = (acc[cat] || 0) + minor(exp.amount);
       return acc;
     }, {});
     return { totalExpenses: total, categoryTotals: byCategory };
@@ -41,15 +44,15 @@ export default function ExpensesTab() {
   // Add new expense
   const handleAddExpense = async (e) => {
     e.preventDefault();
-    if (!newExpense.title || !newExpense.amount) {
-      return alert("Please fill in all required fields.");
-    }
-
-    await addExpense({
+    const expense = {
       ...newExpense,
-      amount: parseFloat(newExpense.amount),
       dateSpent: newExpense.dateSpent || new Date().toISOString(),
-    });
+    };
+    const { valid, errors } = validate("expense", expense);
+    setErrors(errors);
+    if (!valid) return;
+
+    if (!(await addExpense(expense))) return;
 
     setShowModal(false);
     setNewExpense({ title: "", category: "", amount: "", dateSpent: "" });
@@ -103,10 +106,7 @@ export default function ExpensesTab() {
           <div className="flex flex-col bg-green-50 p-4 rounded-xl">
             <span className="text-sm text-gray-600">Total Expenses</span>
             <span className="text-2xl font-bold text-[var(--theme-color)]">
-              ₱
-              {totalExpenses.toLocaleString(undefined, {
-                minimumFractionDigits: 2,
-              })}
+              {money(totalExpenses)}
             </span>
           </div>
 
@@ -117,7 +117,7 @@ export default function ExpensesTab() {
                 Object.entries(categoryTotals).map(([cat, amt]) => (
                   <div key={cat} className="flex justify-between">
                     <span>{cat}</span>
-                    <span className="font-medium">₱{amt.toLocaleString()}</span>
+                    <span className="font-medium">{money(amt)}</span>
                   </div>
                 ))
               ) : (
@@ -147,7 +147,7 @@ export default function ExpensesTab() {
                   <td className="p-3">{exp.title}</td>
                   <td className="p-3">{exp.category || "—"}</td>
                   <td className="p-3 text-right font-medium">
-                    ₱{parseFloat(exp.amount).toLocaleString()}
+                    {money(exp.amount)}
                   </td>
                   <td className="p-3">
                     {new Date(exp.dateSpent).toLocaleDateString()}
@@ -188,7 +188,7 @@ export default function ExpensesTab() {
                   {new Date(exp.dateSpent).toLocaleDateString()}
                 </p>
                 <p className="text-[var(--theme-color)] font-medium">
-                  ₱{parseFloat(exp.amount).toLocaleString()}
+                  {money(exp.amount)}
                 </p>
               </div>
               <button
@@ -225,6 +225,7 @@ export default function ExpensesTab() {
                   className="input input-bordered text-white w-full border-green-300"
                   placeholder="e.g. Dental Supplies"
                 />
+                <FieldError error={errors.title} />
               </div>
               <div>
                 <label className="text-sm text-gray-600">Category</label>
@@ -241,15 +242,16 @@ export default function ExpensesTab() {
               <div>
                 <label className="text-sm text-gray-600">Amount *</label>
                 <input
-                  type="number"
-                  step="0.01"
+                  type="text"
+                  inputMode="decimal"
                   value={newExpense.amount}
                   onChange={(e) =>
                     setNewExpense({ ...newExpense, amount: e.target.value })
                   }
                   className="input input-bordered text-white w-full border-green-300"
-                  placeholder="₱0.00"
+                  placeholder={`${currencySymbol()}0.00`}
                 />
+                <FieldError error={errors.amount} />
               </div>
               <div>
                 <label className="text-sm text-gray-600">Date</label>
@@ -261,12 +263,16 @@ export default function ExpensesTab() {
                   }
                   className="input input-bordered text-white w-full border-green-300"
                 />
+                <FieldError error={errors.dateSpent} />
               </div>
 
               <div className="flex justify-end gap-3 mt-4">
                 <button
                   type="button"
-                  onClick={() => setShowModal(false)}
+                  onClick={() => {
+                    setShowModal(false);
+                    setErrors({});
+                  }}
                   className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-100"
                 >
                   Cancel
@@ -0,0 +1,157 @@
+"use client";
+
+import { useState } from "react";
+import { FiPhone, FiTrash2, FiUserPlus, FiFileText } from "react-icons/fi";
+import { useFamilyStore } from "@/app/stores/useFamilyStore";
+import { RELATIONS, guardiansIn, needsGuardian } from "@/app/lib/family";
+import PatientPicker from "./PatientPicker";
+import FamilyStatementModal from "./FamilyStatementModal";
+
+const NO_MEMBER = { patientId: "", patientName: "" };
+
+// 👪 Linked family of the patient (patient details). `onOpen(member)` shows
+// that member's own details.
+export default function FamilyMembers({ patient, birthdate, onOpen }) {
+  const { family, loading, link, unlink } = useFamilyStore();
+  const [adding, setAdding] = useState(false);
+  const [relation, setRelation] = useState("guardian");
+  const [member, setMember] = useState(NO_MEMBER);
+  const [saving, setSaving] = useState(false);
+  const [statementOpen, setStatementOpen] = useState(false);
+
+  const missingGuardian =
+    !loading && needsGuardian(birthdate) && !guardiansIn(family).length;
+
+  const handleLink = async () => {
+    setSaving(true);
+    const saved = await link(patient.$id, member.patientId, relation);
+    setSaving(false);
+    if (!saved) return;
+    setMember(NO_MEMBER);
+    setAdding(false);
+  };
+
+  const handleUnlink = (entry) => {
+    if (
+      window.confirm(
+        `Remove ${entry.member.patientName} (${
+          RELATIONS[entry.relation]
+        }) from ${patient.patientName}'s family?`
+      )
+    ) {
+      unlink({ ...patient, birthdate }, entry);
+    }
+  };
+
+  return (
+    <div className="mt-4 p-4 bg-white rounded-xl border border-mint-300">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h4 className="font-semibold text-[#00A388]">
+          Family <span className="text-sm font-normal">({family.length})</span>
+        </h4>
+        <div className="flex gap-2">
+          <button
+            onClick={() => setStatementOpen(true)}
+            className="btn btn-xs btn-outline border-[#00A388] text-[#00A388]"
+          >
+            <FiFileText /> Family statement
+          </button>
+          <button
+            onClick={() => setAdding((prev) => !prev)}
+            className="btn btn-xs bg-[#00A388] text-white border-none"
+          >
+            <FiUserPlus /> {adding ? "Cancel" : "Link member"}
+          </button>
+        </div>
+      </div>
+
+      {missingGuardian && (
+        <div role="alert" className="alert alert-warning mt-3 py-2 text-sm">
+          Under 18 with no guardian on record. Link a parent or guardian.
+        </div>
+      )}
+
+      {adding && (
+        <div className="mt-3 grid grid-cols-1 sm:grid-cols-[auto_1fr_auto] gap-2 items-start">
+          <select
+            value={relation}
+            onChange={(e) => setRelation(e.target.value)}
+            className="select select-bordered border-green-300 bg-white text-[var(--theme-color)]"
+          >
+            {Object.entries(RELATIONS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <PatientPicker
+            value={member}
+            onChange={setMember}
+            exclude={[patient.$id, ...family.map((f) => f.member.$id)]}
+            placeholder="Search the family member's record"
+          />
+          <button
+            onClick={handleLink}
+            disabled={!member.patientId || saving}
+            className="btn bg-[#00A388] text-white border-none"
+          >
+            {saving ? "Linking..." : "Link"}
+          </button>
+        </div>
+      )}
+
+      {loading && !family.length ? (
+        <p className="mt-3 text-sm text-gray-400 animate-pulse">
+          Loading family...
+        </p>
+      ) : !family.length ? (
+        <p className="mt-3 text-sm text-gray-500">No family members linked.</p>
+      ) : (
+        <ul className="mt-3 divide-y divide-mint-100">
+          {family.map((entry) => (
+            <li
+              key={entry.link.$id}
+              className="py-2 flex items-center justify-between gap-2"
+            >
+              <button
+                onClick={() => onOpen?.(entry.member)}
+                className="text-left min-w-0"
+              >
+                <span className="badge badge-sm badge-outline text-[#00A388] mr-2">
+                  {RELATIONS[entry.relation]}
+                </span>
+                <span className="font-medium text-[#00A388] hover:underline">
+                  {entry.member.patientName}
+                </span>
+              </button>
+              <span className="flex items-center gap-3 shrink-0">
+                {entry.member.contact && (
+                  <a
+                    href={`tel:${entry.member.contact}`}
+                    className="text-xs text-gray-500 flex items-center gap-1 hover:underline"
+                  >
+                    <FiPhone /> {entry.member.contact}
+                  </a>
+                )}
+                <button
+                  onClick={() => handleUnlink(entry)}
+                  className="text-red-500 hover:text-red-700"
+                  title="Remove link"
+                >
+                  <FiTrash2 />
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {statementOpen && (
+        <FamilyStatementModal
+          patient={patient}
+          onClose={() => setStatementOpen(false)}
+        />
+      )}
+    </div>
+  );
+}
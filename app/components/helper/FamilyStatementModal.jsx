@@ -0,0 +1,173 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import dayjs from "dayjs";
+import toast from "react-hot-toast";
+import { FiDownload } from "react-icons/fi";
+import { loadFamilyStatement } from "@/app/lib/family";
+import { formatMoney } from "@/app/lib/money";
+import { useMoney } from "@/app/stores/usePersonalizationStore";
+
+// jsPDF's built-in fonts have no ₱ glyph (see lib/money.js)
+const pdfMoney = (amount) => formatMoney(amount, { currencyDisplay: "code" });
+
+const formatDate = (date) => dayjs(date).format("MMM D, YYYY");
+
+// "Juan Dela Cruz (DS-2026-0042)"
+const nameAndChart = (p) =>
+  p.chartNumber ? `${p.patientName} (${p.chartNumber})` : p.patientName;
+
+// 🧾 What the patient's family still owes, member by member
+export default function FamilyStatementModal({ patient, onClose }) {
+  const money = useMoney();
+  const [statement, setStatement] = useState(null);
+  const [exporting, setExporting] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadFamilyStatement(patient.$id)
+      .then((result) => !cancelled && setStatement(result))
+      .catch((err) => {
+        console.error("Loading family statement failed:", err);
+        toast.error("Failed to load the family statement");
+        if (!cancelled) onClose();
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [patient.$id]);
+
+  const handleExportPDF = async () => {
+    setExporting(true);
+    try {
+      const { jsPDF } = await import("jspdf");
+      const autoTableModule = await import("jspdf-autotable");
+      const autoTable = autoTableModule?.default ?? autoTableModule;
+
+      const doc = new jsPDF({
+        orientation: "portrait",
+        unit: "mm",
+        format: "a4",
+      });
+      doc.setFontSize(16);
+      doc.text("Senoto Dental Care — Family Statement", 14, 15);
+      doc.setFontSize(10);
+      doc.setTextColor(100);
+      doc.text(
+        `Family of ${nameAndChart(patient)} | As of ${formatDate(new Date())}`,
+        14,
+        22
+      );
+
+      const body = statement.members.flatMap(({ patient: p, transactions }) =>
+        transactions.map((t) => [
+          nameAndChart(p),
+          formatDate(t.$createdAt),
+          t.serviceName || "—",
+          pdfMoney(t.totalAmount),
+          pdfMoney(t.remaining),
+        ])
+      );
+      autoTable(doc, {
+        head: [["Patient", "Date", "Service", "Amount", "Balance"]],
+        body: body.length
+          ? body
+          : [["No outstanding balances", "", "", "", ""]],
+        startY: 30,
+        theme: "striped",
+        headStyles: { fillColor: [34, 197, 94] },
+      });
+
+      const y = doc.lastAutoTable ? doc.lastAutoTable.finalY + 10 : 30;
+      doc.setFontSize(12);
+      doc.setTextColor(0);
+      doc.text(`Total outstanding: ${pdfMoney(statement.total)}`, 14, y);
+
+      doc.save(
+        `FamilyStatement_${patient.patientName}_${dayjs().format(
+          "YYYY_MM_DD"
+        )}.pdf`
+      );
+    } catch (err) {
+      console.error("Family statement PDF failed:", err);
+      toast.error("Failed to generate the PDF");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="modal modal-open z-50">
+      <div className="modal-box max-w-3xl bg-white rounded-2xl">
+        <h3 className="font-bold text-xl text-[#00A388]">
+          Family statement — {patient.patientName}
+        </h3>
+        <p className="text-sm text-gray-500">
+          Outstanding balances of everyone linked to this patient&apos;s family.
+        </p>
+
+        {!statement ? (
+          <p className="mt-4 text-sm text-gray-400 animate-pulse">
+            Loading statement...
+          </p>
+        ) : (
+          <div className="mt-4 space-y-4 max-h-[60vh] overflow-y-auto">
+            {statement.members.map(
+              ({ patient: member, transactions, balance }) => (
+                <div key={member.$id}>
+                  <div className="flex justify-between font-semibold text-[#00A388]">
+                    <span>{nameAndChart(member)}</span>
+                    <span>{money(balance)}</span>
+                  </div>
+                  {transactions.length ? (
+                    <table className="table table-xs">
+                      <tbody>
+                        {transactions.map((t) => (
+                          <tr key={t.$id}>
+                            <td>{formatDate(t.$createdAt)}</td>
+                            <td>{t.serviceName || "—"}</td>
+                            <td className="text-right">
+                              {money(t.remaining)}
+                              <span className="text-gray-400">
+                                {" "}
+                                of {money(t.totalAmount)}
+                              </span>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  ) : (
+                    <p className="text-xs text-gray-400">
+                      Nothing outstanding.
+                    </p>
+                  )}
+                </div>
+              )
+            )}
+            <div className="flex justify-between border-t border-mint-300 pt-3 text-lg font-bold">
+              <span>Total outstanding</span>
+              <span className="text-[#00A388]">{money(statement.total)}</span>
+            </div>
+          </div>
+        )}
+
+        <div className="modal-action">
+          <button
+            onClick={handleExportPDF}
+            disabled={!statement || exporting}
+            className="btn btn-outline border-[#00A388] text-[#00A388]"
+          >
+            <FiDownload /> {exporting ? "Generating..." : "Download PDF"}
+          </button>
+          <button
+            onClick={onClose}
+            className="btn bg-[#00A388] hover:bg-[#00A388] text-white border-none"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,7 @@
+"use client";
+
+// Inline message under a form field (errors come from lib/validation.js)
+export default function FieldError({ error }) {
+  if (!error) return null;
+  return <p className="text-xs text-red-500 mt-1">{error}</p>;
+}
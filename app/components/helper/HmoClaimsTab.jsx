@@ -0,0 +1,333 @@
+"use client";
+
+import { useState } from "react";
+import clsx from "clsx";
+import dayjs from "dayjs";
+import { useClaimsStore } from "@/app/stores/useClaimsStore";
+import { useCan } from "@/app/stores/authStore";
+import { useMoney } from "@/app/stores/usePersonalizationStore";
+import {
+  CLAIM_STATUS_LABELS,
+  CLAIM_TRANSITIONS,
+  claimAge,
+  claimOutstanding,
+  hmoReceivables,
+} from "@/app/lib/hmo";
+import { CLAIM_STATUSES } from "@/app/lib/validation";
+import { currencySymbol, moneyInput } from "@/app/lib/money";
+
+const STATUS_STYLES = {
+  submitted: "bg-amber-100 text-amber-700",
+  approved: "bg-sky-100 text-sky-700",
+  denied: "bg-red-100 text-red-700",
+  paid: "bg-green-100 text-[var(--theme-color)]",
+};
+
+const ACTION_LABELS = {
+  approved: "Approve",
+  denied: "Deny",
+  paid: "Mark paid",
+};
+
+// 🧾 Reports › HMO Claims: what each HMO owes and the claims behind it.
+// `claims` are already narrowed to the report's date range.
+export default function HmoClaimsTab({ claims, loading }) {
+  const setStatus = useClaimsStore((s) => s.setStatus);
+  const canManage = useCan()("claims:manage");
+  const money = useMoney();
+
+  const [statusFilter, setStatusFilter] = useState("");
+  const [action, setAction] = useState(null); // { claim, status, ...values }
+
+  const receivables = hmoReceivables(claims);
+  const outstanding = receivables.reduce((sum, r) => sum + r.outstanding, 0);
+  const shown = statusFilter
+    ? claims.filter((c) => c.status === statusFilter)
+    : claims;
+
+  const openAction = (claim, status) =>
+    setAction({
+      claim,
+      status,
+      amount:
+        status === "approved"
+          ? moneyInput(claim.amount)
+          : status === "paid"
+          ? moneyInput(claim.approvedAmount ?? claim.amount)
+          : "",
+      reference: claim.reference || "",
+      note: claim.note || "",
+    });
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    const { claim, status, amount, reference, note } = action;
+    const saved = await setStatus(claim, status, {
+      ...(status === "approved" && { approvedAmount: amount }),
+      ...(status === "paid" && { paidAmount: amount }),
+      reference,
+      note,
+    });
+    if (saved) setAction(null);
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Stats */}
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-6">
+        <div className="stat bg-white border border-green-300/40 rounded-xl p-5 shadow-sm">
+          <div className="stat-title text-gray-600">HMO Receivables</div>
+          <div className="stat-value text-[var(--theme-color)] text-2xl font-bold">
+            {money(outstanding)}
+          </div>
+        </div>
+        <div className="stat bg-white border border-green-300/40 rounded-xl p-5 shadow-sm">
+          <div className="stat-title text-gray-600">Collected from HMOs</div>
+          <div className="stat-value text-emerald-500 text-2xl font-bold">
+            {money(receivables.reduce((sum, r) => sum + r.paid, 0))}
+          </div>
+        </div>
+        <div className="stat bg-white border border-green-300/40 rounded-xl p-5 shadow-sm">
+          <div className="stat-title text-gray-600">Denied</div>
+          <div className="stat-value text-red-500 text-2xl font-bold">
+            {money(receivables.reduce((sum, r) => sum + r.denied, 0))}
+          </div>
+        </div>
+      </div>
+
+      {/* Receivables per HMO */}
+      <div className="card border border-green-300/40 shadow-sm rounded-xl overflow-x-auto">
+        <table className="table">
+          <thead className="bg-white text-[var(--theme-color)]">
+            <tr>
+              <th>HMO</th>
+              <th className="text-right">Open claims</th>
+              <th className="text-right">Claimed</th>
+              <th className="text-right">Approved</th>
+              <th className="text-right">Paid</th>
+              <th className="text-right">Outstanding</th>
+            </tr>
+          </thead>
+          <tbody>
+            {receivables.length ? (
+              receivables.map((r) => (
+                <tr key={r.providerId} className="text-gray-800">
+                  <td className="font-medium">{r.providerName}</td>
+                  <td className="text-right">{r.open}</td>
+                  <td className="text-right">{money(r.claimed)}</td>
+                  <td className="text-right">{money(r.approved)}</td>
+                  <td className="text-right">{money(r.paid)}</td>
+                  <td
+                    className={clsx(
+                      "text-right font-semibold",
+                      r.outstanding > 0 ? "text-red-500" : "text-gray-500"
+                    )}
+                  >
+                    {money(r.outstanding)}
+                  </td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan={6} className="text-center text-gray-500 italic">
+                  {loading
+                    ? "Loading claims..."
+                    : "No HMO claims in this range."}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Claims */}
+      <div className="flex flex-wrap gap-2">
+        {["", ...CLAIM_STATUSES].map((status) => (
+          <button
+            key={status || "all"}
+            onClick={() => setStatusFilter(status)}
+            className={clsx(
+              "btn btn-xs rounded-full",
+              statusFilter === status
+                ? "bg-[var(--theme-color)] text-white border-none"
+                : "btn-outline border-green-300 text-[var(--theme-color)]"
+            )}
+          >
+            {status ? CLAIM_STATUS_LABELS[status] : "All"} (
+            {status
+              ? claims.filter((c) => c.status === status).length
+              : claims.length}
+            )
+          </button>
+        ))}
+      </div>
+
+      {shown.length > 0 && (
+        <div className="card border border-green-300/40 shadow-sm rounded-xl overflow-x-auto">
+          <table className="table table-sm">
+            <thead className="bg-white text-[var(--theme-color)]">
+              <tr>
+                <th>Filed</th>
+                <th>Patient</th>
+                <th>HMO</th>
+                <th>Service</th>
+                <th className="text-right">Claimed</th>
+                <th className="text-right">Outstanding</th>
+                <th>Status</th>
+                {canManage && <th />}
+              </tr>
+            </thead>
+            <tbody>
+              {shown.map((claim) => (
+                <tr key={claim.$id} className="text-gray-800 align-top">
+                  <td className="whitespace-nowrap">
+                    {dayjs(claim.submittedAt || claim.$createdAt).format(
+                      "MMM D, YYYY"
+                    )}
+                    {claimOutstanding(claim) > 0 && (
+                      <span className="block text-xs text-gray-400">
+                        {claimAge(claim)} day(s) open
+                      </span>
+                    )}
+                  </td>
+                  <td>
+                    {claim.patientName}
+                    {claim.memberId && (
+                      <span className="block text-xs text-gray-400">
+                        {claim.memberId}
+                      </span>
+                    )}
+                  </td>
+                  <td>{claim.providerName}</td>
+                  <td>
+                    {claim.serviceName || "—"}
+                    {claim.reference && (
+                      <span className="block text-xs text-gray-400">
+                        Ref. {claim.reference}
+                      </span>
+                    )}
+                  </td>
+                  <td className="text-right">{money(claim.amount)}</td>
+                  <td className="text-right">
+                    {money(claimOutstanding(claim))}
+                  </td>
+                  <td>
+                    <span
+                      className={clsx(
+                        "px-2 py-1 rounded-full text-xs font-semibold",
+                        STATUS_STYLES[claim.status]
+                      )}
+                    >
+                      {CLAIM_STATUS_LABELS[claim.status]}
+                    </span>
+                  </td>
+                  {canManage && (
+                    <td className="whitespace-nowrap text-right">
+                      {(CLAIM_TRANSITIONS[claim.status] || []).map((status) => (
+                        <button
+                          key={status}
+                          onClick={() => openAction(claim, status)}
+                          className={clsx(
+                            "btn btn-xs ml-1",
+                            status === "denied"
+                              ? "btn-outline border-red-300 text-red-500"
+                              : "bg-[var(--theme-color)] text-white border-none"
+                          )}
+                        >
+                          {ACTION_LABELS[status]}
+                        </button>
+                      ))}
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* ✨ Status Modal */}
+      {action && (
+        <div className="fixed inset-0 bg-black/30 backdrop-blur-sm flex items-center justify-center z-50">
+          <div className="bg-white rounded-2xl shadow-xl p-6 w-full max-w-md">
+            <h3 className="text-lg font-semibold text-[var(--theme-color)]">
+              {ACTION_LABELS[action.status]} claim
+            </h3>
+            <p className="text-sm text-gray-500 mb-4">
+              {action.claim.patientName} · {action.claim.providerName} ·{" "}
+              {money(action.claim.amount)} claimed
+            </p>
+            <form onSubmit={handleConfirm} className="space-y-3">
+              {action.status !== "denied" && (
+                <div>
+                  <label className="text-sm text-gray-600">
+                    {action.status === "approved"
+                      ? "Approved amount"
+                      : "Amount received"}{" "}
+                    ({currencySymbol()})
+                  </label>
+                  <input
+                    type="text"
+                    inputMode="decimal"
+                    value={action.amount}
+                    onChange={(e) =>
+                      setAction({ ...action, amount: e.target.value })
+                    }
+                    className="input input-bordered w-full border-green-300 bg-white text-[var(--theme-color)]"
+                  />
+                </div>
+              )}
+              <div>
+                <label className="text-sm text-gray-600">
+                  Reference no. (LOA, claim or check no.)
+                </label>
+                <input
+                  type="text"
+                  value={action.reference}
+                  onChange={(e) =>
+                    setAction({ ...action, reference: e.target.value })
+                  }
+                  className="input input-bordered w-full border-green-300 bg-white text-[var(--theme-color)]"
+                />
+              </div>
+              <div>
+                <label className="text-sm text-gray-600">
+                  {action.status === "denied" ? "Reason" : "Note"}
+                </label>
+                <input
+                  type="text"
+                  value={action.note}
+                  onChange={(e) =>
+                    setAction({ ...action, note: e.target.value })
+                  }
+                  className="input input-bordered w-full border-green-300 bg-white text-[var(--theme-color)]"
+                />
+              </div>
+
+              <div className="flex justify-end gap-3 mt-4">
+                <button
+                  type="button"
+                  onClick={() => setAction(null)}
+                  className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-100"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className={clsx(
+                    "px-4 py-2 text-white rounded-lg shadow",
+                    action.status === "denied"
+                      ? "bg-red-500 hover:bg-red-600"
+                      : "bg-[var(--theme-color)] hover:bg-[var(--theme-color)]/80"
+                  )}
+                >
+                  {ACTION_LABELS[action.status]}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,346 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { Trash2, PlusCircle, Pencil } from "lucide-react";
+import { useHmoStore } from "@/app/stores/useHmoStore";
+import { useServicesStore } from "@/app/stores/useServicesStore";
+import { useMoney } from "@/app/stores/usePersonalizationStore";
+import { validate } from "@/app/lib/validation";
+import { currencySymbol, moneyInput } from "@/app/lib/money";
+import FieldError from "./FieldError";
+
+const EMPTY_PROVIDER = { name: "", contact: "" };
+const EMPTY_RULE = { serviceId: "", percent: "100", maxAmount: "" };
+
+// 🏥 Settings › HMO: providers and what each covers, see lib/hmo.js
+export default function HmoTab() {
+  const {
+    providers,
+    rules,
+    loading,
+    fetchHmo,
+    saveProvider,
+    deleteProvider,
+    saveRule,
+    deleteRule,
+  } = useHmoStore();
+  const { services, fetchServices } = useServicesStore();
+  const money = useMoney();
+
+  const [selectedId, setSelectedId] = useState(null);
+  const [providerForm, setProviderForm] = useState(null); // null: closed
+  const [editingId, setEditingId] = useState(null);
+  const [ruleForm, setRuleForm] = useState(EMPTY_RULE);
+  const [errors, setErrors] = useState({});
+
+  useEffect(() => {
+    fetchHmo();
+    fetchServices();
+  }, [fetchHmo, fetchServices]);
+
+  const selected =
+    providers.find((p) => p.$id === selectedId) || providers[0] || null;
+  const selectedRules = rules.filter((r) => r.providerId === selected?.$id);
+  const serviceName = (id) =>
+    services.find((s) => s.$id === id)?.serviceName || "Deleted service";
+
+  const openProviderForm = (provider) => {
+    setErrors({});
+    setEditingId(provider?.$id || null);
+    setProviderForm(
+      provider
+        ? { name: provider.name, contact: provider.contact || "" }
+        : EMPTY_PROVIDER
+    );
+  };
+
+  const handleSaveProvider = async (e) => {
+    e.preventDefault();
+    const { valid, errors } = validate("hmoprovider", providerForm);
+    setErrors(errors);
+    if (!valid) return;
+    const saved = await saveProvider(editingId, providerForm);
+    if (!saved) return;
+    setProviderForm(null);
+    setSelectedId(saved.$id);
+  };
+
+  const handleDeleteProvider = (provider) => {
+    if (
+      window.confirm(
+        `Delete ${provider.name} and its coverage rules? Patients keep their member IDs.`
+      )
+    ) {
+      deleteProvider(provider.$id);
+    }
+  };
+
+  const handleSaveRule = async (e) => {
+    e.preventDefault();
+    const values = { ...ruleForm, providerId: selected.$id };
+    const { valid, errors } = validate("coveragerule", values);
+    setErrors(errors);
+    if (!valid) return;
+    if (await saveRule(values)) setRuleForm(EMPTY_RULE);
+  };
+
+  const editRule = (rule) => {
+    setErrors({});
+    setRuleForm({
+      serviceId: rule.serviceId,
+      percent: String(rule.percent),
+      maxAmount: rule.maxAmount ? moneyInput(rule.maxAmount) : "",
+    });
+  };
+
+  if (loading && !providers.length)
+    return (
+      <p className="text-gray-500 text-center mt-4">Loading HMO providers...</p>
+    );
+
+  return (
+    <div className="mt-6 space-y-4">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-lg font-semibold text-[var(--theme-color)]">
+            HMO
+          </h2>
+          <p className="text-sm text-gray-500">
+            When a patient with an HMO card is charged for a covered service,
+            the HMO&apos;s share is filed as a claim and the patient pays the
+            rest.
+          </p>
+        </div>
+        <button
+          onClick={() => openProviderForm(null)}
+          className="flex items-center gap-2 bg-[var(--theme-color)] hover:bg-[var(--theme-color)]/80 hover:cursor-pointer text-white px-3 py-2 rounded-lg shadow transition shrink-0"
+        >
+          <PlusCircle size={18} /> Add HMO
+        </button>
+      </div>
+
+      {!providers.length ? (
+        <p className="text-center p-4 text-gray-500 bg-white rounded-2xl shadow-md">
+          No HMOs yet, e.g. Maxicare or Intellicare.
+        </p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-[16rem_1fr] gap-4">
+          {/* Providers */}
+          <ul className="bg-white rounded-2xl shadow-md divide-y divide-green-100 overflow-hidden self-start">
+            {providers.map((provider) => (
+              <li
+                key={provider.$id}
+                className={`flex items-center justify-between gap-2 p-3 ${
+                  provider.$id === selected?.$id ? "bg-green-50" : ""
+                }`}
+              >
+                <button
+                  onClick={() => {
+                    setSelectedId(provider.$id);
+                    setRuleForm(EMPTY_RULE);
+                    setErrors({});
+                  }}
+                  className="text-left min-w-0"
+                >
+                  <span className="block font-medium text-[var(--theme-color)] truncate">
+                    {provider.name}
+                  </span>
+                  <span className="block text-xs text-gray-500">
+                    {rules.filter((r) => r.providerId === provider.$id).length}{" "}
+                    covered service(s)
+                  </span>
+                </button>
+                <span className="flex gap-2 shrink-0">
+                  <button
+                    onClick={() => openProviderForm(provider)}
+                    className="text-[var(--theme-color)] hover:opacity-70"
+                  >
+                    <Pencil size={16} />
+                  </button>
+                  <button
+                    onClick={() => handleDeleteProvider(provider)}
+                    className="text-red-500 hover:text-red-700"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+
+          {/* Coverage of the selected provider */}
+          {selected && (
+            <div className="bg-white rounded-2xl shadow-md p-4 space-y-3">
+              <h3 className="font-semibold text-[var(--theme-color)]">
+                {selected.name} covers
+                {selected.contact && (
+                  <span className="ml-2 text-sm font-normal text-gray-500">
+                    {selected.contact}
+                  </span>
+                )}
+              </h3>
+              <table className="table table-sm">
+                <thead>
+                  <tr className="text-[var(--theme-color)]">
+                    <th>Service</th>
+                    <th className="text-right">Covered</th>
+                    <th className="text-right">Cap per visit</th>
+                    <th />
+                  </tr>
+                </thead>
+                <tbody>
+                  {selectedRules.length ? (
+                    selectedRules.map((rule) => (
+                      <tr key={rule.$id}>
+                        <td>{serviceName(rule.serviceId)}</td>
+                        <td className="text-right">{rule.percent}%</td>
+                        <td className="text-right">
+                          {rule.maxAmount ? money(rule.maxAmount) : "No cap"}
+                        </td>
+                        <td className="text-right whitespace-nowrap">
+                          <button
+                            onClick={() => editRule(rule)}
+                            className="text-[var(--theme-color)] hover:opacity-70 mr-3"
+                          >
+                            <Pencil size={16} />
+                          </button>
+                          <button
+                            onClick={() => deleteRule(rule.$id)}
+                            className="text-red-500 hover:text-red-700"
+                          >
+                            <Trash2 size={16} />
+                          </button>
+                        </td>
+                      </tr>
+                    ))
+                  ) : (
+                    <tr>
+                      <td colSpan={4} className="text-center text-gray-500">
+                        No covered services yet: patients pay in full.
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+
+              <form
+                onSubmit={handleSaveRule}
+                className="grid grid-cols-1 sm:grid-cols-[1fr_6rem_8rem_auto] gap-2 items-start"
+              >
+                <div>
+                  <select
+                    value={ruleForm.serviceId}
+                    onChange={(e) =>
+                      setRuleForm({ ...ruleForm, serviceId: e.target.value })
+                    }
+                    className="select select-bordered select-sm w-full border-green-300 bg-white text-[var(--theme-color)]"
+                  >
+                    <option value="">Select service</option>
+                    {services.map((s) => (
+                      <option key={s.$id} value={s.$id}>
+                        {s.serviceName} - {money(s.servicePrice)}
+                      </option>
+                    ))}
+                  </select>
+                  <FieldError error={errors.serviceId} />
+                </div>
+                <div>
+                  <input
+                    type="number"
+                    min={1}
+                    max={100}
+                    value={ruleForm.percent}
+                    onChange={(e) =>
+                      setRuleForm({ ...ruleForm, percent: e.target.value })
+                    }
+                    className="input input-bordered input-sm w-full border-green-300 bg-white text-[var(--theme-color)]"
+                    placeholder="%"
+                  />
+                  <FieldError error={errors.percent} />
+                </div>
+                <div>
+                  <input
+                    type="text"
+                    inputMode="decimal"
+                    value={ruleForm.maxAmount}
+                    onChange={(e) =>
+                      setRuleForm({ ...ruleForm, maxAmount: e.target.value })
+                    }
+                    className="input input-bordered input-sm w-full border-green-300 bg-white text-[var(--theme-color)]"
+                    placeholder={`Cap (${currencySymbol()})`}
+                  />
+                  <FieldError error={errors.maxAmount} />
+                </div>
+                <button
+                  type="submit"
+                  className="btn btn-sm bg-[var(--theme-color)] text-white border-none"
+                >
+                  Save coverage
+                </button>
+              </form>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* ✨ Provider Modal */}
+      {providerForm && (
+        <div className="fixed inset-0 bg-black/30 backdrop-blur-sm flex items-center justify-center z-50">
+          <div className="bg-white rounded-2xl shadow-xl p-6 w-full max-w-md">
+            <h3 className="text-lg font-semibold text-[var(--theme-color)] mb-4">
+              {editingId ? "Edit HMO" : "Add HMO"}
+            </h3>
+            <form onSubmit={handleSaveProvider} className="space-y-3">
+              <div>
+                <label className="text-sm text-gray-600">Name *</label>
+                <input
+                  type="text"
+                  value={providerForm.name}
+                  onChange={(e) =>
+                    setProviderForm({ ...providerForm, name: e.target.value })
+                  }
+                  className="input input-bordered w-full border-green-300 bg-white text-[var(--theme-color)]"
+                  placeholder="e.g. Maxicare"
+                />
+                <FieldError error={errors.name} />
+              </div>
+              <div>
+                <label className="text-sm text-gray-600">Contact number</label>
+                <input
+                  type="text"
+                  value={providerForm.contact}
+                  onChange={(e) =>
+                    setProviderForm({
+                      ...providerForm,
+                      contact: e.target.value,
+                    })
+                  }
+                  className="input input-bordered w-full border-green-300 bg-white text-[var(--theme-color)]"
+                  placeholder="Claims hotline"
+                />
+                <FieldError error={errors.contact} />
+              </div>
+
+              <div className="flex justify-end gap-3 mt-4">
+                <button
+                  type="button"
+                  onClick={() => setProviderForm(null)}
+                  className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-100"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="px-4 py-2 bg-[var(--theme-color)] hover:bg-[var(--theme-color)]/80 text-white rounded-lg shadow"
+                >
+                  Save HMO
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
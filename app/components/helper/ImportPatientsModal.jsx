@@ -0,0 +1,380 @@
+"use client";
+
+import { useEffect, useMemo, useState } from "react";
+import { FiUpload, FiLoader } from "react-icons/fi";
+import toast from "react-hot-toast";
+import {
+  PATIENT_COLUMNS,
+  downloadCsv,
+  guessMapping,
+  importPatients,
+  loadExistingPatients,
+  prepareImport,
+  readSpreadsheet,
+} from "@/app/lib/patientSheet";
+import { usePersonalizationStore } from "@/app/stores/usePersonalizationStore";
+
+const PREVIEW_ROWS = 200;
+
+const STEPS = ["Choose file", "Match columns", "Review", "Import"];
+
+const duplicateLabel = ({ patient, reasons }) =>
+  `${
+    patient.line
+      ? `row ${patient.line} of this file`
+      : `existing patient ${patient.patientName}`
+  } (${reasons.join(", ")})`;
+
+// 📥 Import patients from a spreadsheet: pick a file, match its columns to
+// patient fields, review the rows that can't be imported, then create the
+// rest in batches
+export default function ImportPatientsModal({ isOpen, onClose }) {
+  const [step, setStep] = useState(0);
+  const [fileName, setFileName] = useState("");
+  const [headers, setHeaders] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [existing, setExisting] = useState(null);
+  const [includeDuplicates, setIncludeDuplicates] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const personalization = usePersonalizationStore((s) => s.personalization);
+
+  useEffect(() => {
+    if (isOpen) return;
+    setStep(0);
+    setFileName("");
+    setHeaders([]);
+    setRows([]);
+    setMapping({});
+    setExisting(null);
+    setIncludeDuplicates(false);
+    setProgress(null);
+    setResult(null);
+  }, [isOpen]);
+
+  const prepared = useMemo(
+    () => (step >= 2 && existing ? prepareImport(rows, mapping, existing) : []),
+    [step, rows, mapping, existing]
+  );
+  const invalid = prepared.filter((r) => Object.keys(r.errors).length);
+  const duplicates = prepared.filter(
+    (r) => !Object.keys(r.errors).length && r.duplicateOf
+  );
+  const toImport = prepared.filter(
+    (r) =>
+      !Object.keys(r.errors).length && (includeDuplicates || !r.duplicateOf)
+  );
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setBusy(true);
+    try {
+      const [header, ...data] = await readSpreadsheet(file);
+      if (!data.some((row) => row.some(Boolean))) {
+        throw new Error("The file has no rows below the header");
+      }
+      setFileName(file.name);
+      setHeaders(header);
+      setRows(data);
+      setMapping(guessMapping(header));
+      setStep(1);
+    } catch (err) {
+      console.error("Reading spreadsheet failed:", err);
+      toast.error(err.message || "Couldn't read that file");
+    } finally {
+      setBusy(false);
+      e.target.value = "";
+    }
+  };
+
+  const handleReview = async () => {
+    setBusy(true);
+    try {
+      setExisting(await loadExistingPatients());
+      setStep(2);
+    } catch (err) {
+      console.error("Loading patients failed:", err);
+      toast.error("Couldn't load existing patients to check for duplicates");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setStep(3);
+    setProgress({ done: 0, total: toImport.length });
+    const res = await importPatients(toImport, {
+      onProgress: setProgress,
+      settings: personalization,
+    });
+    setResult(res);
+    if (res.created.length) {
+      toast.success(`Imported ${res.created.length} patient(s)`);
+    }
+    const unnumbered = res.created.filter((p) => !p.chartNumber).length;
+    if (unnumbered) {
+      toast(
+        `${unnumbered} patient(s) have no chart number yet: assign it from their details`,
+        { icon: "🔢" }
+      );
+    }
+  };
+
+  // Rows left out, with the reason, for fixing and importing again
+  const downloadSkipped = () => {
+    const skipped = [
+      ...invalid.map((r) => [r.line, Object.values(r.errors).join("; ")]),
+      ...(includeDuplicates ? [] : duplicates).map((r) => [
+        r.line,
+        `Possible duplicate of ${duplicateLabel(r.duplicateOf)}`,
+      ]),
+      ...(result?.failed || []).map((r) => [r.line, r.error]),
+    ].sort((a, b) => a[0] - b[0]);
+    downloadCsv(
+      [
+        ["Row", "Problem", ...headers],
+        ...skipped.map(([line, problem]) => [line, problem, ...rows[line - 2]]),
+      ],
+      `skipped-${fileName.replace(/\.\w+$/, "")}.csv`
+    );
+  };
+
+  if (!isOpen) return null;
+
+  const importing = step === 3 && !result;
+  const requiredMapped = PATIENT_COLUMNS.filter((c) => c.required).every(
+    (c) => mapping[c.field] !== "" && mapping[c.field] !== undefined
+  );
+
+  return (
+    <dialog open className="modal">
+      <div className="modal-box max-w-4xl rounded-2xl bg-white text-gray-800">
+        <h3 className="font-bold text-xl text-[var(--theme-color)]">
+          📥 Import patients
+        </h3>
+
+        <ul className="steps w-full my-4 text-xs">
+          {STEPS.map((label, i) => (
+            <li
+              key={label}
+              className={`step ${i <= step ? "step-success" : ""}`}
+            >
+              {label}
+            </li>
+          ))}
+        </ul>
+
+        {/* 1. File */}
+        {step === 0 && (
+          <div className="space-y-3">
+            <p className="text-sm text-gray-600">
+              Use a <strong>.csv</strong> or <strong>.xlsx</strong> file with
+              one patient per row and column names in the first row. Dates
+              should look like 2001-12-31 or 12/31/2001 (month first).
+            </p>
+            <label className="btn bg-[var(--theme-color)] text-white border-none rounded-lg">
+              {busy ? <FiLoader className="animate-spin" /> : <FiUpload />}
+              Choose file
+              <input
+                type="file"
+                accept=".csv,.tsv,.txt,.xlsx"
+                className="hidden"
+                onChange={handleFile}
+                disabled={busy}
+              />
+            </label>
+          </div>
+        )}
+
+        {/* 2. Mapping */}
+        {step === 1 && (
+          <div className="space-y-3">
+            <p className="text-sm text-gray-600">
+              {fileName}: {rows.length} row(s). Pick the column that holds each
+              field (* required).
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+              {PATIENT_COLUMNS.map(({ field, label, required }) => (
+                <label key={field} className="flex items-center gap-2 text-sm">
+                  <span className="w-48 shrink-0">
+                    {label}
+                    {required && " *"}
+                  </span>
+                  <select
+                    className="select select-sm select-bordered grow rounded-lg"
+                    value={mapping[field]}
+                    onChange={(e) =>
+                      setMapping({
+                        ...mapping,
+                        [field]:
+                          e.target.value === "" ? "" : Number(e.target.value),
+                      })
+                    }
+                  >
+                    <option value="">— not in file —</option>
+                    {headers.map((header, i) => (
+                      <option key={i} value={i}>
+                        {header || `Column ${i + 1}`}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* 3. Review */}
+        {step === 2 && (
+          <div className="space-y-3 text-sm">
+            <p>
+              <strong>{toImport.length}</strong> ready to import ·{" "}
+              <span className="text-error">{invalid.length} with errors</span> ·{" "}
+              <span className="text-amber-600">
+                {duplicates.length} possible duplicate(s)
+              </span>
+            </p>
+            {duplicates.length > 0 && (
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  className="checkbox checkbox-sm"
+                  checked={includeDuplicates}
+                  onChange={(e) => setIncludeDuplicates(e.target.checked)}
+                />
+                Import possible duplicates too
+              </label>
+            )}
+
+            {invalid.length + duplicates.length > 0 && (
+              <div className="max-h-72 overflow-y-auto border rounded-lg">
+                <table className="table table-xs">
+                  <thead>
+                    <tr>
+                      <th>Row</th>
+                      <th>Name</th>
+                      <th>Problem</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {[...invalid, ...duplicates]
+                      .sort((a, b) => a.line - b.line)
+                      .slice(0, PREVIEW_ROWS)
+                      .map((r) => (
+                        <tr key={r.line}>
+                          <td>{r.line}</td>
+                          <td>{r.data.patientName || "—"}</td>
+                          <td
+                            className={
+                              r.duplicateOf ? "text-amber-600" : "text-error"
+                            }
+                          >
+                            {r.duplicateOf
+                              ? `Possible duplicate of ${duplicateLabel(
+                                  r.duplicateOf
+                                )}`
+                              : Object.values(r.errors).join("; ")}
+                          </td>
+                        </tr>
+                      ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* 4. Import */}
+        {step === 3 && (
+          <div className="space-y-2 text-sm">
+            {progress && (
+              <>
+                <progress
+                  className="progress progress-success w-full"
+                  value={progress.done}
+                  max={progress.total || 1}
+                />
+                <p className="text-xs text-gray-500">
+                  {progress.done} of {progress.total}
+                </p>
+              </>
+            )}
+            {result && (
+              <p>
+                Imported <strong>{result.created.length}</strong> patient(s).
+                {result.failed.length > 0 && (
+                  <span className="text-error">
+                    {" "}
+                    {result.failed.length} failed to save:{" "}
+                    {result.failed[0].error}
+                  </span>
+                )}
+              </p>
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-between gap-3 mt-6">
+          <div>
+            {step >= 2 &&
+              !importing &&
+              invalid.length +
+                (includeDuplicates ? 0 : duplicates.length) +
+                (result?.failed.length || 0) >
+                0 && (
+                <button
+                  className="btn btn-sm btn-ghost rounded-lg"
+                  onClick={downloadSkipped}
+                >
+                  Download skipped rows
+                </button>
+              )}
+          </div>
+          <div className="flex gap-3">
+            {step === 3 ? (
+              <button
+                className="btn bg-[var(--theme-color)] text-white border-none rounded-lg"
+                onClick={() => onClose(result?.created.length > 0)}
+                disabled={importing}
+              >
+                {importing ? "Importing..." : "Done"}
+              </button>
+            ) : (
+              <>
+                <button
+                  className="btn btn-outline border-[#B3E6C2] text-gray-600 rounded-lg"
+                  onClick={() => (step ? setStep(step - 1) : onClose(false))}
+                  disabled={busy}
+                >
+                  {step ? "Back" : "Cancel"}
+                </button>
+                {step === 1 && (
+                  <button
+                    className="btn bg-[var(--theme-color)] text-white border-none rounded-lg"
+                    onClick={handleReview}
+                    disabled={!requiredMapped || busy}
+                  >
+                    {busy && <FiLoader className="animate-spin" />}
+                    Check rows
+                  </button>
+                )}
+                {step === 2 && (
+                  <button
+                    className="btn bg-[var(--theme-color)] text-white border-none rounded-lg"
+                    onClick={handleImport}
+                    disabled={!toImport.length}
+                  >
+                    Import {toImport.length} patient(s)
+                  </button>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </dialog>
+  );
+}
@@ -1,12 +1,19 @@
 "use client";
 
 import { useEffect, useState } from "react";
-import { databases, ID } from "../../lib/appwrite";
-import { Query } from "appwrite";
+import { db, ID, Query } from "../../lib/db";
+import { listAll } from "../../lib/paginate";
+import { softDeleteInstallment } from "../../lib/softDelete";
+import { recomputeTransaction, transactionBalance } from "../../lib/balances";
 import { X, Plus, Trash2 } from "lucide-react"; // Import Trash2
 import dayjs from "dayjs";
+import PendingSyncBadge from "./PendingSyncBadge";
+import { useCan } from "../../stores/authStore";
+import { validate } from "../../lib/validation";
+import { formatMoney, minor, sumMoney } from "../../lib/money";
+import { useMoney } from "../../stores/usePersonalizationStore";
+import FieldError from "./FieldError";
 
-const DATABASE_ID = process.env.NEXT_PUBLIC_DATABASE_ID;
 const COLLECTION_INSTALLMENTS = "installments";
 const COLLECTION_TRANSACTIONS = "transactions";
 
@@ -15,10 +22,13 @@ const getCurrentDateTime = () => dayjs().format("YYYY-MM-DDTHH:mm");
 
 export default function InstallmentsModal({ transaction, onClose }) {
   const [installments, setInstallments] = useState([]);
+  const canDelete = useCan()("installments:delete");
   const [loading, setLoading] = useState(false);
   const [adding, setAdding] = useState(false);
   // State for tracking deletion status
   const [deletingId, setDeletingId] = useState(null);
+  const [errors, setErrors] = useState({});
+  const money = useMoney();
 
   const [form, setForm] = useState({
     amount: "",
@@ -29,15 +39,11 @@ export default function InstallmentsModal({ transaction, onClose }) {
   const fetchInstallments = async () => {
     try {
       setLoading(true);
-      const res = await databases.listDocuments(
-        DATABASE_ID,
-        COLLECTION_INSTALLMENTS,
-        [
-          Query.equal("transactionId", transaction.$id),
-          Query.orderDesc("$createdAt"),
-        ]
-      );
-      setInstallments(res.documents);
+      const docs = await listAll(COLLECTION_INSTALLMENTS, [
+        Query.equal("transactionId", transaction.$id),
+        Query.orderDesc("$createdAt"),
+      ]);
+      setInstallments(docs);
     } catch (err) {
       console.error("Error fetching installments:", err);
     } finally {
@@ -51,32 +57,31 @@ export default function InstallmentsModal({ transaction, onClose }) {
     }
   }, [transaction]);
 
-  // Compute remaining balance
-  const totalPaid = installments.reduce(
-    (sum, i) => sum + Number(i.amount || 0),
-    0
-  );
-  const remaining = Math.max(transaction.totalAmount - totalPaid, 0);
+  // Compute remaining balance (centavos)
+  const totalPaid = sumMoney(installments, "amount");
+  const remaining = Math.max(minor(transaction.totalAmount) - totalPaid, 0);
 
   // Handle input change
   const handleChange = (e) => {
     const { name, value } = e.target;
     setForm((prev) => ({ ...prev, [name]: value }));
+    setErrors((prev) => ({ ...prev, [name]: null }));
   };
 
   // Handle date change
   const handleDateChange = (e) => {
     const value = e.target.value;
     setForm((prev) => ({ ...prev, dateTransact: value }));
+    setErrors((prev) => ({ ...prev, dateTransact: null }));
   };
 
   // 1. New function: Handle installment deletion
   const handleDeleteInstallment = async (installment) => {
     if (
       !window.confirm(
-        `Are you sure you want to delete this payment of ₱${Number(
+        `Are you sure you want to delete this payment of ${formatMoney(
           installment.amount
-        ).toLocaleString()}? This action cannot be undone.`
+        )}? It can be restored from Settings › Trash.`
       )
     ) {
       return;
@@ -85,31 +90,11 @@ export default function InstallmentsModal({ transaction, onClose }) {
     try {
       setDeletingId(installment.$id);
 
-      // 1. Delete the installment document from Appwrite
-      await databases.deleteDocument(
-        DATABASE_ID,
-        COLLECTION_INSTALLMENTS,
-        installment.$id
-      );
-
-      // 2. Recalculate new total paid and remaining
-      const deletedAmount = Number(installment.amount);
-      const newTotalPaid = totalPaid - deletedAmount;
-      const newRemaining = Math.max(transaction.totalAmount - newTotalPaid, 0);
-
-      // 3. Update main transaction record
-      await databases.updateDocument(
-        DATABASE_ID,
-        COLLECTION_TRANSACTIONS,
-        transaction.$id,
-        {
-          paid: newTotalPaid,
-          remaining: newRemaining,
-          status: newRemaining <= 0 ? "paid" : "ongoing",
-        }
-      );
+      // 1. Move the installment to the trash; this also takes its amount
+      // off the main transaction record
+      await softDeleteInstallment(installment);
 
-      // 4. Reset deleting state and refresh data
+      // 2. Reset deleting state and refresh data
       setDeletingId(null);
       await fetchInstallments();
     } catch (err) {
@@ -121,44 +106,53 @@ export default function InstallmentsModal({ transaction, onClose }) {
   // Handle new payment submit (Existing logic, ensure it remains correct)
   const handleAddPayment = async (e) => {
     e.preventDefault();
-    if (!form.amount) return;
 
-    const newPaid = Number(form.amount);
-    // Recalculate remaining based on the *current* totalPaid before the addition
-    const newRemaining = Math.max(
-      transaction.totalAmount - (totalPaid + newPaid),
-      0
-    );
+    const { valid, errors, data } = validate("installment", {
+      ...form,
+      balance: remaining,
+    });
+    setErrors(errors);
+    if (!valid) return;
 
     try {
       setAdding(true);
+
+      // Check against the server's balance, not the list loaded earlier:
+      // another workstation may have recorded a payment meanwhile
+      const balance = (await transactionBalance(transaction.$id)) || {
+        paid: totalPaid,
+        remaining,
+      };
+      if (data.amount > balance.remaining) {
+        setErrors({
+          amount: `Amount exceeds the remaining balance of ${formatMoney(
+            balance.remaining
+          )}`,
+        });
+        await fetchInstallments();
+        return;
+      }
+      const newRemaining = balance.remaining - data.amount;
+
       // Save to installments table
-      await databases.createDocument(
-        DATABASE_ID,
-        COLLECTION_INSTALLMENTS,
-        ID.unique(),
-        {
-          transactionId: transaction.$id,
-          amount: newPaid,
-          dateTransact: form.dateTransact,
-          remaining: newRemaining,
-          serviceName: transaction.serviceName,
-          note: form.note,
-          patientName: transaction.patientName,
-        }
-      );
+      await db.createDocument(COLLECTION_INSTALLMENTS, ID.unique(), {
+        transactionId: transaction.$id,
+        amount: data.amount,
+        dateTransact: data.dateTransact,
+        remaining: newRemaining,
+        serviceName: transaction.serviceName,
+        note: data.note,
+        patientName: transaction.patientName,
+      });
 
-      // Update main transaction record (use the newly calculated values)
-      await databases.updateDocument(
-        DATABASE_ID,
-        COLLECTION_TRANSACTIONS,
-        transaction.$id,
-        {
-          paid: totalPaid + newPaid,
+      // Totals come from the server's installments; offline, from ours
+      if (!(await recomputeTransaction(transaction.$id))) {
+        await db.updateDocument(COLLECTION_TRANSACTIONS, transaction.$id, {
+          paid: balance.paid + data.amount,
           remaining: newRemaining,
           status: newRemaining <= 0 ? "paid" : "ongoing",
-        }
-      );
+        });
+      }
 
       // Reset form and refresh data
       setForm({ amount: "", note: "", dateTransact: getCurrentDateTime() });
@@ -193,19 +187,19 @@ export default function InstallmentsModal({ transaction, onClose }) {
           <div>
             <p className="text-xs text-gray-400 uppercase">Total</p>
             <p className="text-sm font-semibold text-green-300">
-              ₱{Number(transaction.totalAmount).toLocaleString()}
+              {money(transaction.totalAmount)}
             </p>
           </div>
           <div>
             <p className="text-xs text-gray-400 uppercase">Paid</p>
             <p className="text-sm font-semibold text-bg-white text-[var(--theme-color)]">
-              ₱{totalPaid.toLocaleString()}
+              {money(totalPaid)}
             </p>
           </div>
           <div>
             <p className="text-xs text-gray-400 uppercase">Remaining</p>
             <p className="text-sm font-semibold text-red-400">
-              ₱{remaining.toLocaleString()}
+              {money(remaining)}
             </p>
           </div>
         </div>
@@ -228,7 +222,11 @@ export default function InstallmentsModal({ transaction, onClose }) {
                   <div className="flex justify-between items-start">
                     <div>
                       <p className="font-medium text-[var(--theme-color)]">
-                        ₱{Number(i.amount).toLocaleString()}
+                        {money(i.amount)}{" "}
+                        <PendingSyncBadge
+                          documentId={i.$id}
+                          pending={i.$pending}
+                        />
                       </p>
                       <p className="text-xs text-gray-400">
                         {dayjs(i.dateTransact).format("MMM D, YYYY: hh:mm A")}
@@ -237,22 +235,24 @@ export default function InstallmentsModal({ transaction, onClose }) {
                     <div className="flex items-center gap-2">
                       {i.remaining !== undefined && (
                         <p className="text-xs text-red-400">
-                          Remaining: ₱{Number(i.remaining).toLocaleString()}
+                          Remaining: {money(i.remaining)}
                         </p>
                       )}
                       {/* 2. Add Delete Button */}
-                      <button
-                        onClick={() => handleDeleteInstallment(i)}
-                        disabled={deletingId === i.$id}
-                        title="Delete Installment"
-                        className="p-1 rounded-full text-red-500 hover:bg-red-500/10 disabled:opacity-50 disabled:cursor-not-allowed"
-                      >
-                        {deletingId === i.$id ? (
-                          <span className="text-xs">Deleting...</span>
-                        ) : (
-                          <Trash2 size={16} />
-                        )}
-                      </button>
+                      {canDelete && (
+                        <button
+                          onClick={() => handleDeleteInstallment(i)}
+                          disabled={deletingId === i.$id}
+                          title="Delete Installment"
+                          className="p-1 rounded-full text-red-500 hover:bg-red-500/10 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          {deletingId === i.$id ? (
+                            <span className="text-xs">Deleting...</span>
+                          ) : (
+                            <Trash2 size={16} />
+                          )}
+                        </button>
+                      )}
                     </div>
                   </div>
                   {i.note && (
@@ -272,15 +272,13 @@ export default function InstallmentsModal({ transaction, onClose }) {
             <form onSubmit={handleAddPayment} className="flex flex-col gap-2">
               <div className="flex gap-2">
                 <input
-                  type="number"
+                  type="text"
+                  inputMode="decimal"
                   name="amount"
                   placeholder="Enter payment amount"
                   value={form.amount}
                   onChange={handleChange}
                   className="border border-bg-white text-[var(--theme-color)] bg-transparent rounded-lg px-3 py-2 w-full focus:border-bg-white "
-                  required
-                  min="0"
-                  max={remaining}
                 />
                 <input
                   type="datetime-local"
@@ -289,7 +287,6 @@ export default function InstallmentsModal({ transaction, onClose }) {
                   value={form.dateTransact}
                   onChange={handleDateChange}
                   className="border border-bg-white text-[var(--theme-color)] bg-transparent rounded-lg px-3 py-2 w-full focus:border-bg-white "
-                  required
                 />
                 <button
                   type="submit"
@@ -299,6 +296,7 @@ export default function InstallmentsModal({ transaction, onClose }) {
                   <Plus size={16} /> {adding ? "Adding..." : "Add"}
                 </button>
               </div>
+              <FieldError error={errors.amount || errors.dateTransact} />
               <textarea
                 name="note"
                 placeholder="Optional note"
@@ -0,0 +1,172 @@
+"use client";
+
+import { useEffect } from "react";
+import dayjs from "dayjs";
+import clsx from "clsx";
+import { Loader2, RefreshCw, Wrench } from "lucide-react";
+import { useIntegrityStore } from "@/app/stores/useIntegrityStore";
+import { useBranchStore } from "@/app/stores/useBranchStore";
+
+const KIND_LABELS = {
+  "orphan-installment": "Orphaned installment",
+  "missing-patient": "Missing patient",
+  totals: "Totals out of sync",
+  "negative-remaining": "Negative remaining",
+  "installment-remaining": "Installment balance out of sync",
+  overpaid: "Overpaid plan",
+};
+
+// 🩺 Settings › Integrity: scan money records and repair derived totals
+export default function IntegrityTab() {
+  const { report, scanning, repairing, progress, scan, repair } =
+    useIntegrityStore();
+  const { activeBranchId, getBranchName } = useBranchStore();
+
+  useEffect(() => {
+    scan();
+  }, [scan, activeBranchId]);
+
+  const issues = report?.issues || [];
+  const fixable = issues.filter((i) => i.fix).length;
+  const busy = scanning || repairing;
+
+  const handleRepair = () => {
+    if (
+      window.confirm(
+        `Recompute paid, remaining and status on ${fixable} record(s)? Each change is recorded in the audit log.`
+      )
+    ) {
+      repair();
+    }
+  };
+
+  return (
+    <div className="mt-6 space-y-4">
+      {/* Header */}
+      <div className="flex flex-wrap justify-between items-center gap-2">
+        <div>
+          <h2 className="text-lg font-semibold text-[var(--theme-color)]">
+            Financial Integrity
+          </h2>
+          <p className="text-sm text-gray-500">
+            Checks every transaction and installment in{" "}
+            {activeBranchId ? getBranchName(activeBranchId) : "all branches"}{" "}
+            against each other.
+            {report &&
+              ` Last checked ${dayjs(report.scannedAt).format("h:mm A")}.`}
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={scan}
+            disabled={busy}
+            className="flex items-center gap-2 border border-green-300 text-[var(--theme-color)] hover:bg-green-50 px-3 py-2 rounded-lg transition"
+          >
+            <RefreshCw size={16} className={scanning ? "animate-spin" : ""} />
+            Check again
+          </button>
+          <button
+            onClick={handleRepair}
+            disabled={busy || !fixable}
+            className="flex items-center gap-2 bg-[var(--theme-color)] hover:bg-[var(--theme-color)]/80 text-white px-3 py-2 rounded-lg shadow transition disabled:opacity-50"
+          >
+            {repairing ? (
+              <Loader2 size={16} className="animate-spin" />
+            ) : (
+              <Wrench size={16} />
+            )}
+            Repair {fixable > 0 ? fixable : ""}
+          </button>
+        </div>
+      </div>
+
+      {progress && (
+        <div className="space-y-1">
+          <progress
+            className="progress progress-success w-full"
+            value={progress.done}
+            max={progress.total}
+          />
+          <p className="text-xs text-gray-500">
+            Repaired {progress.done} of {progress.total}
+          </p>
+        </div>
+      )}
+
+      {/* Summary */}
+      {report && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="flex flex-col bg-green-50 p-4 rounded-xl">
+            <span className="text-sm text-gray-600">Records checked</span>
+            <span className="text-2xl font-bold text-[var(--theme-color)]">
+              {report.counts.transactions + report.counts.installments}
+            </span>
+            <span className="text-xs text-gray-500">
+              {report.counts.transactions} transactions ·{" "}
+              {report.counts.installments} installments
+            </span>
+          </div>
+          <div className="flex flex-col bg-green-50 p-4 rounded-xl">
+            <span className="text-sm text-gray-600">Problems found</span>
+            <span
+              className={clsx(
+                "text-2xl font-bold",
+                issues.length ? "text-red-500" : "text-[var(--theme-color)]"
+              )}
+            >
+              {issues.length}
+            </span>
+          </div>
+          <div className="flex flex-col bg-green-50 p-4 rounded-xl">
+            <span className="text-sm text-gray-600">Repairable</span>
+            <span className="text-2xl font-bold text-[var(--theme-color)]">
+              {fixable}
+            </span>
+            <span className="text-xs text-gray-500">
+              The rest need to be fixed by hand
+            </span>
+          </div>
+        </div>
+      )}
+
+      {/* Issues */}
+      {scanning && !report ? (
+        <p className="text-gray-500 text-center mt-4">Checking records...</p>
+      ) : report && !issues.length ? (
+        <p className="text-gray-500 text-center mt-4">✅ Everything adds up.</p>
+      ) : (
+        <ul className="space-y-2">
+          {issues.map((i) => (
+            <li
+              key={i.id}
+              className="bg-white rounded-2xl shadow p-4 flex flex-wrap justify-between items-center gap-3"
+            >
+              <div>
+                <p className="font-semibold text-gray-800">
+                  {KIND_LABELS[i.kind]}
+                  {i.patientName ? ` · ${i.patientName}` : ""}
+                </p>
+                <p className="text-sm text-gray-500">{i.message}</p>
+                <p className="text-xs text-gray-400 mt-1">
+                  {i.collectionId} · {i.documentId}
+                </p>
+              </div>
+              <span
+                className={clsx(
+                  "badge",
+                  i.fix
+                    ? "badge-success text-white"
+                    : i.severity === "error"
+                    ? "badge-error text-white"
+                    : "badge-warning"
+                )}
+              >
+                {i.fix ? "Repairable" : "Needs review"}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
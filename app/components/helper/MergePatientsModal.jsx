@@ -0,0 +1,230 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { FiSearch, FiLoader } from "react-icons/fi";
+import clsx from "clsx";
+import { findDuplicates } from "@/app/lib/duplicates";
+import { planPatientMerge } from "@/app/lib/patientMerge";
+import { EMPTY_FILTERS, searchPatients } from "@/app/lib/patientSearch";
+import { usePatientStore } from "@/app/stores/usePatientStore";
+
+const describe = (p) =>
+  [p.birthdate, p.contact, p.address].filter(Boolean).join(" · ");
+
+// 🔗 Pick the other record of the same person, choose which one to keep and
+// merge. Suggestions come from the duplicate check; any patient can also be
+// searched for.
+export default function MergePatientsModal({ patient, isOpen, onClose }) {
+  const { mergePatients, mergeProgress } = usePatientStore();
+  const [suggestions, setSuggestions] = useState([]);
+  const [searchTerm, setSearchTerm] = useState("");
+  const [results, setResults] = useState([]);
+  const [other, setOther] = useState(null);
+  const [keepOther, setKeepOther] = useState(false);
+  const [plan, setPlan] = useState(null);
+  const [merging, setMerging] = useState(false);
+
+  const survivor = keepOther ? other : patient;
+  const duplicate = keepOther ? patient : other;
+
+  useEffect(() => {
+    if (!isOpen || !patient) return;
+    setOther(null);
+    setKeepOther(false);
+    setSearchTerm("");
+    setResults([]);
+    findDuplicates(patient, { excludeId: patient.$id })
+      .then((matches) => setSuggestions(matches))
+      .catch((err) => {
+        console.error("Duplicate check failed:", err);
+        setSuggestions([]);
+      });
+  }, [isOpen, patient]);
+
+  // 🔍 Search any patient once typing pauses
+  useEffect(() => {
+    const term = searchTerm.trim();
+    if (!term) return setResults([]);
+    const timer = setTimeout(async () => {
+      try {
+        const page = await searchPatients({ ...EMPTY_FILTERS, search: term });
+        setResults(page.documents.filter((p) => p.$id !== patient?.$id));
+      } catch (err) {
+        console.error("Patient search failed:", err);
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm, patient]);
+
+  // What the merge would move
+  useEffect(() => {
+    setPlan(null);
+    if (!survivor || !duplicate) return;
+    let cancelled = false;
+    planPatientMerge(survivor, duplicate)
+      .then((p) => !cancelled && setPlan(p))
+      .catch((err) => console.error("Merge preview failed:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [survivor, duplicate]);
+
+  const handleMerge = async () => {
+    setMerging(true);
+    const merged = await mergePatients(survivor, duplicate);
+    setMerging(false);
+    if (merged) onClose(merged);
+  };
+
+  if (!isOpen || !patient) return null;
+
+  const candidates = [
+    ...suggestions.map((s) => ({ patient: s.patient, reasons: s.reasons })),
+    ...results
+      .filter((r) => !suggestions.some((s) => s.patient.$id === r.$id))
+      .map((r) => ({ patient: r, reasons: [] })),
+  ];
+
+  return (
+    <dialog open className="modal">
+      <div className="modal-box max-w-2xl rounded-2xl bg-white text-gray-800">
+        <h3 className="font-bold text-xl text-[var(--theme-color)]">
+          🔗 Merge duplicate records
+        </h3>
+        <p className="text-sm text-gray-500 mt-1">
+          Combine <strong>{patient.patientName}</strong> with another record of
+          the same person. Payments, notes, medical history, treatment plans,
+          dental chart and appointments all move to the record you keep.
+        </p>
+
+        {/* Pick the other record */}
+        <label className="input input-bordered input-sm flex items-center gap-2 mt-4 rounded-lg">
+          <FiSearch className="text-gray-500" />
+          <input
+            type="text"
+            className="grow bg-transparent focus:outline-none"
+            placeholder="Search another patient..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+          />
+        </label>
+
+        <ul className="mt-3 max-h-48 overflow-y-auto space-y-1">
+          {candidates.length === 0 && (
+            <li className="text-sm text-gray-500">
+              No likely duplicates found. Search for the other record.
+            </li>
+          )}
+          {candidates.map(({ patient: p, reasons }) => (
+            <li key={p.$id}>
+              <button
+                className={clsx(
+                  "w-full text-left rounded-lg border px-3 py-2 transition",
+                  other?.$id === p.$id
+                    ? "border-[var(--theme-color)] bg-[#D9FFE5]"
+                    : "border-gray-200 hover:bg-gray-50"
+                )}
+                onClick={() => setOther(p)}
+              >
+                <span className="font-medium">{p.patientName}</span>
+                <span className="block text-xs text-gray-500">
+                  {describe(p)}
+                </span>
+                {reasons.length > 0 && (
+                  <span className="block text-xs text-amber-600">
+                    {reasons.join(" · ")}
+                  </span>
+                )}
+              </button>
+            </li>
+          ))}
+        </ul>
+
+        {/* Which one to keep */}
+        {other && (
+          <div className="mt-4 space-y-2">
+            <p className="text-sm font-semibold">Keep which record?</p>
+            {[patient, other].map((p, i) => (
+              <label
+                key={p.$id}
+                className="flex items-start gap-2 text-sm cursor-pointer"
+              >
+                <input
+                  type="radio"
+                  className="radio radio-sm mt-0.5"
+                  checked={keepOther === (i === 1)}
+                  onChange={() => setKeepOther(i === 1)}
+                />
+                <span>
+                  {p.patientName}
+                  <span className="block text-xs text-gray-500">
+                    {describe(p)} · added {p.$createdAt?.slice(0, 10)}
+                  </span>
+                </span>
+              </label>
+            ))}
+
+            {plan ? (
+              <div className="text-sm bg-gray-50 rounded-lg p-3">
+                <p>
+                  Moves to <strong>{survivor.patientName}</strong>:{" "}
+                  {plan.counts.length
+                    ? plan.counts.map((c) => `${c.count} ${c.label}`).join(", ")
+                    : "no records"}
+                  .
+                </p>
+                {Object.keys(plan.details).length > 0 && (
+                  <p className="text-gray-500">
+                    Fills in: {Object.keys(plan.details).join(", ")}.
+                  </p>
+                )}
+                <p className="text-gray-500">
+                  {duplicate.patientName} then goes to the Trash.
+                </p>
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">Checking records…</p>
+            )}
+          </div>
+        )}
+
+        {mergeProgress && mergeProgress.total > 0 && (
+          <div className="space-y-1 mt-3">
+            <progress
+              className="progress progress-success w-full"
+              value={mergeProgress.done}
+              max={mergeProgress.total}
+            />
+            <p className="text-xs text-gray-500">
+              {mergeProgress.label} — {mergeProgress.done} of{" "}
+              {mergeProgress.total}
+            </p>
+          </div>
+        )}
+
+        <div className="flex justify-end gap-3 mt-5">
+          <button
+            className="btn btn-outline border-[#B3E6C2] text-gray-600 rounded-lg"
+            onClick={() => onClose(null)}
+            disabled={merging}
+          >
+            Cancel
+          </button>
+          <button
+            className="btn bg-[var(--theme-color)] text-white border-none rounded-lg"
+            onClick={handleMerge}
+            disabled={!other || !plan || merging}
+          >
+            {merging ? (
+              <>
+                <FiLoader className="animate-spin" /> Merging...
+              </>
+            ) : (
+              "Merge"
+            )}
+          </button>
+        </div>
+      </div>
+    </dialog>
+  );
+}
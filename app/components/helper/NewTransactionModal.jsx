@@ -1,10 +1,18 @@
 "use client";
 
 import { useState, useEffect } from "react";
-import { databases, ID } from "../../lib/appwrite";
+import { db, ID } from "../../lib/db";
+import { listAll } from "../../lib/paginate";
 import { X } from "lucide-react";
+import toast from "react-hot-toast";
+import { validate } from "../../lib/validation";
+import { currencySymbol, parseMoney } from "../../lib/money";
+import { useMoney } from "../../stores/usePersonalizationStore";
+import { useHmoStore } from "../../stores/useHmoStore";
+import { fileClaim, hmoActive, splitCharge } from "../../lib/hmo";
+import { softDeleteTransaction } from "../../lib/softDelete";
+import FieldError from "./FieldError";
 
-const DATABASE_ID = process.env.NEXT_PUBLIC_DATABASE_ID;
 const COLLECTION_TRANSACTIONS = "transactions";
 const COLLECTION_SERVICES = "services";
 const COLLECTION_INSTALLMENTS = "installments";
@@ -21,23 +29,36 @@ export default function NewTransactionModal({ patient, onClose, onSaved }) {
 
   const [services, setServices] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [billHmo, setBillHmo] = useState(true);
+  const money = useMoney();
+  const { providers, rules, fetchHmo } = useHmoStore();
 
   // 🔹 Load available services
   useEffect(() => {
     const fetchServices = async () => {
       try {
-        const res = await databases.listDocuments(
-          DATABASE_ID,
-          COLLECTION_SERVICES
-        );
-        setServices(res.documents);
+        const docs = await listAll(COLLECTION_SERVICES);
+        setServices(docs);
       } catch (err) {
         console.error("Error fetching services:", err);
       }
     };
     fetchServices();
+    if (patient?.hmoProviderId) fetchHmo();
   }, []);
 
+  // 🏥 The HMO's share of the price (lib/hmo.js); the patient pays the rest
+  const provider = providers.find((p) => p.$id === patient?.hmoProviderId);
+  const cardValid = hmoActive(patient);
+  const rule =
+    provider && cardValid
+      ? rules.find(
+          (r) => r.providerId === provider.$id && r.serviceId === form.serviceId
+        )
+      : null;
+  const split = splitCharge(form.servicePrice, billHmo ? rule : null);
+
   // 🔹 Handle service select
   const handleServiceChange = (e) => {
     const selectedId = e.target.value;
@@ -56,35 +77,43 @@ export default function NewTransactionModal({ patient, onClose, onSaved }) {
   const handleChange = (e) => {
     const { name, value } = e.target;
     setForm((prev) => ({ ...prev, [name]: value }));
+    setErrors((prev) => ({ ...prev, [name]: null }));
   };
 
-  // 🔹 Compute remaining balance
+  // 🔹 Compute remaining balance (centavos)
   const remainingBalance =
     form.paymentType === "installment"
-      ? Math.max(form.servicePrice - Number(form.initialPay || 0), 0)
+      ? Math.max(split.copay - (parseMoney(form.initialPay) || 0), 0)
       : 0;
 
   // 🔹 Handle submit
   const handleSubmit = async (e) => {
     e.preventDefault();
+
+    const isInstallment = form.paymentType === "installment";
+    const { valid, errors, data } = validate("transaction", {
+      serviceId: form.serviceId,
+      paymentType: form.paymentType,
+      totalAmount: form.serviceId ? split.copay : "",
+      ...(isInstallment && { initialPay: form.initialPay }),
+    });
+    setErrors(errors);
+    if (!valid) return;
+
     setLoading(true);
 
     try {
-      const paidAmount =
-        form.paymentType === "installment"
-          ? Number(form.initialPay)
-          : Number(form.totalAmount);
+      const paidAmount = isInstallment ? data.initialPay : data.totalAmount;
 
       const statusValue =
-        paidAmount >= form.servicePrice
+        paidAmount >= data.totalAmount
           ? "paid"
           : form.paymentType === "installment"
           ? "ongoing"
           : "unpaid";
 
       // 🔹 1️⃣ Create main transaction record
-      const transactionRes = await databases.createDocument(
-        DATABASE_ID,
+      const transactionRes = await db.createDocument(
         COLLECTION_TRANSACTIONS,
         ID.unique(),
         {
@@ -92,31 +121,55 @@ export default function NewTransactionModal({ patient, onClose, onSaved }) {
           patientName: patient.patientName,
           serviceId: form.serviceId,
           serviceName: form.serviceName,
-          totalAmount: Number(form.servicePrice),
-          paymentType: form.paymentType,
+          totalAmount: data.totalAmount,
+          paymentType: data.paymentType,
           paid: paidAmount,
           status: statusValue,
-          remaining: remainingBalance,
+          remaining: data.totalAmount - paidAmount,
         }
       );
 
       // 🔹 2️⃣ If installment, add initial payment record
-      if (form.paymentType === "installment" && Number(form.initialPay) > 0) {
-        await databases.createDocument(
-          DATABASE_ID,
-          COLLECTION_INSTALLMENTS,
-          ID.unique(),
-          {
-            transactionId: transactionRes.$id,
-            amount: Number(form.initialPay),
-            dateTransact: new Date().toISOString(),
-            patientId: patient.$id,
-            patientName: patient.patientName,
-            serviceName: form.serviceName,
-            remaining: Number(form.servicePrice) - Number(form.initialPay),
-            note: "Initial payment",
+      if (isInstallment) {
+        await db.createDocument(COLLECTION_INSTALLMENTS, ID.unique(), {
+          transactionId: transactionRes.$id,
+          amount: data.initialPay,
+          dateTransact: new Date().toISOString(),
+          patientId: patient.$id,
+          patientName: patient.patientName,
+          serviceName: form.serviceName,
+          remaining: data.totalAmount - data.initialPay,
+          note: "Initial payment",
+        });
+      }
+
+      // 🔹 3️⃣ The HMO's share goes to the claims tracker. The transaction
+      // only holds the co-pay, so without its claim it would undercharge:
+      // take it back and let them try again.
+      if (split.hmo > 0) {
+        try {
+          await fileClaim({
+            transaction: transactionRes,
+            patient,
+            provider,
+            amount: split.hmo,
+          });
+        } catch (err) {
+          console.error("Error filing HMO claim:", err);
+          try {
+            await softDeleteTransaction(transactionRes);
+            toast.error(
+              "Couldn't file the HMO claim, so the charge wasn't saved. Please try again."
+            );
+          } catch (undoErr) {
+            console.error("Error undoing transaction:", undoErr);
+            toast.error(
+              "Couldn't file the HMO claim. Only the co-pay was saved: delete that transaction and charge again."
+            );
+            onSaved(); // the co-pay transaction is there, show it
           }
-        );
+          return;
+        }
       }
 
       // ✅ Reset form after save
@@ -133,6 +186,7 @@ export default function NewTransactionModal({ patient, onClose, onSaved }) {
       onClose();
     } catch (err) {
       console.error("Error creating transaction:", err);
+      toast.error("Failed to save the transaction");
     } finally {
       setLoading(false);
     }
@@ -164,17 +218,20 @@ export default function NewTransactionModal({ patient, onClose, onSaved }) {
             <select
               name="serviceId"
               value={form.serviceId}
-              onChange={handleServiceChange}
+              onChange={(e) => {
+                handleServiceChange(e);
+                setErrors((prev) => ({ ...prev, serviceId: null }));
+              }}
               className="border border-gray-600 bg-transparent rounded-lg px-3 py-2 w-full focus:border-[var(--theme-color)]"
-              required
             >
               <option value="">Select service</option>
               {services.map((s) => (
                 <option key={s.$id} value={s.$id}>
-                  {s.serviceName} - ₱{s.servicePrice}
+                  {s.serviceName} - {money(s.servicePrice)}
                 </option>
               ))}
             </select>
+            <FieldError error={errors.serviceId} />
           </div>
 
           {/* Price */}
@@ -182,11 +239,52 @@ export default function NewTransactionModal({ patient, onClose, onSaved }) {
             <div className="text-sm text-gray-400">
               Service Price:{" "}
               <span className="font-semibold text-green-300">
-                ₱{Number(form.servicePrice).toLocaleString()}
+                {money(form.servicePrice)}
               </span>
             </div>
           )}
 
+          {/* HMO split */}
+          {patient?.hmoProviderId && form.serviceId && (
+            <div className="rounded-lg border border-green-300 p-3 text-sm space-y-1">
+              {!cardValid ? (
+                <p className="text-amber-600">
+                  HMO card expired on {patient.hmoValidUntil}: the patient pays
+                  in full.
+                </p>
+              ) : !provider ? (
+                <p className="text-amber-600">
+                  The patient&apos;s HMO is no longer set up in Settings › HMO.
+                </p>
+              ) : !rule ? (
+                <p className="text-gray-500">
+                  {provider.name} doesn&apos;t cover {form.serviceName}.
+                </p>
+              ) : (
+                <>
+                  <label className="flex items-center gap-2 font-medium text-[var(--theme-color)]">
+                    <input
+                      type="checkbox"
+                      className="checkbox checkbox-sm"
+                      checked={billHmo}
+                      onChange={(e) => setBillHmo(e.target.checked)}
+                    />
+                    Bill {provider.name} ({rule.percent}%
+                    {rule.maxAmount ? `, up to ${money(rule.maxAmount)}` : ""})
+                  </label>
+                  <p className="text-gray-500">
+                    HMO claim:{" "}
+                    <span className="font-semibold">{money(split.hmo)}</span>
+                    {" · "}Patient co-pay:{" "}
+                    <span className="font-semibold text-[var(--theme-color)]">
+                      {money(split.copay)}
+                    </span>
+                  </p>
+                </>
+              )}
+            </div>
+          )}
+
           {/* Payment Type */}
           <div>
             <label className="block text-sm mb-1 font-medium text-[var(--theme-color)]">
@@ -197,12 +295,12 @@ export default function NewTransactionModal({ patient, onClose, onSaved }) {
               value={form.paymentType}
               onChange={handleChange}
               className="border border-gray-600 bg-transparent rounded-lg px-3 py-2 w-full focus:border-[var(--theme-color)]"
-              required
             >
               <option value="">Select type</option>
               <option value="full">Full Payment</option>
               <option value="installment">Installment</option>
             </select>
+            <FieldError error={errors.paymentType} />
           </div>
 
           {/* Initial Payment */}
@@ -210,23 +308,24 @@ export default function NewTransactionModal({ patient, onClose, onSaved }) {
             <>
               <div>
                 <label className="block text-sm mb-1 font-medium text-[var(--theme-color)]">
-                  Initial Payment (₱)
+                  Initial Payment ({currencySymbol()})
                 </label>
                 <input
-                  type="number"
+                  type="text"
+                  inputMode="decimal"
                   name="initialPay"
                   value={form.initialPay || ""}
                   onChange={handleChange}
                   placeholder="Enter initial amount"
                   className="border border-gray-600 bg-transparent rounded-lg px-3 py-2 w-full focus:border-[var(--theme-color)]"
-                  required
                 />
+                <FieldError error={errors.initialPay} />
               </div>
 
               <div className="text-sm text-gray-400 mt-1">
                 Remaining Balance:{" "}
                 <span className="font-semibold text-mint-400">
-                  ₱{remainingBalance.toLocaleString()}
+                  {money(remainingBalance)}
                 </span>
               </div>
             </>
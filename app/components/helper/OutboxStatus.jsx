@@ -0,0 +1,102 @@
+"use client";
+
+import { db } from "@/app/lib/db";
+import { useOutboxStore } from "@/app/stores/useOutboxStore";
+import { FiAlertTriangle, FiRefreshCw, FiWifiOff } from "react-icons/fi";
+
+const describe = ({ action, collectionId, data }) =>
+  `${action} ${collectionId}${
+    data?.patientName ? ` · ${data.patientName}` : ""
+  }`;
+
+// 📡 Offline / pending-sync indicator with conflict review for the TopBar
+export default function OutboxStatus() {
+  const { queue, conflicts, online, syncing } = useOutboxStore();
+
+  if (online && !queue.length && !conflicts.length && !syncing) return null;
+
+  return (
+    <div className="dropdown dropdown-end">
+      <div
+        tabIndex={0}
+        role="button"
+        className={`btn btn-sm gap-2 ${
+          conflicts.length
+            ? "btn-error btn-outline"
+            : online
+            ? "btn-warning btn-outline"
+            : "btn-warning"
+        }`}
+      >
+        {!online ? (
+          <FiWifiOff />
+        ) : conflicts.length ? (
+          <FiAlertTriangle />
+        ) : (
+          <FiRefreshCw className={syncing ? "animate-spin" : ""} />
+        )}
+        <span className="hidden sm:inline">
+          {!online ? "Offline" : syncing ? "Syncing" : "Pending"}
+        </span>
+        {queue.length > 0 && (
+          <span className="badge badge-sm">{queue.length}</span>
+        )}
+      </div>
+
+      <div
+        tabIndex={0}
+        className="dropdown-content mt-3 z-[1] p-3 shadow-lg bg-white border border-green-100 rounded-xl w-80 space-y-3"
+      >
+        <div className="flex items-center justify-between">
+          <p className="text-sm text-gray-600">
+            {queue.length} change(s) waiting to sync
+          </p>
+          <button
+            className="btn btn-xs bg-[var(--theme-color)] text-white"
+            onClick={() => db.sync?.()}
+            disabled={!online || syncing || !queue.length}
+          >
+            {syncing ? "Syncing..." : "Sync now"}
+          </button>
+        </div>
+
+        {conflicts.length > 0 && (
+          <div className="space-y-2">
+            <p className="text-xs font-semibold text-red-500 uppercase">
+              Needs review
+            </p>
+            <ul className="space-y-2 max-h-64 overflow-y-auto">
+              {conflicts.map((c) => (
+                <li
+                  key={c.id}
+                  className="p-2 rounded-lg border border-red-100 bg-red-50"
+                >
+                  <p className="text-sm font-medium text-gray-700 capitalize">
+                    {describe(c.entry)}
+                  </p>
+                  <p className="text-xs text-gray-500">{c.reason}</p>
+                  <div className="flex justify-end gap-2 mt-2">
+                    <button
+                      className="btn btn-xs btn-ghost"
+                      onClick={() => db.resolveConflict(c.id, false)}
+                    >
+                      Discard
+                    </button>
+                    {c.server && (
+                      <button
+                        className="btn btn-xs btn-error text-white"
+                        onClick={() => db.resolveConflict(c.id, true)}
+                      >
+                        Keep mine
+                      </button>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
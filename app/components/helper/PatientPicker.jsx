@@ -0,0 +1,87 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { EMPTY_FILTERS, searchPatients } from "@/app/lib/patientSearch";
+
+// 🔎 Search-as-you-type patient field. `value` and `onChange` use
+// { patientId, patientName }; patients in `exclude` (ids) are not offered.
+export default function PatientPicker({
+  value,
+  onChange,
+  placeholder = "Search a patient",
+  exclude = [],
+}) {
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState([]);
+
+  useEffect(() => {
+    if (query.trim().length < 2) {
+      setResults([]);
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const { documents } = await searchPatients({
+          ...EMPTY_FILTERS,
+          search: query,
+        });
+        if (!cancelled) setResults(documents.slice(0, 8));
+      } catch (err) {
+        console.error("Patient search failed:", err);
+      }
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  if (value.patientId) {
+    return (
+      <div className="flex items-center justify-between input input-bordered w-full border-green-300 bg-white">
+        <span className="text-[var(--theme-color)]">{value.patientName}</span>
+        <button
+          type="button"
+          className="btn btn-xs btn-ghost"
+          onClick={() => onChange({ patientId: "", patientName: "" })}
+        >
+          ✕
+        </button>
+      </div>
+    );
+  }
+
+  const shown = results.filter((p) => !exclude.includes(p.$id));
+
+  return (
+    <div className="relative">
+      <input
+        type="text"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        className="input input-bordered w-full border-green-300 bg-white text-[var(--theme-color)]"
+        placeholder={placeholder}
+      />
+      {shown.length > 0 && (
+        <ul className="absolute z-10 mt-1 w-full bg-white border border-green-200 rounded-lg shadow max-h-48 overflow-y-auto">
+          {shown.map((p) => (
+            <li key={p.$id}>
+              <button
+                type="button"
+                className="w-full text-left px-3 py-2 hover:bg-green-50 text-sm"
+                onClick={() => {
+                  onChange({ patientId: p.$id, patientName: p.patientName });
+                  setQuery("");
+                }}
+              >
+                {p.patientName}
+                <span className="text-gray-400 ml-2">{p.contact}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,189 @@
+"use client";
+
+import { useEffect, useMemo, useState } from "react";
+import dayjs from "dayjs";
+import { FiChevronRight } from "react-icons/fi";
+import { useNotesStore } from "@/app/stores/useNotesStore";
+import { useMedicalHistoryStore } from "@/app/stores/useMedicalHistoryStore";
+import { useTreatmentPlanStore } from "@/app/stores/useTreatmentPlanStore";
+import { useDentalChartStore } from "@/app/stores/useDentalChartStore";
+import { usePaymentStore } from "@/app/stores/usePaymentStore";
+import { useAttachmentStore } from "@/app/stores/useAttachmentStore";
+import { useMoney } from "@/app/stores/usePersonalizationStore";
+import {
+  EMPTY_TIMELINE_FILTERS,
+  TIMELINE_TYPES,
+  buildTimeline,
+  fetchAppointments,
+  filterTimeline,
+} from "@/app/lib/timeline";
+
+// 🕒 Everything recorded for the patient, newest first. `onOpen(entry)`
+// opens the record where it is edited (appointments in Schedule).
+export default function PatientTimeline({ patientId, onOpen }) {
+  const money = useMoney();
+  const notes = useNotesStore((s) => s.items);
+  const medicalHistory = useMedicalHistoryStore((s) => s.items);
+  const treatmentPlans = useTreatmentPlanStore((s) => s.items);
+  const chart = useDentalChartStore((s) => s.items);
+  const transactions = usePaymentStore((s) => s.transactions);
+  const installments = usePaymentStore((s) => s.installments);
+  const attachments = useAttachmentStore((s) => s.items);
+
+  const [appointments, setAppointments] = useState([]);
+  const [loadingAppointments, setLoadingAppointments] = useState(false);
+  const [filters, setFilters] = useState(EMPTY_TIMELINE_FILTERS);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoadingAppointments(true);
+    fetchAppointments(patientId)
+      .then((docs) => !cancelled && setAppointments(docs))
+      .catch((err) => console.error("Error fetching appointments:", err))
+      .finally(() => !cancelled && setLoadingAppointments(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [patientId]);
+
+  const entries = useMemo(
+    () =>
+      buildTimeline(
+        {
+          appointments,
+          notes,
+          medicalHistory,
+          treatmentPlans,
+          chart,
+          transactions,
+          installments,
+          attachments,
+        },
+        money
+      ),
+    [
+      appointments,
+      notes,
+      medicalHistory,
+      treatmentPlans,
+      chart,
+      transactions,
+      installments,
+      attachments,
+      money,
+    ]
+  );
+  const shown = filterTimeline(entries, filters);
+
+  const toggleType = (type) =>
+    setFilters({
+      ...filters,
+      types: filters.types.includes(type)
+        ? filters.types.filter((t) => t !== type)
+        : [...filters.types, type],
+    });
+
+  return (
+    <div className="space-y-3">
+      {/* Filters */}
+      <div className="flex flex-wrap gap-2">
+        {Object.entries(TIMELINE_TYPES).map(([type, { label, icon }]) => (
+          <button
+            key={type}
+            onClick={() => toggleType(type)}
+            className={`badge badge-lg cursor-pointer ${
+              filters.types.includes(type)
+                ? "bg-[#00A388] text-white border-none"
+                : "badge-outline text-[#00A388]"
+            }`}
+          >
+            {icon} {label}
+          </button>
+        ))}
+      </div>
+      <div className="flex flex-wrap items-center gap-2 text-sm text-gray-600">
+        <label className="flex items-center gap-1">
+          From
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+            className="input input-sm input-bordered rounded-lg"
+          />
+        </label>
+        <label className="flex items-center gap-1">
+          To
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+            className="input input-sm input-bordered rounded-lg"
+          />
+        </label>
+        {(filters.types.length > 0 || filters.from || filters.to) && (
+          <button
+            onClick={() => setFilters(EMPTY_TIMELINE_FILTERS)}
+            className="btn btn-xs btn-ghost"
+          >
+            Clear
+          </button>
+        )}
+        <span className="ml-auto text-xs">
+          {shown.length} of {entries.length}
+          {loadingAppointments && " · loading appointments..."}
+        </span>
+      </div>
+
+      {/* Entries */}
+      {!shown.length ? (
+        <p className="text-sm text-gray-500 text-center py-6">
+          {entries.length
+            ? "Nothing matches these filters."
+            : "No records yet."}
+        </p>
+      ) : (
+        <ol className="relative border-l-2 border-mint-300 ml-2 space-y-3">
+          {shown.map((entry, i) => {
+            const month = dayjs(entry.date).format("MMMM YYYY");
+            const newMonth =
+              i === 0 || dayjs(shown[i - 1].date).format("MMMM YYYY") !== month;
+            return (
+              <li key={entry.key} className="ml-4">
+                {newMonth && (
+                  <p className="-ml-4 mb-2 text-xs font-semibold uppercase text-gray-400">
+                    {month}
+                  </p>
+                )}
+                <span className="absolute -left-[9px] mt-3 w-4 h-4 rounded-full bg-white border-2 border-[#00A388]" />
+                <button
+                  onClick={() => onOpen(entry)}
+                  className="w-full text-left p-3 bg-white rounded-xl border border-mint-300 hover:bg-mint-100 transition flex items-start gap-3"
+                >
+                  <span className="text-lg">
+                    {TIMELINE_TYPES[entry.type].icon}
+                  </span>
+                  <span className="grow min-w-0">
+                    <span className="flex justify-between gap-2">
+                      <span className="font-semibold text-[#00A388] truncate">
+                        {entry.title}
+                      </span>
+                      <span className="text-xs text-gray-500 shrink-0">
+                        {dayjs(entry.date).format("MMM D, YYYY")}
+                      </span>
+                    </span>
+                    {entry.detail && (
+                      <span className="block text-xs text-gray-600 truncate">
+                        {entry.detail}
+                      </span>
+                    )}
+                  </span>
+                  <FiChevronRight className="mt-1 text-gray-400 shrink-0" />
+                </button>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+}
@@ -1,33 +1,40 @@
 "use client";
 
-import { useEffect, useState } from "react";
-import { databases, ID } from "../../lib/appwrite";
-import { Query } from "appwrite";
+import { useEffect, useRef, useState } from "react";
+import { Query } from "../../lib/db";
+import { listAll } from "../../lib/paginate";
+import { softDeleteTransaction } from "../../lib/softDelete";
 import { X, Plus, Trash2 } from "lucide-react";
 import dayjs from "dayjs";
 import NewTransactionModal from "./NewTransactionModal";
 import InstallmentsModal from "./InstallmentsModal";
+import PendingSyncBadge from "./PendingSyncBadge";
+import { useCan } from "../../stores/authStore";
+import { useMoney } from "../../stores/usePersonalizationStore";
+import { sumMoney } from "../../lib/money";
 
-const DATABASE_ID = process.env.NEXT_PUBLIC_DATABASE_ID;
 const COLLECTION_TRANSACTIONS = "transactions";
 
 // NEW: Simple Confirmation Dialog Component (You can make this more complex)
 const ConfirmationDialog = ({ transaction, onConfirm, onCancel }) => {
+  const money = useMoney();
   if (!transaction) return null;
 
   return (
     <div className="fixed inset-0 z-[10000] flex items-center justify-center bg-black/60 backdrop-blur-sm p-3">
       <div className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-sm transform transition-all">
-        <h3 className="text-xl font-bold text-red-600 mb-4">Confirm Deletion</h3>
+        <h3 className="text-xl font-bold text-red-600 mb-4">
+          Confirm Deletion
+        </h3>
         <p className="text-gray-700 mb-6">
           Are you absolutely sure you want to delete this transaction?
           <br />
           <span className="font-semibold text-sm block mt-2">
-            Service: {transaction.serviceName || "Unnamed Service"} (₱
-            {Number(transaction.paid || 0).toLocaleString()})
+            Service: {transaction.serviceName || "Unnamed Service"} (
+            {money(transaction.paid)})
           </span>
-          <span className="text-red-500 font-semibold block text-sm">
-            This action cannot be undone.
+          <span className="text-gray-500 block text-sm">
+            It can be restored from Settings › Trash.
           </span>
         </p>
         <div className="flex justify-end gap-3">
@@ -50,8 +57,18 @@ const ConfirmationDialog = ({ transaction, onConfirm, onCancel }) => {
 };
 // END NEW: Confirmation Dialog Component
 
-export default function PaymentModal({ isOpen, onClose, patient }) {
+// `focusId` scrolls to one transaction (from the patient timeline);
+// `openInstallments` also opens its installments
+export default function PaymentModal({
+  isOpen,
+  onClose,
+  patient,
+  focusId,
+  openInstallments = false,
+}) {
   const [transactions, setTransactions] = useState([]);
+  const canDelete = useCan()("transactions:delete");
+  const money = useMoney();
   const [loading, setLoading] = useState(false);
   const [summary, setSummary] = useState({ totalPaid: 0, totalRemaining: 0 });
   const [openNewModal, setOpenNewModal] = useState(false);
@@ -65,18 +82,13 @@ export default function PaymentModal({ isOpen, onClose, patient }) {
     if (!patient?.$id) return;
     try {
       setLoading(true);
-      const res = await databases.listDocuments(
-        DATABASE_ID,
-        COLLECTION_TRANSACTIONS,
-        [Query.equal("patientId", patient.$id), Query.orderDesc("$createdAt")]
-      );
+      const docs = await listAll(COLLECTION_TRANSACTIONS, [
+        Query.equal("patientId", patient.$id),
+        Query.orderDesc("$createdAt"),
+      ]);
 
-      const docs = res.documents;
-      const totalPaid = docs.reduce((sum, t) => sum + Number(t.paid || 0), 0);
-      const totalRemaining = docs.reduce(
-        (sum, t) => sum + Number(t.remaining || 0),
-        0
-      );
+      const totalPaid = sumMoney(docs, "paid");
+      const totalRemaining = sumMoney(docs, "remaining");
 
       setTransactions(docs);
       setSummary({ totalPaid, totalRemaining });
@@ -94,13 +106,10 @@ export default function PaymentModal({ isOpen, onClose, patient }) {
     try {
       setLoading(true);
       // Close the confirmation dialog immediately
-      setTransactionToDelete(null); 
-      
-      await databases.deleteDocument(
-        DATABASE_ID,
-        COLLECTION_TRANSACTIONS,
-        transactionToDelete.$id // Use the ID from the state
-      );
+      setTransactionToDelete(null);
+
+      // Moves the transaction and its installments to the trash
+      await softDeleteTransaction(transactionToDelete);
 
       await fetchTransactions();
     } catch (err) {
@@ -120,6 +129,20 @@ export default function PaymentModal({ isOpen, onClose, patient }) {
     if (isOpen && patient?.$id) fetchTransactions();
   }, [isOpen, patient]);
 
+  const focused = useRef(null);
+  useEffect(() => {
+    if (!focusId || focused.current === focusId) return;
+    const transaction = transactions.find((t) => t.$id === focusId);
+    if (!transaction) return;
+    focused.current = focusId;
+    document
+      .getElementById(`transaction-${focusId}`)
+      ?.scrollIntoView({ block: "center" });
+    if (openInstallments && transaction.paymentType === "installment") {
+      setSelectedInstallment(transaction);
+    }
+  }, [focusId, transactions]);
+
   if (!isOpen) return null;
 
   return (
@@ -156,13 +179,13 @@ export default function PaymentModal({ isOpen, onClose, patient }) {
           <div>
             <p className="text-xs text-green-700 uppercase">Total Paid</p>
             <p className="text-xl font-bold text-[var(--theme-color)]">
-              ₱{summary.totalPaid.toLocaleString()}
+              {money(summary.totalPaid)}
             </p>
           </div>
           <div>
             <p className="text-xs text-green-700 uppercase">Remaining</p>
             <p className="text-xl font-bold text-yellow-600">
-              ₱{summary.totalRemaining.toLocaleString()}
+              {money(summary.totalRemaining)}
             </p>
           </div>
           <div>
@@ -188,12 +211,21 @@ export default function PaymentModal({ isOpen, onClose, patient }) {
               {transactions.map((t) => (
                 <li
                   key={t.$id}
-                  className="p-4 bg-mint-50 border border-mint-200 rounded-xl hover:border-green-400 hover:bg-mint-100 transition"
+                  id={`transaction-${t.$id}`}
+                  className={`p-4 bg-mint-50 border rounded-xl hover:border-green-400 hover:bg-mint-100 transition ${
+                    t.$id === focusId
+                      ? "border-green-500 ring-2 ring-green-300"
+                      : "border-mint-200"
+                  }`}
                 >
                   <div className="flex justify-between items-start">
                     <div>
                       <h3 className="font-semibold text-green-700">
-                        {t.serviceName || "Unnamed Service"}
+                        {t.serviceName || "Unnamed Service"}{" "}
+                        <PendingSyncBadge
+                          documentId={t.$id}
+                          pending={t.$pending}
+                        />
                       </h3>
                       <p className="text-xs text-[var(--theme-color)]">
                         {t.paymentType || "Transaction"} —{" "}
@@ -204,29 +236,30 @@ export default function PaymentModal({ isOpen, onClose, patient }) {
                     </div>
                     <div className="text-right flex items-center gap-3">
                       {/* UPDATED: Call startDeleteProcess */}
-                      <button
-                        onClick={(e) => {
-                          e.stopPropagation();
-                          startDeleteProcess(t); // Pass the entire transaction object
-                        }}
-                        className="p-1 text-red-500 hover:text-red-700 transition"
-                        aria-label="Delete Transaction"
-                      >
-                        <Trash2 size={18} />
-                      </button>
+                      {canDelete && (
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            startDeleteProcess(t); // Pass the entire transaction object
+                          }}
+                          className="p-1 text-red-500 hover:text-red-700 transition"
+                          aria-label="Delete Transaction"
+                        >
+                          <Trash2 size={18} />
+                        </button>
+                      )}
                       {/* END UPDATED */}
                       <div>
                         <p className="font-bold text-lg text-[var(--theme-color)]">
-                          ₱{Number(t.paid || 0).toLocaleString()}
+                          {money(t.paid)}
                         </p>
                         {t.remaining > 0 ? (
                           <p className="text-xs text-green-700">
-                            Remaining: ₱{Number(t.remaining).toLocaleString()}
+                            Remaining: {money(t.remaining)}
                           </p>
                         ) : (
                           <p className="text-xs text-green-500">
-                            (PAID) Remaining: ₱
-                            {Number(t.remaining).toLocaleString()}
+                            (PAID) Remaining: {money(t.remaining)}
                           </p>
                         )}
                       </div>
@@ -288,4 +321,4 @@ export default function PaymentModal({ isOpen, onClose, patient }) {
       {/* END NEW */}
     </div>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,18 @@
+"use client";
+
+import { useOutboxStore } from "@/app/stores/useOutboxStore";
+
+// 📡 Shown next to records that were changed offline and not synced yet
+export default function PendingSyncBadge({ documentId, pending = false }) {
+  const queued = useOutboxStore((state) =>
+    state.queue.some((e) => e.documentId === documentId)
+  );
+
+  if (!queued && !pending) return null;
+
+  return (
+    <span className="badge badge-warning badge-xs whitespace-nowrap">
+      Pending sync
+    </span>
+  );
+}
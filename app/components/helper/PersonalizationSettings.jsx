@@ -2,7 +2,14 @@
 
 import { useEffect, useState } from "react";
 import { usePersonalizationStore } from "@/app/stores/usePersonalizationStore";
+import { useBranchStore } from "@/app/stores/useBranchStore";
 import { Loader2, Save } from "lucide-react";
+import { DEFAULT_RETENTION_DAYS } from "@/app/lib/softDelete";
+import { CURRENCIES, LOCALES, formatMoney, moneyFormat } from "@/app/lib/money";
+import {
+  DEFAULT_CHART_DIGITS,
+  formatChartNumber,
+} from "@/app/lib/chartNumbers";
 
 export default function PersonalizationSettings() {
   const {
@@ -11,9 +18,15 @@ export default function PersonalizationSettings() {
     savePersonalization,
     loading,
   } = usePersonalizationStore();
+  // Currency and number format belong to the shared record (All branches)
+  const branchView = !!useBranchStore((s) => s.activeBranchId);
   const [form, setForm] = useState({
     businessName: "",
     initial: "",
+    trashRetentionDays: DEFAULT_RETENTION_DAYS,
+    chartPrefix: "",
+    chartDigits: DEFAULT_CHART_DIGITS,
+    ...moneyFormat(),
   });
 
   useEffect(() => {
@@ -25,13 +38,23 @@ export default function PersonalizationSettings() {
       setForm({
         businessName: personalization.businessName || "",
         initial: personalization.initial || "",
+        trashRetentionDays:
+          personalization.trashRetentionDays || DEFAULT_RETENTION_DAYS,
+        chartPrefix: personalization.chartPrefix || "",
+        chartDigits: personalization.chartDigits || DEFAULT_CHART_DIGITS,
+        // Always the shared record's, see usePersonalizationStore
+        ...moneyFormat(),
       });
     }
   }, [personalization]);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    await savePersonalization(form);
+    await savePersonalization({
+      ...form,
+      trashRetentionDays: Number(form.trashRetentionDays),
+      chartDigits: Number(form.chartDigits),
+    });
   };
 
   if (loading && !personalization)
@@ -82,6 +105,111 @@ export default function PersonalizationSettings() {
           </p>
         </div>
 
+        <div>
+          <label className="block text-sm text-gray-600 mb-1">
+            Keep deleted records for (days)
+          </label>
+          <input
+            type="number"
+            min={1}
+            className="input input-bordered text-[var(--theme-color)] bg-white w-full border-green-300"
+            value={form.trashRetentionDays}
+            onChange={(e) =>
+              setForm({ ...form, trashRetentionDays: e.target.value })
+            }
+            required
+          />
+          <p className="text-xs text-gray-400 mt-1">
+            Items in Settings › Trash older than this are deleted for good.
+          </p>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm text-gray-600 mb-1">
+              Chart number prefix
+            </label>
+            <input
+              type="text"
+              maxLength={8}
+              pattern="[A-Za-z0-9]*"
+              className="input input-bordered text-[var(--theme-color)] bg-white w-full border-green-300"
+              placeholder={form.initial || "e.g. DS"}
+              value={form.chartPrefix}
+              onChange={(e) =>
+                setForm({ ...form, chartPrefix: e.target.value.toUpperCase() })
+              }
+            />
+          </div>
+          <div>
+            <label className="block text-sm text-gray-600 mb-1">
+              Chart number digits
+            </label>
+            <input
+              type="number"
+              min={3}
+              max={8}
+              className="input input-bordered text-[var(--theme-color)] bg-white w-full border-green-300"
+              value={form.chartDigits}
+              onChange={(e) =>
+                setForm({ ...form, chartDigits: e.target.value })
+              }
+              required
+            />
+          </div>
+        </div>
+        <p className="text-xs text-gray-400 -mt-2">
+          New patients are numbered like{" "}
+          {formatChartNumber(
+            { ...form, chartDigits: Number(form.chartDigits) },
+            new Date().getFullYear(),
+            1
+          )}
+          . Leave the prefix blank to use the initial; the counter restarts
+          every year.
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm text-gray-600 mb-1">Currency</label>
+            <select
+              className="select select-bordered text-[var(--theme-color)] bg-white w-full border-green-300"
+              value={form.currency}
+              disabled={branchView}
+              onChange={(e) => setForm({ ...form, currency: e.target.value })}
+            >
+              {CURRENCIES.map((c) => (
+                <option key={c.code} value={c.code}>
+                  {c.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm text-gray-600 mb-1">
+              Number format
+            </label>
+            <select
+              className="select select-bordered text-[var(--theme-color)] bg-white w-full border-green-300"
+              value={form.locale}
+              disabled={branchView}
+              onChange={(e) => setForm({ ...form, locale: e.target.value })}
+            >
+              {LOCALES.map((l) => (
+                <option key={l.code} value={l.code}>
+                  {l.label}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <p className="text-xs text-gray-400 -mt-2">
+          Amounts will look like {formatMoney(150050, form)} in screens,
+          receipts and reports.
+          {branchView &&
+            " Currency and number format apply to every branch: change them under All branches."}
+        </p>
+
         <button
           type="submit"
           disabled={loading}
@@ -0,0 +1,129 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import dayjs from "dayjs";
+import { FiCalendar, FiPhone, FiRefreshCw } from "react-icons/fi";
+import { useRecallStore } from "@/app/stores/useRecallStore";
+import { RECALL_STATUS } from "@/app/lib/recalls";
+
+const formatDate = (date) => (date ? dayjs(date).format("MMM D, YYYY") : "—");
+
+// 🔁 Patients due back (Dashboard). `onBook(recall)` opens Schedule with the
+// appointment prefilled.
+export default function RecallList({ onBook }) {
+  const { recalls, loadingRecalls, fetchRecalls } = useRecallStore();
+  const [showBooked, setShowBooked] = useState(false);
+
+  useEffect(() => {
+    fetchRecalls();
+  }, [fetchRecalls]);
+
+  const booked = recalls.filter((r) => r.nextAppointment).length;
+  const shown = showBooked
+    ? recalls
+    : recalls.filter((r) => !r.nextAppointment);
+
+  return (
+    <div className="bg-white border border-green-100 p-6 rounded-xl shadow hover:shadow-md transition">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+        <h2 className="text-lg font-semibold text-[var(--theme-color)] flex items-center gap-2">
+          🔁 Recalls
+          <span className="badge badge-outline">{shown.length}</span>
+        </h2>
+        <div className="flex items-center gap-3 text-sm text-gray-600">
+          {booked > 0 && (
+            <label className="flex items-center gap-1 cursor-pointer">
+              <input
+                type="checkbox"
+                className="checkbox checkbox-xs"
+                checked={showBooked}
+                onChange={(e) => setShowBooked(e.target.checked)}
+              />
+              Show {booked} already booked
+            </label>
+          )}
+          <button
+            onClick={fetchRecalls}
+            disabled={loadingRecalls}
+            className="btn btn-xs btn-ghost"
+            title="Refresh"
+          >
+            <FiRefreshCw className={loadingRecalls ? "animate-spin" : ""} />
+          </button>
+        </div>
+      </div>
+
+      {loadingRecalls && !recalls.length ? (
+        <p className="text-sm text-gray-400 animate-pulse">
+          Loading recalls...
+        </p>
+      ) : !shown.length ? (
+        <p className="text-sm text-gray-400">
+          No patients due back. Recall rules are set under Settings › Recalls.
+        </p>
+      ) : (
+        <div className="overflow-x-auto max-h-96">
+          <table className="table table-sm">
+            <thead>
+              <tr>
+                <th>Patient</th>
+                <th>Recall</th>
+                <th>Last visit</th>
+                <th>Due</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {shown.map((recall) => (
+                <tr key={recall.key} className="hover:bg-green-50">
+                  <td>
+                    <p className="font-medium">{recall.patient.patientName}</p>
+                    {recall.patient.contact && (
+                      <a
+                        href={`tel:${recall.patient.contact}`}
+                        className="text-xs text-gray-500 flex items-center gap-1 hover:underline"
+                      >
+                        <FiPhone /> {recall.patient.contact}
+                      </a>
+                    )}
+                  </td>
+                  <td>
+                    {recall.rule.name}
+                    <span className="block text-xs text-gray-400">
+                      every {recall.rule.intervalMonths} month(s)
+                    </span>
+                  </td>
+                  <td>{formatDate(recall.lastVisit)}</td>
+                  <td>
+                    {formatDate(recall.dueDate)}
+                    <span
+                      className={`badge badge-sm ml-1 ${
+                        RECALL_STATUS[recall.status].badge
+                      }`}
+                    >
+                      {RECALL_STATUS[recall.status].label}
+                    </span>
+                  </td>
+                  <td className="text-right">
+                    {recall.nextAppointment ? (
+                      <span className="text-xs text-green-600">
+                        Booked {formatDate(recall.nextAppointment)}
+                      </span>
+                    ) : (
+                      <button
+                        onClick={() => onBook?.(recall)}
+                        className="btn btn-xs bg-[var(--theme-color)] text-white border-none"
+                      >
+                        <FiCalendar /> Book
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
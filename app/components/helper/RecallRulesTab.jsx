@@ -0,0 +1,252 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { Trash2, PlusCircle, Pencil } from "lucide-react";
+import { useRecallStore } from "@/app/stores/useRecallStore";
+import { useServicesStore } from "@/app/stores/useServicesStore";
+import { validate } from "@/app/lib/validation";
+import FieldError from "./FieldError";
+import PatientPicker from "./PatientPicker";
+
+const EMPTY_FORM = {
+  name: "",
+  serviceId: "",
+  intervalMonths: "6",
+  patientId: "",
+  patientName: "",
+};
+
+// 🔁 Settings › Recalls: when patients are due back, see lib/recalls.js
+export default function RecallRulesTab() {
+  const { rules, loadingRules, fetchRules, addRule, updateRule, deleteRule } =
+    useRecallStore();
+  const { services, fetchServices } = useServicesStore();
+
+  const [form, setForm] = useState(null); // null: closed
+  const [editingId, setEditingId] = useState(null);
+  const [errors, setErrors] = useState({});
+
+  useEffect(() => {
+    fetchRules();
+    fetchServices();
+  }, [fetchRules, fetchServices]);
+
+  const serviceName = (id) =>
+    services.find((s) => s.$id === id)?.serviceName || "Any visit";
+
+  const openForm = (rule) => {
+    setErrors({});
+    setEditingId(rule?.$id || null);
+    setForm(
+      rule
+        ? {
+            name: rule.name,
+            serviceId: rule.serviceId || "",
+            intervalMonths: String(rule.intervalMonths),
+            patientId: rule.patientId || "",
+            patientName: rule.patientName || "",
+          }
+        : EMPTY_FORM
+    );
+  };
+
+  // Picking a service names the rule after it, until the name is typed
+  const pickService = (serviceId) => {
+    const named = !form.name || form.name === serviceName(form.serviceId);
+    setForm({
+      ...form,
+      serviceId,
+      name: named && serviceId ? serviceName(serviceId) : form.name,
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const { valid, errors } = validate("recallrule", form);
+    setErrors(errors);
+    if (!valid) return;
+
+    const values = {
+      ...form,
+      serviceId: form.serviceId || null,
+      patientId: form.patientId || null,
+      patientName: form.patientName || null,
+    };
+    const saved = editingId
+      ? await updateRule(editingId, values)
+      : await addRule(values);
+    if (saved) setForm(null);
+  };
+
+  const handleDelete = (rule) => {
+    if (window.confirm(`Delete the recall rule "${rule.name}"?`)) {
+      deleteRule(rule.$id);
+    }
+  };
+
+  if (loadingRules)
+    return (
+      <p className="text-gray-500 text-center mt-4">Loading recall rules...</p>
+    );
+
+  return (
+    <div className="mt-6 space-y-4">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-lg font-semibold text-[var(--theme-color)]">
+            Recalls
+          </h2>
+          <p className="text-sm text-gray-500">
+            Patients show up in the Dashboard recall list when they are due
+            back. A rule for one patient replaces the clinic-wide rule for the
+            same service.
+          </p>
+        </div>
+        <button
+          onClick={() => openForm(null)}
+          className="flex items-center gap-2 bg-[var(--theme-color)] hover:bg-[var(--theme-color)]/80 hover:cursor-pointer text-white px-3 py-2 rounded-lg shadow transition shrink-0"
+        >
+          <PlusCircle size={18} /> Add Rule
+        </button>
+      </div>
+
+      {/* Rules */}
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white rounded-2xl shadow-md overflow-hidden">
+          <thead className="bg-[var(--theme-color)] text-white">
+            <tr>
+              <th className="p-3 text-left">Recall</th>
+              <th className="p-3 text-left">Counts from</th>
+              <th className="p-3 text-left">Every</th>
+              <th className="p-3 text-left">Patient</th>
+              <th className="p-3 text-center">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rules.length > 0 ? (
+              rules.map((rule) => (
+                <tr key={rule.$id} className="border-b hover:bg-green-50">
+                  <td className="p-3">{rule.name}</td>
+                  <td className="p-3">{serviceName(rule.serviceId)}</td>
+                  <td className="p-3">{rule.intervalMonths} month(s)</td>
+                  <td className="p-3">
+                    {rule.patientName || (
+                      <span className="text-gray-400">All patients</span>
+                    )}
+                  </td>
+                  <td className="p-3 text-center whitespace-nowrap">
+                    <button
+                      onClick={() => openForm(rule)}
+                      className="text-[var(--theme-color)] hover:opacity-70 mr-3"
+                    >
+                      <Pencil size={18} />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(rule)}
+                      className="text-red-500 hover:text-red-700"
+                    >
+                      <Trash2 size={18} />
+                    </button>
+                  </td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan={5} className="text-center p-4 text-gray-500">
+                  No recall rules yet, e.g. Oral prophylaxis every 6 months.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {/* ✨ Rule Modal */}
+      {form && (
+        <div className="fixed inset-0 bg-black/30 backdrop-blur-sm flex items-center justify-center z-50">
+          <div className="bg-white rounded-2xl shadow-xl p-6 w-full max-w-md">
+            <h3 className="text-lg font-semibold text-[var(--theme-color)] mb-4">
+              {editingId ? "Edit Recall Rule" : "Add Recall Rule"}
+            </h3>
+            <form onSubmit={handleSave} className="space-y-3">
+              <div>
+                <label className="text-sm text-gray-600">Service</label>
+                <select
+                  value={form.serviceId}
+                  onChange={(e) => pickService(e.target.value)}
+                  className="select select-bordered w-full border-green-300 bg-white text-[var(--theme-color)]"
+                >
+                  <option value="">Any visit (patient rules only)</option>
+                  {services.map((s) => (
+                    <option key={s.$id} value={s.$id}>
+                      {s.serviceName}
+                    </option>
+                  ))}
+                </select>
+                <FieldError error={errors.serviceId} />
+              </div>
+              <div>
+                <label className="text-sm text-gray-600">Name *</label>
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                  className="input input-bordered w-full border-green-300 bg-white text-[var(--theme-color)]"
+                  placeholder="e.g. Oral prophylaxis"
+                />
+                <FieldError error={errors.name} />
+              </div>
+              <div>
+                <label className="text-sm text-gray-600">
+                  Every (months) *
+                </label>
+                <input
+                  type="number"
+                  min={1}
+                  max={60}
+                  value={form.intervalMonths}
+                  onChange={(e) =>
+                    setForm({ ...form, intervalMonths: e.target.value })
+                  }
+                  className="input input-bordered w-full border-green-300 bg-white text-[var(--theme-color)]"
+                />
+                <FieldError error={errors.intervalMonths} />
+              </div>
+              <div>
+                <label className="text-sm text-gray-600">Patient</label>
+                {editingId ? (
+                  <p className="text-[var(--theme-color)]">
+                    {form.patientName || "All patients"}
+                  </p>
+                ) : (
+                  <PatientPicker
+                    value={form}
+                    placeholder="All patients — or search one"
+                    onChange={(patient) => setForm({ ...form, ...patient })}
+                  />
+                )}
+              </div>
+
+              <div className="flex justify-end gap-3 mt-4">
+                <button
+                  type="button"
+                  onClick={() => setForm(null)}
+                  className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-100"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="px-4 py-2 bg-[var(--theme-color)] hover:bg-[var(--theme-color)]/80 text-white rounded-lg shadow"
+                >
+                  Save Rule
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -3,12 +3,20 @@
 import { useEffect, useState } from "react";
 import { useServicesStore } from "@/app/stores/useServicesStore";
 import { Trash2, PlusCircle } from "lucide-react";
+import { useCan } from "@/app/stores/authStore";
+import { validate } from "@/app/lib/validation";
+import { currencySymbol } from "@/app/lib/money";
+import { useMoney } from "@/app/stores/usePersonalizationStore";
+import FieldError from "./FieldError";
 
 export default function ServicesTab() {
   const { services, fetchServices, addService, deleteService, loading } =
     useServicesStore();
+  const canEdit = useCan()("services:edit");
+  const money = useMoney();
 
   const [showModal, setShowModal] = useState(false);
+  const [errors, setErrors] = useState({});
   const [form, setForm] = useState({
     serviceName: "",
     serviceDescription: "",
@@ -22,11 +30,11 @@ export default function ServicesTab() {
   const handleAdd = async (e) => {
     e.preventDefault();
 
-    if (!form.serviceName || !form.servicePrice) {
-      return alert("Please fill in required fields.");
-    }
+    const { valid, errors } = validate("service", form);
+    setErrors(errors);
+    if (!valid) return;
 
-    await addService(form);
+    if (!(await addService(form))) return;
     setShowModal(false);
     setForm({ serviceName: "", serviceDescription: "", servicePrice: "" });
   };
@@ -43,12 +51,14 @@ export default function ServicesTab() {
         <h2 className="text-lg font-semibold text-[var(--theme-color)]">
           Services
         </h2>
-        <button
-          onClick={() => setShowModal(true)}
-          className="flex items-center gap-2 bg-[var(--theme-color)] hover:bg-[var(--theme-color)]/80 hover:cursor-pointer text-white px-3 py-2 rounded-lg shadow transition"
-        >
-          <PlusCircle size={18} /> Add Service
-        </button>
+        {canEdit && (
+          <button
+            onClick={() => setShowModal(true)}
+            className="flex items-center gap-2 bg-[var(--theme-color)] hover:bg-[var(--theme-color)]/80 hover:cursor-pointer text-white px-3 py-2 rounded-lg shadow transition"
+          >
+            <PlusCircle size={18} /> Add Service
+          </button>
+        )}
       </div>
 
       {/* 🧭 Desktop Table */}
@@ -59,7 +69,7 @@ export default function ServicesTab() {
               <th className="p-3 text-left">Name</th>
               <th className="p-3 text-left">Description</th>
               <th className="p-3 text-right">Price</th>
-              <th className="p-3 text-center">Actions</th>
+              {canEdit && <th className="p-3 text-center">Actions</th>}
             </tr>
           </thead>
           <tbody>
@@ -69,21 +79,26 @@ export default function ServicesTab() {
                   <td className="p-3">{srv.serviceName}</td>
                   <td className="p-3">{srv.serviceDescription || "—"}</td>
                   <td className="p-3 text-right font-medium">
-                    ₱{parseFloat(srv.servicePrice).toLocaleString()}
-                  </td>
-                  <td className="p-3 text-center">
-                    <button
-                      onClick={() => deleteService(srv.$id)}
-                      className="text-red-500 hover:text-red-700"
-                    >
-                      <Trash2 size={18} />
-                    </button>
+                    {money(srv.servicePrice)}
                   </td>
+                  {canEdit && (
+                    <td className="p-3 text-center">
+                      <button
+                        onClick={() => deleteService(srv.$id)}
+                        className="text-red-500 hover:text-red-700"
+                      >
+                        <Trash2 size={18} />
+                      </button>
+                    </td>
+                  )}
                 </tr>
               ))
             ) : (
               <tr>
-                <td colSpan={4} className="text-center p-4 text-gray-500">
+                <td
+                  colSpan={canEdit ? 4 : 3}
+                  className="text-center p-4 text-gray-500"
+                >
                   No services added yet.
                 </td>
               </tr>
@@ -106,15 +121,17 @@ export default function ServicesTab() {
                   {srv.serviceDescription || "—"}
                 </p>
                 <p className="text-[var(--theme-color)] font-medium">
-                  ₱{parseFloat(srv.servicePrice).toLocaleString()}
+                  {money(srv.servicePrice)}
                 </p>
               </div>
-              <button
-                onClick={() => deleteService(srv.$id)}
-                className="text-red-500 hover:text-red-700"
-              >
-                <Trash2 size={20} />
-              </button>
+              {canEdit && (
+                <button
+                  onClick={() => deleteService(srv.$id)}
+                  className="text-red-500 hover:text-red-700"
+                >
+                  <Trash2 size={20} />
+                </button>
+              )}
             </div>
           ))
         ) : (
@@ -125,7 +142,7 @@ export default function ServicesTab() {
       </div>
 
       {/* ✨ Add Service Modal */}
-      {showModal && (
+      {showModal && canEdit && (
         <div className="fixed inset-0 bg-black/30 backdrop-blur-sm flex items-center justify-center z-50">
           <div className="bg-white rounded-2xl shadow-xl p-6 w-full max-w-md">
             <h3 className="text-lg font-semibold text-[var(--theme-color)] mb-4">
@@ -143,6 +160,7 @@ export default function ServicesTab() {
                   className="input input-bordered w-full border-green-300 bg-white text-[var(--theme-color)]"
                   placeholder="e.g. Oral Surgery"
                 />
+                <FieldError error={errors.serviceName} />
               </div>
               <div>
                 <label className="text-sm text-gray-600">Description</label>
@@ -159,22 +177,25 @@ export default function ServicesTab() {
               <div>
                 <label className="text-sm text-gray-600">Price *</label>
                 <input
-                  type="number"
-                  step="0.01"
-                  min="0"
+                  type="text"
+                  inputMode="decimal"
                   value={form.servicePrice}
                   onChange={(e) =>
                     setForm({ ...form, servicePrice: e.target.value })
                   }
                   className="input input-bordered w-full bg-white text-[var(--theme-color)] border-green-300"
-                  placeholder="₱0.00"
+                  placeholder={`${currencySymbol()}0.00`}
                 />
+                <FieldError error={errors.servicePrice} />
               </div>
 
               <div className="flex justify-end gap-3 mt-4">
                 <button
                   type="button"
-                  onClick={() => setShowModal(false)}
+                  onClick={() => {
+                    setShowModal(false);
+                    setErrors({});
+                  }}
                   className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-100"
                 >
                   Cancel
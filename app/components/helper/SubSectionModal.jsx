@@ -1,5 +1,5 @@
 "use client";
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import { useNotesStore } from "../../stores/useNotesStore";
 import { useMedicalHistoryStore } from "../../stores/useMedicalHistoryStore";
@@ -7,6 +7,21 @@ import { useTreatmentPlanStore } from "../../stores/useTreatmentPlanStore";
 import { useDentalChartStore } from "@/app/stores/useDentalChartStore";
 import toast from "react-hot-toast";
 import ToothIcon from "./ToothIcon";
+import PendingSyncBadge from "./PendingSyncBadge";
+import FieldError from "./FieldError";
+import {
+  ALERT_TYPES,
+  CONDITION_STATUSES,
+  ENTITY_FOR_COLLECTION,
+  SEVERITIES,
+  validate,
+} from "@/app/lib/validation";
+import {
+  ALERT_LABELS,
+  SEVERITY_LABELS,
+  STATUS_LABELS,
+  alertTypeOf,
+} from "@/app/lib/clinicalAlerts";
 
 // Mapping for different sections to their respective stores
 const sectionMap = {
@@ -20,6 +35,7 @@ export default function SubSectionModal({
   title,
   collectionId,
   patientId,
+  focusId, // record to open for editing (from the patient timeline)
   onClose,
 }) {
   const useStore = sectionMap[collectionId];
@@ -30,6 +46,7 @@ export default function SubSectionModal({
   const [form, setForm] = useState({});
   const [editingId, setEditingId] = useState(null);
   const [adding, setAdding] = useState(false);
+  const [errors, setErrors] = useState({});
 
   // --- Dental Chart States ---
   const [selectedTooth, setSelectedTooth] = useState(null);
@@ -62,6 +79,7 @@ export default function SubSectionModal({
           diagnosisDate: "",
           severity: "",
           status: "",
+          alertType: "",
         });
         break;
       case "treatmentplans":
@@ -77,14 +95,22 @@ export default function SubSectionModal({
 
   // --- General Handlers ---
   const handleAddOrUpdate = async () => {
+    const { valid, errors } = validate(
+      ENTITY_FOR_COLLECTION[collectionId],
+      form,
+      {
+        partial: !!editingId,
+      }
+    );
+    setErrors(errors);
+    if (!valid) return;
+
     setAdding(true);
     try {
-      if (editingId) {
-        await updateItem(editingId, form);
-      } else {
-        await addItem(patientId, form);
-      }
-      resetForm();
+      const saved = editingId
+        ? await updateItem(editingId, form)
+        : await addItem(patientId, form);
+      if (saved) resetForm();
     } catch (err) {
       console.error(err);
       toast.error("Failed to save record");
@@ -95,6 +121,7 @@ export default function SubSectionModal({
 
   const resetForm = () => {
     setEditingId(null);
+    setErrors({});
     switch (collectionId) {
       case "medicalhistory":
         setForm({
@@ -103,6 +130,7 @@ export default function SubSectionModal({
           diagnosisDate: "",
           severity: "",
           status: "",
+          alertType: "",
         });
         break;
       case "treatmentplans":
@@ -118,9 +146,26 @@ export default function SubSectionModal({
 
   const handleEdit = (item) => {
     setEditingId(item.$id);
+    setErrors({});
     setForm({ ...item });
   };
 
+  // --- Open the focused record once it has loaded ---
+  const focused = useRef(false);
+  useEffect(() => {
+    if (!focusId || focused.current) return;
+    const item = items.find((i) => i.$id === focusId);
+    if (!item) return;
+    focused.current = true;
+    if (collectionId === "dentalchart") {
+      setSelectedTooth(Number(item.toothNumber));
+      setToothDetails({ note: item.note || "" });
+      setSelectedToothDocId(item.$id);
+    } else {
+      handleEdit(item);
+    }
+  }, [focusId, items]);
+
   // --- Dental Chart Handlers & Getters ---
   const getToothDetails = (toothNumber) => {
     if (!items || !Array.isArray(items)) return { status: "healthy", note: "" };
@@ -152,9 +197,10 @@ export default function SubSectionModal({
   const updateToothStatus = async (status) => {
     if (!selectedTooth) return;
 
-    await useDentalChartStore
+    const saved = await useDentalChartStore
       .getState()
       .updateTooth(patientId, selectedTooth, status, toothDetails.note);
+    if (!saved) return;
 
     toast.success("Tooth updated");
     setSelectedTooth(null);
@@ -444,7 +490,18 @@ export default function SubSectionModal({
                     >
                       <div>
                         <h4 className="font-semibold text-[#1E2B1F]">
-                          {i.name || i.medicalName || i.treatmentNote}
+                          {i.name || i.medicalName || i.treatmentNote}{" "}
+                          {collectionId === "medicalhistory" &&
+                            i.status !== "resolved" &&
+                            alertTypeOf(i) && (
+                              <span className="badge badge-sm badge-error text-white">
+                                ⚠ {ALERT_LABELS[alertTypeOf(i)]}
+                              </span>
+                            )}{" "}
+                          <PendingSyncBadge
+                            documentId={i.$id}
+                            pending={i.$pending}
+                          />
                         </h4>
                         <pre className="text-sm text-[#4A4A4A] opacity-90">
                           {i.description ||
@@ -493,6 +550,7 @@ export default function SubSectionModal({
                       }
                       className="input w-full bg-[#FFF8EA] border border-[#DCD1B4]"
                     />
+                    <FieldError error={errors.medicalName} />
                     <textarea
                       placeholder="Description"
                       value={form.description || ""}
@@ -509,6 +567,58 @@ export default function SubSectionModal({
                       }
                       className="input w-full bg-[#FFF8EA] border border-[#DCD1B4]"
                     />
+                    <FieldError error={errors.diagnosisDate} />
+                    <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+                      <select
+                        value={form.severity || ""}
+                        onChange={(e) =>
+                          setForm({ ...form, severity: e.target.value })
+                        }
+                        className="select w-full bg-[#FFF8EA] border border-[#DCD1B4]"
+                      >
+                        <option value="">Severity</option>
+                        {SEVERITIES.map((value) => (
+                          <option key={value} value={value}>
+                            {SEVERITY_LABELS[value]}
+                          </option>
+                        ))}
+                      </select>
+                      <select
+                        value={form.status || ""}
+                        onChange={(e) =>
+                          setForm({ ...form, status: e.target.value })
+                        }
+                        className="select w-full bg-[#FFF8EA] border border-[#DCD1B4]"
+                      >
+                        <option value="">Status</option>
+                        {CONDITION_STATUSES.map((value) => (
+                          <option key={value} value={value}>
+                            {STATUS_LABELS[value]}
+                          </option>
+                        ))}
+                      </select>
+                      {/* Blank: flagged from the condition name */}
+                      <select
+                        value={form.alertType || ""}
+                        onChange={(e) =>
+                          setForm({ ...form, alertType: e.target.value })
+                        }
+                        className="select w-full bg-[#FFF8EA] border border-[#DCD1B4]"
+                      >
+                        <option value="">Alert: from the name</option>
+                        {ALERT_TYPES.map((value) => (
+                          <option key={value} value={value}>
+                            Alert: {ALERT_LABELS[value]}
+                          </option>
+                        ))}
+                        <option value="none">No alert</option>
+                      </select>
+                    </div>
+                    <FieldError
+                      error={
+                        errors.severity || errors.status || errors.alertType
+                      }
+                    />
                   </>
                 )}
 
@@ -524,6 +634,7 @@ export default function SubSectionModal({
                       }
                       className="input w-full bg-[#FFF8EA] border border-[#DCD1B4]"
                     />
+                    <FieldError error={errors.treatmentNote} />
                     <input
                       type="datetime-local"
                       value={form.treatmentDate || ""}
@@ -532,6 +643,7 @@ export default function SubSectionModal({
                       }
                       className="input w-full bg-[#FFF8EA] border border-[#DCD1B4]"
                     />
+                    <FieldError error={errors.treatmentDate} />
                   </>
                 )}
 
@@ -547,6 +659,7 @@ export default function SubSectionModal({
                       }
                       className="input w-full bg-[#FFF8EA] border border-[#DCD1B4]"
                     />
+                    <FieldError error={errors.name} />
                     <textarea
                       placeholder="Description"
                       value={form.description || ""}
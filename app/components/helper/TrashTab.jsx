@@ -0,0 +1,228 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import dayjs from "dayjs";
+import clsx from "clsx";
+import { RotateCcw, Trash2, Loader2 } from "lucide-react";
+import { TRASH_TYPES, useTrashStore } from "@/app/stores/useTrashStore";
+import { usePatientStore } from "@/app/stores/usePatientStore";
+import { usePersonalizationStore } from "@/app/stores/usePersonalizationStore";
+import { useDeletionJournalStore } from "@/app/stores/useDeletionJournalStore";
+import { DEFAULT_RETENTION_DAYS } from "@/app/lib/softDelete";
+import { formatMoney } from "@/app/lib/money";
+
+// Title / detail line for each kind of trashed record
+const describe = (collectionId, doc) => {
+  switch (collectionId) {
+    case "patients":
+      return [doc.patientName, doc.contact || doc.address];
+    case "transactions":
+      return [
+        doc.serviceName || "Unnamed Service",
+        `${doc.patientName || "—"} · ${formatMoney(doc.totalAmount)}`,
+      ];
+    case "installments":
+      return [
+        formatMoney(doc.amount),
+        `${doc.patientName || "—"} · ${doc.serviceName || "Installment"}`,
+      ];
+    default:
+      return [
+        doc.title,
+        `${doc.category || "Expense"} · ${formatMoney(doc.amount)}`,
+      ];
+  }
+};
+
+export default function TrashTab() {
+  const {
+    items,
+    loading,
+    busyId,
+    purging,
+    fetchTrash,
+    getVisible,
+    countAttached,
+    restoreItem,
+    purgeItem,
+    purgeExpired,
+  } = useTrashStore();
+  const { deleteProgress, resumeDelete, rollbackDelete } = usePatientStore();
+  const deletionJobs = useDeletionJournalStore((state) => state.jobs);
+  const { personalization } = usePersonalizationStore();
+
+  const [activeType, setActiveType] = useState("patients");
+
+  const retentionDays =
+    personalization?.trashRetentionDays || DEFAULT_RETENTION_DAYS;
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  const handlePurge = (doc) => {
+    if (
+      window.confirm(
+        "Permanently delete this record and everything attached to it? This cannot be undone."
+      )
+    ) {
+      purgeItem(activeType, doc);
+    }
+  };
+
+  // 🔁 Finish or undo a permanent delete that stopped part-way
+  const handleRecover = async (patientId, action) => {
+    const done =
+      action === "resume"
+        ? await resumeDelete(patientId)
+        : await rollbackDelete(patientId);
+    if (done) fetchTrash();
+  };
+
+  const visible = getVisible(activeType);
+  const interrupted = deleteProgress ? [] : Object.values(deletionJobs);
+
+  return (
+    <div className="mt-6 space-y-4">
+      {/* Header */}
+      <div className="flex flex-wrap justify-between items-center gap-2">
+        <div>
+          <h2 className="text-lg font-semibold text-[var(--theme-color)]">
+            Trash
+          </h2>
+          <p className="text-sm text-gray-500">
+            Deleted records are kept for {retentionDays} days, then removed for
+            good.
+          </p>
+        </div>
+        <button
+          onClick={() => purgeExpired(retentionDays)}
+          disabled={purging}
+          className="flex items-center gap-2 border border-red-300 text-red-500 hover:bg-red-50 px-3 py-2 rounded-lg transition"
+        >
+          {purging ? (
+            <Loader2 size={16} className="animate-spin" />
+          ) : (
+            <Trash2 size={16} />
+          )}
+          Empty expired
+        </button>
+      </div>
+
+      {/* Interrupted permanent deletes */}
+      {interrupted.map((job) => (
+        <div key={job.patientId} className="alert alert-warning shadow-sm">
+          <span>
+            Permanently deleting <strong>{job.patientName}</strong> stopped
+            after {job.deleted.length} of {job.records.length} records
+            {job.error ? ` (${job.error})` : ""}.
+          </span>
+          <div className="flex gap-2">
+            <button
+              className="btn btn-sm"
+              onClick={() => handleRecover(job.patientId, "rollback")}
+            >
+              Roll back
+            </button>
+            <button
+              className="btn btn-sm btn-error text-white"
+              onClick={() => handleRecover(job.patientId, "resume")}
+            >
+              Resume delete
+            </button>
+          </div>
+        </div>
+      ))}
+
+      {deleteProgress && deleteProgress.total > 0 && (
+        <div className="space-y-1">
+          <progress
+            className="progress progress-error w-full"
+            value={deleteProgress.done}
+            max={deleteProgress.total}
+          />
+          <p className="text-xs text-gray-500">
+            {deleteProgress.label} — {deleteProgress.done} of{" "}
+            {deleteProgress.total}
+          </p>
+        </div>
+      )}
+
+      {/* Type filter */}
+      <div className="flex flex-wrap gap-2">
+        {TRASH_TYPES.map(({ collectionId, label }) => (
+          <button
+            key={collectionId}
+            onClick={() => setActiveType(collectionId)}
+            className={clsx(
+              "px-3 py-1 rounded-full text-sm font-medium border transition",
+              activeType === collectionId
+                ? "bg-[var(--theme-color)] text-white border-transparent"
+                : "text-[var(--theme-color)] border-green-200 hover:bg-green-50"
+            )}
+          >
+            {label} ({getVisible(collectionId).length})
+          </button>
+        ))}
+      </div>
+
+      {/* List */}
+      {loading && !items[activeType].length ? (
+        <p className="text-gray-500 text-center mt-4">Loading trash...</p>
+      ) : visible.length === 0 ? (
+        <p className="text-gray-500 text-center mt-4">Nothing here.</p>
+      ) : (
+        <ul className="space-y-2">
+          {visible.map((doc) => {
+            const [title, detail] = describe(activeType, doc);
+            const attached = countAttached(activeType, doc);
+            const daysLeft = Math.max(
+              retentionDays - dayjs().diff(dayjs(doc.deletedAt), "day"),
+              0
+            );
+            const busy = busyId === doc.$id;
+
+            return (
+              <li
+                key={doc.$id}
+                className="bg-white rounded-2xl shadow p-4 flex flex-wrap justify-between items-center gap-3"
+              >
+                <div>
+                  <p className="font-semibold text-gray-800">{title}</p>
+                  <p className="text-sm text-gray-500">{detail}</p>
+                  <p className="text-xs text-gray-400 mt-1">
+                    Deleted {dayjs(doc.deletedAt).format("MMM D, YYYY h:mm A")}
+                    {doc.deletedBy ? ` by ${doc.deletedBy}` : ""} · {daysLeft}{" "}
+                    day(s) left
+                    {attached > 0 && ` · ${attached} related record(s)`}
+                  </p>
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => restoreItem(activeType, doc)}
+                    disabled={busy}
+                    className="flex items-center gap-1 bg-[var(--theme-color)] hover:bg-[var(--theme-color)]/80 text-white px-3 py-1.5 rounded-lg text-sm"
+                  >
+                    {busy ? (
+                      <Loader2 size={14} className="animate-spin" />
+                    ) : (
+                      <RotateCcw size={14} />
+                    )}
+                    Restore
+                  </button>
+                  <button
+                    onClick={() => handlePurge(doc)}
+                    disabled={busy}
+                    className="flex items-center gap-1 text-red-500 hover:text-red-700 px-2 py-1.5 rounded-lg text-sm"
+                  >
+                    <Trash2 size={14} /> Delete forever
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -1,86 +1,171 @@
 "use client";
 import { useState, useEffect } from "react";
-import { databases } from "@/app/lib/appwrite";
-import { ID, Query } from "appwrite";
 import toast from "react-hot-toast";
+import { validate } from "@/app/lib/validation";
+import { updateChecked } from "@/app/lib/concurrency";
+import { calculateAge } from "@/app/lib/age";
+import { guardiansIn, needsGuardian } from "@/app/lib/family";
+import { clinicalAlerts } from "@/app/lib/clinicalAlerts";
 
 import SubSectionModal from "./SubSectionModal";
 import { useNotesStore } from "../../stores/useNotesStore";
 import { useMedicalHistoryStore } from "../../stores/useMedicalHistoryStore";
 import { useTreatmentPlanStore } from "../../stores/useTreatmentPlanStore";
 import { usePaymentStore } from "@/app/stores/usePaymentStore";
+import { useMoney } from "@/app/stores/usePersonalizationStore";
 import { useDentalChartStore } from "@/app/stores/useDentalChartStore";
+import { useAttachmentStore } from "@/app/stores/useAttachmentStore";
+import { useFamilyStore } from "@/app/stores/useFamilyStore";
+import { useHmoStore } from "@/app/stores/useHmoStore";
+import { usePatientStore } from "@/app/stores/usePatientStore";
 
 import PaymentModal from "./PaymentModal";
 import PaymentSectionCard from "./PaymentSectionCard";
 import ConsentFormModal from "./ConsentFormModal";
+import AttachmentsModal from "./AttachmentsModal";
+import PatientTimeline from "./PatientTimeline";
+import FamilyMembers from "./FamilyMembers";
+import ClinicalAlertBanner from "./ClinicalAlertBanner";
+import FieldError from "./FieldError";
 
-const DATABASE_ID = process.env.NEXT_PUBLIC_DATABASE_ID;
 const PATIENTS_COLLECTION_ID = "patients";
-const COLLECTION_TRANSACTIONS = "transactions";
 
-export default function ViewPatientDetailsModal({ patient, isOpen, onClose }) {
+// SubSectionModal titles, as on the section cards
+const SECTION_TITLES = {
+  dentalchart: "Dental Chart",
+  medicalhistory: "Medical History",
+  notes: "Dental Notes",
+  treatmentplans: "Treatment Plan",
+};
+
+// `onOpenPatient(patient)` switches to a linked family member;
+// `onOpenAppointment(appointment)` shows one of theirs in Schedule
+export default function ViewPatientDetailsModal({
+  patient,
+  isOpen,
+  onClose,
+  onOpenPatient,
+  onOpenAppointment,
+}) {
   const [activeSection, setActiveSection] = useState(null);
   const [editMode, setEditMode] = useState(false);
   const [updatedPatient, setUpdatedPatient] = useState({ ...patient });
+  // The stored version edits are based on (for the concurrency check)
+  const [basePatient, setBasePatient] = useState(patient);
   const [saving, setSaving] = useState(false);
+  const [errors, setErrors] = useState({});
   const [isConsentModalOpen, setIsConsentModalOpen] = useState(false);
+  const [attachmentsOpen, setAttachmentsOpen] = useState(null); // { previewId }
+  const [paymentsOpen, setPaymentsOpen] = useState(null); // { focusId, ... }
+  const [view, setView] = useState("records"); // "records" | "timeline"
 
   const notes = useNotesStore();
   const medHistory = useMedicalHistoryStore();
   const treatment = useTreatmentPlanStore();
   const paymentStore = usePaymentStore();
   const dentalChart = useDentalChartStore();
+  const attachments = useAttachmentStore();
+  const { family, fetchFamily } = useFamilyStore();
+  const assignChartNumber = usePatientStore((s) => s.assignChartNumber);
+  const { providers, fetchHmo } = useHmoStore();
+  const [assigning, setAssigning] = useState(false);
 
-  const [transactions, setTransactions] = useState([]);
-  const [loading, setLoading] = useState(false);
-  const [summary, setSummary] = useState({ totalPaid: 0, totalRemaining: 0 });
+  const { summary } = paymentStore;
+  const money = useMoney();
 
   const showConsentForm = () => {
     setIsConsentModalOpen(true);
   };
 
-  function calculateAge(birthdate) {
-    if (!birthdate) return null;
-    const birth = new Date(birthdate);
-    const today = new Date();
-    let age = today.getFullYear() - birth.getFullYear();
-    const m = today.getMonth() - birth.getMonth();
-    if (m < 0 || (m === 0 && today.getDate() < birth.getDate())) age--;
-    return age;
-  }
-
   useEffect(() => {
     if (patient?.$id) {
       notes.fetchItems(patient.$id);
       medHistory.fetchItems(patient.$id);
       treatment.fetchItems(patient.$id);
       dentalChart.fetchItems(patient.$id);
+      attachments.fetchItems(patient.$id);
+      fetchFamily(patient.$id);
       setUpdatedPatient({ ...patient });
-      fetchTransactions();
+      setBasePatient(patient);
+      setEditMode(false);
+      setErrors({});
+      paymentStore.fetchPayments(patient.$id);
     }
   }, [patient?.$id]);
 
+  // 📡 Keep the balance live while payments are recorded elsewhere
+  useEffect(() => paymentStore.subscribe(), []);
+
+  useEffect(() => {
+    if (!providers.length) fetchHmo();
+  }, []);
+
+  // 🕒 Timeline entries open the record where it is edited
+  const openEntry = ({ type, collectionId, record }) => {
+    switch (type) {
+      case "transaction":
+        return setPaymentsOpen({ focusId: record.$id });
+      case "installment":
+        return setPaymentsOpen({
+          focusId: record.transactionId,
+          openInstallments: true,
+        });
+      case "attachment":
+        return setAttachmentsOpen({ previewId: record.$id });
+      case "appointment":
+        return onOpenAppointment?.(record);
+      default:
+        return setActiveSection({
+          title: SECTION_TITLES[collectionId],
+          collectionId,
+          focusId: record.$id,
+        });
+    }
+  };
+
   if (!patient || !isOpen) return null;
 
+  // basePatient lags one render behind a newly opened patient (it is set by
+  // the effect above), so fall back to the prop until it catches up
+  const storedPatient =
+    basePatient?.$id === patient.$id ? basePatient : patient;
+
   const sectionsLoading =
     notes.loading || medHistory.loading || treatment.loading;
+  const alerts = clinicalAlerts(medHistory.items);
+
+  const handleAssignChartNumber = async () => {
+    setAssigning(true);
+    const doc = await assignChartNumber(patient.$id);
+    setAssigning(false);
+    if (!doc) return;
+    setBasePatient(doc);
+    setUpdatedPatient((prev) => ({ ...prev, chartNumber: doc.chartNumber }));
+  };
 
   const handleUpdatePatient = async () => {
-    if (!updatedPatient.patientName?.trim()) {
-      toast.error("Patient name is required");
-      return;
+    const { valid, errors, data } = validate("patient", updatedPatient, {
+      partial: true,
+    });
+    if (valid && needsGuardian(data.birthdate) && !guardiansIn(family).length) {
+      errors.birthdate =
+        "Patients under 18 need a guardian: link one under Family first";
     }
+    setErrors(errors);
+    if (!valid || errors.birthdate) return;
 
     try {
       setSaving(true);
-      await databases.updateDocument(
-        DATABASE_ID,
+      const { doc, discarded } = await updateChecked(
         PATIENTS_COLLECTION_ID,
-        patient.$id,
-        updatedPatient
+        storedPatient,
+        data
+      );
+      toast.success(
+        discarded ? "Kept the other version" : "Patient details updated"
       );
-      toast.success("Patient details updated");
+      setBasePatient(doc);
+      setUpdatedPatient({ ...doc });
       setEditMode(false);
     } catch (err) {
       console.error(err);
@@ -90,33 +175,6 @@ export default function ViewPatientDetailsModal({ patient, isOpen, onClose }) {
     }
   };
 
-  // Fetch transactions
-  const fetchTransactions = async () => {
-    if (!patient?.$id) return;
-    try {
-      setLoading(true);
-      const res = await databases.listDocuments(
-        DATABASE_ID,
-        COLLECTION_TRANSACTIONS,
-        [Query.equal("patientId", patient.$id), Query.orderDesc("$createdAt")]
-      );
-
-      const docs = res.documents;
-      const totalPaid = docs.reduce((sum, t) => sum + Number(t.paid || 0), 0);
-      const totalRemaining = docs.reduce(
-        (sum, t) => sum + Number(t.remaining || 0),
-        0
-      );
-
-      setTransactions(docs);
-      setSummary({ totalPaid, totalRemaining });
-    } catch (err) {
-      console.error("Error fetching transactions:", err);
-    } finally {
-      setLoading(false);
-    }
-  };
-
   return (
     <>
       <div className="modal modal-open z-40">
@@ -128,10 +186,27 @@ export default function ViewPatientDetailsModal({ patient, isOpen, onClose }) {
                 {patient.patientName}
               </h2>
 
+              <p className="text-sm opacity-90">
+                Chart No.:{" "}
+                {storedPatient.chartNumber ? (
+                  <span className="font-mono font-semibold">
+                    {storedPatient.chartNumber}
+                  </span>
+                ) : (
+                  <button
+                    onClick={handleAssignChartNumber}
+                    disabled={assigning}
+                    className="underline font-semibold"
+                  >
+                    {assigning ? "Assigning..." : "Assign"}
+                  </button>
+                )}
+              </p>
+
               <p className="mt-1 text-sm opacity-90">
                 Payment Balance:{" "}
                 <span className="font-semibold text-yellow-200">
-                  ₱{summary.totalRemaining.toLocaleString() || "0.00"}
+                  {money(summary.totalRemaining)}
                 </span>
               </p>
 
@@ -144,13 +219,23 @@ export default function ViewPatientDetailsModal({ patient, isOpen, onClose }) {
             </div>
 
             <button
-              onClick={() => setEditMode((prev) => !prev)}
+              onClick={() => {
+                setEditMode((prev) => !prev);
+                setErrors({});
+              }}
               className="btn btn-sm border-none bg-white text-[#00A388] hover:bg-green-100"
             >
               {editMode ? "Cancel" : "Edit"}
             </button>
           </div>
 
+          {/* 🚨 Stays in view while the body scrolls */}
+          {alerts.length > 0 && (
+            <div className="px-3 sm:px-6 pt-3 bg-mint-50">
+              <ClinicalAlertBanner alerts={alerts} />
+            </div>
+          )}
+
           {/* Body */}
           <div className="flex-1 overflow-y-auto px-3 sm:px-6 py-4 bg-mint-50">
             <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 sm:gap-4">
@@ -159,6 +244,7 @@ export default function ViewPatientDetailsModal({ patient, isOpen, onClose }) {
                 name="patientName"
                 value={updatedPatient.patientName}
                 editMode={editMode}
+                error={errors.patientName}
                 onChange={setUpdatedPatient}
               />
               <EditableField
@@ -166,6 +252,7 @@ export default function ViewPatientDetailsModal({ patient, isOpen, onClose }) {
                 name="gender"
                 value={updatedPatient.gender}
                 editMode={editMode}
+                error={errors.gender}
                 onChange={setUpdatedPatient}
               />
               <EditableField
@@ -173,13 +260,15 @@ export default function ViewPatientDetailsModal({ patient, isOpen, onClose }) {
                 name="address"
                 value={updatedPatient.address}
                 editMode={editMode}
+                error={errors.address}
                 onChange={setUpdatedPatient}
               />
               <EditableField
                 label="Civil Status"
-                name="civil status"
+                name="civilStatus"
                 value={updatedPatient.civilStatus}
                 editMode={editMode}
+                error={errors.civilStatus}
                 onChange={setUpdatedPatient}
               />
               <EditableField
@@ -187,6 +276,7 @@ export default function ViewPatientDetailsModal({ patient, isOpen, onClose }) {
                 name="occupation"
                 value={updatedPatient.occupation}
                 editMode={editMode}
+                error={errors.occupation}
                 onChange={setUpdatedPatient}
               />
               <EditableField
@@ -195,6 +285,7 @@ export default function ViewPatientDetailsModal({ patient, isOpen, onClose }) {
                 type="date"
                 value={updatedPatient.birthdate}
                 editMode={editMode}
+                error={errors.birthdate}
                 onChange={setUpdatedPatient}
               />
               <EditableField
@@ -202,6 +293,7 @@ export default function ViewPatientDetailsModal({ patient, isOpen, onClose }) {
                 name="contact"
                 value={updatedPatient.contact}
                 editMode={editMode}
+                error={errors.contact}
                 onChange={setUpdatedPatient}
               />
               <EditableField
@@ -209,6 +301,7 @@ export default function ViewPatientDetailsModal({ patient, isOpen, onClose }) {
                 name="emergencyToContact"
                 value={updatedPatient.emergencyToContact}
                 editMode={editMode}
+                error={errors.emergencyToContact}
                 onChange={setUpdatedPatient}
               />
               <EditableField
@@ -216,6 +309,36 @@ export default function ViewPatientDetailsModal({ patient, isOpen, onClose }) {
                 name="emergencyToContactNumber"
                 value={updatedPatient.emergencyToContactNumber}
                 editMode={editMode}
+                error={errors.emergencyToContactNumber}
+                onChange={setUpdatedPatient}
+              />
+              <EditableField
+                label="HMO"
+                name="hmoProviderId"
+                value={updatedPatient.hmoProviderId}
+                options={[
+                  { value: "", label: "None (pays directly)" },
+                  ...providers.map((p) => ({ value: p.$id, label: p.name })),
+                ]}
+                editMode={editMode}
+                error={errors.hmoProviderId}
+                onChange={setUpdatedPatient}
+              />
+              <EditableField
+                label="HMO Member ID"
+                name="hmoMemberId"
+                value={updatedPatient.hmoMemberId}
+                editMode={editMode}
+                error={errors.hmoMemberId}
+                onChange={setUpdatedPatient}
+              />
+              <EditableField
+                label="HMO Valid Until"
+                name="hmoValidUntil"
+                type="date"
+                value={updatedPatient.hmoValidUntil}
+                editMode={editMode}
+                error={errors.hmoValidUntil}
                 onChange={setUpdatedPatient}
               />
               <EditableField
@@ -224,6 +347,7 @@ export default function ViewPatientDetailsModal({ patient, isOpen, onClose }) {
                 type="textarea"
                 value={updatedPatient.note}
                 editMode={editMode}
+                error={errors.note}
                 onChange={setUpdatedPatient}
               />
             </div>
@@ -233,61 +357,98 @@ export default function ViewPatientDetailsModal({ patient, isOpen, onClose }) {
               Age: {calculateAge(updatedPatient.birthdate)} years old
             </p>
 
+            <FamilyMembers
+              patient={patient}
+              birthdate={storedPatient.birthdate}
+              onOpen={onOpenPatient}
+            />
+
             {/* Sections */}
-            <div className="mt-6 border-t border-mint-300 pt-4 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
-              {sectionsLoading ? (
-                [...Array(4)].map((_, i) => (
-                  <div
-                    key={i}
-                    className="p-4 bg-mint-100 rounded-xl animate-pulse h-20"
-                  />
-                ))
-              ) : (
-                <>
-                  <SectionCard
-                    title="Dental Chart"
-                    count={dentalChart.items.length} // optional if you want to track chart entries
-                    onClick={() =>
-                      setActiveSection({
-                        title: "Dental Chart",
-                        collectionId: "dentalchart",
-                      })
-                    }
-                  />
-                  <SectionCard
-                    title="Medical History"
-                    count={medHistory.items.length}
-                    onClick={() =>
-                      setActiveSection({
-                        title: "Medical History",
-                        collectionId: "medicalhistory",
-                      })
-                    }
-                  />
-                  <SectionCard
-                    title="Dental Notes"
-                    count={notes.items.length}
-                    onClick={() =>
-                      setActiveSection({
-                        title: "Dental Notes",
-                        collectionId: "notes",
-                      })
-                    }
-                  />
-                  <SectionCard
-                    title="Treatment Plan"
-                    count={treatment.items.length}
-                    onClick={() =>
-                      setActiveSection({
-                        title: "Treatment Plan",
-                        collectionId: "treatmentplans",
-                      })
-                    }
-                  />
-                  <PaymentSectionCard patient={patient} />
-                </>
-              )}
+            <div
+              role="tablist"
+              className="tabs tabs-boxed mt-6 bg-mint-100 w-fit"
+            >
+              {[
+                ["records", "Records"],
+                ["timeline", "Timeline"],
+              ].map(([value, label]) => (
+                <button
+                  key={value}
+                  role="tab"
+                  onClick={() => setView(value)}
+                  className={`tab ${
+                    view === value ? "tab-active !bg-[#00A388] text-white" : ""
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
             </div>
+            {view === "timeline" ? (
+              <div className="mt-3 border-t border-mint-300 pt-4">
+                <PatientTimeline patientId={patient.$id} onOpen={openEntry} />
+              </div>
+            ) : (
+              <div className="mt-3 border-t border-mint-300 pt-4 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+                {sectionsLoading ? (
+                  [...Array(4)].map((_, i) => (
+                    <div
+                      key={i}
+                      className="p-4 bg-mint-100 rounded-xl animate-pulse h-20"
+                    />
+                  ))
+                ) : (
+                  <>
+                    <SectionCard
+                      title="Dental Chart"
+                      count={dentalChart.items.length} // optional if you want to track chart entries
+                      onClick={() =>
+                        setActiveSection({
+                          title: "Dental Chart",
+                          collectionId: "dentalchart",
+                        })
+                      }
+                    />
+                    <SectionCard
+                      title="Medical History"
+                      count={medHistory.items.length}
+                      onClick={() =>
+                        setActiveSection({
+                          title: "Medical History",
+                          collectionId: "medicalhistory",
+                        })
+                      }
+                    />
+                    <SectionCard
+                      title="Dental Notes"
+                      count={notes.items.length}
+                      onClick={() =>
+                        setActiveSection({
+                          title: "Dental Notes",
+                          collectionId: "notes",
+                        })
+                      }
+                    />
+                    <SectionCard
+                      title="Treatment Plan"
+                      count={treatment.items.length}
+                      onClick={() =>
+                        setActiveSection({
+                          title: "Treatment Plan",
+                          collectionId: "treatmentplans",
+                        })
+                      }
+                    />
+                    <SectionCard
+                      title="Attachments"
+                      count={attachments.items.length}
+                      onClick={() => setAttachmentsOpen({})}
+                    />
+                    <PaymentSectionCard patient={storedPatient} />
+                  </>
+                )}
+              </div>
+            )}
           </div>
 
           {/* Footer */}
@@ -319,6 +480,7 @@ export default function ViewPatientDetailsModal({ patient, isOpen, onClose }) {
           <SubSectionModal
             title={activeSection.title}
             collectionId={activeSection.collectionId}
+            focusId={activeSection.focusId}
             patientId={patient.$id}
             onClose={() => setActiveSection(null)}
           />
@@ -331,9 +493,26 @@ export default function ViewPatientDetailsModal({ patient, isOpen, onClose }) {
         />
       )}
 
+      {attachmentsOpen && (
+        <AttachmentsModal
+          patientId={patient.$id}
+          previewId={attachmentsOpen.previewId}
+          onClose={() => setAttachmentsOpen(null)}
+        />
+      )}
+      <PaymentModal
+        isOpen={!!paymentsOpen}
+        patient={storedPatient}
+        focusId={paymentsOpen?.focusId}
+        openInstallments={paymentsOpen?.openInstallments}
+        onClose={() => setPaymentsOpen(null)}
+      />
+
       {isConsentModalOpen && (
         <ConsentFormModal
-          patient={patient}
+          patient={storedPatient}
+          guardians={guardiansIn(family)}
+          alerts={alerts}
           calculateAge={calculateAge}
           onClose={() => setIsConsentModalOpen(false)}
         />
@@ -342,7 +521,16 @@ export default function ViewPatientDetailsModal({ patient, isOpen, onClose }) {
   );
 }
 
-function EditableField({ label, name, value, editMode, onChange, type }) {
+function EditableField({
+  label,
+  name,
+  value,
+  editMode,
+  error,
+  onChange,
+  type,
+  options, // [{ value, label }]: a select, shown by its label
+}) {
   // Normalize value for <input type="date" />
   const formattedValue =
     type === "date" && value
@@ -353,7 +541,21 @@ function EditableField({ label, name, value, editMode, onChange, type }) {
     <div className="flex flex-col">
       <span className="text-sm font-semibold text-[#00A388]">{label}</span>
       {editMode ? (
-        type === "textarea" ? (
+        options ? (
+          <select
+            className="select select-bordered text-black bg-green-300 w-full"
+            value={formattedValue}
+            onChange={(e) =>
+              onChange((prev) => ({ ...prev, [name]: e.target.value }))
+            }
+          >
+            {options.map((o) => (
+              <option key={o.value} value={o.value}>
+                {o.label}
+              </option>
+            ))}
+          </select>
+        ) : type === "textarea" ? (
           <textarea
             className="textarea textarea-bordered text-black bg-green-300 w-full"
             value={formattedValue}
@@ -373,7 +575,9 @@ function EditableField({ label, name, value, editMode, onChange, type }) {
         )
       ) : (
         <span className="text-base text-[#00A388]">
-          {type === "date" && value
+          {options && value
+            ? options.find((o) => o.value === value)?.label || "—"
+            : type === "date" && value
             ? new Date(value).toLocaleDateString("en-US", {
                 year: "numeric",
                 month: "long",
@@ -382,6 +586,7 @@ function EditableField({ label, name, value, editMode, onChange, type }) {
             : value || "—"}
         </span>
       )}
+      {editMode && <FieldError error={error} />}
     </div>
   );
 }
@@ -0,0 +1,283 @@
+"use client";
+
+import { useEffect } from "react";
+import dayjs from "dayjs";
+import clsx from "clsx";
+import { FiFilter, FiRefreshCw } from "react-icons/fi";
+import { useAuditStore } from "@/app/stores/useAuditStore";
+
+const COLLECTIONS = [
+  "patients",
+  "transactions",
+  "installments",
+  "expenses",
+  "notes",
+  "medicalhistory",
+  "treatmentplans",
+  "dentalchart",
+  "schedules",
+  "services",
+  "personalization",
+];
+
+const ACTION_STYLES = {
+  create: "badge-success",
+  update: "badge-info",
+  delete: "badge-error",
+  trash: "badge-warning",
+  restore: "badge-accent",
+};
+
+const parse = (json) => {
+  try {
+    return json ? JSON.parse(json) : {};
+  } catch {
+    return {};
+  }
+};
+
+const show = (value) =>
+  value === null || value === undefined || value === ""
+    ? "—"
+    : typeof value === "object"
+    ? JSON.stringify(value)
+    : String(value);
+
+// Field-by-field before → after
+function Changes({ log }) {
+  const before = parse(log.before);
+  const after = parse(log.after);
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  if (!keys.length) return <span className="text-gray-400">—</span>;
+
+  return (
+    <ul className="space-y-0.5">
+      {keys.map((key) => (
+        <li key={key} className="text-xs break-all">
+          <span className="font-semibold text-gray-600">{key}:</span>{" "}
+          {log.action !== "create" && (
+            <span className="text-red-500 line-through">
+              {show(before[key])}
+            </span>
+          )}
+          {log.action !== "create" && log.action !== "delete" && " → "}
+          {log.action !== "delete" && (
+            <span className="text-green-600">{show(after[key])}</span>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default function AuditSection() {
+  const {
+    logs,
+    total,
+    hasMore,
+    loading,
+    loadingMore,
+    filters,
+    setFilters,
+    resetFilters,
+    fetchLogs,
+    fetchMoreLogs,
+  } = useAuditStore();
+
+  useEffect(() => {
+    fetchLogs();
+  }, [fetchLogs]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    fetchLogs();
+  };
+
+  const users = [...new Set(logs.map((l) => l.userEmail).filter(Boolean))];
+
+  return (
+    <div className="p-6 space-y-6 animate-fadeIn">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-[var(--theme-color)] flex items-center gap-2">
+            🕵️ Audit Log
+          </h1>
+          <p className="text-sm text-[var(--theme-color)]">
+            Every change to clinic records, who made it and when
+          </p>
+        </div>
+        <button
+          onClick={fetchLogs}
+          className="btn btn-ghost text-[var(--theme-color)]"
+          disabled={loading}
+        >
+          <FiRefreshCw className={loading ? "animate-spin" : ""} />
+        </button>
+      </div>
+
+      {/* Filters */}
+      <form
+        onSubmit={handleSubmit}
+        className="grid grid-cols-1 md:grid-cols-6 gap-3 items-end bg-white rounded-2xl shadow p-4"
+      >
+        <label className="form-control">
+          <span className="text-xs text-gray-500 mb-1">User</span>
+          <input
+            list="audit-users"
+            className="input input-sm input-bordered bg-white"
+            placeholder="email"
+            value={filters.user}
+            onChange={(e) => setFilters({ user: e.target.value })}
+          />
+          <datalist id="audit-users">
+            {users.map((u) => (
+              <option key={u} value={u} />
+            ))}
+          </datalist>
+        </label>
+        <label className="form-control">
+          <span className="text-xs text-gray-500 mb-1">Patient</span>
+          <input
+            className="input input-sm input-bordered bg-white"
+            placeholder="name"
+            value={filters.patient}
+            onChange={(e) => setFilters({ patient: e.target.value })}
+          />
+        </label>
+        <label className="form-control">
+          <span className="text-xs text-gray-500 mb-1">Record type</span>
+          <select
+            className="select select-sm select-bordered bg-white"
+            value={filters.collectionId}
+            onChange={(e) => setFilters({ collectionId: e.target.value })}
+          >
+            <option value="">All</option>
+            {COLLECTIONS.map((c) => (
+              <option key={c} value={c}>
+                {c}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="form-control">
+          <span className="text-xs text-gray-500 mb-1">From</span>
+          <input
+            type="date"
+            className="input input-sm input-bordered bg-white"
+            value={filters.from}
+            onChange={(e) => setFilters({ from: e.target.value })}
+          />
+        </label>
+        <label className="form-control">
+          <span className="text-xs text-gray-500 mb-1">To</span>
+          <input
+            type="date"
+            className="input input-sm input-bordered bg-white"
+            value={filters.to}
+            onChange={(e) => setFilters({ to: e.target.value })}
+          />
+        </label>
+        <div className="flex gap-2">
+          <button
+            type="submit"
+            className="btn btn-sm bg-[var(--theme-color)] text-white flex-1"
+          >
+            <FiFilter /> Apply
+          </button>
+          <button
+            type="button"
+            className="btn btn-sm btn-ghost"
+            onClick={() => {
+              resetFilters();
+              fetchLogs();
+            }}
+          >
+            Clear
+          </button>
+        </div>
+      </form>
+
+      {/* Entries */}
+      <div className="bg-white rounded-2xl shadow overflow-x-auto">
+        <table className="table table-sm">
+          <thead className="bg-[var(--theme-color)] text-white">
+            <tr>
+              <th>When</th>
+              <th>User</th>
+              <th>Action</th>
+              <th>Record</th>
+              <th>Patient</th>
+              <th>Changes</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading && !logs.length ? (
+              <tr>
+                <td colSpan="6" className="text-center text-gray-500 py-6">
+                  Loading audit log...
+                </td>
+              </tr>
+            ) : logs.length ? (
+              logs.map((log) => (
+                <tr key={log.$id} className="align-top hover:bg-green-50">
+                  <td className="whitespace-nowrap">
+                    {dayjs(log.at || log.$createdAt).format(
+                      "MMM D, YYYY h:mm A"
+                    )}
+                  </td>
+                  <td>{log.userEmail || "—"}</td>
+                  <td>
+                    <span
+                      className={clsx(
+                        "badge badge-sm",
+                        ACTION_STYLES[log.action] || "badge-ghost"
+                      )}
+                    >
+                      {log.action}
+                    </span>
+                  </td>
+                  <td className="text-xs">
+                    {log.collectionId}
+                    <br />
+                    <span className="text-gray-400">{log.documentId}</span>
+                  </td>
+                  <td>{log.patientName || "—"}</td>
+                  <td className="max-w-md">
+                    <Changes log={log} />
+                  </td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan="6" className="text-center text-gray-500 py-6">
+                  No entries match these filters
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {hasMore && (
+        <div className="flex flex-col items-center gap-1">
+          <button
+            className="btn btn-sm btn-outline"
+            onClick={fetchMoreLogs}
+            disabled={loadingMore}
+          >
+            {loadingMore ? (
+              <span className="loading loading-spinner loading-sm"></span>
+            ) : (
+              "Load more"
+            )}
+          </button>
+          <span className="text-xs text-gray-500">
+            Showing {logs.length} of {total}
+          </span>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -6,6 +6,13 @@ import {
   FiActivity,
   FiTrendingUp,
 } from "react-icons/fi";
+import { useEffect } from "react";
+import { useBranchStore } from "@/app/stores/useBranchStore";
+import { useTransactionsStore } from "@/app/stores/useTransactionsStore";
+import { useCan } from "@/app/stores/authStore";
+import { useMoney } from "@/app/stores/usePersonalizationStore";
+import BranchBreakdown from "../helper/BranchBreakdown";
+import RecallList from "../helper/RecallList";
 
 export default function DashboardSection({
   stats = {
@@ -17,7 +24,20 @@ export default function DashboardSection({
     outstandingBalance: 0,
   },
   topServices = [],
+  onBookRecall,
 }) {
+  const { activeBranchId, branches, getBranchName } = useBranchStore();
+  const { transactions, installments, expenses, fetchAllPayments } =
+    useTransactionsStore();
+  const canViewExpenses = useCan()("expenses:view");
+  const money = useMoney();
+  const consolidated = !activeBranchId && branches.length > 0;
+
+  // 🏥 Per-branch totals for the consolidated view
+  useEffect(() => {
+    if (consolidated) fetchAllPayments();
+  }, [consolidated, fetchAllPayments]);
+
   return (
     <div className="p-6 space-y-4 min-h-screen">
       {/* Header */}
@@ -27,6 +47,13 @@ export default function DashboardSection({
         </h1>
         <p className="text-sm text-gray-600">
           Key insights about patients, revenue, and treatments.
+          {branches.length > 0 && (
+            <span className="ml-1 font-medium text-[var(--theme-color)]">
+              {activeBranchId
+                ? `Branch: ${getBranchName(activeBranchId)}`
+                : "All branches (consolidated)"}
+            </span>
+          )}
         </p>
       </div>
 
@@ -68,7 +95,7 @@ export default function DashboardSection({
             <div>
               <p className="text-gray-500 font-medium">Revenue (Month)</p>
               <p className="text-3xl font-bold text-green-600">
-                ₱{stats.revenueMonth.toLocaleString()}
+                {money(stats.revenueMonth)}
               </p>
             </div>
             <FiDollarSign className="text-green-500 text-3xl" />
@@ -89,7 +116,7 @@ export default function DashboardSection({
             <div>
               <p className="text-gray-500 font-medium">Outstanding Balance</p>
               <p className="text-3xl font-bold text-red-500">
-                ₱{stats.outstandingBalance.toLocaleString()}
+                {money(stats.outstandingBalance)}
               </p>
             </div>
             <FiTrendingUp className="text-red-400 text-3xl" />
@@ -98,6 +125,17 @@ export default function DashboardSection({
         </div>
       </div>
 
+      {consolidated && (
+        <BranchBreakdown
+          transactions={transactions}
+          installments={installments}
+          expenses={canViewExpenses ? expenses : []}
+          showExpenses={canViewExpenses}
+        />
+      )}
+
+      <RecallList onBook={onBookRecall} />
+
       {/* Analytics Split */}
       <div className="grid gap-6 lg:grid-cols-2">
         {/* Top Services */}
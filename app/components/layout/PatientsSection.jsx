@@ -1,26 +1,81 @@
 "use client";
 
 import { useEffect, useState } from "react";
-import { FiUserPlus, FiSearch, FiEye, FiTrash2 } from "react-icons/fi";
+import dayjs from "dayjs";
+import {
+  FiUserPlus,
+  FiSearch,
+  FiEye,
+  FiTrash2,
+  FiArrowUp,
+  FiArrowDown,
+  FiX,
+  FiGitMerge,
+  FiUpload,
+  FiDownload,
+} from "react-icons/fi";
+import toast from "react-hot-toast";
 import AddPatientModal from "../helper/AddPatientModal";
 import ViewPatientDetailsModal from "../helper/ViewPatientDetailsModal";
+import MergePatientsModal from "../helper/MergePatientsModal";
+import ImportPatientsModal from "../helper/ImportPatientsModal";
+import PendingSyncBadge from "../helper/PendingSyncBadge";
 import { usePatientStore } from "@/app/stores/usePatientStore";
 import { useTransactionsStore } from "@/app/stores/useTransactionsStore";
+import { useFamilyStore } from "@/app/stores/useFamilyStore";
+import { useCan } from "@/app/stores/authStore";
+import { useMoney } from "@/app/stores/usePersonalizationStore";
+import { sumMoney } from "@/app/lib/money";
+import { calculateAge, AGE_BRACKETS } from "@/app/lib/age";
+import { isFiltered, searchAllPatients } from "@/app/lib/patientSearch";
+import { exportPatients } from "@/app/lib/patientSheet";
+import {
+  usePatientPresetStore,
+  usePatientPresets,
+} from "@/app/stores/usePatientPresetStore";
 
-export default function PatientsSection() {
+const SEARCH_DELAY = 300; // ms of no typing before searching the server
+
+// `onOpenAppointment(appointment)` shows it in Schedule (from a patient's
+// timeline)
+export default function PatientsSection({ onOpenAppointment }) {
   const [isOpen, setIsOpen] = useState(false);
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [selectedPatient, setSelectedPatient] = useState(null);
+  const [mergePatient, setMergePatient] = useState(null);
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [exporting, setExporting] = useState(false);
   const [confirmModal, setConfirmModal] = useState({
     isOpen: false,
     patient: null,
   });
 
-  const { patients, fetchPatients, addPatient, deletePatient } =
-    usePatientStore();
+  const {
+    patients,
+    total,
+    hasMore,
+    loadingMore,
+    filters,
+    lastVisits,
+    fetchPatients,
+    fetchMorePatients,
+    setFilters,
+    resetFilters,
+    addPatient,
+    deletePatient,
+  } = usePatientStore();
   const [loading, setLoading] = useState(false);
   const [deleteLoading, setDeleteLoading] = useState(false);
-  const [searchTerm, setSearchTerm] = useState("");
+  const [searchTerm, setSearchTerm] = useState(filters.search);
+  const presets = usePatientPresets();
+  const { savePreset, deletePreset } = usePatientPresetStore();
+  const linkFamily = useFamilyStore((s) => s.link);
+  const can = useCan();
+  const canDelete = can("patients:delete");
+  const canMerge = can("patients:merge");
+  const canImport = can("patients:import");
+  const canExport = can("patients:export");
+  const money = useMoney();
 
   const handleView = (patient) => {
     setSelectedPatient(patient);
@@ -34,7 +89,8 @@ export default function PatientsSection() {
   const handleDelete = async () => {
     try {
       setDeleteLoading(true);
-      await deletePatient(confirmModal.patient.$id);
+      const done = await deletePatient(confirmModal.patient.$id);
+      if (!done) return;
       setConfirmModal({ isOpen: false, patient: null });
       fetchPatients();
     } catch (error) {
@@ -44,12 +100,39 @@ export default function PatientsSection() {
     }
   };
 
-  const handleSavePatient = async (newData) => {
+  const handleMerged = (merged) => {
+    setMergePatient(null);
+    if (merged) fetchPatients();
+  };
+
+  const handleImported = (imported) => {
+    setIsImportOpen(false);
+    if (imported) fetchPatients();
+  };
+
+  // 📤 Export every patient matching the current search and filters
+  const handleExport = async (format) => {
+    setExporting(true);
+    try {
+      const list = hasMore ? await searchAllPatients(filters) : patients;
+      await exportPatients(list, format);
+    } catch (err) {
+      console.error("Export failed:", err);
+      toast.error("Failed to export patients");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleSavePatient = async (newData, guardianId) => {
     try {
       setLoading(true);
-      await addPatient(newData);
+      const patient = await addPatient(newData);
+      if (!patient) return false;
+      if (guardianId) await linkFamily(patient.$id, guardianId, "guardian");
       setIsOpen(false);
       fetchPatients();
+      return true;
     } catch (err) {
       console.error("Add patient failed:", err);
     } finally {
@@ -57,10 +140,70 @@ export default function PatientsSection() {
     }
   };
 
-  const filteredPatients = patients.filter((p) =>
-    p.patientName.toLowerCase().includes(searchTerm.toLowerCase())
+  // ♾️ Infinite scroll: fetch the next page when nearing the bottom
+  const handleScroll = (e) => {
+    const { scrollTop, scrollHeight, clientHeight } = e.currentTarget;
+    if (scrollHeight - scrollTop - clientHeight < 200) fetchMorePatients();
+  };
+
+  // 🔍 Search the server once typing pauses
+  useEffect(() => {
+    if (searchTerm === filters.search) return;
+    const timer = setTimeout(
+      () => setFilters({ search: searchTerm }),
+      SEARCH_DELAY
+    );
+    return () => clearTimeout(timer);
+  }, [searchTerm, filters.search, setFilters]);
+
+  // ↕️ Click a header to sort by it; click again to flip the order
+  const sortBy = (sort) =>
+    setFilters(
+      filters.sort === sort ? { desc: !filters.desc } : { sort, desc: false }
+    );
+
+  const sortHeader = (sort, label) => (
+    <th
+      className="cursor-pointer select-none"
+      onClick={() => sortBy(sort)}
+      aria-sort={
+        filters.sort !== sort
+          ? "none"
+          : filters.desc
+          ? "descending"
+          : "ascending"
+      }
+    >
+      <span className="inline-flex items-center gap-1">
+        {label}
+        {filters.sort === sort &&
+          (filters.desc ? <FiArrowDown /> : <FiArrowUp />)}
+      </span>
+    </th>
   );
 
+  const applyPreset = (id) => {
+    const preset = presets.find((p) => p.id === id);
+    if (!preset) return;
+    setSearchTerm(preset.filters.search);
+    setFilters(preset.filters);
+  };
+
+  const handleSavePreset = () => {
+    const name = window.prompt("Name this filter preset")?.trim();
+    if (name) savePreset(name, { ...filters, search: searchTerm });
+  };
+
+  const handleClearFilters = () => {
+    setSearchTerm("");
+    resetFilters();
+  };
+
+  const lastVisit = (patient) =>
+    lastVisits[patient.$id]
+      ? dayjs(lastVisits[patient.$id]).format("MMM D, YYYY")
+      : "—";
+
   const {
     transactions,
     installments,
@@ -73,6 +216,16 @@ export default function PatientsSection() {
     getWithBalancePatients();
   }, [fetchPatients]);
 
+  // 📡 Live updates from other workstations
+  useEffect(() => {
+    const unsubPatients = usePatientStore.getState().subscribe();
+    const unsubTransactions = useTransactionsStore.getState().subscribe();
+    return () => {
+      unsubPatients();
+      unsubTransactions();
+    };
+  }, []);
+
   console.log(withBalancePatients);
 
   return (
@@ -87,31 +240,70 @@ export default function PatientsSection() {
             Manage and view patient records
           </p>
         </div>
-        <button
-          onClick={() => setIsOpen(true)}
-          className={`btn bg-[var(--theme-color)] hover:bg-[#5A54E0] text-white border-none flex items-center gap-2 rounded-xl shadow transition-all ${
-            loading ? "opacity-70 cursor-not-allowed" : "hover:scale-105"
-          }`}
-          disabled={loading}
-        >
-          {loading ? (
-            <>
-              <span className="loading loading-spinner loading-sm"></span>
-              Adding...
-            </>
-          ) : (
-            <>
-              <FiUserPlus /> Add Patient
-            </>
+        <div className="flex flex-wrap justify-end gap-2">
+          {canImport && (
+            <button
+              onClick={() => setIsImportOpen(true)}
+              className="btn btn-outline border-[var(--theme-color)] text-[var(--theme-color)] rounded-xl flex items-center gap-2"
+            >
+              <FiUpload /> Import
+            </button>
           )}
-        </button>
+          {canExport && (
+            <div className="dropdown dropdown-end">
+              <button
+                tabIndex={0}
+                className="btn btn-outline border-[var(--theme-color)] text-[var(--theme-color)] rounded-xl flex items-center gap-2"
+                disabled={exporting}
+              >
+                {exporting ? (
+                  <span className="loading loading-spinner loading-sm"></span>
+                ) : (
+                  <FiDownload />
+                )}
+                Export
+              </button>
+              <ul
+                tabIndex={0}
+                className="dropdown-content menu bg-white rounded-box z-20 w-40 p-2 shadow"
+              >
+                <li>
+                  <button onClick={() => handleExport("csv")}>CSV</button>
+                </li>
+                <li>
+                  <button onClick={() => handleExport("xlsx")}>
+                    Excel (.xlsx)
+                  </button>
+                </li>
+              </ul>
+            </div>
+          )}
+          <button
+            onClick={() => setIsOpen(true)}
+            className={`btn bg-[var(--theme-color)] hover:bg-[#5A54E0] text-white border-none flex items-center gap-2 rounded-xl shadow transition-all ${
+              loading ? "opacity-70 cursor-not-allowed" : "hover:scale-105"
+            }`}
+            disabled={loading}
+          >
+            {loading ? (
+              <>
+                <span className="loading loading-spinner loading-sm"></span>
+                Adding...
+              </>
+            ) : (
+              <>
+                <FiUserPlus /> Add Patient
+              </>
+            )}
+          </button>
+        </div>
       </div>
 
       {/* Quick Stats */}
       <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
         <div className="stat bg-[var(--theme-color)]/50 backdrop-blur rounded-2xl p-4 shadow-md border border-[#B3E6C2]">
           <div className="stat-title text-gray-600">Total Patients</div>
-          <div className="stat-value text-white">{patients.length}</div>
+          <div className="stat-value text-white">{total}</div>
         </div>
 
         <div className="stat bg-[var(--theme-color)]/50 backdrop-blur rounded-2xl p-4 shadow-md border border-[#B3E6C2]">
@@ -126,81 +318,198 @@ export default function PatientsSection() {
             Total Amount of Balance
           </div>
           <div className="stat-value text-[var(--theme-color)]">
-            {withBalancePatients.reduce((sum, p) => sum + p.remaining, 0)}
+            {money(sumMoney(withBalancePatients, "remaining"))}
           </div>
         </div>
       </div>
 
-      {/* Search + Table */}
+      {/* Search + Filters + Table */}
       <div className="flex flex-col h-full">
         <label className="input input-bordered flex items-center gap-2 w-full md:w-1/3 rounded-xl shadow-sm border border-[#B3E6C2] bg-[#E9FFF0]">
           <FiSearch className="text-gray-500" />
           <input
             type="text"
             className="grow bg-transparent focus:outline-none"
-            placeholder="Search patients..."
+            placeholder="Search name, chart no., contact, address or birthdate..."
             value={searchTerm}
             onChange={(e) => setSearchTerm(e.target.value)}
           />
         </label>
 
+        <div className="flex flex-wrap items-end gap-3 mt-3 text-sm">
+          <select
+            className="select select-sm select-bordered rounded-lg border-[#B3E6C2]"
+            value={filters.gender}
+            onChange={(e) => setFilters({ gender: e.target.value })}
+          >
+            <option value="">Any gender</option>
+            <option>Male</option>
+            <option>Female</option>
+          </select>
+
+          <select
+            className="select select-sm select-bordered rounded-lg border-[#B3E6C2]"
+            value={filters.ageBracket}
+            onChange={(e) => setFilters({ ageBracket: e.target.value })}
+          >
+            <option value="">Any age</option>
+            {AGE_BRACKETS.map((b) => (
+              <option key={b.id} value={b.id}>
+                {b.label}
+              </option>
+            ))}
+          </select>
+
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              className="checkbox checkbox-sm"
+              checked={filters.withBalance}
+              onChange={(e) => setFilters({ withBalance: e.target.checked })}
+            />
+            Has balance
+          </label>
+
+          <label className="flex items-center gap-2">
+            Last visit
+            <input
+              type="date"
+              className="input input-sm input-bordered rounded-lg border-[#B3E6C2]"
+              value={filters.visitFrom}
+              max={filters.visitTo || undefined}
+              onChange={(e) => setFilters({ visitFrom: e.target.value })}
+            />
+            to
+            <input
+              type="date"
+              className="input input-sm input-bordered rounded-lg border-[#B3E6C2]"
+              value={filters.visitTo}
+              min={filters.visitFrom || undefined}
+              onChange={(e) => setFilters({ visitTo: e.target.value })}
+            />
+          </label>
+
+          <button
+            className="btn btn-sm btn-outline border-[#B3E6C2] rounded-lg"
+            onClick={handleSavePreset}
+            disabled={!isFiltered({ ...filters, search: searchTerm })}
+          >
+            Save preset
+          </button>
+          {isFiltered(filters) && (
+            <button
+              className="btn btn-sm btn-ghost rounded-lg"
+              onClick={handleClearFilters}
+            >
+              <FiX /> Clear
+            </button>
+          )}
+        </div>
+
+        {presets.length > 0 && (
+          <div className="flex flex-wrap gap-2 mt-2">
+            {presets.map((p) => (
+              <span
+                key={p.id}
+                className="badge badge-outline gap-1 border-[#B3E6C2]"
+              >
+                <button onClick={() => applyPreset(p.id)}>{p.name}</button>
+                <button
+                  aria-label={`Delete preset ${p.name}`}
+                  onClick={() => deletePreset(p.id)}
+                >
+                  <FiX />
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+
         {/* Table */}
         <div className="flex-1 overflow-hidden mt-4">
-          <div className="h-[55vh] overflow-y-auto pr-2">
+          <div
+            className="h-[55vh] overflow-y-auto pr-2"
+            onScroll={handleScroll}
+          >
             {/* Desktop Table */}
             <div className="hidden md:block">
               <table className="table w-full h-full rounded-xl overflow-hidden border border-[#B3E6C2]">
                 <thead className="sticky top-0 bg-[var(--theme-color)] text-gray-600 z-10">
                   <tr className="text-sm text-white">
-                    <th>Name</th>
+                    {sortHeader("name", "Name")}
+                    <th>Chart no.</th>
+                    {sortHeader("age", "Age")}
                     <th>Address</th>
                     <th>Contact</th>
+                    <th>Last visit</th>
+                    {sortHeader("added", "Added")}
                     <th className="text-center">Actions</th>
                   </tr>
                 </thead>
                 <tbody>
-                  {filteredPatients.length > 0 ? (
-                    // 1. Create a copy of the array and sort it
-                    [...filteredPatients]
-                      .sort((a, b) =>
-                        a.patientName.localeCompare(b.patientName)
-                      )
-                      // 2. Map over the sorted array
-                      .map((patient) => (
-                        <tr
-                          key={patient.$id}
-                          className="hover:bg-[#D9FFE5]/70 transition-all"
-                        >
-                          {/* ... table data cells for patient ... */}
-                          <td className="font-medium text-[var(--theme-color)]">
-                            {patient.patientName}
-                          </td>
-                          <td className="text-[var(--theme-color)]">
-                            {patient.address}
-                          </td>
-                          <td className="text-[var(--theme-color)]">
-                            {patient.contact}
-                          </td>
-                          <td className="flex gap-2 justify-center">
+                  {patients.length > 0 ? (
+                    // Already filtered and sorted by the server
+                    patients.map((patient) => (
+                      <tr
+                        key={patient.$id}
+                        className="hover:bg-[#D9FFE5]/70 transition-all"
+                      >
+                        {/* ... table data cells for patient ... */}
+                        <td className="font-medium text-[var(--theme-color)]">
+                          {patient.patientName}{" "}
+                          <PendingSyncBadge
+                            documentId={patient.$id}
+                            pending={patient.$pending}
+                          />
+                        </td>
+                        <td className="text-[var(--theme-color)] font-mono text-sm">
+                          {patient.chartNumber || "—"}
+                        </td>
+                        <td className="text-[var(--theme-color)]">
+                          {calculateAge(patient.birthdate) ?? "—"}
+                        </td>
+                        <td className="text-[var(--theme-color)]">
+                          {patient.address}
+                        </td>
+                        <td className="text-[var(--theme-color)]">
+                          {patient.contact}
+                        </td>
+                        <td className="text-[var(--theme-color)]">
+                          {lastVisit(patient)}
+                        </td>
+                        <td className="text-[var(--theme-color)]">
+                          {dayjs(patient.$createdAt).format("MMM D, YYYY")}
+                        </td>
+                        <td className="flex gap-2 justify-center">
+                          <button
+                            className="btn btn-sm bg-[var(--theme-color)] hover:bg-[#2CA6E0] text-white border-none rounded-lg flex items-center gap-1"
+                            onClick={() => handleView(patient)}
+                          >
+                            <FiEye /> View
+                          </button>
+                          {canMerge && (
                             <button
-                              className="btn btn-sm bg-[var(--theme-color)] hover:bg-[#2CA6E0] text-white border-none rounded-lg flex items-center gap-1"
-                              onClick={() => handleView(patient)}
+                              className="btn btn-sm btn-outline border-[var(--theme-color)] text-[var(--theme-color)] rounded-lg flex items-center gap-1"
+                              onClick={() => setMergePatient(patient)}
                             >
-                              <FiEye /> View
+                              <FiGitMerge /> Merge
                             </button>
+                          )}
+                          {canDelete && (
                             <button
                               className="btn btn-sm bg-[#F87171] hover:bg-[#EF4444] text-white border-none rounded-lg flex items-center gap-1"
                               onClick={() => handleDeleteConfirm(patient)}
                             >
                               <FiTrash2 /> Delete
                             </button>
-                          </td>
-                        </tr>
-                      ))
+                          )}
+                        </td>
+                      </tr>
+                    ))
                   ) : (
                     <tr>
                       <td
-                        colSpan="4"
+                        colSpan="8"
                         className="text-center text-gray-500 py-6"
                       >
                         No patients found
@@ -213,39 +522,79 @@ export default function PatientsSection() {
 
             {/* Mobile Card Layout */}
             <div className="grid gap-4 md:hidden">
-              {
-                // 1. Create a copy of the array and sort it
-                [...filteredPatients]
-                  .sort((a, b) => a.patientName.localeCompare(b.patientName))
-                  // 2. Map over the sorted array
-                  .map((patient) => (
-                    <div
-                      key={patient.$id}
-                      className="card bg-[var(--theme-color)]/30 backdrop-blur shadow-md p-4 rounded-2xl border border-[#B3E6C2] hover:shadow-lg transition-all"
+              {patients.map((patient) => (
+                <div
+                  key={patient.$id}
+                  className="card bg-[var(--theme-color)]/30 backdrop-blur shadow-md p-4 rounded-2xl border border-[#B3E6C2] hover:shadow-lg transition-all"
+                >
+                  <h2 className="font-semibold text-lg text-primary">
+                    {patient.patientName}{" "}
+                    <PendingSyncBadge
+                      documentId={patient.$id}
+                      pending={patient.$pending}
+                    />
+                  </h2>
+                  {patient.chartNumber && (
+                    <p className="text-xs font-mono text-gray-500">
+                      {patient.chartNumber}
+                    </p>
+                  )}
+                  <p className="text-sm text-gray-600">{patient.address}</p>
+                  <p className="text-sm">{patient.contact}</p>
+                  <p className="text-xs text-gray-500">
+                    Age {calculateAge(patient.birthdate) ?? "—"} · Last visit{" "}
+                    {lastVisit(patient)}
+                  </p>
+                  <div className="flex gap-2 mt-3">
+                    <button
+                      className="btn btn-info btn-sm flex-1"
+                      onClick={() => handleView(patient)}
                     >
-                      <h2 className="font-semibold text-lg text-primary">
-                        {patient.patientName}
-                      </h2>
-                      <p className="text-sm text-gray-600">{patient.address}</p>
-                      <p className="text-sm">{patient.contact}</p>
-                      <div className="flex gap-2 mt-3">
-                        <button
-                          className="btn btn-info btn-sm flex-1"
-                          onClick={() => handleView(patient)}
-                        >
-                          <FiEye /> View
-                        </button>
-                        <button
-                          className="btn btn-error btn-sm flex-1"
-                          onClick={() => handleDeleteConfirm(patient)}
-                        >
-                          <FiTrash2 /> Delete
-                        </button>
-                      </div>
-                    </div>
-                  ))
-              }
+                      <FiEye /> View
+                    </button>
+                    {canMerge && (
+                      <button
+                        className="btn btn-outline btn-sm flex-1"
+                        onClick={() => setMergePatient(patient)}
+                      >
+                        <FiGitMerge /> Merge
+                      </button>
+                    )}
+                    {canDelete && (
+                      <button
+                        className="btn btn-error btn-sm flex-1"
+                        onClick={() => handleDeleteConfirm(patient)}
+                      >
+                        <FiTrash2 /> Delete
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
             </div>
+
+            {/* Load More */}
+            {hasMore && (
+              <div className="flex flex-col items-center gap-1 py-4">
+                <button
+                  className="btn btn-sm bg-[var(--theme-color)] text-white border-none rounded-lg"
+                  onClick={fetchMorePatients}
+                  disabled={loadingMore}
+                >
+                  {loadingMore ? (
+                    <>
+                      <span className="loading loading-spinner loading-sm"></span>
+                      Loading...
+                    </>
+                  ) : (
+                    "Load more"
+                  )}
+                </button>
+                <span className="text-xs text-gray-500">
+                  Showing {patients.length} of {total}
+                </span>
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -262,6 +611,16 @@ export default function PatientsSection() {
         patient={selectedPatient}
         isOpen={isModalOpen}
         onClose={() => setIsModalOpen(false)}
+        onOpenPatient={setSelectedPatient}
+        onOpenAppointment={onOpenAppointment}
+      />
+
+      <ImportPatientsModal isOpen={isImportOpen} onClose={handleImported} />
+
+      <MergePatientsModal
+        patient={mergePatient}
+        isOpen={!!mergePatient}
+        onClose={handleMerged}
       />
 
       {confirmModal.isOpen && (
@@ -271,7 +630,8 @@ export default function PatientsSection() {
             <p className="py-3 text-lg text-gray-300">
               Are you sure you want to delete{" "}
               <strong>{confirmModal.patient?.patientName}</strong>? <br />
-              This action cannot be undone.
+              Their transactions and installments go to the Trash with them and
+              can be restored from Settings › Trash.
             </p>
             <div className="flex justify-end gap-3 mt-4">
               <button
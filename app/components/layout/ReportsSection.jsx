@@ -5,6 +5,23 @@ import { useTransactionsStore } from "@/app/stores/useTransactionsStore";
 import { FiDownload, FiTrash2 } from "react-icons/fi";
 import clsx from "clsx";
 import ExpensesTab from "../helper/ExpensesTab";
+import { useCan } from "@/app/stores/authStore";
+import { useBranchStore } from "@/app/stores/useBranchStore";
+import BranchBreakdown from "../helper/BranchBreakdown";
+import { planTotals } from "@/app/lib/balances";
+import { formatMoney, minor, sumMoney } from "@/app/lib/money";
+import { useMoney } from "@/app/stores/usePersonalizationStore";
+import { fetchChartNumbers } from "@/app/lib/chartNumbers";
+import { useClaimsStore } from "@/app/stores/useClaimsStore";
+import {
+  CLAIM_STATUS_LABELS,
+  claimOutstanding,
+  hmoReceivables,
+} from "@/app/lib/hmo";
+import HmoClaimsTab from "../helper/HmoClaimsTab";
+
+// PDFs show "PHP 1,500.50" (see formatMoney)
+const pdfMoney = (amount) => formatMoney(amount, { currencyDisplay: "code" });
 
 export default function ReportsAnalytics() {
   const {
@@ -18,23 +35,25 @@ export default function ReportsAnalytics() {
 
   const [dateRange, setDateRange] = useState({ from: "", to: "" });
   const [activeTab, setActiveTab] = useState("Sales");
+  const canViewExpenses = useCan()("expenses:view");
+  const { activeBranchId, branches, getBranchName } = useBranchStore();
+  const money = useMoney();
+  const { claims, loading: loadingClaims, fetchClaims } = useClaimsStore();
 
   useEffect(() => {
     fetchAllPayments(); // fetch all transactions + installments
-  }, [fetchAllPayments]);
+    fetchClaims(); // HMO claims
+  }, [fetchAllPayments, fetchClaims]);
 
-  // --- 1. Map Installment Payments to Original Transaction ID ---
-  const paymentsByTransactionId = useMemo(() => {
+  // 📡 Live updates from other workstations
+  useEffect(() => useTransactionsStore.getState().subscribe(), []);
+
+  // --- 1. Group Installment Payments by the Transaction they pay ---
+  const installmentsByTransactionId = useMemo(() => {
     const map = new Map();
     installments.forEach((i) => {
-      // ASSUMPTION: 'i.originalTransactionId' links the installment payment to the original sale in 'transactions'
-      const key = i.originalTransactionId || i.transactionId; // Use transactionId if originalTransactionId is not present
-      const amount = parseFloat(i.amount || 0);
-      if (map.has(key)) {
-        map.set(key, map.get(key) + amount);
-      } else {
-        map.set(key, amount);
-      }
+      const key = i.transactionId;
+      map.set(key, [...(map.get(key) || []), i]);
     });
     return map;
   }, [installments]);
@@ -43,17 +62,12 @@ export default function ReportsAnalytics() {
   const salesTransactions = useMemo(() => {
     return transactions
       .map((t) => {
-        // ASSUMPTION: t.paymentType exists in 'transactions' and is 'installment' or 'full'
-        const isInstallmentPlan = t.paymentType === "installment";
-
-        // This calculates the TOTAL PAID across all installments for a plan
-        const totalPaid =
-          t.paid + (paymentsByTransactionId.get(t.$id) || 0) - (t.paid || 0);
-
-        const originalAmount = parseFloat(t.totalAmount || 0);
-        const remainingBalance = isInstallmentPlan
-          ? originalAmount - totalPaid
-          : 0;
+        // Same derivation as the stored totals (lib/balances.js)
+        const { paid: totalPaid, remaining: remainingBalance } = planTotals(
+          t,
+          installmentsByTransactionId.get(t.$id) || []
+        );
+        const originalAmount = minor(t.totalAmount);
 
         return {
           id: t.$id,
@@ -66,8 +80,8 @@ export default function ReportsAnalytics() {
           date: new Date(t.$createdAt),
           patientId: t.patientId || "N/A",
           patientName: t.patientName,
-          totalPaid: isInstallmentPlan ? totalPaid : originalAmount,
-          remainingBalance: remainingBalance,
+          totalPaid,
+          remainingBalance,
         };
       })
       .filter((t) => {
@@ -81,7 +95,19 @@ export default function ReportsAnalytics() {
         return date >= from && date <= to;
       })
       .sort((a, b) => b.date.getTime() - a.date.getTime()); // newest first
-  }, [transactions, paymentsByTransactionId, dateRange]);
+  }, [transactions, installmentsByTransactionId, dateRange]);
+
+  // --- HMO claims filed in the date range (HMO Claims tab) ---
+  const hmoClaims = useMemo(() => {
+    const from = dateRange.from
+      ? new Date(dateRange.from).getTime()
+      : -Infinity;
+    const to = dateRange.to ? new Date(dateRange.to).getTime() : Infinity;
+    return claims.filter((c) => {
+      const date = new Date(c.submittedAt || c.$createdAt).getTime();
+      return date >= from && date <= to;
+    });
+  }, [claims, dateRange]);
 
   // --- 3. All Individual Payments (Full Payments + Installment Payments) ---
   // THIS IS THE DATA SOURCE THAT WILL BE USED FOR THE TABLE VIEW
@@ -93,7 +119,7 @@ export default function ReportsAnalytics() {
         .map((t) => ({
           id: t.$id,
           type: "Full",
-          amount: parseFloat(t.totalAmount || 0),
+          amount: minor(t.totalAmount),
           date: new Date(t.$createdAt),
           patientName: t.patientName, // ADDED
           remaining: 0, // Full payment means 0 remaining
@@ -103,10 +129,10 @@ export default function ReportsAnalytics() {
       ...installments.map((i) => ({
         id: i.$id,
         type: "Installment",
-        amount: parseFloat(i.amount || 0),
+        amount: minor(i.amount),
         date: new Date(i.dateTransact || i.$createdAt),
         patientName: i.patientName, // ADDED
-        remaining: parseFloat(i.remaining || 0), // ADDED (Remaining balance after this specific payment)
+        remaining: minor(i.remaining), // ADDED (Remaining balance after this specific payment)
         originalTransactionId: i.transactionId, // ADDED
       })),
     ]; // Filter by date range on the *payment date*
@@ -124,6 +150,24 @@ export default function ReportsAnalytics() {
       .sort((a, b) => b.date.getTime() - a.date.getTime()); // newest first
   }, [transactions, installments, dateRange]);
 
+  // 🏥 Per-branch split of the same date range (consolidated view)
+  const branchBreakdownData = useMemo(() => {
+    const inRange = (date) => {
+      const time = new Date(date).getTime();
+      const from = dateRange.from
+        ? new Date(dateRange.from).getTime()
+        : -Infinity;
+      const to = dateRange.to ? new Date(dateRange.to).getTime() : Infinity;
+      return time >= from && time <= to;
+    };
+    return {
+      transactions: transactions.filter((t) => inRange(t.$createdAt)),
+      installments: installments.filter((i) =>
+        inRange(i.dateTransact || i.$createdAt)
+      ),
+    };
+  }, [transactions, installments, dateRange]);
+
   // 📊 Calculations (Using the filtered data)
   // Total money collected in the selected date range (Cash Flow)
   const totalCashReceived = allIndividualPayments.reduce(
@@ -143,10 +187,7 @@ export default function ReportsAnalytics() {
   // Total value of all sales/services rendered (True Revenue, uses original sales)
   const totalSales = salesTransactions.reduce((sum, t) => sum + t.amount, 0);
 
-  const totalExpenses = expenses.reduce(
-    (s, ex) => s + parseFloat(ex.amount || 0),
-    0
-  );
+  const totalExpenses = sumMoney(expenses, "amount");
 
   // Net Revenue is calculated from actual cash collected minus expenses
   const netRevenue = totalCashReceived - totalExpenses;
@@ -198,16 +239,22 @@ export default function ReportsAnalytics() {
       doc.setFontSize(10);
       doc.setTextColor(100);
       doc.text(
-        `Report Type: ${activeTab} | Generated: ${new Date().toLocaleString()}`,
+        `Report Type: ${activeTab} | Branch: ${
+          activeBranchId ? getBranchName(activeBranchId) : "All branches"
+        } | Generated: ${new Date().toLocaleString()}`,
         14,
         22
       );
 
       // build table depending on activeTab (Sales uses salesTransactions with balance)
       if (activeTab === "Sales") {
+        const chartNumbers = await fetchChartNumbers(
+          salesTransactions.map((p) => p.patientId)
+        );
         const head = [
           [
             "Date",
+            "Chart No.",
             "Patient Name",
             "Type",
             "Original Amount",
@@ -218,13 +265,12 @@ export default function ReportsAnalytics() {
         // NOTE: PDF Export for Sales uses salesTransactions (Original Sale Records) for clean financial reporting
         const body = salesTransactions.map((p) => [
           p.date.toLocaleDateString(),
+          chartNumbers[p.patientId] || "—",
           p.patientName ?? "N/A",
           p.type,
-          `₱${p.amount.toLocaleString()}`,
-          `₱${p.totalPaid.toLocaleString()}`,
-          p.type === "Full Payment"
-            ? "—"
-            : `₱${p.remainingBalance.toLocaleString()}`,
+          pdfMoney(p.amount),
+          pdfMoney(p.totalPaid),
+          p.type === "Full Payment" ? "—" : pdfMoney(p.remainingBalance),
         ]);
 
         const ok = callAutoTable({
@@ -244,28 +290,82 @@ export default function ReportsAnalytics() {
         doc.text("Summary", 14, y);
         doc.setFontSize(10);
         doc.text(
-          `Total Sales Value (Revenue): ₱${totalSales.toLocaleString()}`,
+          `Total Sales Value (Revenue): ${pdfMoney(totalSales)}`,
           14,
           y + 7
         );
         doc.text(
-          `Total Cash Collected: ₱${totalCashReceived.toLocaleString()}`,
+          `Total Cash Collected: ${pdfMoney(totalCashReceived)}`,
           14,
           y + 14
         );
         doc.text(
-          `Installment Payments Collected: ₱${totalInstallmentPayments.toLocaleString()}`,
+          `Installment Payments Collected: ${pdfMoney(
+            totalInstallmentPayments
+          )}`,
           14,
           y + 21
         );
-        doc.text(`Net Revenue: ₱${netRevenue.toLocaleString()}`, 14, y + 28);
+        doc.text(`Net Revenue: ${pdfMoney(netRevenue)}`, 14, y + 28);
+      } else if (activeTab === "HMO Claims") {
+        const receivables = hmoReceivables(hmoClaims);
+        const ok = callAutoTable({
+          head: [["HMO", "Open", "Claimed", "Approved", "Paid", "Outstanding"]],
+          body: receivables.map((r) => [
+            r.providerName,
+            r.open,
+            pdfMoney(r.claimed),
+            pdfMoney(r.approved),
+            pdfMoney(r.paid),
+            pdfMoney(r.outstanding),
+          ]),
+          startY: 30,
+          theme: "striped",
+          headStyles: { fillColor: [34, 197, 94] },
+        });
+
+        if (!ok) throw new Error("AutoTable plugin not available");
+
+        // Open claims, oldest first, for follow-up calls
+        const open = hmoClaims
+          .filter((c) => claimOutstanding(c) > 0)
+          .sort((a, b) =>
+            (a.submittedAt || "").localeCompare(b.submittedAt || "")
+          );
+        callAutoTable({
+          head: [
+            ["Filed", "Patient", "Member ID", "HMO", "Status", "Outstanding"],
+          ],
+          body: open.map((c) => [
+            new Date(c.submittedAt || c.$createdAt).toLocaleDateString(),
+            c.patientName ?? "N/A",
+            c.memberId || "—",
+            c.providerName,
+            CLAIM_STATUS_LABELS[c.status],
+            pdfMoney(claimOutstanding(c)),
+          ]),
+          startY: doc.lastAutoTable ? doc.lastAutoTable.finalY + 10 : 30,
+          theme: "striped",
+          headStyles: { fillColor: [34, 197, 94] },
+        });
+
+        const y = doc.lastAutoTable ? doc.lastAutoTable.finalY + 10 : 30;
+        doc.setFontSize(12);
+        doc.setTextColor(0);
+        doc.text(
+          `Total HMO receivables: ${pdfMoney(
+            receivables.reduce((sum, r) => sum + r.outstanding, 0)
+          )}`,
+          14,
+          y
+        );
       } else {
         // Expenses tab
         const head = [["Title", "Category", "Amount", "Date"]];
         const body = expenses.map((e) => [
           e.title || "—",
           e.category || "—",
-          `${parseFloat(e.amount || 0).toLocaleString()}`,
+          pdfMoney(e.amount),
           e.dateSpent ? new Date(e.dateSpent).toLocaleDateString() : "—",
         ]);
 
@@ -279,14 +379,10 @@ export default function ReportsAnalytics() {
 
         if (!ok) throw new Error("AutoTable plugin not available");
 
-        const totalExpenses = expenses.reduce(
-          (s, ex) => s + parseFloat(ex.amount || 0),
-          0
-        );
         const y = doc.lastAutoTable ? doc.lastAutoTable.finalY + 10 : 30;
         doc.setFontSize(12);
         doc.setTextColor(0);
-        doc.text(`Total Expenses: ₱${totalExpenses.toLocaleString()}`, 14, y);
+        doc.text(`Total Expenses: ${pdfMoney(totalExpenses)}`, 14, y);
       }
 
       // footer
@@ -317,6 +413,13 @@ export default function ReportsAnalytics() {
           </h1>
           <p className="text-gray-500">
             View and filter all financial transactions.
+            {branches.length > 0 && (
+              <span className="ml-1 font-medium text-[var(--theme-color)]">
+                {activeBranchId
+                  ? `Branch: ${getBranchName(activeBranchId)}`
+                  : "All branches (consolidated)"}
+              </span>
+            )}
           </p>
         </div>
         <button
@@ -329,20 +432,22 @@ export default function ReportsAnalytics() {
 
       {/* Tabs */}
       <div className="flex space-x-2 border-b border-green-200/50">
-        {["Sales", "Expenses"].map((tab) => (
-          <button
-            key={tab}
-            onClick={() => setActiveTab(tab)}
-            className={clsx(
-              "px-4 py-2 font-semibold rounded-t-md transition",
-              activeTab === tab
-                ? "bg-[var(--theme-color)] text-white"
-                : "text-[var(--theme-color)]/80 hover:bg-green-100"
-            )}
-          >
-            {tab}
-          </button>
-        ))}
+        {["Sales", ...(canViewExpenses ? ["Expenses"] : []), "HMO Claims"].map(
+          (tab) => (
+            <button
+              key={tab}
+              onClick={() => setActiveTab(tab)}
+              className={clsx(
+                "px-4 py-2 font-semibold rounded-t-md transition",
+                activeTab === tab
+                  ? "bg-[var(--theme-color)] text-white"
+                  : "text-[var(--theme-color)]/80 hover:bg-green-100"
+              )}
+            >
+              {tab}
+            </button>
+          )
+        )}
       </div>
 
       {/* Filters */}
@@ -378,16 +483,26 @@ export default function ReportsAnalytics() {
               {loading ? "Loading..." : "Sales " + allIndividualPayments.length}{" "}
               {/* Using cash flow length */}
             </span>{" "}
-            <span className="font-semibold text-red-600">
-              {loading ? "Loading..." : "Expense " + expenses.length}
-            </span>{" "}
+            {canViewExpenses && (
+              <span className="font-semibold text-red-600">
+                {loading ? "Loading..." : "Expense " + expenses.length}
+              </span>
+            )}{" "}
             records
           </div>
         </div>
       </div>
 
+      <BranchBreakdown
+        {...branchBreakdownData}
+        expenses={expenses}
+        showExpenses={canViewExpenses}
+      />
+
       {/* Sales Tab */}
-      {activeTab === "Sales" ? (
+      {activeTab === "HMO Claims" ? (
+        <HmoClaimsTab claims={hmoClaims} loading={loadingClaims} />
+      ) : activeTab === "Sales" || !canViewExpenses ? (
         <>
           {/* Stats */}
           <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
@@ -396,7 +511,7 @@ export default function ReportsAnalytics() {
                 Total Cash Collected
               </div>
               <div className="stat-value text-[var(--theme-color)]/80 text-2xl font-bold">
-                ₱{totalCashReceived.toLocaleString()}
+                {money(totalCashReceived)}
               </div>
             </div>
 
@@ -405,7 +520,7 @@ export default function ReportsAnalytics() {
                 Full Payments Received
               </div>
               <div className="stat-value text-[var(--theme-color)] text-2xl font-bold">
-                ₱{totalFullPaymentsReceived.toLocaleString()}
+                {money(totalFullPaymentsReceived)}
               </div>
             </div>
 
@@ -414,14 +529,14 @@ export default function ReportsAnalytics() {
                 Installment Payments
               </div>
               <div className="stat-value text-emerald-500 text-2xl font-bold">
-                ₱{totalInstallmentPayments.toLocaleString()}
+                {money(totalInstallmentPayments)}
               </div>
             </div>
 
             <div className="stat bg-white border border-green-300/40 rounded-xl p-5 shadow-sm">
               <div className="stat-title text-gray-600">Net Revenue</div>
               <div className="stat-value text-mint-600 text-2xl font-bold">
-                ₱{netRevenue.toLocaleString()}
+                {money(netRevenue)}
               </div>
             </div>
           </div>
@@ -463,8 +578,7 @@ export default function ReportsAnalytics() {
                           </span>
                         </td>
                         <td className="font-medium text-200-600">
-                          ₱{p.amount.toLocaleString()}{" "}
-                          {/* Individual payment amount */}
+                          {money(p.amount)} {/* Individual payment amount */}
                         </td>
                         <td
                           className={clsx(
@@ -474,9 +588,7 @@ export default function ReportsAnalytics() {
                               : "text-gray-500" // Use 'p.remaining' from installment
                           )}
                         >
-                          {p.type === "Full"
-                            ? "—"
-                            : `₱${(p.remaining || 0).toLocaleString()}`}
+                          {p.type === "Full" ? "—" : money(p.remaining)}
                         </td>
                         {/* <td className="text-center">
                           <button
@@ -515,7 +627,7 @@ export default function ReportsAnalytics() {
                       </span>
                     </div>
                     <div className="text-[var(--theme-color)] font-semibold text-lg">
-                      Amount Paid: ₱{p.amount.toLocaleString()}
+                      Amount Paid: {money(p.amount)}
                     </div>
                     {p.type === "Installment" && (
                       <div
@@ -526,8 +638,7 @@ export default function ReportsAnalytics() {
                             : "text-green-500"
                         )}
                       >
-                        Remaining Balance: ₱
-                        {(p.remaining || 0).toLocaleString()}
+                        Remaining Balance: {money(p.remaining)}
                       </div>
                     )}
                     <div className="text-sm text-gray-500 mb-2">
@@ -15,19 +15,22 @@ import {
   ResponsiveContainer,
   CartesianGrid,
 } from "recharts";
+import { useMoney } from "@/app/stores/usePersonalizationStore";
 
-// Dummy data for sales trend
+// Dummy data for sales trend (centavos, like stored amounts)
 const salesData = [
-  { day: "Mon", revenue: 1200 },
-  { day: "Tue", revenue: 900 },
-  { day: "Wed", revenue: 1500 },
-  { day: "Thu", revenue: 1100 },
-  { day: "Fri", revenue: 2000 },
-  { day: "Sat", revenue: 1800 },
-  { day: "Sun", revenue: 2200 },
+  { day: "Mon", revenue: 120000 },
+  { day: "Tue", revenue: 90000 },
+  { day: "Wed", revenue: 150000 },
+  { day: "Thu", revenue: 110000 },
+  { day: "Fri", revenue: 200000 },
+  { day: "Sat", revenue: 180000 },
+  { day: "Sun", revenue: 220000 },
 ];
 
 export default function SalesSection() {
+  const money = useMoney();
+
   return (
     <div className="p-6 space-y-6">
       <h1 className="text-2xl font-bold mb-4">💰 Sales Overview</h1>
@@ -38,7 +41,7 @@ export default function SalesSection() {
           <div className="flex items-center justify-between">
             <div>
               <p className="text-sm text-gray-500">Today’s Revenue</p>
-              <h2 className="text-2xl font-bold">$2,150</h2>
+              <h2 className="text-2xl font-bold">{money(215000)}</h2>
             </div>
             <FiDollarSign className="text-primary text-3xl" />
           </div>
@@ -48,7 +51,7 @@ export default function SalesSection() {
           <div className="flex items-center justify-between">
             <div>
               <p className="text-sm text-gray-500">Outstanding Balance</p>
-              <h2 className="text-2xl font-bold">$4,780</h2>
+              <h2 className="text-2xl font-bold">{money(478000)}</h2>
             </div>
             <FiPieChart className="text-secondary text-3xl" />
           </div>
@@ -75,8 +78,8 @@ export default function SalesSection() {
             <LineChart data={salesData}>
               <CartesianGrid strokeDasharray="3 3" className="opacity-30" />
               <XAxis dataKey="day" />
-              <YAxis />
-              <Tooltip />
+              <YAxis tickFormatter={money} width={90} />
+              <Tooltip formatter={money} />
               <Line
                 type="monotone"
                 dataKey="revenue"
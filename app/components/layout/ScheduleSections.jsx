@@ -4,7 +4,6 @@ import {
   Clock,
   Loader2,
   Plus,
-  Users,
   X,
   AlertTriangle,
   ChevronLeft,
@@ -12,9 +11,15 @@ import {
   ClipboardList,
   Trash2,
 } from "lucide-react";
-import { databases, client, ID } from "@/app/lib/appwrite";
-import { Query } from "appwrite";
+import { db, ID, Query } from "@/app/lib/db";
+import { listAll } from "@/app/lib/paginate";
 import toast, { Toaster } from "react-hot-toast";
+import PendingSyncBadge from "../helper/PendingSyncBadge";
+import FieldError from "../helper/FieldError";
+import { firstError, validate } from "@/app/lib/validation";
+import { fetchClinicalAlerts } from "@/app/lib/clinicalAlerts";
+import ClinicalAlertBanner from "../helper/ClinicalAlertBanner";
+import PatientPicker from "../helper/PatientPicker";
 
 /* ----------------------------------------------------------
     Helper Functions
@@ -65,25 +70,17 @@ const getWeekRange = (date) => {
 };
 
 /* ----------------------------------------------------------
-    Appwrite Config
+    Data Access
 ---------------------------------------------------------- */
 
-const DATABASE_ID = process.env.NEXT_PUBLIC_DATABASE_ID;
 const COLLECTION_ID = "schedules";
 
-const appwriteService = {
+const scheduleService = {
   onDocuments: (collectionId, callback, setError) => {
-    if (!databases || !client) {
-      setError("Appwrite not initialized.");
-      return () => {};
-    }
-
     const fetchDocs = async () => {
       try {
-        const res = await databases.listDocuments(DATABASE_ID, collectionId, [
-          Query.orderAsc("date"),
-        ]);
-        callback(res.documents);
+        const docs = await listAll(collectionId, [Query.orderAsc("date")]);
+        callback(docs);
       } catch (e) {
         setError(`Error: ${e.message}`);
       }
@@ -91,23 +88,23 @@ const appwriteService = {
 
     fetchDocs();
 
-    const unsub = client.subscribe(
-      `databases.${DATABASE_ID}.collections.${collectionId}.documents`,
-      fetchDocs
-    );
+    const unsub = db.subscribe(collectionId, fetchDocs);
 
     return () => unsub();
   },
 
-  createDocument: async (collectionId, data) => {
-    return databases.createDocument(DATABASE_ID, collectionId, ID.unique(), {
+  createDocument: async (collectionId, values) => {
+    const { valid, errors, data } = validate("appointment", values);
+    if (!valid) throw new Error(firstError(errors));
+
+    return db.createDocument(collectionId, ID.unique(), {
       ...data,
       date: new Date(data.date).toISOString(),
     });
   },
 
   deleteDocument: async (collectionId, docId) => {
-    return databases.deleteDocument(DATABASE_ID, collectionId, docId);
+    return db.deleteDocument(collectionId, docId);
   },
 };
 
@@ -115,16 +112,29 @@ const appwriteService = {
     Event Card
 ---------------------------------------------------------- */
 
-const EventCard = ({ event, handleDelete }) => (
-  <div className="card w-full bg-base-100 shadow-lg border border-gray-100 hover:shadow-xl transition">
+const EventCard = ({ event, alerts, handleDelete, highlighted }) => (
+  <div
+    id={`appointment-${event.$id}`}
+    className={`card w-full bg-base-100 shadow-lg border hover:shadow-xl transition ${
+      highlighted ? "border-primary ring-2 ring-primary" : "border-gray-100"
+    }`}
+  >
     <div className="card-body p-5 flex flex-row justify-between items-center">
       <div className="flex-grow">
-        <h3 className="text-lg font-bold">{event.title}</h3>
+        <h3 className="text-lg font-bold">
+          {event.title}{" "}
+          <PendingSyncBadge documentId={event.$id} pending={event.$pending} />
+        </h3>
         <p className="text-sm text-gray-600 flex items-center space-x-2 mt-1">
           <Clock size={14} className="text-success" />
           <span>{formatDate(event.date)}</span>
           <span className="text-xs text-gray-400">({event.duration} min)</span>
         </p>
+        {alerts && (
+          <div className="mt-2">
+            <ClinicalAlertBanner alerts={alerts} compact />
+          </div>
+        )}
       </div>
 
       <div className="flex flex-col items-end space-y-1 ml-4">
@@ -283,7 +293,19 @@ const CalendarComponent = ({ events, selectedDate, onDateSelect }) => {
     MAIN APP
 ---------------------------------------------------------- */
 
-const App = () => {
+const EMPTY_EVENT = {
+  title: "",
+  date: "",
+  duration: 30,
+  public: false,
+};
+
+const NO_PATIENT = { patientId: "", patientName: "" };
+
+// `booking` ({ title, patientId, patientName }) opens the Add form prefilled,
+// e.g. from a Dashboard recall. `focus` (an appointment) opens its day with
+// it highlighted, e.g. from a patient's timeline.
+const App = ({ booking, onBookingOpened, focus, onFocusShown }) => {
   const [events, setEvents] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
 
@@ -294,25 +316,24 @@ const App = () => {
   const [selectedDate, setSelectedDate] = useState(new Date());
   const [viewMode, setViewMode] = useState("month");
 
-  const [newEvent, setNewEvent] = useState({
-    title: "",
-    date: "",
-    duration: 30,
-    public: false,
-  });
+  const [newEvent, setNewEvent] = useState(EMPTY_EVENT);
 
   const [showModal, setShowModal] = useState(false);
+  const [patient, setPatient] = useState(NO_PATIENT); // who the appointment is for
+  const [highlightId, setHighlightId] = useState(null);
+  const [errors, setErrors] = useState({});
   const [showConflictModal, setShowConflictModal] = useState(false);
   const [pendingEvent, setPendingEvent] = useState(null);
 
   const [error, setError] = useState(null);
+  const [alerts, setAlerts] = useState({}); // patientId -> clinical alerts
 
   /* ----------------------------------------------------------
-      Appwrite Subscription
+      Realtime Subscription
   ---------------------------------------------------------- */
 
   useEffect(() => {
-    const unsub = appwriteService.onDocuments(
+    const unsub = scheduleService.onDocuments(
       COLLECTION_ID,
       (docs) => {
         const mapped = docs.map((d) => ({
@@ -334,6 +355,45 @@ const App = () => {
     return unsub;
   }, []);
 
+  /* ----------------------------------------------------------
+      Booking From Elsewhere
+  ---------------------------------------------------------- */
+
+  useEffect(() => {
+    if (!booking) return;
+    setNewEvent({ ...EMPTY_EVENT, title: booking.title });
+    setPatient({
+      patientId: booking.patientId,
+      patientName: booking.patientName,
+    });
+    setErrors({});
+    setShowModal(true);
+    onBookingOpened?.();
+  }, [booking]);
+
+  useEffect(() => {
+    if (!focus) return;
+    setSelectedDate(new Date(focus.date));
+    setViewMode("day");
+    setHighlightId(focus.$id);
+    onFocusShown?.();
+  }, [focus]);
+
+  // Bring it into view once the list is there
+  useEffect(() => {
+    if (!highlightId || isLoading) return;
+    document
+      .getElementById(`appointment-${highlightId}`)
+      ?.scrollIntoView({ block: "center", behavior: "smooth" });
+  }, [highlightId, isLoading]);
+
+  const closeModal = () => {
+    setShowModal(false);
+    setErrors({});
+    setPatient(NO_PATIENT);
+    setNewEvent(EMPTY_EVENT);
+  };
+
   /* ----------------------------------------------------------
       Weekly View Helpers
   ---------------------------------------------------------- */
@@ -357,6 +417,27 @@ const App = () => {
     return events.filter((e) => isSameMonth(e.date, selectedDate));
   }, [events, viewMode, selectedDate]);
 
+  /* ----------------------------------------------------------
+      Clinical Alerts Of The Listed Patients
+  ---------------------------------------------------------- */
+
+  const listedPatients = [
+    ...new Set(filteredEvents.map((e) => e.patientId).filter(Boolean)),
+  ]
+    .sort()
+    .join(",");
+
+  useEffect(() => {
+    if (!listedPatients) return;
+    let cancelled = false;
+    fetchClinicalAlerts(listedPatients.split(","))
+      .then((found) => !cancelled && setAlerts(found))
+      .catch((err) => console.error("Error fetching clinical alerts:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [listedPatients]);
+
   /* ----------------------------------------------------------
       Conflict Detection (A + C)
   ---------------------------------------------------------- */
@@ -380,20 +461,22 @@ const App = () => {
   ---------------------------------------------------------- */
 
   const attemptAddEvent = async () => {
-    if (!newEvent.title || !newEvent.date) {
-      toast.error("Title and date are required.");
-      return;
-    }
+    const { valid, errors } = validate("appointment", newEvent);
+    setErrors(errors);
+    if (!valid) return;
+
+    // Linked so the patient's last visit, timeline and alerts pick it up
+    const evt = { ...newEvent, patientId: patient.patientId || null };
 
     // Conflict detected
-    if (hasConflict(newEvent)) {
-      setPendingEvent(newEvent);
+    if (hasConflict(evt)) {
+      setPendingEvent(evt);
       setShowConflictModal(true);
       return;
     }
 
     // No conflict → proceed
-    saveEvent(newEvent);
+    saveEvent(evt);
   };
 
   const saveEvent = async (evt) => {
@@ -401,18 +484,14 @@ const App = () => {
       setIsSaving(true);
       toast.loading("Saving...", { id: "saving" });
 
-      await appwriteService.createDocument(COLLECTION_ID, evt);
+      await scheduleService.createDocument(COLLECTION_ID, evt);
 
       toast.success("Appointment added!", { id: "saving" });
       setShowModal(false);
       setShowConflictModal(false);
 
-      setNewEvent({
-        title: "",
-        date: "",
-        duration: 30,
-        public: false,
-      });
+      setNewEvent(EMPTY_EVENT);
+      setPatient(NO_PATIENT);
 
       setPendingEvent(null);
     } catch (e) {
@@ -433,7 +512,7 @@ const App = () => {
       setIsDeleting(true);
       toast.loading("Deleting...", { id: "del" });
 
-      await appwriteService.deleteDocument(COLLECTION_ID, deleteId);
+      await scheduleService.deleteDocument(COLLECTION_ID, deleteId);
 
       toast.success("Deleted!", { id: "del" });
       setDeleteId(null);
@@ -563,7 +642,9 @@ const App = () => {
                 <EventCard
                   key={event.$id}
                   event={event}
+                  alerts={alerts[event.patientId]}
                   handleDelete={confirmDelete}
+                  highlighted={event.$id === highlightId}
                 />
               ))
             ) : (
@@ -592,7 +673,7 @@ const App = () => {
           <div className="modal-box">
             <button
               className="btn btn-sm btn-circle btn-ghost absolute right-2 top-2"
-              onClick={() => setShowModal(false)}
+              onClick={closeModal}
             >
               ✕
             </button>
@@ -600,24 +681,36 @@ const App = () => {
             <h3 className="text-xl font-bold mb-4">Add Appointment</h3>
 
             <div className="space-y-4">
-              <input
-                type="text"
-                placeholder="Title"
-                className="input input-bordered w-full"
-                value={newEvent.title}
-                onChange={(e) =>
-                  setNewEvent((p) => ({ ...p, title: e.target.value }))
-                }
+              <PatientPicker
+                value={patient}
+                onChange={setPatient}
+                placeholder="Patient (leave blank for other bookings)"
               />
 
-              <input
-                type="datetime-local"
-                className="input input-bordered w-full"
-                value={newEvent.date}
-                onChange={(e) =>
-                  setNewEvent((p) => ({ ...p, date: e.target.value }))
-                }
-              />
+              <div>
+                <input
+                  type="text"
+                  placeholder="Title"
+                  className="input input-bordered w-full"
+                  value={newEvent.title}
+                  onChange={(e) =>
+                    setNewEvent((p) => ({ ...p, title: e.target.value }))
+                  }
+                />
+                <FieldError error={errors.title} />
+              </div>
+
+              <div>
+                <input
+                  type="datetime-local"
+                  className="input input-bordered w-full"
+                  value={newEvent.date}
+                  onChange={(e) =>
+                    setNewEvent((p) => ({ ...p, date: e.target.value }))
+                  }
+                />
+                <FieldError error={errors.date} />
+              </div>
 
               <select
                 className="select select-bordered w-full"
@@ -6,12 +6,35 @@ import clsx from "clsx";
 import PersonalizationSettings from "../helper/PersonalizationSettings";
 import ServicesTab from "../helper/ServicesTab";
 import DentistTab from "../helper/DentistTab";
+import TrashTab from "../helper/TrashTab";
+import BranchesTab from "../helper/BranchesTab";
+import IntegrityTab from "../helper/IntegrityTab";
+import RecallRulesTab from "../helper/RecallRulesTab";
+import HmoTab from "../helper/HmoTab";
+import { useCan } from "@/app/stores/authStore";
+
+// 🔐 Tab -> permission needed to see it (Services is read-only without services:edit)
+const TAB_PERMISSIONS = {
+  Personalization: "settings:edit",
+  Services: "section:settings",
+  Recalls: "recalls:edit",
+  HMO: "hmo:edit",
+  Dentist: "settings:edit",
+  Branches: "branches:manage",
+  Trash: "trash:manage",
+  Integrity: "finances:repair",
+};
 
 export default function SettingsSection() {
   const [clinicName, setClinicName] = useState("NoaArc Dental Clinic");
   const [initial, setInitial] = useState("NoaArc Dental Clinic");
 
-  const [activeTab, setActiveTab] = useState("Personalization");
+  const can = useCan();
+  const tabs = Object.keys(TAB_PERMISSIONS).filter((tab) =>
+    can(TAB_PERMISSIONS[tab])
+  );
+  const [selectedTab, setActiveTab] = useState("Personalization");
+  const activeTab = tabs.includes(selectedTab) ? selectedTab : tabs[0];
 
   return (
     <div className="p-6 space-y-6">
@@ -20,7 +43,7 @@ export default function SettingsSection() {
       </h1>
       {/* Tabs */}
       <div className="flex space-x-2 border-b border-green-200/50">
-        {["Personalization", "Services", "Dentist"].map((tab) => (
+        {tabs.map((tab) => (
           <button
             key={tab}
             onClick={() => setActiveTab(tab)}
@@ -38,7 +61,12 @@ export default function SettingsSection() {
       {/* Clinic Info */}
       {activeTab === "Personalization" ? <PersonalizationSettings /> : ""}
       {activeTab === "Services" ? <ServicesTab /> : ""}
+      {activeTab === "Recalls" ? <RecallRulesTab /> : ""}
+      {activeTab === "HMO" ? <HmoTab /> : ""}
       {activeTab === "Dentist" ? <DentistTab /> : ""}
+      {activeTab === "Branches" ? <BranchesTab /> : ""}
+      {activeTab === "Trash" ? <TrashTab /> : ""}
+      {activeTab === "Integrity" ? <IntegrityTab /> : ""}
     </div>
   );
 }
@@ -1,6 +1,8 @@
 import { useAuthStore } from "@/app/stores/authStore";
 import { usePersonalizationStore } from "@/app/stores/usePersonalizationStore";
 import React, { useState, useEffect } from "react";
+import OutboxStatus from "../helper/OutboxStatus";
+import BranchSwitcher from "../helper/BranchSwitcher";
 import { FiLogOut, FiMenu, FiSettings, FiUser } from "react-icons/fi";
 
 function TopBar() {
@@ -43,6 +45,10 @@ function TopBar() {
           {dateTime}
         </span>
 
+        <BranchSwitcher />
+
+        <OutboxStatus />
+
         {/* User Dropdown */}
         <div className="dropdown dropdown-end">
           <div
@@ -23,7 +23,7 @@ export default function DentalChartModal({ patientId, onClose }) {
   };
 
   const handleUpdate = async (status) => {
-    await updateTooth(patientId, selectedTooth, status);
+    if (!(await updateTooth(patientId, selectedTooth, status))) return;
     toast.success("Tooth updated");
     setSelectedTooth(null);
   };
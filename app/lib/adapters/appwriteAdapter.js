@@ -0,0 +1,48 @@
+// lib/adapters/appwriteAdapter.js
+// Production backend: thin wrapper over the Appwrite Databases service that
+// binds the configured database ID so callers only deal with collections.
+
+import { client, databases } from "../appwrite";
+
+const DATABASE_ID = process.env.NEXT_PUBLIC_DATABASE_ID;
+
+export const appwriteAdapter = {
+  name: "appwrite",
+
+  listDocuments: (collectionId, queries = []) =>
+    databases.listDocuments(DATABASE_ID, collectionId, queries),
+
+  getDocument: (collectionId, documentId) =>
+    databases.getDocument(DATABASE_ID, collectionId, documentId),
+
+  createDocument: (collectionId, documentId, data) =>
+    databases.createDocument(DATABASE_ID, collectionId, documentId, data),
+
+  updateDocument: (collectionId, documentId, data) =>
+    databases.updateDocument(DATABASE_ID, collectionId, documentId, data),
+
+  deleteDocument: (collectionId, documentId) =>
+    databases.deleteDocument(DATABASE_ID, collectionId, documentId),
+
+  // 🔢 Atomic on the server: concurrent calls never get the same value
+  incrementDocumentAttribute: (
+    collectionId,
+    documentId,
+    attribute,
+    value = 1
+  ) =>
+    databases.incrementDocumentAttribute(
+      DATABASE_ID,
+      collectionId,
+      documentId,
+      attribute,
+      value
+    ),
+
+  // 🔔 Realtime: callback receives Appwrite's { events, payload } response
+  subscribe: (collectionId, callback) =>
+    client.subscribe(
+      `databases.${DATABASE_ID}.collections.${collectionId}.documents`,
+      callback
+    ),
+};
@@ -0,0 +1,27 @@
+// lib/adapters/appwriteFiles.js
+// Production file storage: thin wrapper over the Appwrite Storage service.
+// URLs are returned as promises so the local backend (object URLs read from
+// IndexedDB) can share the same interface.
+
+import { ID } from "appwrite";
+import { storage } from "../appwrite";
+
+export const appwriteFiles = {
+  name: "appwrite",
+
+  createFile: (bucketId, file, { onProgress } = {}) =>
+    storage.createFile(bucketId, ID.unique(), file, undefined, (progress) =>
+      onProgress?.(progress.progress)
+    ),
+
+  deleteFile: (bucketId, fileId) => storage.deleteFile(bucketId, fileId),
+
+  viewUrl: async (bucketId, fileId) => storage.getFileView(bucketId, fileId),
+
+  // Images only; Appwrite resizes on the server
+  previewUrl: async (bucketId, fileId, { width = 320, height = 320 } = {}) =>
+    storage.getFilePreview(bucketId, fileId, width, height),
+
+  downloadUrl: async (bucketId, fileId) =>
+    storage.getFileDownload(bucketId, fileId),
+};
@@ -0,0 +1,131 @@
+// lib/adapters/auditAdapter.js
+// Wraps an adapter so every create/update/delete leaves an entry in the
+// `auditlogs` collection: who did it, when, on which document, and the
+// before/after values of the fields that changed. Writing the entry is best
+// effort — a failed audit write is logged but never fails the mutation.
+
+import { ID } from "appwrite";
+import { useAuthStore } from "@/app/stores/authStore";
+
+export const AUDIT_COLLECTION_ID = "auditlogs";
+
+const MAX_VALUE_LENGTH = 60000; // stay under the attribute size limit
+
+const withoutSystem = (doc) =>
+  Object.fromEntries(
+    Object.entries(doc || {}).filter(([key]) => !key.startsWith("$"))
+  );
+
+const serialize = (values) => {
+  if (!values) return null;
+  const json = JSON.stringify(values);
+  return json.length > MAX_VALUE_LENGTH
+    ? json.slice(0, MAX_VALUE_LENGTH) + "…"
+    : json;
+};
+
+// Only the fields the update touched and actually changed
+const changedFields = (before, data) => {
+  const prev = {};
+  const next = {};
+  Object.entries(withoutSystem(data)).forEach(([key, value]) => {
+    if (JSON.stringify(before?.[key] ?? null) !== JSON.stringify(value)) {
+      prev[key] = before?.[key] ?? null;
+      next[key] = value;
+    }
+  });
+  return Object.keys(next).length ? { before: prev, after: next } : null;
+};
+
+// Soft deletes (lib/softDelete.js) are updates, but read better as such
+const describeUpdate = (before, after) => {
+  if ("deletedAt" in after && after.deletedAt && !before.deletedAt) {
+    return "trash";
+  }
+  if ("deletedAt" in after && !after.deletedAt && before.deletedAt) {
+    return "restore";
+  }
+  return "update";
+};
+
+export const withAudit = (adapter) => {
+  const record = async (entry) => {
+    const user = useAuthStore.getState().current;
+    const { collectionId, documentId, doc } = entry;
+
+    try {
+      await adapter.createDocument(AUDIT_COLLECTION_ID, ID.unique(), {
+        action: entry.action,
+        collectionId,
+        documentId,
+        userId: user?.$id || null,
+        userEmail: user?.email || null,
+        patientId:
+          collectionId === "patients" ? documentId : doc?.patientId || null,
+        patientName: doc?.patientName || null,
+        before: serialize(entry.before),
+        after: serialize(entry.after),
+        at: new Date().toISOString(),
+      });
+    } catch (err) {
+      console.warn("Audit log write failed:", err);
+    }
+  };
+
+  const snapshot = async (collectionId, documentId) => {
+    try {
+      return await adapter.getDocument(collectionId, documentId);
+    } catch {
+      return null; // offline or already gone: log without a before value
+    }
+  };
+
+  return {
+    ...adapter,
+
+    createDocument: async (collectionId, documentId, data) => {
+      const res = await adapter.createDocument(collectionId, documentId, data);
+      if (collectionId !== AUDIT_COLLECTION_ID) {
+        record({
+          action: "create",
+          collectionId,
+          documentId: res.$id,
+          doc: res,
+          before: null,
+          after: withoutSystem(data),
+        });
+      }
+      return res;
+    },
+
+    updateDocument: async (collectionId, documentId, data) => {
+      const before = await snapshot(collectionId, documentId);
+      const res = await adapter.updateDocument(collectionId, documentId, data);
+      const changes = changedFields(before, data);
+      if (changes) {
+        record({
+          action: describeUpdate(changes.before, changes.after),
+          collectionId,
+          documentId,
+          doc: { ...before, ...res },
+          ...changes,
+        });
+      }
+      return res;
+    },
+
+    deleteDocument: async (collectionId, documentId) => {
+      const before = await snapshot(collectionId, documentId);
+      const res = await adapter.deleteDocument(collectionId, documentId);
+      record({
+        action: "delete",
+        collectionId,
+        documentId,
+        doc: before,
+        before: withoutSystem(before),
+        after: null,
+      });
+      return res;
+    },
+  };
+};
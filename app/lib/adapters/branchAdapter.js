@@ -0,0 +1,73 @@
+// lib/adapters/branchAdapter.js
+// Wraps an adapter so branch-owned collections only show the active branch
+// (see stores/useBranchStore.js). Lists get a `branchId` filter and new
+// documents are stamped with the branch they belong to. With "All branches"
+// selected nothing is filtered, and new documents take their branch from the
+// patient or transaction they hang off.
+
+import { Query } from "appwrite";
+import { useBranchStore } from "@/app/stores/useBranchStore";
+
+export const BRANCH_SCOPED_COLLECTIONS = [
+  "patients",
+  "schedules",
+  "transactions",
+  "installments",
+  "expenses",
+  "claims",
+];
+
+// Parent reference -> collection holding its branchId
+const PARENTS = { transactionId: "transactions", patientId: "patients" };
+
+const activeBranchId = () => useBranchStore.getState().activeBranchId;
+
+const isScoped = (collectionId) =>
+  BRANCH_SCOPED_COLLECTIONS.includes(collectionId);
+
+// 🔹 Whether a document belongs in the current view (used for realtime events)
+export const inActiveBranch = (collectionId, doc) => {
+  const branchId = activeBranchId();
+  return !branchId || !isScoped(collectionId) || doc?.branchId === branchId;
+};
+
+export const withBranchScope = (adapter) => {
+  const inheritBranch = async (data) => {
+    for (const [key, collectionId] of Object.entries(PARENTS)) {
+      if (!data[key]) continue;
+      try {
+        const parent = await adapter.getDocument(collectionId, data[key]);
+        if (parent?.branchId) return parent.branchId;
+      } catch {
+        // parent unreachable (offline, legacy id): leave it unassigned
+      }
+    }
+    return null;
+  };
+
+  return {
+    ...adapter,
+
+    listDocuments: (collectionId, queries = []) => {
+      const branchId = activeBranchId();
+      return adapter.listDocuments(
+        collectionId,
+        branchId && isScoped(collectionId)
+          ? [...queries, Query.equal("branchId", branchId)]
+          : queries
+      );
+    },
+
+    createDocument: async (collectionId, documentId, data) => {
+      if (!isScoped(collectionId) || data.branchId) {
+        return adapter.createDocument(collectionId, documentId, data);
+      }
+      const branchId = activeBranchId() || (await inheritBranch(data));
+      return adapter.createDocument(
+        collectionId,
+        documentId,
+        branchId ? { ...data, branchId } : data
+      );
+    },
+  };
+};
@@ -0,0 +1,71 @@
+// lib/adapters/localAccount.js
+// Demo stand-in for Appwrite's Account service. Any email/password pair is
+// accepted (nothing is verified or stored besides the signed-in user), which
+// is enough to get past the login screen when running without a server.
+
+import { AppwriteException, ID } from "appwrite";
+
+const SESSION_KEY = "cliniqly-local-session";
+
+const readSession = () => {
+  if (typeof window === "undefined") return null;
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch {
+    return null;
+  }
+};
+
+const writeSession = (user) => {
+  if (typeof window === "undefined") return;
+  if (user) localStorage.setItem(SESSION_KEY, JSON.stringify(user));
+  else localStorage.removeItem(SESSION_KEY);
+};
+
+// Sign in as dentist@... or receptionist@... to try a role; anyone else is admin
+const demoLabels = (email) => {
+  const name = email.split("@")[0].toLowerCase();
+  return ["dentist", "receptionist"].includes(name) ? [name] : ["admin"];
+};
+
+const makeUser = (email, userId = ID.unique()) => {
+  const now = new Date().toISOString();
+  return {
+    $id: userId,
+    $createdAt: now,
+    $updatedAt: now,
+    name: email.split("@")[0],
+    email,
+    labels: demoLabels(email),
+    prefs: {},
+    status: true,
+  };
+};
+
+export const localAccount = {
+  create: async (userId, email) => makeUser(email, userId),
+
+  createEmailPasswordSession: async (email) => {
+    const user =
+      readSession()?.email === email ? readSession() : makeUser(email);
+    writeSession(user);
+    return { $id: "current", userId: user.$id };
+  },
+
+  get: async () => {
+    const user = readSession();
+    if (!user) {
+      throw new AppwriteException(
+        "User (role: guests) missing scope (account)",
+        401,
+        "general_unauthorized_scope"
+      );
+    }
+    return user;
+  },
+
+  deleteSession: async () => {
+    writeSession(null);
+    return {};
+  },
+};
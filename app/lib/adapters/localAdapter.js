@@ -0,0 +1,383 @@
+// lib/adapters/localAdapter.js
+// Demo / test backend that mimics the subset of the Appwrite Databases API the
+// app relies on. Documents live in memory and are mirrored to IndexedDB in the
+// browser, so a demo clinic survives a page reload without any server.
+
+import { AppwriteException, ID } from "appwrite";
+
+const IDB_NAME = "cliniqly-local";
+const IDB_STORE = "collections";
+const DEFAULT_LIMIT = 25; // same default page size as Appwrite
+
+const collections = new Map(); // collectionId -> Map(docId -> doc)
+const listeners = new Map(); // collectionId -> Set(callback)
+let loadPromise = null;
+
+/* ----------------------------------------------------------
+    IndexedDB persistence
+---------------------------------------------------------- */
+
+const hasIndexedDB = () =>
+  typeof window !== "undefined" && typeof window.indexedDB !== "undefined";
+
+const openDb = () =>
+  new Promise((resolve, reject) => {
+    const req = window.indexedDB.open(IDB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(IDB_STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+const load = () => {
+  if (loadPromise) return loadPromise;
+  if (!hasIndexedDB()) return (loadPromise = Promise.resolve());
+
+  loadPromise = openDb()
+    .then(
+      (idb) =>
+        new Promise((resolve) => {
+          const tx = idb.transaction(IDB_STORE, "readonly");
+          const store = tx.objectStore(IDB_STORE);
+          const keysReq = store.getAllKeys();
+          const valuesReq = store.getAll();
+          tx.oncomplete = () => {
+            keysReq.result.forEach((key, i) => {
+              // Writes that happened before the load finished take precedence
+              const docs = collections.get(key) || new Map();
+              valuesReq.result[i].forEach((doc) => {
+                if (!docs.has(doc.$id)) docs.set(doc.$id, doc);
+              });
+              collections.set(key, docs);
+            });
+            resolve();
+          };
+          tx.onerror = () => resolve();
+        })
+    )
+    .catch((err) => {
+      console.warn("Local backend: IndexedDB unavailable, using memory", err);
+    });
+
+  return loadPromise;
+};
+
+const persist = async (collectionId) => {
+  if (!hasIndexedDB()) return;
+  try {
+    const idb = await openDb();
+    const tx = idb.transaction(IDB_STORE, "readwrite");
+    tx.objectStore(IDB_STORE).put(
+      [...getCollection(collectionId).values()],
+      collectionId
+    );
+  } catch (err) {
+    console.warn(`Local backend: failed to persist ${collectionId}`, err);
+  }
+};
+
+const getCollection = (collectionId) => {
+  if (!collections.has(collectionId)) collections.set(collectionId, new Map());
+  return collections.get(collectionId);
+};
+
+/* ----------------------------------------------------------
+    Query evaluation (Appwrite Query.* JSON strings)
+---------------------------------------------------------- */
+
+const parseQuery = (q) => (typeof q === "string" ? JSON.parse(q) : q);
+
+const compare = (a, b) => {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  return a < b ? -1 : 1;
+};
+
+const matches = (doc, { method, attribute, values = [] }) => {
+  const value = doc[attribute];
+  const asList = Array.isArray(value) ? value : [value];
+
+  switch (method) {
+    case "equal":
+      return asList.some((v) => values.includes(v));
+    case "notEqual":
+      return !asList.some((v) => values.includes(v));
+    case "lessThan":
+      return compare(value, values[0]) < 0;
+    case "lessThanEqual":
+      return compare(value, values[0]) <= 0;
+    case "greaterThan":
+      return compare(value, values[0]) > 0;
+    case "greaterThanEqual":
+      return compare(value, values[0]) >= 0;
+    case "between":
+      return compare(value, values[0]) >= 0 && compare(value, values[1]) <= 0;
+    case "isNull":
+      return value === null || value === undefined;
+    case "isNotNull":
+      return value !== null && value !== undefined;
+    case "startsWith":
+      return String(value ?? "").startsWith(values[0]);
+    case "endsWith":
+      return String(value ?? "").endsWith(values[0]);
+    case "contains":
+      return Array.isArray(value)
+        ? values.some((v) => value.includes(v))
+        : values.some((v) => String(value ?? "").includes(v));
+    case "search": {
+      // Rough stand-in for a full-text index: every word must appear
+      const haystack = String(value ?? "").toLowerCase();
+      return String(values[0] ?? "")
+        .toLowerCase()
+        .split(/\s+/)
+        .filter(Boolean)
+        .every((word) => haystack.includes(word));
+    }
+    case "or":
+      return values.some((sub) => matches(doc, parseQuery(sub)));
+    case "and":
+      return values.every((sub) => matches(doc, parseQuery(sub)));
+    default:
+      return true;
+  }
+};
+
+const NON_FILTER_METHODS = [
+  "orderAsc",
+  "orderDesc",
+  "limit",
+  "offset",
+  "cursorAfter",
+  "cursorBefore",
+  "select",
+];
+
+// 🔹 True when the document passes every filter query (ordering and paging
+// queries are ignored). Also used to overlay offline changes on cached lists.
+export const matchesQueries = (doc, queries = []) =>
+  queries
+    .flat()
+    .map(parseQuery)
+    .filter((q) => !NON_FILTER_METHODS.includes(q.method))
+    .every((f) => matches(doc, f));
+
+const runQueries = (docs, queries) => {
+  const parsed = queries.map(parseQuery);
+  const filters = parsed.filter((q) => !NON_FILTER_METHODS.includes(q.method));
+  const orders = parsed.filter(
+    (q) => q.method === "orderAsc" || q.method === "orderDesc"
+  );
+  const option = (method) => parsed.find((q) => q.method === method);
+
+  let result = docs.filter((doc) => filters.every((f) => matches(doc, f)));
+
+  // Appwrite falls back to insertion order; $createdAt is the closest match
+  const sortBy = orders.length
+    ? orders
+    : [{ method: "orderAsc", attribute: "$createdAt" }];
+  result.sort((a, b) => {
+    for (const { method, attribute } of sortBy) {
+      const diff = compare(a[attribute], b[attribute]);
+      if (diff !== 0) return method === "orderAsc" ? diff : -diff;
+    }
+    return 0;
+  });
+
+  const total = result.length;
+
+  const after = option("cursorAfter");
+  if (after) {
+    const idx = result.findIndex((d) => d.$id === after.values[0]);
+    if (idx === -1) throw notFound();
+    result = result.slice(idx + 1);
+  }
+  const before = option("cursorBefore");
+  if (before) {
+    const idx = result.findIndex((d) => d.$id === before.values[0]);
+    if (idx === -1) throw notFound();
+    result = result.slice(0, idx);
+  }
+
+  const offset = option("offset")?.values[0] || 0;
+  const limit = option("limit")?.values[0] ?? DEFAULT_LIMIT;
+  result = result.slice(offset, offset + limit);
+
+  const select = option("select");
+  if (select) {
+    result = result.map((doc) =>
+      Object.fromEntries(
+        Object.entries(doc).filter(
+          ([key]) => key.startsWith("$") || select.values.includes(key)
+        )
+      )
+    );
+  }
+
+  return { total, documents: result };
+};
+
+/* ----------------------------------------------------------
+    Helpers
+---------------------------------------------------------- */
+
+const notFound = () =>
+  new AppwriteException(
+    "Document with the requested ID could not be found.",
+    404,
+    "document_not_found"
+  );
+
+const clone = (doc) => JSON.parse(JSON.stringify(doc));
+
+const emit = (collectionId, doc, action) => {
+  const event = `databases.local.collections.${collectionId}.documents.${doc.$id}.${action}`;
+  const response = {
+    events: [event],
+    channels: [`databases.local.collections.${collectionId}.documents`],
+    timestamp: Date.now(),
+    payload: clone(doc),
+  };
+  (listeners.get(collectionId) || new Set()).forEach((cb) => {
+    try {
+      cb(response);
+    } catch (err) {
+      console.error("Local backend subscriber failed:", err);
+    }
+  });
+};
+
+/* ----------------------------------------------------------
+    Adapter
+---------------------------------------------------------- */
+
+export const localAdapter = {
+  name: "local",
+
+  listDocuments: async (collectionId, queries = []) => {
+    await load();
+    const docs = [...getCollection(collectionId).values()];
+    const { total, documents } = runQueries(docs, queries.flat());
+    return { total, documents: documents.map(clone) };
+  },
+
+  getDocument: async (collectionId, documentId) => {
+    await load();
+    const doc = getCollection(collectionId).get(documentId);
+    if (!doc) throw notFound();
+    return clone(doc);
+  },
+
+  createDocument: async (collectionId, documentId, data = {}) => {
+    await load();
+    const docs = getCollection(collectionId);
+    const $id =
+      !documentId || documentId === "unique()" ? ID.unique() : documentId;
+    if (docs.has($id)) {
+      throw new AppwriteException(
+        "Document with the requested ID already exists.",
+        409,
+        "document_already_exists"
+      );
+    }
+
+    const now = new Date().toISOString();
+    const doc = {
+      ...clone(data),
+      $id,
+      $collectionId: collectionId,
+      $databaseId: "local",
+      $createdAt: now,
+      $updatedAt: now,
+      $permissions: [],
+    };
+    docs.set($id, doc);
+    persist(collectionId);
+    emit(collectionId, doc, "create");
+    return clone(doc);
+  },
+
+  updateDocument: async (collectionId, documentId, data = {}) => {
+    await load();
+    const docs = getCollection(collectionId);
+    const existing = docs.get(documentId);
+    if (!existing) throw notFound();
+
+    // System attributes ($id, $createdAt, ...) cannot be overwritten
+    const updates = Object.fromEntries(
+      Object.entries(clone(data)).filter(([key]) => !key.startsWith("$"))
+    );
+    const doc = {
+      ...existing,
+      ...updates,
+      $updatedAt: new Date().toISOString(),
+    };
+    docs.set(documentId, doc);
+    persist(collectionId);
+    emit(collectionId, doc, "update");
+    return clone(doc);
+  },
+
+  deleteDocument: async (collectionId, documentId) => {
+    await load();
+    const docs = getCollection(collectionId);
+    const existing = docs.get(documentId);
+    if (!existing) throw notFound();
+    docs.delete(documentId);
+    persist(collectionId);
+    emit(collectionId, existing, "delete");
+    return {};
+  },
+
+  // Read and write happen in one synchronous step, so concurrent calls
+  // cannot interleave
+  incrementDocumentAttribute: async (
+    collectionId,
+    documentId,
+    attribute,
+    value = 1
+  ) => {
+    await load();
+    const docs = getCollection(collectionId);
+    const existing = docs.get(documentId);
+    if (!existing) throw notFound();
+    const doc = {
+      ...existing,
+      [attribute]: (Number(existing[attribute]) || 0) + value,
+      $updatedAt: new Date().toISOString(),
+    };
+    docs.set(documentId, doc);
+    persist(collectionId);
+    emit(collectionId, doc, "update");
+    return clone(doc);
+  },
+
+  subscribe: (collectionId, callback) => {
+    if (!listeners.has(collectionId)) listeners.set(collectionId, new Set());
+    listeners.get(collectionId).add(callback);
+    return () => listeners.get(collectionId).delete(callback);
+  },
+
+  // 🧪 Replace every collection with the given seed ({ collectionId: [docs] })
+  reset: async (seed = {}) => {
+    await load();
+    const ids = new Set([...collections.keys(), ...Object.keys(seed)]);
+    collections.clear();
+    Object.entries(seed).forEach(([collectionId, docs]) => {
+      const now = new Date().toISOString();
+      getCollection(collectionId);
+      docs.forEach((doc) => {
+        const $id = doc.$id || ID.unique();
+        collections.get(collectionId).set($id, {
+          $createdAt: now,
+          $updatedAt: now,
+          $permissions: [],
+          ...clone(doc),
+          $id,
+          $collectionId: collectionId,
+          $databaseId: "local",
+        });
+      });
+    });
+    await Promise.all([...ids].map(persist));
+  },
+};
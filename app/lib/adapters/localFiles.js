@@ -0,0 +1,103 @@
+// lib/adapters/localFiles.js
+// Demo file storage for the local backend: files are kept as blobs in
+// IndexedDB (in memory where it isn't available) and served as object URLs.
+// Mirrors the subset of Appwrite Storage used through lib/files.js.
+
+import { AppwriteException, ID } from "appwrite";
+
+const IDB_NAME = "cliniqly-local-files";
+const IDB_STORE = "files";
+
+const memory = new Map(); // `${bucketId}/${fileId}` -> { file, blob }
+const urls = new Map(); // same key -> object URL
+
+const hasIndexedDB = () =>
+  typeof window !== "undefined" && typeof window.indexedDB !== "undefined";
+
+const openDb = () =>
+  new Promise((resolve, reject) => {
+    const req = window.indexedDB.open(IDB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(IDB_STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+// Run one request against the files store
+const request = async (mode, run) => {
+  const idb = await openDb();
+  return new Promise((resolve, reject) => {
+    const req = run(idb.transaction(IDB_STORE, mode).objectStore(IDB_STORE));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+};
+
+const notFound = () =>
+  new AppwriteException(
+    "The requested file could not be found.",
+    404,
+    "storage_file_not_found"
+  );
+
+const read = async (key) => {
+  if (memory.has(key)) return memory.get(key);
+  const entry = hasIndexedDB()
+    ? await request("readonly", (store) => store.get(key))
+    : null;
+  if (!entry) throw notFound();
+  memory.set(key, entry);
+  return entry;
+};
+
+const objectUrl = async (key) => {
+  if (!urls.has(key)) {
+    const { blob } = await read(key);
+    urls.set(key, URL.createObjectURL(blob));
+  }
+  return urls.get(key);
+};
+
+export const localFiles = {
+  name: "local",
+
+  createFile: async (bucketId, file, { onProgress } = {}) => {
+    const $id = ID.unique();
+    const key = `${bucketId}/${$id}`;
+    const entry = {
+      file: {
+        $id,
+        bucketId,
+        name: file.name,
+        mimeType: file.type || "application/octet-stream",
+        sizeOriginal: file.size,
+        $createdAt: new Date().toISOString(),
+      },
+      blob: file,
+    };
+    if (hasIndexedDB()) {
+      await request("readwrite", (store) => store.put(entry, key));
+    }
+    memory.set(key, entry);
+    onProgress?.(100);
+    return { ...entry.file };
+  },
+
+  deleteFile: async (bucketId, fileId) => {
+    const key = `${bucketId}/${fileId}`;
+    await read(key);
+    if (hasIndexedDB()) {
+      await request("readwrite", (store) => store.delete(key));
+    }
+    memory.delete(key);
+    if (urls.has(key)) URL.revokeObjectURL(urls.get(key));
+    urls.delete(key);
+    return {};
+  },
+
+  viewUrl: (bucketId, fileId) => objectUrl(`${bucketId}/${fileId}`),
+
+  // No resizing locally: the browser scales the full image
+  previewUrl: (bucketId, fileId) => objectUrl(`${bucketId}/${fileId}`),
+
+  downloadUrl: (bucketId, fileId) => objectUrl(`${bucketId}/${fileId}`),
+};
@@ -0,0 +1,24 @@
+// lib/adapters/moneyAdapter.js
+// Marks every new document of a collection with amounts as already holding
+// centavos (`minorUnits: true`). `db:migrate -- --convert-money` skips marked
+// documents, so a conversion resumed or repeated after the app started
+// writing centavos never multiplies them by 100 a second time.
+
+import { COLLECTIONS } from "../schema";
+
+const MONEY_COLLECTIONS = Object.entries(COLLECTIONS)
+  .filter(([, spec]) => spec.attributes.some((a) => a.money))
+  .map(([collectionId]) => collectionId);
+
+export const withMinorUnits = (adapter) => ({
+  ...adapter,
+
+  createDocument: (collectionId, documentId, data) =>
+    adapter.createDocument(
+      collectionId,
+      documentId,
+      MONEY_COLLECTIONS.includes(collectionId)
+        ? { ...data, minorUnits: true }
+        : data
+    ),
+});
@@ -0,0 +1,319 @@
+// lib/adapters/offlineAdapter.js
+// Wraps a remote adapter so the clinic keeps working when the connection drops:
+//   - writes that fail with a network error are queued in the outbox store and
+//     resolved with an optimistic document flagged `$pending: true`
+//   - reads fall back to the last successful response for the same query,
+//     with queued changes applied on top
+//   - the queue is replayed in order when the browser comes back online; an
+//     update/delete whose server copy changed meanwhile ($updatedAt differs
+//     from what we last saw) is reported as a conflict instead of applied;
+//     later changes to a document compare against the write replayed before
+//     them, not against what we saw before going offline
+
+import toast from "react-hot-toast";
+import { useOutboxStore } from "@/app/stores/useOutboxStore";
+import { matchesQueries } from "./localAdapter";
+
+const outbox = () => useOutboxStore.getState();
+
+const isOffline = () =>
+  typeof navigator !== "undefined" && navigator.onLine === false;
+
+// fetch() rejects with a TypeError when the request never reached the server
+export const isNetworkError = (err) => isOffline() || err instanceof TypeError;
+
+export const withOutbox = (adapter) => {
+  const versions = new Map(); // docId -> $updatedAt last seen from the server
+  const listCache = new Map(); // request key -> last successful list response
+  const listeners = new Map(); // collectionId -> Set(callback)
+  let syncing = null;
+
+  const remember = (doc) => {
+    if (doc?.$id && doc.$updatedAt) versions.set(doc.$id, doc.$updatedAt);
+    return doc;
+  };
+
+  // Let realtime subscribers see queued changes right away
+  const notify = (collectionId, doc, action) => {
+    const response = {
+      events: [
+        `databases.*.collections.${collectionId}.documents.${doc.$id}.${action}`,
+      ],
+      channels: [],
+      timestamp: Date.now(),
+      payload: doc,
+    };
+    (listeners.get(collectionId) || new Set()).forEach((cb) => cb(response));
+  };
+
+  const optimistic = (entry) => ({
+    ...entry.data,
+    $id: entry.documentId,
+    $collectionId: entry.collectionId,
+    $createdAt: entry.queuedAt,
+    $updatedAt: entry.queuedAt,
+    $pending: true,
+  });
+
+  const queue = (action, collectionId, documentId, data = null) => {
+    const entry = outbox().enqueue({
+      action,
+      collectionId,
+      documentId,
+      data,
+      baseUpdatedAt: versions.get(documentId) || null,
+    });
+    toast("Offline — saved locally, will sync when back online", {
+      id: "outbox-offline",
+      icon: "📡",
+    });
+    const doc =
+      action === "create"
+        ? optimistic(entry)
+        : {
+            ...data,
+            $id: documentId,
+            $updatedAt: entry.queuedAt,
+            $pending: true,
+          };
+    notify(collectionId, doc, action);
+    return action === "delete" ? {} : doc;
+  };
+
+  // Apply queued entries for a collection on top of a list response
+  const overlay = (collectionId, queries, res) => {
+    const entries = outbox().queue.filter(
+      (e) => e.collectionId === collectionId
+    );
+    if (!entries.length) return res;
+
+    const firstPage = !queries.some(
+      (q) => typeof q === "string" && q.includes('"cursorAfter"')
+    );
+    let documents = [...res.documents];
+
+    entries.forEach((entry) => {
+      if (entry.action === "create") {
+        const doc = optimistic(entry);
+        if (
+          firstPage &&
+          matchesQueries(doc, queries) &&
+          !documents.some((d) => d.$id === doc.$id)
+        ) {
+          documents.push(doc);
+        }
+      } else if (entry.action === "update") {
+        // The change may take the doc out of the list (e.g. moved to trash)
+        documents = documents
+          .map((d) =>
+            d.$id === entry.documentId
+              ? { ...d, ...entry.data, $pending: true }
+              : d
+          )
+          .filter(
+            (d) => d.$id !== entry.documentId || matchesQueries(d, queries)
+          );
+      } else if (entry.action === "delete") {
+        documents = documents.filter((d) => d.$id !== entry.documentId);
+      }
+    });
+
+    return { ...res, documents };
+  };
+
+  // Returns null when applied, or { server, reason } for a conflict
+  const replay = async (entry, { force = false } = {}) => {
+    const { action, collectionId, documentId, data, baseUpdatedAt } = entry;
+
+    if (action === "create") {
+      try {
+        const created = await adapter.createDocument(
+          collectionId,
+          documentId,
+          data
+        );
+        outbox().rebase(documentId, remember(created).$updatedAt);
+      } catch (err) {
+        if (err.code !== 409) throw err; // 409: already replayed earlier
+      }
+      return null;
+    }
+
+    let server;
+    try {
+      server = await adapter.getDocument(collectionId, documentId);
+    } catch (err) {
+      if (err.code !== 404) throw err;
+      if (action === "delete") return null;
+      return { server: null, reason: "Deleted on the server while offline" };
+    }
+
+    if (!force && baseUpdatedAt && server.$updatedAt !== baseUpdatedAt) {
+      return { server, reason: "Changed on the server while offline" };
+    }
+
+    if (action === "update") {
+      const updated = await adapter.updateDocument(
+        collectionId,
+        documentId,
+        data
+      );
+      outbox().rebase(documentId, remember(updated).$updatedAt);
+    } else {
+      await adapter.deleteDocument(collectionId, documentId);
+      versions.delete(documentId);
+    }
+    return null;
+  };
+
+  const sync = () => {
+    if (syncing) return syncing;
+
+    syncing = (async () => {
+      outbox().setSyncing(true);
+      let synced = 0;
+      let conflicts = 0;
+
+      try {
+        for (const { id } of [...outbox().queue]) {
+          // Read it again: replaying an earlier entry may have rebased it
+          const entry = outbox().queue.find((e) => e.id === id);
+          if (!entry) continue;
+          try {
+            const conflict = await replay(entry);
+            if (conflict) {
+              outbox().addConflict(entry, conflict.server, conflict.reason);
+              conflicts++;
+            } else {
+              synced++;
+            }
+            outbox().dequeue(entry.id);
+          } catch (err) {
+            if (isNetworkError(err)) break; // still offline, keep the rest
+            console.error("Outbox replay failed:", err);
+            outbox().addConflict(entry, null, err.message || "Rejected");
+            outbox().dequeue(entry.id);
+            conflicts++;
+          }
+        }
+      } finally {
+        outbox().setSyncing(false);
+        syncing = null;
+      }
+
+      if (synced) toast.success(`Synced ${synced} offline change(s)`);
+      if (conflicts)
+        toast.error(`${conflicts} offline change(s) need review`, {
+          id: "outbox-conflicts",
+        });
+    })();
+
+    return syncing;
+  };
+
+  // 🔹 Keep my queued change (force) or drop it in favor of the server copy
+  const resolveConflict = async (conflictId, keepMine) => {
+    const conflict = outbox().conflicts.find((c) => c.id === conflictId);
+    if (!conflict) return;
+
+    if (keepMine) {
+      try {
+        const again = await replay(conflict.entry, { force: true });
+        if (again) throw new Error(again.reason);
+      } catch (err) {
+        console.error("Resolve conflict failed:", err);
+        toast.error(err.message || "Failed to apply change");
+        return;
+      }
+    }
+    outbox().dismissConflict(conflictId);
+  };
+
+  if (typeof window !== "undefined") {
+    window.addEventListener("online", () => {
+      outbox().setOnline(true);
+      sync();
+    });
+    window.addEventListener("offline", () => outbox().setOnline(false));
+    outbox().setOnline(!isOffline());
+    // Flush whatever a previous session left behind
+    setTimeout(() => {
+      if (!isOffline() && outbox().queue.length) sync();
+    }, 0);
+  }
+
+  return {
+    ...adapter,
+
+    listDocuments: async (collectionId, queries = []) => {
+      const key = JSON.stringify([collectionId, queries]);
+      try {
+        if (isOffline()) throw new TypeError("Network unavailable");
+        const res = await adapter.listDocuments(collectionId, queries);
+        res.documents.forEach(remember);
+        listCache.set(key, res);
+        return overlay(collectionId, queries, res);
+      } catch (err) {
+        if (!isNetworkError(err) || !listCache.has(key)) throw err;
+        return overlay(collectionId, queries, listCache.get(key));
+      }
+    },
+
+    getDocument: async (collectionId, documentId) =>
+      remember(await adapter.getDocument(collectionId, documentId)),
+
+    createDocument: async (collectionId, documentId, data) => {
+      if (!isOffline()) {
+        try {
+          return remember(
+            await adapter.createDocument(collectionId, documentId, data)
+          );
+        } catch (err) {
+          if (!isNetworkError(err)) throw err;
+        }
+      }
+      return queue("create", collectionId, documentId, data);
+    },
+
+    updateDocument: async (collectionId, documentId, data) => {
+      if (!isOffline()) {
+        try {
+          return remember(
+            await adapter.updateDocument(collectionId, documentId, data)
+          );
+        } catch (err) {
+          if (!isNetworkError(err)) throw err;
+        }
+      }
+      return queue("update", collectionId, documentId, data);
+    },
+
+    deleteDocument: async (collectionId, documentId) => {
+      if (!isOffline()) {
+        try {
+          return await adapter.deleteDocument(collectionId, documentId);
+        } catch (err) {
+          if (!isNetworkError(err)) throw err;
+        }
+      }
+      return queue("delete", collectionId, documentId);
+    },
+
+    // Never queued: the new value is only known once the server answers
+    incrementDocumentAttribute: async (...args) =>
+      remember(await adapter.incrementDocumentAttribute(...args)),
+
+    subscribe: (collectionId, callback) => {
+      if (!listeners.has(collectionId)) listeners.set(collectionId, new Set());
+      listeners.get(collectionId).add(callback);
+      const unsub = adapter.subscribe(collectionId, callback);
+      return () => {
+        listeners.get(collectionId).delete(callback);
+        unsub();
+      };
+    },
+
+    sync,
+    resolveConflict,
+  };
+};
@@ -0,0 +1,62 @@
+// lib/adapters/schemaAdapter.js
+// Development-only guard: checks every write and list query against the
+// declared schema (lib/schema.js) and logs a warning when code drifts from
+// it, e.g. a field that was never added to the collection or a filter on an
+// attribute without an index. Production builds skip it entirely.
+
+import { validateDocument, validateQueries } from "../schema";
+
+const report = (what, collectionId, problems) => {
+  if (problems.length) {
+    console.warn(
+      `Schema mismatch in ${what} on "${collectionId}" (see lib/schema.js):\n` +
+        problems.map((p) => `  - ${p}`).join("\n")
+    );
+  }
+};
+
+export const withSchemaCheck = (adapter) => {
+  if (process.env.NODE_ENV === "production") return adapter;
+
+  return {
+    ...adapter,
+
+    listDocuments: (collectionId, queries = []) => {
+      report("query", collectionId, validateQueries(collectionId, queries));
+      return adapter.listDocuments(collectionId, queries);
+    },
+
+    createDocument: (collectionId, documentId, data) => {
+      report("create", collectionId, validateDocument(collectionId, data));
+      return adapter.createDocument(collectionId, documentId, data);
+    },
+
+    updateDocument: (collectionId, documentId, data) => {
+      report(
+        "update",
+        collectionId,
+        validateDocument(collectionId, data, { partial: true })
+      );
+      return adapter.updateDocument(collectionId, documentId, data);
+    },
+
+    incrementDocumentAttribute: (
+      collectionId,
+      documentId,
+      attribute,
+      value
+    ) => {
+      report(
+        "increment",
+        collectionId,
+        validateDocument(collectionId, { [attribute]: 0 }, { partial: true })
+      );
+      return adapter.incrementDocumentAttribute(
+        collectionId,
+        documentId,
+        attribute,
+        value
+      );
+    },
+  };
+};
@@ -0,0 +1,42 @@
+// lib/age.js
+// Patients keep a birthdate ("YYYY-MM-DD"), never an age. `calculateAge`
+// turns it into years for display, and `birthdateRange` turns an age bracket
+// into the birthdates to query for (the same rule, run backwards).
+
+import dayjs from "dayjs";
+
+// 🔹 Whole years since the birthdate, or null when there is none
+export const calculateAge = (birthdate) => {
+  if (!birthdate) return null;
+  const birth = new Date(birthdate);
+  const today = new Date();
+  let age = today.getFullYear() - birth.getFullYear();
+  const m = today.getMonth() - birth.getMonth();
+  if (m < 0 || (m === 0 && today.getDate() < birth.getDate())) age--;
+  return age;
+};
+
+// 🔹 Birthdates of everyone aged min..max today, as "YYYY-MM-DD" bounds
+// (either end may be left open)
+export const birthdateRange = (min, max) => ({
+  // Turned max + 1 tomorrow at the earliest
+  from:
+    max === undefined || max === null
+      ? null
+      : dayjs()
+          .subtract(max + 1, "year")
+          .add(1, "day")
+          .format("YYYY-MM-DD"),
+  to:
+    min === undefined || min === null
+      ? null
+      : dayjs().subtract(min, "year").format("YYYY-MM-DD"),
+});
+
+export const AGE_BRACKETS = [
+  { id: "child", label: "Children (0–12)", min: 0, max: 12 },
+  { id: "teen", label: "Teens (13–17)", min: 13, max: 17 },
+  { id: "adult", label: "Adults (18–39)", min: 18, max: 39 },
+  { id: "middle", label: "40–59", min: 40, max: 59 },
+  { id: "senior", label: "Seniors (60+)", min: 60, max: null },
+];
@@ -1,14 +1,19 @@
 // lib/appwrite.ts
 
-import { Client, Account, Databases } from "appwrite";
+import { Client, Account, Databases, Storage } from "appwrite";
 
 export const client = new Client();
 
-client
-  .setEndpoint(process.env.NEXT_PUBLIC_APPWRITE_ENDPOINT)
-  .setProject(process.env.NEXT_PUBLIC_APPWRITE_PROJECT_ID);
+// The endpoint is optional so the app can boot with the local backend
+// (NEXT_PUBLIC_DATA_BACKEND=local) without any Appwrite configuration.
+if (process.env.NEXT_PUBLIC_APPWRITE_ENDPOINT) {
+  client
+    .setEndpoint(process.env.NEXT_PUBLIC_APPWRITE_ENDPOINT)
+    .setProject(process.env.NEXT_PUBLIC_APPWRITE_PROJECT_ID);
+}
 
 export const account = new Account(client);
 export const databases = new Databases(client);
+export const storage = new Storage(client);
 
 export { ID } from "appwrite";
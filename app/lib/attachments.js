@@ -0,0 +1,101 @@
+// lib/attachments.js
+// X-rays, photos and scanned documents kept with a patient record. The file
+// itself lives in the "attachments" storage bucket (lib/files.js); a document
+// in the "attachments" collection holds its patientId, tag, tooth and note, so
+// attachments are listed, merged and cascade-deleted like any other section.
+
+import { db, ID } from "./db";
+import { files } from "./files";
+import { BUCKETS } from "./schema";
+import { ATTACHMENT_TAGS } from "./validation";
+
+export const ATTACHMENTS_BUCKET_ID = "attachments";
+const COLLECTION_ID = "attachments";
+
+const { maximumFileSize, allowedFileExtensions } =
+  BUCKETS[ATTACHMENTS_BUCKET_ID];
+
+export const TAG_LABELS = {
+  "x-ray": "🩻 X-ray",
+  photo: "📷 Photo",
+  document: "📄 Document",
+  other: "📎 Other",
+};
+
+export const TAG_OPTIONS = ATTACHMENT_TAGS.map((value) => ({
+  value,
+  label: TAG_LABELS[value],
+}));
+
+// For <input type="file" accept=...>
+export const ACCEPT = allowedFileExtensions.map((ext) => `.${ext}`).join(",");
+
+export const isImage = (attachment) =>
+  (attachment.mimeType || "").startsWith("image/");
+export const isPdf = (attachment) => attachment.mimeType === "application/pdf";
+
+export const formatSize = (bytes) => {
+  if (!bytes && bytes !== 0) return "";
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+// Guess a tag from the file so most uploads need no extra clicks
+export const guessTag = (file) =>
+  file.type.startsWith("image/") ? "photo" : "document";
+
+// 🔹 Same limits as the bucket, checked before uploading; returns an error
+// message or null
+export const checkFile = (file) => {
+  const ext = file.name.split(".").pop().toLowerCase();
+  if (!allowedFileExtensions.includes(ext)) {
+    return `${file.name}: only ${allowedFileExtensions.join(", ")} files`;
+  }
+  if (file.size > maximumFileSize) {
+    return `${file.name} is larger than ${formatSize(maximumFileSize)}`;
+  }
+  return null;
+};
+
+// 🔹 Upload the file, then record it. If the record can't be saved the file
+// is removed again so the bucket holds no strays.
+export const createAttachment = async (patientId, file, data, options) => {
+  const stored = await files.createFile(ATTACHMENTS_BUCKET_ID, file, options);
+  try {
+    return await db.createDocument(COLLECTION_ID, ID.unique(), {
+      ...data,
+      patientId,
+      fileId: stored.$id,
+      mimeType: stored.mimeType || file.type,
+      size: stored.sizeOriginal ?? file.size,
+    });
+  } catch (err) {
+    await files.deleteFile(ATTACHMENTS_BUCKET_ID, stored.$id).catch(() => {});
+    throw err;
+  }
+};
+
+// 🔹 Remove the record first: a file without a record is invisible (at worst
+// an orphan in the bucket), a record without a file is a broken thumbnail
+export const deleteAttachment = async (attachment) => {
+  await db.deleteDocument(COLLECTION_ID, attachment.$id);
+  try {
+    await files.deleteFile(ATTACHMENTS_BUCKET_ID, attachment.fileId);
+  } catch (err) {
+    if (err.code !== 404) {
+      console.warn(`Attachment file ${attachment.fileId} not deleted:`, err);
+    }
+  }
+};
+
+export const attachmentUrls = async (attachment) => ({
+  view: await files.viewUrl(ATTACHMENTS_BUCKET_ID, attachment.fileId),
+  download: await files.downloadUrl(ATTACHMENTS_BUCKET_ID, attachment.fileId),
+});
+
+export const thumbnailUrl = (attachment) =>
+  files.previewUrl(ATTACHMENTS_BUCKET_ID, attachment.fileId, {
+    width: 320,
+    height: 320,
+  });
@@ -0,0 +1,66 @@
+// lib/balances.js
+// A payment plan's `paid`, `remaining` and `status` are derived from its
+// installments. They are always recomputed from what the server holds, never
+// by adding to a total the client loaded earlier: another workstation may
+// have recorded (or trashed) a payment in the meantime. Amounts are
+// centavos (lib/money.js).
+
+import { db, Query } from "./db";
+import { listAll } from "./paginate";
+import { isNetworkError } from "./adapters/offlineAdapter";
+import { minor, sumMoney } from "./money";
+
+const TRANSACTIONS_COLLECTION_ID = "transactions";
+const INSTALLMENTS_COLLECTION_ID = "installments";
+
+// 🔹 What a transaction's denormalized fields should be, given its (live)
+// installments. Full payments are settled when recorded; a plan has paid the
+// sum of its installments.
+export const planTotals = (transaction, installments) => {
+  const total = minor(transaction.totalAmount);
+  if (transaction.paymentType !== "installment") {
+    return { paid: total, remaining: 0, status: "paid" };
+  }
+  const paid = sumMoney(installments, "amount");
+  const remaining = Math.max(total - paid, 0);
+  return { paid, remaining, status: remaining <= 0 ? "paid" : "ongoing" };
+};
+
+// 🔹 Current balance of a transaction according to the server, or null when
+// offline (callers then fall back to the totals they have)
+export const transactionBalance = async (transactionId) => {
+  try {
+    const [transaction, installments] = await Promise.all([
+      db.getDocument(TRANSACTIONS_COLLECTION_ID, transactionId),
+      listAll(INSTALLMENTS_COLLECTION_ID, [
+        Query.equal("transactionId", transactionId),
+      ]),
+    ]);
+    const { paid, remaining } = planTotals(
+      { ...transaction, paymentType: "installment" },
+      installments
+    );
+    return { transaction, installments, paid, remaining };
+  } catch (err) {
+    if (isNetworkError(err)) return null;
+    throw err;
+  }
+};
+
+// 🔹 Rewrite a payment plan's totals from its installments. Full payments
+// have no installments to add up and are left alone. Resolves with the
+// stored transaction, or null when offline.
+export const recomputeTransaction = async (transactionId) => {
+  const balance = await transactionBalance(transactionId);
+  if (!balance) return null;
+
+  const { transaction, installments } = balance;
+  if (transaction.paymentType !== "installment") return transaction;
+
+  const totals = planTotals(transaction, installments);
+  const unchanged = Object.entries(totals).every(
+    ([key, value]) => transaction[key] === value
+  );
+  if (unchanged) return transaction;
+  return db.updateDocument(TRANSACTIONS_COLLECTION_ID, transactionId, totals);
+};
@@ -0,0 +1,217 @@
+// lib/cascadeDelete.js
+// Deleting a patient must also remove every document that points at them.
+// The work is planned up front as a job: a snapshot of each linked document,
+// in the order they will be deleted (children first, the patient last). The
+// caller persists the job and marks records off as they go, so a run that
+// fails part-way can be resumed or rolled back, even after a reload.
+
+import { db, Query } from "./db";
+import { files } from "./files";
+import { listAll } from "./paginate";
+
+const PATIENTS_COLLECTION_ID = "patients";
+const TRANSACTIONS_COLLECTION_ID = "transactions";
+const INSTALLMENTS_COLLECTION_ID = "installments";
+
+// Collections that reference the patient through `attribute` (default
+// `patientId`). A family link points at a patient from either end.
+const PATIENT_LINKED = [
+  { collectionId: "notes", label: "Notes" },
+  { collectionId: "medicalhistory", label: "Medical History" },
+  { collectionId: "treatmentplans", label: "Treatment Plan" },
+  { collectionId: "dentalchart", label: "Dental Chart" },
+  { collectionId: "schedules", label: "Schedules" },
+  { collectionId: "attachments", label: "Attachments" },
+  { collectionId: "recallrules", label: "Recall Rules" },
+  { collectionId: "claims", label: "HMO Claims" },
+  { collectionId: "relationships", label: "Family Links" },
+  {
+    collectionId: "relationships",
+    label: "Family Links",
+    attribute: "relatedId",
+  },
+];
+
+const MAX_QUERY_VALUES = 100; // Appwrite limit for Query.equal(attr, [...])
+
+// Strip system attributes ($id, $createdAt, ...) so a snapshot can be re-created
+const toData = (doc) =>
+  Object.fromEntries(
+    Object.entries(doc).filter(([key]) => !key.startsWith("$"))
+  );
+
+const toRecord = (collectionId, label) => (doc) => ({
+  collectionId,
+  label,
+  $id: doc.$id,
+  data: toData(doc),
+});
+
+// A collection without the attribute (or not provisioned at all) simply has
+// nothing linked; anything else should abort the plan. Trashed documents are
+// included unless asked otherwise: a purge must leave nothing behind.
+const findLinked = async (collectionId, queries, includeDeleted = true) => {
+  try {
+    return await listAll(collectionId, queries, { includeDeleted });
+  } catch (err) {
+    if (err.code === 400 || err.code === 404) {
+      console.warn(`Cascade delete: skipping ${collectionId}`, err.message);
+      return [];
+    }
+    throw err;
+  }
+};
+
+const findInstallments = async (patientId, transactionIds, includeDeleted) => {
+  const byId = new Map();
+
+  // Installments are written with `transactionId`; older ones only have `patientId`
+  for (let i = 0; i < transactionIds.length; i += MAX_QUERY_VALUES) {
+    const ids = transactionIds.slice(i, i + MAX_QUERY_VALUES);
+    const docs = await findLinked(
+      INSTALLMENTS_COLLECTION_ID,
+      [Query.equal("transactionId", ids)],
+      includeDeleted
+    );
+    docs.forEach((d) => byId.set(d.$id, d));
+  }
+  const legacy = await findLinked(
+    INSTALLMENTS_COLLECTION_ID,
+    [Query.equal("patientId", patientId)],
+    includeDeleted
+  );
+  legacy.forEach((d) => byId.set(d.$id, d));
+
+  return [...byId.values()];
+};
+
+// 🔹 A patient's transactions and the installments paid against them
+export const findPatientPayments = async (
+  patientId,
+  { includeDeleted = true } = {}
+) => {
+  const transactions = await findLinked(
+    TRANSACTIONS_COLLECTION_ID,
+    [Query.equal("patientId", patientId)],
+    includeDeleted
+  );
+  const installments = await findInstallments(
+    patientId,
+    transactions.map((t) => t.$id),
+    includeDeleted
+  );
+  return { transactions, installments };
+};
+
+// 🔹 Every document that points at the patient, as
+// { transactions, installments, linked: [{ collectionId, label, attribute, docs }] }
+export const findPatientRecords = async (patientId) => {
+  const { transactions, installments } = await findPatientPayments(patientId);
+  const linked = await Promise.all(
+    PATIENT_LINKED.map(
+      async ({ collectionId, label, attribute = "patientId" }) => ({
+        collectionId,
+        label,
+        attribute,
+        docs: await findLinked(collectionId, [
+          Query.equal(attribute, patientId),
+        ]),
+      })
+    )
+  );
+  return { transactions, installments, linked };
+};
+
+// 🔹 Discover everything linked to the patient and return a deletion job
+export const planPatientDeletion = async (patient) => {
+  const patientId = patient.$id;
+
+  const { transactions, installments, linked } = await findPatientRecords(
+    patientId
+  );
+
+  const records = [
+    ...installments.map(toRecord(INSTALLMENTS_COLLECTION_ID, "Installments")),
+    ...transactions.map(toRecord(TRANSACTIONS_COLLECTION_ID, "Transactions")),
+    ...linked.flatMap(({ collectionId, label, docs }) =>
+      docs.map(toRecord(collectionId, label))
+    ),
+    toRecord(PATIENTS_COLLECTION_ID, "Patient")(patient),
+  ];
+
+  return {
+    patientId,
+    patientName: patient.patientName,
+    records,
+    deleted: [], // $ids removed so far
+    status: "running",
+    error: null,
+    startedAt: new Date().toISOString(),
+  };
+};
+
+// 🔹 Delete every record not yet marked as deleted, one at a time.
+// onDeleted(record) lets the caller persist progress after each step.
+export const runPatientDeletion = async (
+  job,
+  { onDeleted, onProgress } = {}
+) => {
+  const done = new Set(job.deleted);
+  const total = job.records.length;
+
+  for (const record of job.records) {
+    if (done.has(record.$id)) continue;
+    onProgress?.({ done: done.size, total, label: record.label });
+
+    try {
+      await db.deleteDocument(record.collectionId, record.$id);
+    } catch (err) {
+      if (err.code !== 404) throw err; // already gone (e.g. resumed run)
+    }
+    done.add(record.$id);
+    onDeleted?.(record);
+  }
+
+  // Stored files can't be rolled back, so they go only once every document
+  // is gone, and a file that fails to delete is left behind (orphaned)
+  // rather than failing a job that has nothing left to roll back
+  onProgress?.({ done: total, total, label: "Attachment files" });
+  for (const record of job.records) {
+    if (record.collectionId !== "attachments") continue;
+    try {
+      await files.deleteFile("attachments", record.data.fileId);
+    } catch (err) {
+      if (err.code !== 404) {
+        console.warn(`Attachment file ${record.data.fileId} not deleted:`, err);
+      }
+    }
+  }
+
+  onProgress?.({ done: total, total, label: "Done" });
+};
+
+// 🔹 Re-create whatever a failed run already deleted, newest first
+export const rollbackPatientDeletion = async (
+  job,
+  { onRestored, onProgress } = {}
+) => {
+  const deleted = new Set(job.deleted);
+  const toRestore = job.records.filter((r) => deleted.has(r.$id)).reverse();
+
+  for (const [i, record] of toRestore.entries()) {
+    onProgress?.({ done: i, total: toRestore.length, label: record.label });
+
+    try {
+      await db.createDocument(record.collectionId, record.$id, record.data);
+    } catch (err) {
+      if (err.code !== 409) throw err; // already restored
+    }
+    onRestored?.(record);
+  }
+
+  onProgress?.({
+    done: toRestore.length,
+    total: toRestore.length,
+    label: "Done",
+  });
+};
@@ -0,0 +1,78 @@
+// lib/chartNumbers.js
+// Chart numbers identify a patient on paper: forms, statements and reports.
+// They read PREFIX-YEAR-COUNTER, e.g. "DS-2026-0042". The prefix and the
+// counter width are set in Settings › Personalization, and the prefix
+// defaults to the clinic initial. The counter restarts every year and lives
+// in the `counters` collection, one document per year ("chart-2026"). It is
+// bumped with an atomic increment, so two front desks registering patients
+// at the same moment never get the same number. A number taken by a save
+// that then fails is skipped, never reused.
+
+import dayjs from "dayjs";
+import { db, Query } from "./db";
+import { listWhereIn } from "./paginate";
+
+const COUNTERS_COLLECTION_ID = "counters";
+const PATIENTS_COLLECTION_ID = "patients";
+
+export const DEFAULT_CHART_DIGITS = 4;
+const FALLBACK_PREFIX = "PT";
+
+// 🔹 Prefix from the personalization record: letters and digits only
+export const chartPrefix = (settings) =>
+  (settings?.chartPrefix || settings?.initial || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "") || FALLBACK_PREFIX;
+
+// 🔹 "DS-2026-0042"
+export const formatChartNumber = (settings, year, counter) =>
+  `${chartPrefix(settings)}-${year}-${String(counter).padStart(
+    settings?.chartDigits || DEFAULT_CHART_DIGITS,
+    "0"
+  )}`;
+
+const increment = async (counterId) =>
+  (
+    await db.incrementDocumentAttribute(
+      COUNTERS_COLLECTION_ID,
+      counterId,
+      "value"
+    )
+  ).value;
+
+// The first number of the year also creates that year's counter
+const nextCounter = async (year) => {
+  const counterId = `chart-${year}`;
+  try {
+    return await increment(counterId);
+  } catch (err) {
+    if (err.code !== 404) throw err;
+  }
+  try {
+    await db.createDocument(COUNTERS_COLLECTION_ID, counterId, { value: 0 });
+  } catch (err) {
+    if (err.code !== 409) throw err; // another desk created it first
+  }
+  return increment(counterId);
+};
+
+// 🔹 Take the next chart number. Throws when the counter can't be reached
+// (e.g. offline): numbers are never guessed locally.
+export const nextChartNumber = async (settings, date = new Date()) => {
+  const year = dayjs(date).year();
+  return formatChartNumber(settings, year, await nextCounter(year));
+};
+
+// 🔹 Chart numbers of several patients at once (patientId -> number), for
+// reports built from transactions
+export const fetchChartNumbers = async (patientIds) => {
+  const patients = await listWhereIn(
+    PATIENTS_COLLECTION_ID,
+    "$id",
+    patientIds,
+    [Query.select(["$id", "chartNumber"])]
+  );
+  return Object.fromEntries(
+    patients.filter((p) => p.chartNumber).map((p) => [p.$id, p.chartNumber])
+  );
+};
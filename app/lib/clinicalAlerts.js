@@ -0,0 +1,95 @@
+// lib/clinicalAlerts.js
+// Conditions the dentist must know about before touching the patient:
+// allergies, bleeding disorders, pregnancy, heart conditions and
+// anticoagulants. They come from the patient's medical history. An entry
+// carries its flag in `alertType`; entries saved without one (older records)
+// are flagged from their condition name, and "none" opts an entry out.
+// Resolved entries never raise an alert.
+
+import { listWhereIn } from "./paginate";
+import { ALERT_TYPES, SEVERITIES } from "./validation";
+
+const MEDICAL_HISTORY_COLLECTION_ID = "medicalhistory";
+
+export const ALERT_LABELS = {
+  allergy: "Allergy",
+  bleeding: "Bleeding disorder",
+  pregnancy: "Pregnant",
+  heart: "Heart condition",
+  anticoagulant: "On anticoagulants",
+};
+
+export const SEVERITY_LABELS = {
+  mild: "Mild",
+  moderate: "Moderate",
+  severe: "Severe",
+};
+
+export const STATUS_LABELS = {
+  active: "Active",
+  controlled: "Controlled",
+  resolved: "Resolved",
+};
+
+// Checked in ALERT_TYPES order: "allergy to aspirin" is an allergy
+const KEYWORDS = {
+  allergy: /allerg|anaphyla|hypersensitiv/i,
+  bleeding: /bleed|ha?emophilia|von willebrand|thrombocytopenia|coagulopathy/i,
+  pregnancy: /pregnan|gravid/i,
+  heart:
+    /heart|cardi|angina|arrhythm|atrial|valve|pacemaker|myocard|endocarditis/i,
+  anticoagulant:
+    /anticoag|blood thinner|warfarin|heparin|clopidogrel|apixaban|rivaroxaban|dabigatran|aspirin/i,
+};
+
+// "No known allergies", "NKDA", "denies bleeding"...
+const NEGATED = /^\s*(no|none|nka|nkda|denies|negative)\b/i;
+
+// 🔹 The flag of a medical history entry, or null
+export const alertTypeOf = (entry) => {
+  if (entry.alertType === "none") return null;
+  if (ALERT_TYPES.includes(entry.alertType)) return entry.alertType;
+  const name = entry.medicalName || "";
+  if (NEGATED.test(name)) return null;
+  return ALERT_TYPES.find((type) => KEYWORDS[type].test(name)) || null;
+};
+
+// 🔹 Alerts raised by a patient's medical history, as
+// [{ key, type, label, name, severity, entry }], most severe first
+export const clinicalAlerts = (entries = []) =>
+  entries
+    .filter((entry) => entry.status !== "resolved")
+    .map((entry) => ({ entry, type: alertTypeOf(entry) }))
+    .filter(({ type }) => type)
+    .map(({ entry, type }) => ({
+      key: entry.$id,
+      type,
+      label: ALERT_LABELS[type],
+      name: entry.medicalName,
+      severity: SEVERITIES.includes(entry.severity) ? entry.severity : null,
+      entry,
+    }))
+    .sort(
+      (a, b) =>
+        SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity) ||
+        ALERT_TYPES.indexOf(a.type) - ALERT_TYPES.indexOf(b.type)
+    );
+
+// 🔹 Alerts of several patients at once (e.g. the schedule), as
+// { patientId: alerts }. Patients without alerts are left out.
+export const fetchClinicalAlerts = async (patientIds) => {
+  const entries = await listWhereIn(
+    MEDICAL_HISTORY_COLLECTION_ID,
+    "patientId",
+    patientIds
+  );
+  const byPatient = {};
+  entries.forEach((entry) => {
+    byPatient[entry.patientId] = [...(byPatient[entry.patientId] || []), entry];
+  });
+  return Object.fromEntries(
+    Object.entries(byPatient)
+      .map(([patientId, list]) => [patientId, clinicalAlerts(list)])
+      .filter(([, alerts]) => alerts.length)
+  );
+};
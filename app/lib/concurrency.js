@@ -0,0 +1,71 @@
+// lib/concurrency.js
+// Optimistic concurrency for edits. Appwrite has no conditional update, so
+// `updateChecked` re-reads the document first and compares its $updatedAt
+// with the copy the user started editing from. If another workstation saved
+// in between, fields only one side touched are merged, and when both changed
+// the same field the user chooses which version wins in the conflict dialog
+// (components/helper/ConflictDialog.jsx) instead of one edit silently
+// overwriting the other.
+
+import { db } from "./db";
+import { isNetworkError } from "./adapters/offlineAdapter";
+import { useConflictStore } from "@/app/stores/useConflictStore";
+
+const same = (a, b) => String(a ?? "") === String(b ?? "");
+
+// Split my changes against a newer server copy: what can be written as is,
+// and the fields both sides changed differently
+const compare = (base, mine, server) => {
+  const data = {};
+  const fields = [];
+  Object.entries(mine).forEach(([key, value]) => {
+    if (key.startsWith("$")) return;
+    if (same(server[key], base[key])) {
+      data[key] = value; // only I changed it (or nobody did)
+    } else if (!same(value, base[key]) && !same(value, server[key])) {
+      fields.push(key); // we both changed it
+    }
+    // otherwise only they changed it: keep theirs
+  });
+  return { data, fields };
+};
+
+const write = async (collectionId, documentId, data) => ({
+  doc: await db.updateDocument(collectionId, documentId, data),
+  discarded: false,
+});
+
+// 🔹 Update `base` (the document as the user loaded it) with `data`.
+// Resolves with { doc, discarded }: `doc` is the document as now stored and
+// `discarded` is true when the user kept the other version instead.
+export const updateChecked = async (collectionId, base, mine) => {
+  let server;
+  try {
+    server = await db.getDocument(collectionId, base.$id);
+  } catch (err) {
+    // Offline: the outbox compares versions itself when it replays
+    if (!isNetworkError(err)) throw err;
+    return write(collectionId, base.$id, mine);
+  }
+
+  if (!base.$updatedAt || server.$updatedAt === base.$updatedAt) {
+    return write(collectionId, base.$id, mine);
+  }
+
+  const { data, fields } = compare(base, mine, server);
+  if (!fields.length) return write(collectionId, base.$id, data);
+
+  const choice = await useConflictStore
+    .getState()
+    .ask({ collectionId, fields, mine, server });
+
+  if (choice !== "mine") return { doc: server, discarded: true };
+  // Checked again in case yet another save landed while the dialog was open
+  return updateChecked(
+    collectionId,
+    server,
+    Object.fromEntries(
+      [...Object.keys(data), ...fields].map((key) => [key, mine[key]])
+    )
+  );
+};
@@ -0,0 +1,38 @@
+// lib/db.js
+// Single entry point for data access. Stores and components talk to `db`
+// (documents) and `auth` (account) instead of the Appwrite SDK directly, so the
+// backend can be swapped with NEXT_PUBLIC_DATA_BACKEND:
+//   - "appwrite" (default): the real Appwrite project, with offline writes
+//     queued in an outbox and replayed on reconnect
+//   - "local": in-memory / IndexedDB demo backend, no server required
+// Either way every write is recorded in the audit log (auditAdapter.js), and
+// branch-owned collections are scoped to the active branch (branchAdapter.js).
+// New documents with amounts are marked as holding centavos (moneyAdapter.js).
+// In development, writes and queries are also checked against lib/schema.js.
+
+import { account } from "./appwrite";
+import { appwriteAdapter } from "./adapters/appwriteAdapter";
+import { localAdapter } from "./adapters/localAdapter";
+import { localAccount } from "./adapters/localAccount";
+import { withOutbox } from "./adapters/offlineAdapter";
+import { withAudit } from "./adapters/auditAdapter";
+import { withBranchScope } from "./adapters/branchAdapter";
+import { withSchemaCheck } from "./adapters/schemaAdapter";
+import { withMinorUnits } from "./adapters/moneyAdapter";
+
+export const DATA_BACKEND =
+  process.env.NEXT_PUBLIC_DATA_BACKEND === "local" ? "local" : "appwrite";
+
+export const db = withSchemaCheck(
+  withMinorUnits(
+    withBranchScope(
+      withAudit(
+        DATA_BACKEND === "local" ? localAdapter : withOutbox(appwriteAdapter)
+      )
+    )
+  )
+);
+export const auth = DATA_BACKEND === "local" ? localAccount : account;
+
+// Query builders and ID generation are pure helpers, valid for both backends
+export { Query, ID } from "appwrite";
@@ -0,0 +1,164 @@
+// lib/duplicates.js
+// Walk-ins often get registered twice ("Ma. Ana Cruz" and "Ana Cruz", one
+// number with and one without +63). Before a new patient is saved, likely
+// matches are looked up: the server narrows the candidates (name words,
+// same birthdate, same contact) and each one is then scored here on name
+// similarity, birthdate and contact number.
+
+import { Query } from "./db";
+import { listPage } from "./paginate";
+
+const PATIENTS_COLLECTION_ID = "patients";
+const MAX_CANDIDATES = 50;
+
+/* ----------------------------------------------------------
+    Normalizing
+---------------------------------------------------------- */
+
+// "Ma. Ána  Cruz-Reyes" -> ["ma", "ana", "cruz", "reyes"]
+const nameWords = (name) =>
+  String(name || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+
+// Last 10 digits, so 0917..., +63917... and 63 917 ... compare equal
+const contactKey = (contact) => {
+  const digits = String(contact || "").replace(/\D/g, "");
+  return digits.length >= 7 ? digits.slice(-10) : "";
+};
+
+const levenshtein = (a, b) => {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(
+        prev[j] + 1,
+        row[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    prev = row;
+  }
+  return prev[b.length];
+};
+
+const ratio = (a, b) =>
+  !a && !b ? 1 : 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+
+// 🔹 0..1: how alike two names are, ignoring case, accents, punctuation and
+// word order. A name that only adds words (a middle name) scores 0.9.
+export const nameSimilarity = (a, b) => {
+  const wa = nameWords(a);
+  const wb = nameWords(b);
+  if (!wa.length || !wb.length) return 0;
+
+  const [short, long] = wa.length <= wb.length ? [wa, wb] : [wb, wa];
+  const subset = short.length >= 2 && short.every((w) => long.includes(w));
+
+  return Math.max(
+    ratio(wa.join(" "), wb.join(" ")),
+    ratio([...wa].sort().join(" "), [...wb].sort().join(" ")),
+    subset ? 0.9 : 0
+  );
+};
+
+/* ----------------------------------------------------------
+    Matching
+---------------------------------------------------------- */
+
+// 🔹 Why `other` looks like the same person as `patient`, or null if it doesn't
+export const matchPatient = (patient, other) => {
+  const name = nameSimilarity(patient.patientName, other.patientName);
+  const sameBirthdate =
+    !!patient.birthdate && patient.birthdate === other.birthdate;
+  const contact = contactKey(patient.contact);
+  const sameContact = !!contact && contact === contactKey(other.contact);
+
+  const likely =
+    name >= 0.85 ||
+    (name >= 0.7 && (sameBirthdate || sameContact)) ||
+    (sameBirthdate && sameContact);
+  if (!likely) return null;
+
+  return {
+    patient: other,
+    score: name + (sameBirthdate ? 1 : 0) + (sameContact ? 1 : 0),
+    reasons: [
+      name >= 0.7 && (name === 1 ? "Same name" : "Similar name"),
+      sameBirthdate && "Same birthdate",
+      sameContact && "Same contact number",
+    ].filter(Boolean),
+  };
+};
+
+const candidateQueries = ({ patientName, birthdate, contact }) => {
+  const queries = nameWords(patientName)
+    .filter((word) => word.length >= 3)
+    .map((word) => Query.search("patientName", word));
+
+  if (birthdate) queries.push(Query.equal("birthdate", birthdate));
+
+  const raw = String(contact || "").trim();
+  const digits = raw.replace(/\D/g, "");
+  const contacts = [...new Set([raw, digits].filter(Boolean))];
+  if (contacts.length) queries.push(Query.equal("contact", contacts));
+
+  return queries;
+};
+
+// 🔹 In-memory lookup over many patients (e.g. a whole import): only
+// patients sharing a name word, the birthdate or the contact are scored.
+// Returns find(patient) -> matches, best first; add(patient) indexes one more.
+export const duplicateIndex = (patients = []) => {
+  const buckets = new Map();
+  const keysOf = (p) => [
+    ...nameWords(p.patientName)
+      .filter((word) => word.length >= 3)
+      .map((word) => `n:${word}`),
+    ...(p.birthdate ? [`b:${p.birthdate}`] : []),
+    ...(contactKey(p.contact) ? [`c:${contactKey(p.contact)}`] : []),
+  ];
+
+  const add = (p) =>
+    keysOf(p).forEach((key) => {
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(p);
+    });
+
+  const find = (patient) => {
+    const candidates = new Set(
+      keysOf(patient).flatMap((key) => buckets.get(key) || [])
+    );
+    return [...candidates]
+      .map((other) => matchPatient(patient, other))
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score);
+  };
+
+  patients.forEach(add);
+  return { add, find };
+};
+
+// 🔹 Existing patients that are probably `patient` registered before, best
+// match first. `excludeId` leaves out the patient itself (when merging).
+export const findDuplicates = async (patient, { excludeId = null } = {}) => {
+  const queries = candidateQueries(patient);
+  if (!queries.length) return [];
+
+  const { documents } = await listPage(
+    PATIENTS_COLLECTION_ID,
+    [queries.length > 1 ? Query.or(queries) : queries[0]],
+    { limit: MAX_CANDIDATES }
+  );
+
+  return documents
+    .filter((doc) => doc.$id !== excludeId)
+    .map((doc) => matchPatient(patient, doc))
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score);
+};
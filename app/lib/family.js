@@ -0,0 +1,156 @@
+// lib/family.js
+// Family links between patient records. A link in the "relationships"
+// collection says that `relatedId` is `patientId`'s guardian or spouse; a
+// child is simply the other end of a guardian link, so a parent and a child
+// never disagree about how they are related. Patients under 18 must have a
+// guardian on record, and the guardian's name goes on their consent forms.
+// A family statement adds up what every linked member still owes.
+
+import { db, ID, Query } from "./db";
+import { listAll, listWhereIn } from "./paginate";
+import { calculateAge } from "./age";
+import { minor, sumMoney } from "./money";
+
+const RELATIONSHIPS_COLLECTION_ID = "relationships";
+const PATIENTS_COLLECTION_ID = "patients";
+const TRANSACTIONS_COLLECTION_ID = "transactions";
+
+export const ADULT_AGE = 18;
+
+// A statement stops following links after this many members
+const MAX_FAMILY = 50;
+
+// How a family member relates to the patient, as offered in the UI
+export const RELATIONS = {
+  guardian: "Guardian",
+  child: "Child / dependent",
+  spouse: "Spouse",
+};
+
+// 🔹 True when the birthdate makes the patient a minor
+export const needsGuardian = (birthdate) => {
+  const age = calculateAge(birthdate);
+  return age !== null && age < ADULT_AGE;
+};
+
+// 🔹 The stored link for "`memberId` is `patientId`'s `relation`"
+export const relationshipData = (patientId, memberId, relation) =>
+  relation === "child"
+    ? { patientId: memberId, relatedId: patientId, relation: "guardian" }
+    : { patientId, relatedId: memberId, relation };
+
+// What the other end of `link` is to `patientId`
+const relationTo = (link, patientId) =>
+  link.patientId === patientId || link.relation !== "guardian"
+    ? link.relation
+    : "child";
+
+const otherEnd = (link, patientId) =>
+  link.patientId === patientId ? link.relatedId : link.patientId;
+
+const linksOf = async (patientIds) =>
+  (
+    await Promise.all(
+      ["patientId", "relatedId"].map((attribute) =>
+        listWhereIn(RELATIONSHIPS_COLLECTION_ID, attribute, patientIds)
+      )
+    )
+  ).flat();
+
+/* ----------------------------------------------------------
+    Family members
+---------------------------------------------------------- */
+
+// 🔹 The patient's linked family as [{ link, relation, member }], guardians
+// first. Trashed members are left out.
+export const fetchFamily = async (patientId) => {
+  const links = await linksOf([patientId]);
+  const members = await listWhereIn(
+    PATIENTS_COLLECTION_ID,
+    "$id",
+    links.map((l) => otherEnd(l, patientId))
+  );
+  const byId = new Map(members.map((m) => [m.$id, m]));
+  const order = Object.keys(RELATIONS);
+
+  return links
+    .filter((link) => byId.has(otherEnd(link, patientId)))
+    .map((link) => ({
+      link,
+      relation: relationTo(link, patientId),
+      member: byId.get(otherEnd(link, patientId)),
+    }))
+    .sort(
+      (a, b) =>
+        order.indexOf(a.relation) - order.indexOf(b.relation) ||
+        a.member.patientName.localeCompare(b.member.patientName)
+    );
+};
+
+// 🔹 Guardians among fetchFamily() results
+export const guardiansIn = (family) =>
+  family.filter((f) => f.relation === "guardian").map((f) => f.member);
+
+// 🔹 Record that `memberId` is `patientId`'s `relation` (see RELATIONS).
+// Resolves to the existing link when there already is one.
+export const linkFamilyMember = async (patientId, memberId, relation) => {
+  const data = relationshipData(patientId, memberId, relation);
+  const existing = await listAll(RELATIONSHIPS_COLLECTION_ID, [
+    Query.equal("patientId", data.patientId),
+    Query.equal("relatedId", data.relatedId),
+  ]);
+  const same = existing.find((l) => l.relation === data.relation);
+  if (same) return same;
+  return db.createDocument(RELATIONSHIPS_COLLECTION_ID, ID.unique(), data);
+};
+
+/* ----------------------------------------------------------
+    Family statement
+---------------------------------------------------------- */
+
+// 🔹 Ids of everyone connected to the patient through family links,
+// directly or not (a spouse's children, a guardian's other wards, ...)
+export const familyIds = async (patientId) => {
+  const seen = new Set([patientId]);
+  let frontier = [patientId];
+  while (frontier.length && seen.size < MAX_FAMILY) {
+    const links = await linksOf(frontier);
+    frontier = [
+      ...new Set(links.flatMap((l) => [l.patientId, l.relatedId])),
+    ].filter((id) => !seen.has(id));
+    frontier.forEach((id) => seen.add(id));
+  }
+  return [...seen];
+};
+
+// 🔹 Outstanding balances across the patient's family, as
+// { members: [{ patient, transactions, balance }], total }. The patient
+// comes first, then whoever owes the most. Amounts are centavos.
+export const loadFamilyStatement = async (patientId) => {
+  const ids = await familyIds(patientId);
+  const [patients, transactions] = await Promise.all([
+    listWhereIn(PATIENTS_COLLECTION_ID, "$id", ids),
+    listWhereIn(TRANSACTIONS_COLLECTION_ID, "patientId", ids),
+  ]);
+  const open = transactions
+    .filter((t) => minor(t.remaining) > 0)
+    .sort((a, b) => a.$createdAt.localeCompare(b.$createdAt));
+
+  const members = patients
+    .map((patient) => {
+      const owed = open.filter((t) => t.patientId === patient.$id);
+      return {
+        patient,
+        transactions: owed,
+        balance: sumMoney(owed, "remaining"),
+      };
+    })
+    .sort(
+      (a, b) =>
+        (b.patient.$id === patientId) - (a.patient.$id === patientId) ||
+        b.balance - a.balance ||
+        a.patient.patientName.localeCompare(b.patient.patientName)
+    );
+
+  return { members, total: sumMoney(members, "balance") };
+};
@@ -0,0 +1,11 @@
+// lib/files.js
+// Single entry point for file storage, the counterpart of `db` for documents.
+// Follows NEXT_PUBLIC_DATA_BACKEND like lib/db.js: Appwrite Storage by
+// default, IndexedDB blobs with the local backend. Uploads need a connection;
+// unlike document writes they are not queued offline.
+
+import { DATA_BACKEND } from "./db";
+import { appwriteFiles } from "./adapters/appwriteFiles";
+import { localFiles } from "./adapters/localFiles";
+
+export const files = DATA_BACKEND === "local" ? localFiles : appwriteFiles;
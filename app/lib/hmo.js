@@ -0,0 +1,156 @@
+// lib/hmo.js
+// Patients who pay through an HMO card. The patient record holds the
+// provider, the member ID and the card's expiry. A coverage rule says how
+// much of a service a provider pays: a percentage of the price, optionally
+// capped per visit. When a charge is recorded (NewTransactionModal) it is
+// split in two. The transaction carries the patient's co-pay, so balances,
+// installments and the Sales report are unchanged. The HMO's share becomes
+// a claim that moves through submitted → approved or denied → paid.
+// Claims that are submitted or approved but not yet paid are the HMO
+// receivables (Reports › HMO Claims).
+
+import dayjs from "dayjs";
+import { db, ID, Query } from "./db";
+import { listAll } from "./paginate";
+import { minor } from "./money";
+
+const CLAIMS_COLLECTION_ID = "claims";
+const COVERAGE_RULES_COLLECTION_ID = "coveragerules";
+
+export const CLAIM_STATUS_LABELS = {
+  submitted: "Submitted",
+  approved: "Approved",
+  denied: "Denied",
+  paid: "Paid",
+};
+
+// Where a claim can go from each status
+export const CLAIM_TRANSITIONS = {
+  submitted: ["approved", "denied", "paid"],
+  approved: ["paid", "denied"],
+  denied: [],
+  paid: [],
+};
+
+/* ----------------------------------------------------------
+    Coverage
+---------------------------------------------------------- */
+
+// 🔹 Whether the patient's HMO card can be billed on the given day. A card
+// without an expiry is taken as valid.
+export const hmoActive = (patient, on = new Date()) =>
+  !!patient?.hmoProviderId &&
+  (!patient.hmoValidUntil ||
+    !dayjs(patient.hmoValidUntil).endOf("day").isBefore(on));
+
+// 🔹 The provider's rule for a service, if it covers it
+export const fetchCoverageRule = async (providerId, serviceId) => {
+  const rules = await listAll(COVERAGE_RULES_COLLECTION_ID, [
+    Query.equal("providerId", providerId),
+  ]);
+  return rules.find((rule) => rule.serviceId === serviceId) || null;
+};
+
+// 🔹 Split a price (centavos) into { hmo, copay } under a coverage rule
+export const splitCharge = (price, rule) => {
+  const total = minor(price);
+  if (!rule) return { hmo: 0, copay: total };
+  const share = Math.round((total * rule.percent) / 100);
+  const hmo = rule.maxAmount ? Math.min(share, minor(rule.maxAmount)) : share;
+  return { hmo, copay: total - hmo };
+};
+
+/* ----------------------------------------------------------
+    Claims
+---------------------------------------------------------- */
+
+// 🔹 File the HMO's share of a transaction
+export const fileClaim = ({ transaction, patient, provider, amount }) =>
+  db.createDocument(CLAIMS_COLLECTION_ID, ID.unique(), {
+    transactionId: transaction.$id,
+    patientId: patient.$id,
+    patientName: patient.patientName,
+    providerId: provider.$id,
+    providerName: provider.name,
+    memberId: patient.hmoMemberId || null,
+    serviceName: transaction.serviceName || null,
+    amount,
+    status: "submitted",
+    submittedAt: new Date().toISOString(),
+  });
+
+// 🔹 Fields to write when a claim moves to `status`. An approval without an
+// amount approves the full claim; a payment without one pays what was
+// approved.
+export const claimUpdate = (claim, status, values = {}) => {
+  const now = new Date().toISOString();
+  const approvedAmount =
+    values.approvedAmount ?? claim.approvedAmount ?? minor(claim.amount);
+  switch (status) {
+    case "approved":
+      return { status, approvedAmount, decidedAt: now };
+    case "denied":
+      return { status, approvedAmount: 0, decidedAt: now };
+    case "paid":
+      return {
+        status,
+        approvedAmount,
+        paidAmount: values.paidAmount ?? approvedAmount,
+        decidedAt: claim.decidedAt || now,
+        paidAt: now,
+      };
+    default:
+      return { status };
+  }
+};
+
+// 🔹 What the HMO still owes on a claim
+export const claimOutstanding = (claim) => {
+  if (claim.status === "submitted") return minor(claim.amount);
+  if (claim.status === "approved") {
+    return Math.max(
+      minor(claim.approvedAmount ?? claim.amount) - minor(claim.paidAmount),
+      0
+    );
+  }
+  return 0;
+};
+
+// 🔹 Days since the claim was filed, for follow-ups
+export const claimAge = (claim, now = new Date()) =>
+  dayjs(now).diff(claim.submittedAt || claim.$createdAt, "day");
+
+// 🔹 Receivables per provider, largest first:
+// [{ providerId, providerName, open, claimed, approved, paid, denied,
+//    outstanding }]
+export const hmoReceivables = (claims) => {
+  const byProvider = new Map();
+  claims.forEach((claim) => {
+    const row = byProvider.get(claim.providerId) || {
+      providerId: claim.providerId,
+      providerName: claim.providerName || "Unknown HMO",
+      open: 0,
+      claimed: 0,
+      approved: 0,
+      paid: 0,
+      denied: 0,
+      outstanding: 0,
+    };
+    const outstanding = claimOutstanding(claim);
+    byProvider.set(claim.providerId, {
+      ...row,
+      open: row.open + (outstanding > 0 ? 1 : 0),
+      claimed: row.claimed + minor(claim.amount),
+      approved:
+        row.approved +
+        (["approved", "paid"].includes(claim.status)
+          ? minor(claim.approvedAmount ?? claim.amount)
+          : 0),
+      paid: row.paid + minor(claim.paidAmount),
+      denied:
+        row.denied + (claim.status === "denied" ? minor(claim.amount) : 0),
+      outstanding: row.outstanding + outstanding,
+    });
+  });
+  return [...byProvider.values()].sort((a, b) => b.outstanding - a.outstanding);
+};
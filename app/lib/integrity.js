@@ -0,0 +1,190 @@
+// lib/integrity.js
+// Consistency check for the money records. Transactions keep denormalized
+// `paid` / `remaining` / `status`, and every installment keeps the balance
+// left after it (`remaining`); if a write was lost halfway or two desks
+// recorded payments at once these drift from the installments themselves.
+// `scanFinances` lists every problem it finds, and `repairFinances` rewrites
+// the derived fields from the installments (lib/balances.js). Orphans and
+// records without a patient are only reported: they need a person to decide.
+
+import { db } from "./db";
+import { listAll } from "./paginate";
+import { planTotals } from "./balances";
+import { formatMoney, minor } from "./money";
+
+const TRANSACTIONS_COLLECTION_ID = "transactions";
+const INSTALLMENTS_COLLECTION_ID = "installments";
+const PATIENTS_COLLECTION_ID = "patients";
+
+// Amounts are whole centavos (lib/money.js), so they must match exactly
+const differs = (stored, expected) =>
+  typeof expected === "number"
+    ? minor(stored) !== expected
+    : stored !== expected;
+
+const byPaymentDate = (a, b) =>
+  new Date(a.dateTransact || a.$createdAt) -
+    new Date(b.dateTransact || b.$createdAt) ||
+  new Date(a.$createdAt) - new Date(b.$createdAt);
+
+const issue = (kind, severity, collectionId, doc, message, fix = null) => ({
+  id: `${kind}:${doc.$id}`,
+  kind,
+  severity, // "error" | "warning"
+  collectionId,
+  documentId: doc.$id,
+  patientName: doc.patientName || "",
+  message,
+  fix, // fields to write back, or null when it needs a person
+});
+
+/* ----------------------------------------------------------
+    Checks
+---------------------------------------------------------- */
+
+const checkTransaction = (txn, installments, patientIds) => {
+  const found = [];
+
+  if (!txn.patientId || !patientIds.has(txn.patientId)) {
+    found.push(
+      issue(
+        "missing-patient",
+        "error",
+        TRANSACTIONS_COLLECTION_ID,
+        txn,
+        txn.patientId
+          ? "Its patient no longer exists or is in the trash"
+          : "Not linked to a patient"
+      )
+    );
+  }
+
+  const expected = planTotals(txn, installments);
+  const changed = Object.keys(expected).filter((key) =>
+    differs(txn[key], expected[key])
+  );
+  if (changed.length) {
+    const negative = minor(txn.remaining) < 0;
+    found.push(
+      issue(
+        negative ? "negative-remaining" : "totals",
+        "error",
+        TRANSACTIONS_COLLECTION_ID,
+        txn,
+        changed
+          .map((key) =>
+            key === "status"
+              ? `status "${txn.status || "—"}" should be "${expected.status}"`
+              : `${key} ${formatMoney(txn[key])} should be ${formatMoney(
+                  expected[key]
+                )}`
+          )
+          .join(", "),
+        expected
+      )
+    );
+  }
+
+  const total = minor(txn.totalAmount);
+  if (txn.paymentType === "installment" && expected.paid > total) {
+    found.push(
+      issue(
+        "overpaid",
+        "warning",
+        TRANSACTIONS_COLLECTION_ID,
+        txn,
+        `Installments add up to ${formatMoney(
+          expected.paid
+        )}, more than the price of ${formatMoney(total)}`
+      )
+    );
+  }
+
+  // Each installment records the balance left right after it
+  let paidSoFar = 0;
+  [...installments].sort(byPaymentDate).forEach((inst) => {
+    paidSoFar += minor(inst.amount);
+    const remaining = Math.max(total - paidSoFar, 0);
+    if (differs(inst.remaining, remaining)) {
+      found.push(
+        issue(
+          minor(inst.remaining) < 0
+            ? "negative-remaining"
+            : "installment-remaining",
+          "error",
+          INSTALLMENTS_COLLECTION_ID,
+          { ...inst, patientName: inst.patientName || txn.patientName },
+          `Remaining after this payment is ${formatMoney(
+            inst.remaining
+          )}, should be ${formatMoney(remaining)}`,
+          { remaining }
+        )
+      );
+    }
+  });
+
+  return found;
+};
+
+// 🔹 Scan every live transaction and installment (in the active branch)
+export const scanFinances = async () => {
+  const [transactions, installments, patients] = await Promise.all([
+    listAll(TRANSACTIONS_COLLECTION_ID),
+    listAll(INSTALLMENTS_COLLECTION_ID),
+    listAll(PATIENTS_COLLECTION_ID),
+  ]);
+
+  const patientIds = new Set(patients.map((p) => p.$id));
+  const transactionIds = new Set(transactions.map((t) => t.$id));
+  const byTransaction = new Map();
+  const issues = [];
+
+  installments.forEach((inst) => {
+    if (!inst.transactionId || !transactionIds.has(inst.transactionId)) {
+      issues.push(
+        issue(
+          "orphan-installment",
+          "error",
+          INSTALLMENTS_COLLECTION_ID,
+          inst,
+          inst.transactionId
+            ? `${formatMoney(
+                inst.amount
+              )} paid against a transaction that no longer exists or is in the trash`
+            : `${formatMoney(inst.amount)} not linked to any transaction`
+        )
+      );
+      return;
+    }
+    byTransaction.set(inst.transactionId, [
+      ...(byTransaction.get(inst.transactionId) || []),
+      inst,
+    ]);
+  });
+
+  transactions.forEach((txn) =>
+    issues.push(
+      ...checkTransaction(txn, byTransaction.get(txn.$id) || [], patientIds)
+    )
+  );
+
+  return {
+    scannedAt: new Date().toISOString(),
+    counts: {
+      transactions: transactions.length,
+      installments: installments.length,
+    },
+    issues,
+  };
+};
+
+// 🔹 Write back the recomputed fields of every fixable issue, one at a time.
+// Resolves with the number of records repaired.
+export const repairFinances = async (issues, onProgress) => {
+  const fixable = issues.filter((i) => i.fix);
+  for (const [index, { collectionId, documentId, fix }] of fixable.entries()) {
+    await db.updateDocument(collectionId, documentId, fix);
+    onProgress?.(index + 1, fixable.length);
+  }
+  return fixable.length;
+};
@@ -0,0 +1,159 @@
+// lib/money.js
+// Amounts are stored as whole minor units — centavos, cents — so adding up
+// payments never drifts by a fraction (0.1 + 0.2 !== 0.3). Convert only at
+// the edges: `parseMoney` for what someone typed, `formatMoney` for what they
+// see. The scale is 100 for every currency; `formatMoney` rounds to what the
+// currency shows (none for yen). Currency and locale are clinic-wide, set in
+// Settings › Personalization under All branches: amounts carry no currency,
+// so branches must share one for totals across them to mean anything
+// (stores/usePersonalizationStore.js).
+
+export const MINOR_PER_MAJOR = 100;
+export const DEFAULT_CURRENCY = "PHP";
+export const DEFAULT_LOCALE = "en-PH";
+
+// Offered in Settings › Personalization
+export const CURRENCIES = [
+  { code: "PHP", label: "Philippine peso (₱)" },
+  { code: "USD", label: "US dollar ($)" },
+  { code: "EUR", label: "Euro (€)" },
+  { code: "GBP", label: "British pound (£)" },
+  { code: "AUD", label: "Australian dollar (A$)" },
+  { code: "SGD", label: "Singapore dollar (S$)" },
+  { code: "JPY", label: "Japanese yen (¥)" },
+];
+export const LOCALES = [
+  { code: "en-PH", label: "English (Philippines) — 1,500.50" },
+  { code: "en-US", label: "English (US) — 1,500.50" },
+  { code: "en-GB", label: "English (UK) — 1,500.50" },
+  { code: "de-DE", label: "German — 1.500,50" },
+  { code: "fr-FR", label: "French — 1 500,50" },
+  { code: "ja-JP", label: "Japanese — 1,500.50" },
+];
+
+let current = { currency: DEFAULT_CURRENCY, locale: DEFAULT_LOCALE };
+
+// 🔹 Use the clinic's currency/locale from now on (missing values fall back
+// to the defaults). Returns the format in effect.
+export const setMoneyFormat = ({ currency, locale } = {}) => {
+  current = {
+    currency: currency || DEFAULT_CURRENCY,
+    locale: locale || DEFAULT_LOCALE,
+  };
+  return current;
+};
+
+export const moneyFormat = () => current;
+
+/* ----------------------------------------------------------
+    Arithmetic
+---------------------------------------------------------- */
+
+// Round half away from zero, after dropping float noise (1.005 * 100 is
+// 100.49999999999999)
+const roundHalfUp = (value) => {
+  const clean = Number(value.toPrecision(12));
+  return Math.sign(clean) * Math.round(Math.abs(clean));
+};
+
+// 🔹 A stored amount as a safe integer (missing → 0)
+export const minor = (value) => {
+  const n = Number(value);
+  return isFinite(n) ? roundHalfUp(n) : 0;
+};
+
+// 🔹 Major units (pesos) → minor units (centavos)
+export const toMinor = (major) => roundHalfUp(Number(major) * MINOR_PER_MAJOR);
+
+// 🔹 Minor units → major units, e.g. to prefill an input
+export const toMajor = (amount) => minor(amount) / MINOR_PER_MAJOR;
+
+// 🔹 Add up one amount field of a list of records
+export const sumMoney = (records, key) =>
+  records.reduce((sum, r) => sum + minor(r?.[key]), 0);
+
+/* ----------------------------------------------------------
+    Parsing and formatting
+---------------------------------------------------------- */
+
+const formatters = new Map();
+const formatter = ({ currency, locale, currencyDisplay = "symbol" }) => {
+  const key = `${locale}:${currency}:${currencyDisplay}`;
+  if (!formatters.has(key)) {
+    formatters.set(
+      key,
+      new Intl.NumberFormat(locale || DEFAULT_LOCALE, {
+        style: "currency",
+        currency: currency || DEFAULT_CURRENCY,
+        currencyDisplay,
+      })
+    );
+  }
+  return formatters.get(key);
+};
+
+// The locale's decimal point and thousands separator, e.g. "," and "." for
+// de-DE. Any space counts as a separator where the locale groups with one
+// (fr-FR formats with a narrow no-break space, people type a plain one).
+const separators = new Map();
+const separatorsOf = (locale) => {
+  if (!separators.has(locale)) {
+    const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+    const group = parts.find((p) => p.type === "group")?.value ?? ",";
+    separators.set(locale, {
+      group: /\s/.test(group) ? " " : group,
+      decimal: parts.find((p) => p.type === "decimal")?.value ?? ".",
+    });
+  }
+  return separators.get(locale);
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// 🔹 What someone typed → minor units, or NaN when it isn't an amount. Read
+// with the clinic locale's separators: in en-PH "1,500.50" and "1500.5" are
+// amounts, in de-DE "1.500,50" is. Thousands groups must have three digits
+// and the fraction at most two, so a slip like "100.123" or "1.5.0" is
+// rejected rather than read as a thousand times the amount.
+export const parseMoney = (text, locale = current.locale) => {
+  const { group, decimal } = separatorsOf(locale || DEFAULT_LOCALE);
+  // Drop a currency symbol or code before or after the number
+  let value = String(text ?? "")
+    .trim()
+    .replace(/^(-?)\s*[^\d\s.,-]+\s*/, "$1")
+    .replace(/\s*[^\d\s.,]+$/, "");
+  if (group === " ") value = value.replace(/\s+/g, " ");
+  const g = escapeRegExp(group);
+  const d = escapeRegExp(decimal);
+  const match = new RegExp(
+    `^(-?)(\\d{1,3}(?:${g}\\d{3})+|\\d*)(?:${d}(\\d{0,2}))?$`
+  ).exec(value);
+  if (!match || !/\d/.test(match[2] + (match[3] || ""))) return NaN;
+  const [, sign, whole, fraction = "0"] = match;
+  return toMinor(`${sign}${whole.split(group).join("") || "0"}.${fraction}`);
+};
+
+// 🔹 Minor units → what parseMoney reads back, to prefill an input
+// ("1500.5", or "1500,5" in de-DE)
+export const moneyInput = (amount) =>
+  new Intl.NumberFormat(current.locale, {
+    useGrouping: false,
+    maximumFractionDigits: 2,
+  }).format(toMajor(amount));
+
+// 🔹 Numbers are amounts already in minor units, strings are what someone
+// typed. Lets a payload be checked again after a form normalized it.
+export const toAmount = (value) =>
+  typeof value === "number" ? value : parseMoney(value);
+
+// 🔹 Minor units → "₱1,500.50" in the clinic's currency and locale. PDFs
+// pass { currencyDisplay: "code" } ("PHP 1,500.50"): jsPDF's built-in fonts
+// have no ₱ glyph.
+export const formatMoney = (amount, options = {}) =>
+  formatter({ ...current, ...options }).format(toMajor(amount));
+
+// 🔹 The currency symbol alone, for input placeholders and labels
+export const currencySymbol = (options = {}) =>
+  formatter({ ...current, ...options })
+    .formatToParts(0)
+    .find((p) => p.type === "currency")?.value || current.currency;
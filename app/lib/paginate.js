@@ -0,0 +1,85 @@
+// lib/paginate.js
+// Cursor-based paging over `db.listDocuments`. Appwrite silently returns only
+// its default page (25 docs) when no limit is given, so every list fetch in
+// the app should go through `listPage` (one page at a time, e.g. "load more")
+// or `listAll` (walk every page, e.g. report totals).
+
+import { db, Query } from "./db";
+
+export const PAGE_SIZE = 100;
+
+// Collections that use soft delete (see softDelete.js). Their lists skip
+// trashed documents unless `includeDeleted` is passed.
+export const SOFT_DELETE_COLLECTIONS = [
+  "patients",
+  "transactions",
+  "installments",
+  "expenses",
+  "claims",
+];
+
+// 🔹 Fetch a single page; pass the returned `cursor` to get the next one
+export const listPage = async (
+  collectionId,
+  queries = [],
+  { cursor = null, limit = PAGE_SIZE, includeDeleted = false } = {}
+) => {
+  const hideDeleted =
+    !includeDeleted && SOFT_DELETE_COLLECTIONS.includes(collectionId);
+
+  const res = await db.listDocuments(collectionId, [
+    ...queries,
+    ...(hideDeleted ? [Query.isNull("deletedAt")] : []),
+    Query.limit(limit),
+    ...(cursor ? [Query.cursorAfter(cursor)] : []),
+  ]);
+
+  const documents = res.documents || [];
+  const last = documents[documents.length - 1];
+
+  return {
+    documents,
+    total: res.total,
+    cursor: last ? last.$id : cursor,
+    hasMore: documents.length === limit,
+  };
+};
+
+// 🔹 Fetch every document matching the queries, page by page
+export const listAll = async (collectionId, queries = [], options = {}) => {
+  const documents = [];
+  let cursor = null;
+  let hasMore = true;
+
+  while (hasMore) {
+    const page = await listPage(collectionId, queries, { ...options, cursor });
+    documents.push(...page.documents);
+    cursor = page.cursor;
+    hasMore = page.hasMore;
+  }
+
+  return documents;
+};
+
+const ID_CHUNK = 100; // Appwrite limit for Query.equal(attr, [...])
+
+// 🔹 Every document whose `attribute` is one of `values`, however many
+export const listWhereIn = async (
+  collectionId,
+  attribute,
+  values,
+  queries = []
+) => {
+  const unique = [...new Set(values.filter(Boolean))];
+  const groups = [];
+  for (let i = 0; i < unique.length; i += ID_CHUNK) {
+    groups.push(unique.slice(i, i + ID_CHUNK));
+  }
+  return (
+    await Promise.all(
+      groups.map((group) =>
+        listAll(collectionId, [Query.equal(attribute, group), ...queries])
+      )
+    )
+  ).flat();
+};
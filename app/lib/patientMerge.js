@@ -0,0 +1,194 @@
+// lib/patientMerge.js
+// Merging two records of the same person. Everything that points at the
+// duplicate (payments, clinical records, appointments) is re-pointed to the
+// record that survives, details the survivor is missing are copied over from
+// the duplicate, and the duplicate goes to the trash. Every step only touches
+// records that still point at the duplicate, so a merge that stops part-way
+// can simply be run again.
+
+import { db, Query } from "./db";
+import { listAll } from "./paginate";
+import { findPatientRecords } from "./cascadeDelete";
+import { softDeletePatient } from "./softDelete";
+import { ENTITIES } from "./validation";
+
+const PATIENTS_COLLECTION_ID = "patients";
+const TRANSACTIONS_COLLECTION_ID = "transactions";
+const INSTALLMENTS_COLLECTION_ID = "installments";
+const DENTAL_CHART_COLLECTION_ID = "dentalchart";
+const RELATIONSHIPS_COLLECTION_ID = "relationships";
+
+// Collections that copy the patient's name next to patientId
+const NAMED_COLLECTIONS = [
+  TRANSACTIONS_COLLECTION_ID,
+  INSTALLMENTS_COLLECTION_ID,
+  "recallrules",
+  "claims",
+];
+
+// Details copied from the duplicate when the survivor has none
+const DETAIL_FIELDS = [
+  ...Object.keys(ENTITIES.patient.fields).filter(
+    (field) => field !== "patientName"
+  ),
+  "chartNumber", // lib/chartNumbers.js
+];
+
+const isBlank = (value) =>
+  value === null || value === undefined || String(value).trim() === "";
+
+// 🔹 Survivor details to fill in from the duplicate
+export const mergedDetails = (survivor, duplicate) =>
+  Object.fromEntries(
+    DETAIL_FIELDS.filter(
+      (field) => isBlank(survivor[field]) && !isBlank(duplicate[field])
+    ).map((field) => [field, duplicate[field]])
+  );
+
+// 🔹 What a merge would move: { details, records, counts: [{ label, count }] }
+export const planPatientMerge = async (survivor, duplicate) => {
+  const { transactions, installments, linked } = await findPatientRecords(
+    duplicate.$id
+  );
+
+  const records = [
+    ...installments.map((doc) => ({
+      collectionId: INSTALLMENTS_COLLECTION_ID,
+      label: "Installments",
+      doc,
+    })),
+    ...transactions.map((doc) => ({
+      collectionId: TRANSACTIONS_COLLECTION_ID,
+      label: "Transactions",
+      doc,
+    })),
+    ...linked.flatMap(({ collectionId, label, attribute, docs }) =>
+      docs.map((doc) => ({ collectionId, label, attribute, doc }))
+    ),
+  ];
+
+  const counts = Object.entries(
+    records.reduce(
+      (byLabel, { label }) => ({
+        ...byLabel,
+        [label]: (byLabel[label] || 0) + 1,
+      }),
+      {}
+    )
+  ).map(([label, count]) => ({ label, count }));
+
+  return { details: mergedDetails(survivor, duplicate), records, counts };
+};
+
+// 🦷 Both records may chart the same tooth: the most recently updated entry
+// is kept on the survivor and the other one is dropped
+const moveTooth = async (entry, survivorChart, survivorId) => {
+  const existing = survivorChart.find(
+    (t) => t.toothNumber === entry.toothNumber
+  );
+  if (!existing) {
+    return db.updateDocument(DENTAL_CHART_COLLECTION_ID, entry.$id, {
+      patientId: survivorId,
+    });
+  }
+  if (entry.$updatedAt > existing.$updatedAt) {
+    await db.updateDocument(DENTAL_CHART_COLLECTION_ID, existing.$id, {
+      status: entry.status,
+      note: entry.note,
+    });
+  }
+  return db.deleteDocument(DENTAL_CHART_COLLECTION_ID, entry.$id);
+};
+
+// 👪 Spouse links count the same whichever end they were made from
+const sameLink = (a, b) =>
+  a.relation === b.relation &&
+  ((a.patientId === b.patientId && a.relatedId === b.relatedId) ||
+    (a.relation === "spouse" &&
+      a.patientId === b.relatedId &&
+      a.relatedId === b.patientId));
+
+// A link between the two records themselves, or one the survivor already
+// has, is dropped rather than moved
+const moveLink = async (link, attribute, survivorLinks, survivorId) => {
+  const moved = { ...link, [attribute]: survivorId };
+  if (
+    moved.patientId === moved.relatedId ||
+    survivorLinks.some((l) => sameLink(l, moved))
+  ) {
+    return db.deleteDocument(RELATIONSHIPS_COLLECTION_ID, link.$id);
+  }
+  survivorLinks.push(moved);
+  return db.updateDocument(RELATIONSHIPS_COLLECTION_ID, link.$id, {
+    [attribute]: survivorId,
+  });
+};
+
+// 🔹 Merge `duplicate` into `survivor`. Resolves to the updated survivor.
+export const runPatientMerge = async (
+  survivor,
+  duplicate,
+  { onProgress } = {}
+) => {
+  const { details, records } = await planPatientMerge(survivor, duplicate);
+  const total = records.length + 2;
+  const link = {
+    patientId: survivor.$id,
+    patientName: survivor.patientName,
+  };
+
+  const hasChart = records.some(
+    (r) => r.collectionId === DENTAL_CHART_COLLECTION_ID
+  );
+  const survivorChart = hasChart
+    ? await listAll(DENTAL_CHART_COLLECTION_ID, [
+        Query.equal("patientId", survivor.$id),
+      ])
+    : [];
+  const hasLinks = records.some(
+    (r) => r.collectionId === RELATIONSHIPS_COLLECTION_ID
+  );
+  const survivorLinks = hasLinks
+    ? (
+        await Promise.all(
+          ["patientId", "relatedId"].map((attribute) =>
+            listAll(RELATIONSHIPS_COLLECTION_ID, [
+              Query.equal(attribute, survivor.$id),
+            ])
+          )
+        )
+      ).flat()
+    : [];
+
+  // Installments before their transactions: a re-run finds the transactions
+  // still on the duplicate, and through them any installment left behind
+  for (const [
+    i,
+    { collectionId, label, attribute, doc },
+  ] of records.entries()) {
+    onProgress?.({ done: i, total, label });
+
+    if (collectionId === DENTAL_CHART_COLLECTION_ID) {
+      await moveTooth(doc, survivorChart, survivor.$id);
+    } else if (collectionId === RELATIONSHIPS_COLLECTION_ID) {
+      await moveLink(doc, attribute, survivorLinks, survivor.$id);
+    } else if (NAMED_COLLECTIONS.includes(collectionId)) {
+      await db.updateDocument(collectionId, doc.$id, link);
+    } else {
+      await db.updateDocument(collectionId, doc.$id, {
+        patientId: survivor.$id,
+      });
+    }
+  }
+
+  onProgress?.({ done: records.length, total, label: "Patient details" });
+  const merged = Object.keys(details).length
+    ? await db.updateDocument(PATIENTS_COLLECTION_ID, survivor.$id, details)
+    : survivor;
+
+  onProgress?.({ done: records.length + 1, total, label: "Duplicate" });
+  await softDeletePatient(duplicate);
+
+  onProgress?.({ done: total, total, label: "Done" });
+  return merged;
+};
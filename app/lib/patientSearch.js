@@ -0,0 +1,208 @@
+// lib/patientSearch.js
+// Patients › search and filters. Text search, gender, age and sorting run on
+// the server (fulltext and key indexes in lib/schema.js) one page at a time.
+// "Has a balance" and "last visit" live in other collections, so they are
+// first resolved to a set of patient ids; the matching patients are then
+// fetched in chunks and sorted here, and the list has no further pages.
+
+import dayjs from "dayjs";
+import { Query } from "./db";
+import { listAll, listPage } from "./paginate";
+import { birthdateRange, AGE_BRACKETS } from "./age";
+
+const PATIENTS_COLLECTION_ID = "patients";
+const TRANSACTIONS_COLLECTION_ID = "transactions";
+const SCHEDULES_COLLECTION_ID = "schedules";
+
+// Appwrite accepts at most 100 values in one Query.equal
+const ID_CHUNK = 100;
+
+const SEARCH_FIELDS = ["patientName", "contact", "address", "birthdate"];
+
+export const SORTS = {
+  name: { attribute: "patientName", label: "Name" },
+  age: { attribute: "birthdate", label: "Age", reversed: true },
+  added: { attribute: "$createdAt", label: "Date added" },
+};
+
+export const EMPTY_FILTERS = {
+  search: "",
+  gender: "",
+  ageBracket: "",
+  withBalance: false,
+  visitFrom: "", // last visit on or after (YYYY-MM-DD)
+  visitTo: "", // last visit on or before
+  sort: "name",
+  desc: false,
+};
+
+// 🔹 True when anything other than the sort order narrows the list
+export const isFiltered = (filters) =>
+  Object.keys(EMPTY_FILTERS)
+    .filter((key) => key !== "sort" && key !== "desc")
+    .some((key) => filters[key] !== EMPTY_FILTERS[key]);
+
+const chunk = (list, size) =>
+  Array.from({ length: Math.ceil(list.length / size) }, (_, i) =>
+    list.slice(i * size, (i + 1) * size)
+  );
+
+/* ----------------------------------------------------------
+    Queries
+---------------------------------------------------------- */
+
+// Youngest first is age ascending, i.e. birthdate descending
+const orderQuery = ({ sort, desc }) => {
+  const { attribute, reversed } = SORTS[sort] || SORTS.name;
+  return (desc !== !!reversed ? Query.orderDesc : Query.orderAsc)(attribute);
+};
+
+const filterQueries = ({ search, gender, ageBracket }) => {
+  const queries = [];
+
+  const term = search.trim();
+  if (term) {
+    queries.push(
+      Query.or([
+        ...SEARCH_FIELDS.map((field) => Query.search(field, term)),
+        // "DS-2026-0042", or just the start of it (lib/chartNumbers.js)
+        Query.startsWith("chartNumber", term.toUpperCase()),
+      ])
+    );
+  }
+  if (gender) queries.push(Query.equal("gender", gender));
+
+  const bracket = AGE_BRACKETS.find((b) => b.id === ageBracket);
+  if (bracket) {
+    const { from, to } = birthdateRange(bracket.min, bracket.max);
+    // A lower bound also leaves out patients without a birthdate ("")
+    queries.push(Query.between("birthdate", from || "0000-01-01", to));
+  }
+
+  return queries;
+};
+
+const distinctPatientIds = (docs) => [
+  ...new Set(docs.map((d) => d.patientId).filter(Boolean)),
+];
+
+// Patients with an unpaid remainder on any live transaction
+const idsWithBalance = async () =>
+  distinctPatientIds(
+    await listAll(TRANSACTIONS_COLLECTION_ID, [
+      Query.greaterThan("remaining", 0),
+      Query.select(["patientId"]),
+    ])
+  );
+
+// A visit is an appointment that has already started
+const pastAppointments = (from, to) =>
+  listAll(SCHEDULES_COLLECTION_ID, [
+    Query.isNotNull("patientId"),
+    ...(from ? [Query.greaterThanEqual("date", from)] : []),
+    Query.lessThanEqual("date", to),
+    Query.select(["patientId", "date"]),
+  ]);
+
+// Patients whose latest visit falls within the range: seen in the range and
+// not since
+const idsByLastVisit = async (visitFrom, visitTo) => {
+  const now = new Date().toISOString();
+  const start = visitFrom
+    ? dayjs(visitFrom).startOf("day").toISOString()
+    : null;
+  const endOfRange = visitTo ? dayjs(visitTo).endOf("day").toISOString() : now;
+  const end = endOfRange < now ? endOfRange : now;
+
+  const [inRange, later] = await Promise.all([
+    pastAppointments(start, end),
+    end < now
+      ? pastAppointments(dayjs(end).add(1, "ms").toISOString(), now)
+      : [],
+  ]);
+  const seenLater = new Set(distinctPatientIds(later));
+  return distinctPatientIds(inRange).filter((id) => !seenLater.has(id));
+};
+
+// Intersection of the id-based filters, or null when none is set
+const idFilter = async ({ withBalance, visitFrom, visitTo }) => {
+  const sets = await Promise.all([
+    withBalance ? idsWithBalance() : null,
+    visitFrom || visitTo ? idsByLastVisit(visitFrom, visitTo) : null,
+  ]);
+  return sets
+    .filter(Boolean)
+    .reduce(
+      (ids, set) => (ids ? ids.filter((id) => set.includes(id)) : set),
+      null
+    );
+};
+
+const compareBy = ({ sort, desc }) => {
+  const { attribute, reversed } = SORTS[sort] || SORTS.name;
+  const sign = desc !== !!reversed ? -1 : 1;
+  return (a, b) =>
+    sign * String(a[attribute] ?? "").localeCompare(String(b[attribute] ?? ""));
+};
+
+/* ----------------------------------------------------------
+    Search
+---------------------------------------------------------- */
+
+// 🔹 One page of patients matching the filters; same shape as listPage.
+// Pass the returned cursor back for the next page.
+export const searchPatients = async (filters, { cursor = null } = {}) => {
+  const queries = filterQueries(filters);
+  const ids = await idFilter(filters);
+
+  if (!ids) {
+    return listPage(PATIENTS_COLLECTION_ID, [...queries, orderQuery(filters)], {
+      cursor,
+    });
+  }
+
+  const pages = await Promise.all(
+    chunk(ids, ID_CHUNK).map((group) =>
+      listAll(PATIENTS_COLLECTION_ID, [Query.equal("$id", group), ...queries])
+    )
+  );
+  const documents = pages.flat().sort(compareBy(filters));
+  return {
+    documents,
+    total: documents.length,
+    cursor: null,
+    hasMore: false,
+  };
+};
+
+// 🔹 Date of each patient's latest visit (patientId -> ISO date), for the
+// rows on screen
+export const fetchLastVisits = async (patientIds) => {
+  const now = new Date().toISOString();
+  const groups = await Promise.all(
+    chunk(patientIds, ID_CHUNK).map((group) =>
+      listAll(SCHEDULES_COLLECTION_ID, [
+        Query.equal("patientId", group),
+        Query.lessThanEqual("date", now),
+        Query.select(["patientId", "date"]),
+      ])
+    )
+  );
+  return groups.flat().reduce((latest, { patientId, date }) => {
+    if (!latest[patientId] || date > latest[patientId]) {
+      latest[patientId] = date;
+    }
+    return latest;
+  }, {});
+};
+
+// 🔹 Every patient matching the filters, in list order (e.g. for export)
+export const searchAllPatients = async (filters) => {
+  const documents = [];
+  let page = { cursor: null, hasMore: true };
+  while (page.hasMore) {
+    page = await searchPatients(filters, { cursor: page.cursor });
+    documents.push(...page.documents);
+  }
+  return documents;
+};
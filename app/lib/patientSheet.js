@@ -0,0 +1,319 @@
+// lib/patientSheet.js
+// Patients › import and export. A spreadsheet (CSV or XLSX) is read into rows
+// of text, its columns are mapped to patient fields and every row is checked
+// like the Add Patient form before anything is written. Likely duplicates
+// (lib/duplicates.js) of an existing patient, or of an earlier row in the
+// same file, are flagged. Import creates patients in small batches, each with
+// the next chart number (lib/chartNumbers.js); export writes the same
+// columns, so an exported file can be imported again.
+
+import dayjs from "dayjs";
+import customParseFormat from "dayjs/plugin/customParseFormat";
+import { db, ID, Query } from "./db";
+import { listAll } from "./paginate";
+import { ENTITIES, validate } from "./validation";
+import { duplicateIndex } from "./duplicates";
+import { nextChartNumber } from "./chartNumbers";
+import { needsGuardian } from "./family";
+
+dayjs.extend(customParseFormat);
+
+const PATIENTS_COLLECTION_ID = "patients";
+export const IMPORT_BATCH_SIZE = 20;
+
+// Spreadsheet columns, in file order. Headers are matched against the label,
+// the field name and the aliases (ignoring case, spaces and punctuation).
+export const PATIENT_COLUMNS = [
+  { field: "patientName", aliases: ["name", "patient", "patient name"] },
+  { field: "gender", aliases: ["sex"] },
+  {
+    field: "birthdate",
+    aliases: ["birthday", "birth date", "date of birth", "dob"],
+  },
+  {
+    field: "contact",
+    aliases: ["phone", "mobile", "contact no", "cellphone", "cp no"],
+  },
+  { field: "civilStatus", aliases: ["status", "marital status"] },
+  { field: "occupation", aliases: ["job", "work"] },
+  { field: "address", aliases: ["home address"] },
+  {
+    field: "emergencyToContact",
+    aliases: ["emergency contact", "emergency contact person", "guardian"],
+  },
+  {
+    field: "emergencyToContactNumber",
+    aliases: ["emergency number", "emergency contact no", "guardian contact"],
+  },
+  { field: "note", aliases: ["notes", "remarks"] },
+].map((column) => ({
+  ...column,
+  label: ENTITIES.patient.fields[column.field].label,
+  required: !!ENTITIES.patient.fields[column.field].required,
+}));
+
+// Day-first dates are ambiguous with month-first ones, so only these are read
+const DATE_FORMATS = [
+  "YYYY-MM-DD",
+  "M/D/YYYY",
+  "MM/DD/YYYY",
+  "M-D-YYYY",
+  "MM-DD-YYYY",
+  "MMM D, YYYY",
+  "MMMM D, YYYY",
+  "D MMM YYYY",
+  "D MMMM YYYY",
+];
+
+/* ----------------------------------------------------------
+    Reading
+---------------------------------------------------------- */
+
+const count = (text, char) => text.split(char).length - 1;
+
+// 🔹 Rows of cells from CSV text (quoted cells may hold commas, quotes and
+// line breaks). The delimiter — comma, semicolon or tab — is guessed from
+// the header line.
+export const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, "");
+  const header = source.split(/\r?\n/, 1)[0];
+  const delimiter = [";", "\t"].reduce(
+    (best, d) => (count(header, d) > count(header, best) ? d : best),
+    ","
+  );
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char !== '"') cell += char;
+      else if (source[i + 1] === '"') cell += source[i++];
+      else quoted = false;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      rows.push([...row, cell]);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) rows.push([...row, cell]);
+
+  return rows;
+};
+
+const cellText = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value).trim();
+};
+
+// 🔹 Rows of text cells from a .csv or .xlsx file (first sheet)
+export const readSpreadsheet = async (file) => {
+  let rows;
+  if (/\.xlsx$/i.test(file.name)) {
+    const { readSheet } = await import("read-excel-file/browser");
+    // Numbers stay text: contact numbers would lose their leading zero
+    rows = await readSheet(file, { parseNumber: (value) => value });
+  } else if (/\.(csv|tsv|txt)$/i.test(file.name)) {
+    rows = parseCsv(await file.text());
+  } else {
+    throw new Error("Choose a .csv or .xlsx file");
+  }
+
+  return rows.map((row) => row.map(cellText));
+};
+
+const headerKey = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+// 🔹 Best guess of which column holds each field: field -> column index, or
+// "" when no header matches
+export const guessMapping = (headers) => {
+  const keys = headers.map(headerKey);
+  return Object.fromEntries(
+    PATIENT_COLUMNS.map(({ field, label, aliases }) => {
+      const names = [field, label, ...aliases].map(headerKey);
+      const index = keys.findIndex((key) => names.includes(key));
+      return [field, index === -1 ? "" : index];
+    })
+  );
+};
+
+/* ----------------------------------------------------------
+    Checking
+---------------------------------------------------------- */
+
+const normalizeGender = (value) => {
+  const key = value.toLowerCase();
+  if (key === "m" || key === "male") return "Male";
+  if (key === "f" || key === "female") return "Female";
+  return value;
+};
+
+// Spreadsheets store 09171234567 as the number 9171234567
+const normalizeContact = (value) =>
+  /^9\d{9}$/.test(value) ? `0${value}` : value;
+
+const NORMALIZE = {
+  gender: normalizeGender,
+  contact: normalizeContact,
+  emergencyToContactNumber: normalizeContact,
+};
+
+const parseBirthdate = (value) => {
+  if (!value) return { value };
+  const date = dayjs(value, DATE_FORMATS, true);
+  return date.isValid()
+    ? { value: date.format("YYYY-MM-DD") }
+    : {
+        value,
+        error: "Birthdate should look like 2001-12-31 or 12/31/2001",
+      };
+};
+
+// 🔹 Patients currently on file, with just what duplicate checks need
+export const loadExistingPatients = () =>
+  listAll(PATIENTS_COLLECTION_ID, [
+    Query.select(["$id", "patientName", "birthdate", "contact"]),
+  ]);
+
+// 🔹 Map and check every data row (the header row excluded); blank rows are
+// skipped. Each result is { line, data, errors, duplicateOf } where line is
+// the row number in the file and duplicateOf is { patient, reasons }
+// (patient.line is set when the match is an earlier row of the same file).
+export const prepareImport = (rows, mapping, existingPatients = []) => {
+  const index = duplicateIndex(existingPatients);
+
+  return rows.flatMap((cells, i) => {
+    if (!cells.some(Boolean)) return [];
+    const line = i + 2;
+    const values = Object.fromEntries(
+      PATIENT_COLUMNS.map(({ field }) => {
+        const raw = mapping[field] === "" ? "" : cells[mapping[field]] || "";
+        return [field, NORMALIZE[field] ? NORMALIZE[field](raw) : raw];
+      })
+    );
+
+    const birthdate = parseBirthdate(values.birthdate);
+    const { errors, data } = validate("patient", {
+      ...values,
+      birthdate: birthdate.value,
+    });
+    if (birthdate.error) {
+      errors.birthdate = birthdate.error;
+    } else if (!errors.birthdate && needsGuardian(data.birthdate)) {
+      // A file can't link family, and minors need a guardian on record
+      errors.birthdate =
+        "Patients under 18 need a guardian: add them with Add Patient instead";
+    }
+
+    const valid = !Object.values(errors).some(Boolean);
+    const [duplicateOf = null] = valid ? index.find(data) : [];
+    if (valid) index.add({ ...data, line });
+
+    return [{ line, data, errors: valid ? {} : errors, duplicateOf }];
+  });
+};
+
+/* ----------------------------------------------------------
+    Import / export
+---------------------------------------------------------- */
+
+// Numbered like a patient added by hand (usePatientStore.addPatient): when
+// the counter can't be reached the patient is saved without a number, to be
+// assigned later from their details
+const createPatient = async (data, settings) => {
+  const chartNumber = await nextChartNumber(settings).catch((err) => {
+    console.error("Error assigning chart number:", err);
+    return null;
+  });
+  return db.createDocument(
+    PATIENTS_COLLECTION_ID,
+    ID.unique(),
+    chartNumber ? { ...data, chartNumber } : data
+  );
+};
+
+// 🔹 Create the rows' patients, IMPORT_BATCH_SIZE at a time. `settings` is
+// the personalization record chart numbers are formatted with. Resolves to
+// { created, failed } where failed rows carry an `error` message.
+export const importPatients = async (rows, { onProgress, settings } = {}) => {
+  const created = [];
+  const failed = [];
+
+  for (let i = 0; i < rows.length; i += IMPORT_BATCH_SIZE) {
+    const batch = rows.slice(i, i + IMPORT_BATCH_SIZE);
+    const results = await Promise.allSettled(
+      batch.map((row) => createPatient(row.data, settings))
+    );
+    results.forEach((result, j) =>
+      result.status === "fulfilled"
+        ? created.push(result.value)
+        : failed.push({
+            ...batch[j],
+            error: result.reason?.message || "Failed to save",
+          })
+    );
+    onProgress?.({ done: i + batch.length, total: rows.length });
+  }
+
+  return { created, failed };
+};
+
+// A leading = @ (or + - not starting a number) would be run as a formula
+const csvCell = (value) => {
+  let text = String(value ?? "");
+  if (/^[=@\t\r]|^[+-](?![\d\s(])/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) =>
+  rows.map((row) => row.map(csvCell).join(",")).join("\r\n");
+
+// 🔹 Download rows as a CSV file. The BOM makes Excel read it as UTF-8
+// (ñ, é, ...).
+export const downloadCsv = (rows, fileName) => {
+  const blob = new Blob(["\uFEFF", toCsv(rows)], {
+    type: "text/csv;charset=utf-8",
+  });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// 🔹 Download the patients as "csv" or "xlsx", with the import columns
+export const exportPatients = async (patients, format = "csv") => {
+  const rows = [
+    PATIENT_COLUMNS.map((c) => c.label),
+    ...patients.map((p) => PATIENT_COLUMNS.map((c) => p[c.field] || null)),
+  ];
+  const fileName = `patients-${dayjs().format("YYYY-MM-DD")}`;
+
+  if (format === "xlsx") {
+    const { default: writeExcelFile } = await import(
+      "write-excel-file/browser"
+    );
+    await writeExcelFile(rows, {
+      columns: PATIENT_COLUMNS.map(() => ({ width: 22 })),
+    }).toFile(`${fileName}.xlsx`);
+    return;
+  }
+
+  downloadCsv(rows, `${fileName}.csv`);
+};
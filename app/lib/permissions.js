@@ -0,0 +1,52 @@
+// lib/permissions.js
+// Role-based access. A user's role comes from their Appwrite labels (set by an
+// admin in the console or with the server SDK, e.g. `labels: ["dentist"]`).
+// This only shapes the UI; the matching collection permissions in Appwrite
+// (Role.label("admin"), ...) are what actually enforce it.
+
+export const ROLES = ["admin", "dentist", "receptionist"];
+
+// Users without a role label get the least access
+export const DEFAULT_ROLE = "receptionist";
+
+const ALL = ROLES;
+const ADMIN = ["admin"];
+const CLINICAL = ["admin", "dentist"];
+
+// 🔐 Permission matrix: permission -> roles allowed
+export const PERMISSIONS = {
+  // Dashboard sections
+  "section:dashboard": ALL,
+  "section:patients": ALL,
+  "section:scheduling": ALL,
+  "section:reports": CLINICAL,
+  "section:audit": ADMIN,
+  "section:settings": ALL,
+
+  // Actions
+  "patients:delete": ADMIN,
+  "patients:merge": ADMIN,
+  "patients:import": ADMIN,
+  "patients:export": ADMIN,
+  "transactions:delete": ADMIN,
+  "installments:delete": ADMIN,
+  "expenses:view": ADMIN,
+  "services:edit": ADMIN,
+  "recalls:edit": CLINICAL, // Settings › Recalls
+  "hmo:edit": ADMIN, // Settings › HMO
+  "claims:manage": CLINICAL, // Reports › HMO Claims
+  "settings:edit": ADMIN, // Personalization and Dentist tabs
+  "branches:manage": ADMIN,
+  "trash:manage": ADMIN,
+  "finances:repair": ADMIN, // Settings › Integrity
+};
+
+// 🔹 Highest-ranked role among the user's labels
+export const resolveRole = (user) => {
+  if (!user) return null;
+  const labels = user.labels || [];
+  return ROLES.find((role) => labels.includes(role)) || DEFAULT_ROLE;
+};
+
+export const can = (role, permission) =>
+  !!role && (PERMISSIONS[permission] || []).includes(role);
@@ -0,0 +1,60 @@
+// lib/realtime.js
+// Helpers for keeping store state in sync with `db.subscribe` events, so a
+// change made on one workstation shows up on every other open session.
+
+import { db } from "./db";
+import { inActiveBranch } from "./adapters/branchAdapter";
+
+const ACTIONS = ["create", "update", "delete"];
+
+// 🔹 Turn a realtime response into { action, doc } (action is null for
+// events we don't track, e.g. attribute or index changes)
+export const parseEvent = (response) => {
+  const event = (response?.events || []).find((e) =>
+    ACTIONS.some((a) => e.endsWith(`.${a}`))
+  );
+  const action = event ? event.slice(event.lastIndexOf(".") + 1) : null;
+  const doc = response?.payload;
+
+  // Moving a document to the trash is an update, but lists should drop it
+  return {
+    action: action === "update" && doc?.deletedAt ? "delete" : action,
+    doc,
+  };
+};
+
+// 🔹 Apply a create/update/delete to a list of documents. Creates are
+// idempotent, so our own writes echoed back by realtime are not duplicated.
+export const applyChange = (list, action, doc) => {
+  if (!doc?.$id) return list;
+  const exists = list.some((d) => d.$id === doc.$id);
+
+  switch (action) {
+    case "create":
+    case "update":
+      return exists
+        ? list.map((d) => (d.$id === doc.$id ? { ...d, ...doc } : d))
+        : action === "create"
+        ? [...list, doc]
+        : list;
+    case "delete":
+      return list.filter((d) => d.$id !== doc.$id);
+    default:
+      return list;
+  }
+};
+
+// 🔹 Subscribe to several collections at once; handler gets
+// (collectionId, action, doc). Returns a single unsubscribe function.
+// Changes made in another branch are ignored while a branch is selected.
+export const subscribeCollections = (collectionIds, handler) => {
+  const unsubs = collectionIds.map((collectionId) =>
+    db.subscribe(collectionId, (response) => {
+      const { action, doc } = parseEvent(response);
+      if (action && inActiveBranch(collectionId, doc)) {
+        handler(collectionId, action, doc);
+      }
+    })
+  );
+  return () => unsubs.forEach((unsub) => unsub());
+};
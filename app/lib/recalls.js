@@ -0,0 +1,168 @@
+// lib/recalls.js
+// Recalls bring patients back for periodic care, e.g. "Oral prophylaxis every
+// 6 months". A rule (the "recallrules" collection) names a service and an
+// interval:
+//   - without a patient it applies to every patient who has had the service;
+//   - with a patient it applies to that patient only, and replaces the
+//     clinic-wide rule for the same service. A patient rule without a service
+//     counts from any visit.
+// A recall falls due `intervalMonths` after the last completed visit: the
+// latest transaction for the service (transactions record the work done), or
+// for service-less rules the latest transaction or past appointment. A
+// patient rule with no visit on record is due from the day it was added.
+
+import dayjs from "dayjs";
+import { Query } from "./db";
+import { listAll, listWhereIn } from "./paginate";
+import { fetchLastVisits } from "./patientSearch";
+
+const RULES_COLLECTION_ID = "recallrules";
+const TRANSACTIONS_COLLECTION_ID = "transactions";
+const PATIENTS_COLLECTION_ID = "patients";
+const SCHEDULES_COLLECTION_ID = "schedules";
+
+// Recalls due within this many days are listed along with overdue ones
+export const DUE_SOON_DAYS = 30;
+
+export const RECALL_STATUS = {
+  overdue: { label: "Overdue", badge: "badge-error" },
+  due: { label: "Due soon", badge: "badge-warning" },
+};
+
+const unique = (list) => [...new Set(list.filter(Boolean))];
+
+const later = (a, b) => (!a || (b && b > a) ? b : a);
+
+/* ----------------------------------------------------------
+    Computing recalls
+---------------------------------------------------------- */
+
+// 🔹 Recalls due by `today` + DUE_SOON_DAYS, most overdue first.
+// `transactions` must include every transaction of the rules' services and
+// of the patients with their own rules; `lastVisits` maps patientId -> date
+// of the latest past appointment (patients with service-less rules).
+export const computeRecalls = ({
+  rules,
+  transactions,
+  lastVisits = {},
+  today = dayjs(),
+}) => {
+  const lastForService = {}; // `${patientId}/${serviceId}` -> date
+  const lastAny = { ...lastVisits }; // patientId -> date
+  transactions.forEach(({ patientId, serviceId, $createdAt }) => {
+    const key = `${patientId}/${serviceId}`;
+    lastForService[key] = later(lastForService[key], $createdAt);
+    lastAny[patientId] = later(lastAny[patientId], $createdAt);
+  });
+
+  const patientRules = rules.filter((r) => r.patientId);
+  const overridden = new Set(
+    patientRules.map((r) => `${r.patientId}/${r.serviceId}`)
+  );
+
+  const recall = (rule, patientId, lastVisit) => {
+    const dueDate = dayjs(lastVisit || rule.$createdAt).add(
+      rule.intervalMonths,
+      "month"
+    );
+    return {
+      key: `${rule.$id}/${patientId}`,
+      rule,
+      patientId,
+      lastVisit: lastVisit || null,
+      dueDate: dueDate.format("YYYY-MM-DD"),
+      status: dueDate.isBefore(today, "day") ? "overdue" : "due",
+    };
+  };
+
+  const clinicWide = rules
+    .filter((r) => !r.patientId && r.serviceId)
+    .flatMap((rule) =>
+      Object.entries(lastForService)
+        .filter(
+          ([key]) => key.endsWith(`/${rule.serviceId}`) && !overridden.has(key)
+        )
+        .map(([key, date]) => recall(rule, key.split("/")[0], date))
+    );
+
+  const personal = patientRules.map((rule) =>
+    recall(
+      rule,
+      rule.patientId,
+      rule.serviceId
+        ? lastForService[`${rule.patientId}/${rule.serviceId}`]
+        : lastAny[rule.patientId]
+    )
+  );
+
+  const horizon = today.add(DUE_SOON_DAYS, "day");
+  return [...clinicWide, ...personal]
+    .filter((r) => !dayjs(r.dueDate).isAfter(horizon, "day"))
+    .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+};
+
+/* ----------------------------------------------------------
+    Loading
+---------------------------------------------------------- */
+
+// 🔹 Due and overdue recalls with the patient's contact details and their
+// next booked appointment (if any)
+export const loadRecalls = async () => {
+  const rules = await listAll(RULES_COLLECTION_ID);
+  if (!rules.length) return [];
+
+  const personal = rules.filter((r) => r.patientId);
+  const [byService, byPatient, lastVisits] = await Promise.all([
+    listWhereIn(
+      TRANSACTIONS_COLLECTION_ID,
+      "serviceId",
+      rules.filter((r) => !r.patientId).map((r) => r.serviceId)
+    ),
+    listWhereIn(
+      TRANSACTIONS_COLLECTION_ID,
+      "patientId",
+      personal.map((r) => r.patientId)
+    ),
+    fetchLastVisits(
+      unique(personal.filter((r) => !r.serviceId).map((r) => r.patientId))
+    ),
+  ]);
+  const transactions = [
+    ...new Map([...byService, ...byPatient].map((t) => [t.$id, t])).values(),
+  ];
+
+  const recalls = computeRecalls({ rules, transactions, lastVisits });
+  const patientIds = recalls.map((r) => r.patientId);
+
+  const now = new Date().toISOString();
+  const [patients, upcoming] = await Promise.all([
+    listWhereIn(PATIENTS_COLLECTION_ID, "$id", patientIds),
+    listWhereIn(SCHEDULES_COLLECTION_ID, "patientId", patientIds, [
+      Query.greaterThanEqual("date", now),
+    ]),
+  ]);
+
+  const patientById = new Map(patients.map((p) => [p.$id, p]));
+  const nextAppointment = {};
+  upcoming.forEach(({ patientId, date }) => {
+    if (!nextAppointment[patientId] || date < nextAppointment[patientId]) {
+      nextAppointment[patientId] = date;
+    }
+  });
+
+  // Trashed or merged-away patients drop out here
+  return recalls
+    .filter((r) => patientById.has(r.patientId))
+    .map((r) => ({
+      ...r,
+      patient: patientById.get(r.patientId),
+      nextAppointment: nextAppointment[r.patientId] || null,
+    }));
+};
+
+// Prefill for a Schedule appointment booked from a recall
+export const recallBooking = (recall) => ({
+  title: `${recall.rule.name} — ${recall.patient.patientName}`,
+  patientId: recall.patientId,
+  patientName: recall.patient.patientName,
+});
@@ -0,0 +1,549 @@
+// lib/schema.js
+// Declarative definition of every collection the app reads or writes: its
+// attributes, the indexes our queries rely on, and the permissions matching
+// the roles in lib/permissions.js; plus the storage buckets files go to. `scripts/migrate.mjs` provisions or
+// upgrades an Appwrite database from it, and in development every write and
+// query made through `db` is checked against it (adapters/schemaAdapter.js).
+//
+// Adding a field? Add it here, run `npm run db:migrate`, then use it.
+
+import { Permission, Role } from "appwrite";
+
+/* ----------------------------------------------------------
+    Attribute and index builders
+---------------------------------------------------------- */
+
+const string = (key, size = 255, options = {}) => ({
+  key,
+  type: "string",
+  size,
+  ...options,
+});
+const integer = (key, options = {}) => ({ key, type: "integer", ...options });
+// Amounts are whole centavos (lib/money.js); `money` marks them for
+// `db:migrate -- --convert-money`
+const money = (key, options = {}) => integer(key, { money: true, ...options });
+const boolean = (key, options = {}) => ({ key, type: "boolean", ...options });
+const datetime = (key, options = {}) => ({
+  key,
+  type: "datetime",
+  ...options,
+});
+const required = { required: true };
+
+const index = (...attributes) => ({
+  key: `idx_${attributes.join("_")}`,
+  type: "key",
+  attributes,
+});
+// Needed by Query.search
+const fulltext = (attribute) => ({
+  key: `ft_${attribute}`,
+  type: "fulltext",
+  attributes: [attribute],
+});
+
+// Shared by every soft-deletable, branch-owned collection
+const trashable = [string("deletedBy"), datetime("deletedAt")];
+const branchOwned = [string("branchId", 36)];
+// Every collection with money attributes carries it: `--convert-money` sets
+// it in the same write as a document's amounts, and the app sets it on every
+// document it creates (adapters/moneyAdapter.js), so a conversion that stops
+// part-way can be run again without converting anything twice
+const minorUnits = boolean("minorUnits", { default: false });
+const trashIndexes = [index("deletedAt"), index("branchId")];
+
+/* ----------------------------------------------------------
+    Permissions
+---------------------------------------------------------- */
+
+const users = Role.users();
+const admin = Role.label("admin");
+
+// Anyone signed in reads and writes; only admins delete for good
+const clinicRecords = [
+  Permission.read(users),
+  Permission.create(users),
+  Permission.update(users),
+  Permission.delete(admin),
+];
+const everyone = [
+  Permission.read(users),
+  Permission.create(users),
+  Permission.update(users),
+  Permission.delete(users),
+];
+const adminManaged = [
+  Permission.read(users),
+  Permission.create(admin),
+  Permission.update(admin),
+  Permission.delete(admin),
+];
+const adminOnly = [
+  Permission.read(admin),
+  Permission.create(admin),
+  Permission.update(admin),
+  Permission.delete(admin),
+];
+
+/* ----------------------------------------------------------
+    Collections
+---------------------------------------------------------- */
+
+export const COLLECTIONS = {
+  patients: {
+    name: "Patients",
+    permissions: clinicRecords,
+    attributes: [
+      string("patientName", 255, required),
+      string("address", 500),
+      string("birthdate", 32),
+      string("gender", 32),
+      string("contact", 64),
+      string("civilStatus", 32),
+      string("occupation", 128),
+      string("emergencyToContact", 255),
+      string("emergencyToContactNumber", 64),
+      string("note", 5000),
+      string("chartNumber", 32), // lib/chartNumbers.js
+      // HMO card (lib/hmo.js)
+      string("hmoProviderId", 36),
+      string("hmoMemberId", 64),
+      string("hmoValidUntil", 32),
+      ...trashable,
+      ...branchOwned,
+    ],
+    indexes: [
+      index("patientName"),
+      index("chartNumber"),
+      index("birthdate"),
+      index("gender"),
+      index("contact"), // duplicate check (lib/duplicates.js)
+      // Patients › search (lib/patientSearch.js)
+      fulltext("patientName"),
+      fulltext("contact"),
+      fulltext("address"),
+      fulltext("birthdate"),
+      ...trashIndexes,
+    ],
+  },
+
+  transactions: {
+    name: "Transactions",
+    permissions: clinicRecords,
+    attributes: [
+      string("patientId", 36, required),
+      string("patientName", 255),
+      string("serviceId", 36),
+      string("serviceName", 255),
+      money("totalAmount", { min: 0 }),
+      string("paymentType", 32),
+      money("paid", { min: 0 }),
+      money("remaining"),
+      minorUnits,
+      string("status", 32),
+      ...trashable,
+      ...branchOwned,
+    ],
+    indexes: [
+      index("patientId"),
+      index("serviceId"), // last visit per service (lib/recalls.js)
+      ...trashIndexes,
+    ],
+  },
+
+  installments: {
+    name: "Installments",
+    permissions: clinicRecords,
+    attributes: [
+      string("transactionId", 36),
+      string("patientId", 36),
+      string("patientName", 255),
+      string("serviceName", 255),
+      money("amount", { ...required, min: 0 }),
+      money("remaining"),
+      minorUnits,
+      datetime("dateTransact"),
+      string("note", 1000),
+      ...trashable,
+      ...branchOwned,
+    ],
+    indexes: [index("transactionId"), index("patientId"), ...trashIndexes],
+  },
+
+  expenses: {
+    name: "Expenses",
+    permissions: adminOnly,
+    attributes: [
+      string("title", 255, required),
+      string("category", 128),
+      money("amount", { ...required, min: 0 }),
+      minorUnits,
+      datetime("dateSpent"),
+      ...trashable,
+      ...branchOwned,
+    ],
+    indexes: trashIndexes,
+  },
+
+  services: {
+    name: "Services",
+    permissions: adminManaged,
+    attributes: [
+      string("serviceName", 255, required),
+      string("serviceDescription", 1000),
+      money("servicePrice", { ...required, min: 0 }),
+      minorUnits,
+    ],
+    indexes: [],
+  },
+
+  dentalchart: {
+    name: "Dental Chart",
+    permissions: everyone,
+    attributes: [
+      string("patientId", 36, required),
+      string("toothNumber", 8, required),
+      string("status", 64),
+      string("note", 1000),
+    ],
+    indexes: [index("patientId")],
+  },
+
+  notes: {
+    name: "Notes",
+    permissions: everyone,
+    attributes: [
+      string("patientId", 36, required),
+      string("name", 255),
+      string("description", 5000),
+    ],
+    indexes: [index("patientId")],
+  },
+
+  medicalhistory: {
+    name: "Medical History",
+    permissions: everyone,
+    attributes: [
+      string("patientId", 36, required),
+      string("medicalName", 255),
+      string("description", 5000),
+      string("diagnosisDate", 32),
+      string("severity", 64),
+      string("status", 64),
+      string("alertType", 32), // clinical alert flag (lib/clinicalAlerts.js)
+    ],
+    indexes: [index("patientId")],
+  },
+
+  treatmentplans: {
+    name: "Treatment Plans",
+    permissions: everyone,
+    attributes: [
+      string("patientId", 36, required),
+      string("treatmentNote", 5000),
+      string("treatmentDate", 32),
+    ],
+    indexes: [index("patientId")],
+  },
+
+  attachments: {
+    name: "Attachments",
+    permissions: everyone,
+    attributes: [
+      string("patientId", 36, required),
+      string("fileId", 36, required), // in the "attachments" bucket
+      string("name", 255, required),
+      string("mimeType", 128),
+      integer("size", { min: 0 }),
+      string("tag", 32),
+      string("toothNumber", 8),
+      string("note", 1000),
+    ],
+    indexes: [index("patientId")],
+  },
+
+  // "Oral prophylaxis every 6 months" (lib/recalls.js)
+  recallrules: {
+    name: "Recall Rules",
+    permissions: everyone,
+    attributes: [
+      string("name", 255, required),
+      string("serviceId", 36),
+      integer("intervalMonths", { ...required, min: 1, max: 60 }),
+      string("patientId", 36), // blank: every patient who had the service
+      string("patientName", 255),
+    ],
+    indexes: [index("patientId")],
+  },
+
+  // HMO claims (lib/hmo.js): the HMO's share of a transaction, whose own
+  // amount is what the patient pays
+  claims: {
+    name: "Claims",
+    permissions: clinicRecords,
+    attributes: [
+      string("transactionId", 36, required),
+      string("patientId", 36, required),
+      string("patientName", 255),
+      string("providerId", 36, required),
+      string("providerName", 255),
+      string("memberId", 64),
+      string("serviceName", 255),
+      money("amount", { ...required, min: 0 }),
+      money("approvedAmount", { min: 0 }),
+      money("paidAmount", { min: 0 }),
+      minorUnits,
+      string("status", 16, required),
+      string("reference", 64),
+      string("note", 1000),
+      datetime("submittedAt"),
+      datetime("decidedAt"),
+      datetime("paidAt"),
+      ...trashable,
+      ...branchOwned,
+    ],
+    indexes: [
+      index("transactionId"),
+      index("patientId"),
+      index("status"),
+      ...trashIndexes,
+    ],
+  },
+
+  // Family links (lib/family.js): `relatedId` is `patientId`'s guardian or
+  // spouse. Children are the other end of a guardian link.
+  relationships: {
+    name: "Relationships",
+    permissions: everyone,
+    attributes: [
+      string("patientId", 36, required),
+      string("relatedId", 36, required),
+      string("relation", 32, required),
+    ],
+    indexes: [index("patientId"), index("relatedId")],
+  },
+
+  schedules: {
+    name: "Schedules",
+    permissions: everyone,
+    attributes: [
+      string("title", 255, required),
+      datetime("date", required),
+      integer("duration", { min: 0, default: 30 }),
+      boolean("public", { default: false }),
+      string("patientId", 36),
+      ...branchOwned,
+    ],
+    indexes: [index("date"), index("patientId"), index("branchId")],
+  },
+
+  personalization: {
+    name: "Personalization",
+    permissions: adminManaged,
+    attributes: [
+      string("businessName", 255),
+      string("initial", 16),
+      integer("trashRetentionDays", { min: 1, default: 30 }),
+      // Only read from the shared record (clinic-wide, lib/money.js)
+      string("currency", 3),
+      string("locale", 16),
+      string("chartPrefix", 8),
+      integer("chartDigits", { min: 3, max: 8, default: 4 }),
+      // Set by `db:migrate -- --convert-money` on the shared record
+      boolean("minorUnits", { default: false }),
+      ...branchOwned,
+    ],
+    indexes: [index("branchId")],
+  },
+
+  dentists: {
+    name: "Dentists",
+    permissions: adminManaged,
+    attributes: [
+      string("name", 255, required),
+      string("email", 255),
+      string("phone", 64),
+      string("specialization", 255),
+    ],
+    indexes: [],
+  },
+
+  branches: {
+    name: "Branches",
+    permissions: adminManaged,
+    attributes: [string("name", 255, required), string("address", 500)],
+    indexes: [index("name")],
+  },
+
+  hmoproviders: {
+    name: "HMO Providers",
+    permissions: adminManaged,
+    attributes: [string("name", 255, required), string("contact", 64)],
+    indexes: [index("name")],
+  },
+
+  // "Maxicare covers 80% of Oral prophylaxis, up to 1,000" (lib/hmo.js)
+  coveragerules: {
+    name: "Coverage Rules",
+    permissions: adminManaged,
+    attributes: [
+      string("providerId", 36, required),
+      string("serviceId", 36, required),
+      integer("percent", { ...required, min: 1, max: 100 }),
+      money("maxAmount", { min: 0 }), // blank: no cap
+      minorUnits,
+    ],
+    indexes: [index("providerId")],
+  },
+
+  // Sequences handed out with an atomic increment, one document per series
+  // (e.g. "chart-2026", lib/chartNumbers.js)
+  counters: {
+    name: "Counters",
+    permissions: clinicRecords,
+    attributes: [integer("value", { min: 0, default: 0 })],
+    indexes: [],
+  },
+
+  auditlogs: {
+    name: "Audit Logs",
+    // Written by every user, readable only by admins
+    permissions: [Permission.read(admin), Permission.create(users)],
+    attributes: [
+      string("action", 16, required),
+      string("collectionId", 64, required),
+      string("documentId", 36),
+      string("userId", 36),
+      string("userEmail", 255),
+      string("patientId", 36),
+      string("patientName", 255),
+      string("before", 65535),
+      string("after", 65535),
+      datetime("at", required),
+    ],
+    indexes: [index("at"), index("userEmail"), index("collectionId")],
+  },
+};
+
+/* ----------------------------------------------------------
+    Storage buckets
+---------------------------------------------------------- */
+
+export const BUCKETS = {
+  // X-rays, photos and scans (lib/attachments.js)
+  attachments: {
+    name: "Attachments",
+    permissions: everyone,
+    maximumFileSize: 20 * 1024 * 1024,
+    allowedFileExtensions: ["jpg", "jpeg", "png", "webp", "gif", "pdf"],
+  },
+};
+
+/* ----------------------------------------------------------
+    Validation
+---------------------------------------------------------- */
+
+const isSystem = (key) => key.startsWith("$");
+
+const typeError = (attr, value) => {
+  switch (attr.type) {
+    case "string":
+      if (typeof value !== "string") return "should be a string";
+      if (value.length > attr.size) return `is longer than ${attr.size}`;
+      return null;
+    case "integer":
+      return Number.isInteger(value) ? null : "should be an integer";
+    case "float":
+      return typeof value === "number" && isFinite(value)
+        ? null
+        : "should be a number";
+    case "boolean":
+      return typeof value === "boolean" ? null : "should be true or false";
+    case "datetime":
+      return typeof value === "string" && !isNaN(Date.parse(value))
+        ? null
+        : "should be an ISO date";
+    default:
+      return null;
+  }
+};
+
+// 🔹 Problems with a document payload, as readable strings (empty = valid).
+// `partial` is for updates, where required fields may be left out.
+export const validateDocument = (
+  collectionId,
+  data,
+  { partial = false } = {}
+) => {
+  const collection = COLLECTIONS[collectionId];
+  if (!collection) return [`unknown collection "${collectionId}"`];
+
+  const attributes = new Map(collection.attributes.map((a) => [a.key, a]));
+  const problems = [];
+
+  Object.entries(data || {}).forEach(([key, value]) => {
+    if (isSystem(key)) return;
+    const attr = attributes.get(key);
+    if (!attr) return problems.push(`unknown attribute "${key}"`);
+    if (value === null || value === undefined) {
+      if (attr.required) problems.push(`"${key}" is required`);
+      return;
+    }
+    const error = typeError(attr, value);
+    if (error) problems.push(`"${key}" ${error}`);
+  });
+
+  if (!partial) {
+    collection.attributes
+      .filter((a) => a.required && !(a.key in (data || {})))
+      .forEach((a) => problems.push(`"${a.key}" is required`));
+  }
+
+  return problems;
+};
+
+const FILTER_METHODS_NEEDING_INDEX = ["equal", "orderAsc", "orderDesc"];
+
+const flatten = (queries) =>
+  queries
+    .map((q) => (typeof q === "string" ? JSON.parse(q) : q))
+    .flatMap((q) =>
+      q.method === "or" || q.method === "and" ? flatten(q.values || []) : [q]
+    );
+
+// 🔹 Problems with a list query: attributes the schema doesn't define, and
+// filters/sorts on attributes without an index
+export const validateQueries = (collectionId, queries = []) => {
+  const collection = COLLECTIONS[collectionId];
+  if (!collection) return [`unknown collection "${collectionId}"`];
+
+  const keys = new Set(collection.attributes.map((a) => a.key));
+  const indexed = new Set(
+    collection.indexes
+      .filter((i) => i.type === "key")
+      .map((i) => i.attributes[0])
+  );
+  const searchable = new Set(
+    collection.indexes
+      .filter((i) => i.type === "fulltext")
+      .map((i) => i.attributes[0])
+  );
+  const problems = [];
+
+  flatten(queries).forEach(({ method, attribute }) => {
+    if (!attribute || isSystem(attribute)) return;
+    if (!keys.has(attribute)) {
+      problems.push(`${method} on unknown attribute "${attribute}"`);
+    } else if (
+      FILTER_METHODS_NEEDING_INDEX.includes(method) &&
+      !indexed.has(attribute)
+    ) {
+      problems.push(`${method} on "${attribute}", which has no index`);
+    } else if (method === "search" && !searchable.has(attribute)) {
+      problems.push(`search on "${attribute}", which has no fulltext index`);
+    }
+  });
+
+  return problems;
+};
@@ -0,0 +1,180 @@
+// lib/sectionCache.js
+// localStorage cache behind the patient section stores (notes, medical
+// history, treatment plans). Entries are keyed by signed-in user and patient,
+// expire after NEXT_PUBLIC_CACHE_TTL_MINUTES (default 60) and are wiped on
+// logout, so clinical data does not linger on shared front-desk PCs.
+// With NEXT_PUBLIC_CACHE_ENCRYPT=true entries are AES-GCM encrypted with a key
+// that only lives in sessionStorage: once the browser session ends, whatever is
+// left in localStorage can no longer be read.
+//
+// `scopedStorage` plugs into zustand's `persist` as its `storage` option.
+
+const PREFIX = "clinic-cache";
+const KEY_NAME = `${PREFIX}-key`;
+
+const TTL_MS =
+  (Number(process.env.NEXT_PUBLIC_CACHE_TTL_MINUTES) || 60) * 60000;
+const ENCRYPT = process.env.NEXT_PUBLIC_CACHE_ENCRYPT === "true";
+
+const hasStorage = () => typeof window !== "undefined" && !!window.localStorage;
+
+/* ----------------------------------------------------------
+    Encryption
+---------------------------------------------------------- */
+
+const toBase64 = (bytes) => {
+  let text = "";
+  new Uint8Array(bytes).forEach((b) => (text += String.fromCharCode(b)));
+  return btoa(text);
+};
+const fromBase64 = (text) =>
+  Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+
+let keyPromise = null;
+
+// 🔐 One key per browser session, created on first use
+const getKey = () => {
+  if (!keyPromise) {
+    keyPromise = (async () => {
+      const stored = sessionStorage.getItem(KEY_NAME);
+      if (stored) {
+        return crypto.subtle.importKey(
+          "raw",
+          fromBase64(stored),
+          "AES-GCM",
+          false,
+          ["encrypt", "decrypt"]
+        );
+      }
+      const key = await crypto.subtle.generateKey(
+        { name: "AES-GCM", length: 256 },
+        true,
+        ["encrypt", "decrypt"]
+      );
+      const raw = await crypto.subtle.exportKey("raw", key);
+      sessionStorage.setItem(KEY_NAME, toBase64(raw));
+      return key;
+    })();
+  }
+  return keyPromise;
+};
+
+const encrypt = async (text) => {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    await getKey(),
+    new TextEncoder().encode(text)
+  );
+  return { iv: toBase64(iv), data: toBase64(data) };
+};
+
+const decrypt = async ({ iv, data }) => {
+  const text = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: fromBase64(iv) },
+    await getKey(),
+    fromBase64(data)
+  );
+  return new TextDecoder().decode(text);
+};
+
+/* ----------------------------------------------------------
+    Entries
+---------------------------------------------------------- */
+
+const cacheKeys = () =>
+  Object.keys(localStorage).filter((k) => k.startsWith(`${PREFIX}:`));
+
+const isExpired = (raw) => {
+  try {
+    return Date.now() - JSON.parse(raw).savedAt > TTL_MS;
+  } catch {
+    return true;
+  }
+};
+
+let swept = false;
+
+// 🗑️ Drop every expired entry, not just the ones being read
+const sweepExpired = () => {
+  if (swept) return;
+  swept = true;
+  cacheKeys()
+    .filter((k) => isExpired(localStorage.getItem(k)))
+    .forEach((k) => localStorage.removeItem(k));
+};
+
+const read = async (key) => {
+  sweepExpired();
+  const raw = localStorage.getItem(key);
+  if (!raw) return null;
+  try {
+    const entry = JSON.parse(raw);
+    if (Date.now() - entry.savedAt > TTL_MS) throw new Error("expired");
+    return entry.encrypted
+      ? JSON.parse(await decrypt(entry.encrypted))
+      : entry.value;
+  } catch {
+    // Expired, corrupt, or encrypted in an earlier browser session
+    localStorage.removeItem(key);
+    return null;
+  }
+};
+
+// Bumped on clear so a write still encrypting at logout is dropped
+let generation = 0;
+
+const write = async (key, value) => {
+  const started = generation;
+  const entry = ENCRYPT
+    ? { savedAt: Date.now(), encrypted: await encrypt(JSON.stringify(value)) }
+    : { savedAt: Date.now(), value };
+  if (started === generation) localStorage.setItem(key, JSON.stringify(entry));
+};
+
+/* ----------------------------------------------------------
+    Public API
+---------------------------------------------------------- */
+
+// 🔹 zustand `persist` storage whose key is namespaced by `getScope()`, e.g.
+// [userId, patientId]. Nothing is read or written while a part is missing.
+export const scopedStorage = (getScope) => {
+  const keyFor = (name) => {
+    const scope = getScope();
+    if (!hasStorage() || scope.some((part) => !part)) return null;
+    return [PREFIX, ...scope, name].join(":");
+  };
+
+  return {
+    getItem: (name) => {
+      const key = keyFor(name);
+      return key ? read(key) : null;
+    },
+    setItem: (name, value) => {
+      const key = keyFor(name);
+      if (key) return write(key, value).catch(() => {});
+    },
+    removeItem: (name) => {
+      const key = keyFor(name);
+      if (key) localStorage.removeItem(key);
+    },
+  };
+};
+
+const resets = new Set();
+
+// Stores register how to empty their in-memory copy when the cache is cleared
+export const onSectionCacheClear = (reset) => {
+  resets.add(reset);
+  return () => resets.delete(reset);
+};
+
+// 🔐 Forget every cached record of every user (called on logout)
+export const clearSectionCache = () => {
+  generation++;
+  resets.forEach((reset) => reset());
+  if (!hasStorage()) return;
+  cacheKeys().forEach((k) => localStorage.removeItem(k));
+  sessionStorage.removeItem(KEY_NAME);
+  keyPromise = null;
+};
@@ -0,0 +1,151 @@
+// lib/softDelete.js
+// Patients and financial records are never removed outright. Deleting stamps
+// `deletedAt` / `deletedBy`, list queries skip stamped documents (see
+// SOFT_DELETE_COLLECTIONS in paginate.js) and Settings › Trash can restore
+// them. Records deleted together share the same `deletedAt`, so restoring a
+// patient or a transaction brings back exactly what went with it, HMO claims
+// included.
+
+import { db, Query } from "./db";
+import { listAll } from "./paginate";
+import { findPatientPayments } from "./cascadeDelete";
+import { recomputeTransaction } from "./balances";
+import { minor } from "./money";
+import { useAuthStore } from "@/app/stores/authStore";
+
+export const DEFAULT_RETENTION_DAYS = 30;
+
+const PATIENTS_COLLECTION_ID = "patients";
+const TRANSACTIONS_COLLECTION_ID = "transactions";
+const INSTALLMENTS_COLLECTION_ID = "installments";
+const CLAIMS_COLLECTION_ID = "claims";
+
+const RESTORED = { deletedAt: null, deletedBy: null };
+
+const newStamp = () => ({
+  deletedAt: new Date().toISOString(),
+  deletedBy: useAuthStore.getState().current?.email || null,
+});
+
+const stampAll = (collectionId, docs, stamp) =>
+  Promise.all(docs.map((d) => db.updateDocument(collectionId, d.$id, stamp)));
+
+const restoreBatch = (collectionId, docs, deletedAt) =>
+  stampAll(
+    collectionId,
+    docs.filter((d) => d.deletedAt === deletedAt),
+    RESTORED
+  );
+
+const transactionInstallments = (transactionId, includeDeleted) =>
+  listAll(
+    INSTALLMENTS_COLLECTION_ID,
+    [Query.equal("transactionId", transactionId)],
+    { includeDeleted }
+  );
+
+// HMO claims filed for a patient or a transaction (lib/hmo.js)
+const linkedClaims = (attribute, id, includeDeleted) =>
+  listAll(CLAIMS_COLLECTION_ID, [Query.equal(attribute, id)], {
+    includeDeleted,
+  });
+
+// Add (sign 1) or take back (sign -1) an installment's amount on the
+// transaction it was paid against. Recomputed from the server's installments
+// when online; offline the amount is applied to the last known totals.
+const applyToTransaction = async (installment, sign) => {
+  if (!installment.transactionId) return;
+  try {
+    const txn = await db.getDocument(
+      TRANSACTIONS_COLLECTION_ID,
+      installment.transactionId
+    );
+    // Deleted/restored together with its transaction: totals never changed
+    if (txn.deletedAt && txn.deletedAt === installment.deletedAt) return;
+
+    if (await recomputeTransaction(txn.$id)) return;
+
+    const paid = Math.max(
+      minor(txn.paid) + sign * minor(installment.amount),
+      0
+    );
+    const remaining = Math.max(minor(txn.totalAmount) - paid, 0);
+    await db.updateDocument(TRANSACTIONS_COLLECTION_ID, txn.$id, {
+      paid,
+      remaining,
+      status: remaining <= 0 ? "paid" : "ongoing",
+    });
+  } catch (err) {
+    if (err.code !== 404) throw err;
+  }
+};
+
+// 🔹 Move a single document to the trash
+export const softDelete = (collectionId, documentId) =>
+  db.updateDocument(collectionId, documentId, newStamp());
+
+// 🔹 Move a patient and their transactions/installments/claims to the trash
+export const softDeletePatient = async (patient) => {
+  const stamp = newStamp();
+  const { transactions, installments } = await findPatientPayments(
+    patient.$id,
+    { includeDeleted: false }
+  );
+  const claims = await linkedClaims("patientId", patient.$id, false);
+
+  await stampAll(CLAIMS_COLLECTION_ID, claims, stamp);
+  await stampAll(INSTALLMENTS_COLLECTION_ID, installments, stamp);
+  await stampAll(TRANSACTIONS_COLLECTION_ID, transactions, stamp);
+  return db.updateDocument(PATIENTS_COLLECTION_ID, patient.$id, stamp);
+};
+
+// 🔹 Move an installment to the trash and take it off its transaction
+export const softDeleteInstallment = async (installment) => {
+  const res = await softDelete(INSTALLMENTS_COLLECTION_ID, installment.$id);
+  await applyToTransaction(installment, -1);
+  return res;
+};
+
+// 🔹 Move a transaction and its installments and HMO claim to the trash
+export const softDeleteTransaction = async (transaction) => {
+  const stamp = newStamp();
+  const installments = await transactionInstallments(transaction.$id, false);
+  const claims = await linkedClaims("transactionId", transaction.$id, false);
+
+  await stampAll(CLAIMS_COLLECTION_ID, claims, stamp);
+  await stampAll(INSTALLMENTS_COLLECTION_ID, installments, stamp);
+  return db.updateDocument(TRANSACTIONS_COLLECTION_ID, transaction.$id, stamp);
+};
+
+// 🔹 Bring a trashed document back, with whatever was deleted alongside it
+export const restoreDocument = async (collectionId, doc) => {
+  if (collectionId === PATIENTS_COLLECTION_ID) {
+    const { transactions, installments } = await findPatientPayments(doc.$id);
+    await restoreBatch(TRANSACTIONS_COLLECTION_ID, transactions, doc.deletedAt);
+    await restoreBatch(INSTALLMENTS_COLLECTION_ID, installments, doc.deletedAt);
+    const claims = await linkedClaims("patientId", doc.$id, true);
+    await restoreBatch(CLAIMS_COLLECTION_ID, claims, doc.deletedAt);
+  }
+
+  if (collectionId === TRANSACTIONS_COLLECTION_ID) {
+    const installments = await transactionInstallments(doc.$id, true);
+    await restoreBatch(INSTALLMENTS_COLLECTION_ID, installments, doc.deletedAt);
+    const claims = await linkedClaims("transactionId", doc.$id, true);
+    await restoreBatch(CLAIMS_COLLECTION_ID, claims, doc.deletedAt);
+  }
+
+  const restored = await db.updateDocument(collectionId, doc.$id, RESTORED);
+
+  // An installment deleted on its own was taken off its transaction
+  if (collectionId === INSTALLMENTS_COLLECTION_ID) {
+    await applyToTransaction(doc, 1);
+  }
+
+  return restored;
+};
+
+// 🔹 True when a trashed document is older than the retention period
+export const isExpired = (doc, retentionDays = DEFAULT_RETENTION_DAYS) =>
+  !!doc.deletedAt &&
+  Date.now() - new Date(doc.deletedAt).getTime() >
+    retentionDays * 24 * 60 * 60 * 1000;
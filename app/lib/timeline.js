@@ -0,0 +1,154 @@
+// lib/timeline.js
+// One chronological list of everything recorded for a patient: appointments,
+// notes, medical history, treatment plans, tooth updates, payments,
+// installments and attachments. Entries are built from what the section and
+// payment stores already hold, plus the patient's appointments, which no
+// store keeps per patient. Each entry remembers the collection and record it
+// came from so the timeline can open it where it is edited.
+
+import dayjs from "dayjs";
+import { Query } from "./db";
+import { listAll } from "./paginate";
+import { TAG_LABELS } from "./attachments";
+
+export const TIMELINE_TYPES = {
+  appointment: { label: "Appointments", icon: "📅" },
+  note: { label: "Notes", icon: "📝" },
+  medicalhistory: { label: "Medical history", icon: "🩺" },
+  treatmentplan: { label: "Treatment plans", icon: "📋" },
+  tooth: { label: "Tooth updates", icon: "🦷" },
+  transaction: { label: "Payments", icon: "💳" },
+  installment: { label: "Installments", icon: "🧾" },
+  attachment: { label: "Attachments", icon: "📎" },
+};
+
+export const EMPTY_TIMELINE_FILTERS = { types: [], from: "", to: "" };
+
+// Appointments aren't loaded with the patient's other records
+export const fetchAppointments = (patientId) =>
+  listAll("schedules", [
+    Query.equal("patientId", patientId),
+    Query.orderDesc("date"),
+  ]);
+
+const entry = (type, collectionId, record, date, title, detail = "") => ({
+  key: `${collectionId}/${record.$id}`,
+  type,
+  collectionId,
+  record,
+  date: date || record.$createdAt,
+  title,
+  detail,
+});
+
+// 🔹 Merge the sources into entries, newest first. `money` formats amounts
+// (useMoney), so the timeline shows the clinic's currency.
+export const buildTimeline = (
+  {
+    appointments = [],
+    notes = [],
+    medicalHistory = [],
+    treatmentPlans = [],
+    chart = [],
+    transactions = [],
+    installments = [],
+    attachments = [],
+  },
+  money
+) =>
+  [
+    ...appointments.map((a) =>
+      entry(
+        "appointment",
+        "schedules",
+        a,
+        a.date,
+        a.title,
+        `${dayjs(a.date).format("h:mm A")} · ${a.duration || 30} min`
+      )
+    ),
+    ...notes.map((n) =>
+      entry("note", "notes", n, null, n.name || "Note", n.description)
+    ),
+    ...medicalHistory.map((m) =>
+      entry(
+        "medicalhistory",
+        "medicalhistory",
+        m,
+        m.diagnosisDate,
+        m.medicalName,
+        [m.severity, m.status, m.description].filter(Boolean).join(" · ")
+      )
+    ),
+    ...treatmentPlans.map((t) =>
+      entry(
+        "treatmentplan",
+        "treatmentplans",
+        t,
+        t.treatmentDate,
+        "Treatment plan",
+        t.treatmentNote
+      )
+    ),
+    // One record per tooth, updated in place: its last change is the event
+    ...chart.map((c) =>
+      entry(
+        "tooth",
+        "dentalchart",
+        c,
+        c.$updatedAt,
+        `Tooth ${c.toothNumber}: ${c.status || "healthy"}`,
+        c.note
+      )
+    ),
+    ...transactions.map((t) =>
+      entry(
+        "transaction",
+        "transactions",
+        t,
+        null,
+        t.serviceName || "Payment",
+        `${t.paymentType || "payment"} · paid ${money(t.paid)} of ${money(
+          t.totalAmount
+        )}`
+      )
+    ),
+    ...installments.map((i) =>
+      entry(
+        "installment",
+        "installments",
+        i,
+        i.dateTransact,
+        `Installment ${money(i.amount)}`,
+        [i.serviceName, i.note].filter(Boolean).join(" · ")
+      )
+    ),
+    ...attachments.map((a) =>
+      entry(
+        "attachment",
+        "attachments",
+        a,
+        null,
+        a.name,
+        [
+          TAG_LABELS[a.tag] || a.tag,
+          a.toothNumber && `Tooth ${a.toothNumber}`,
+          a.note,
+        ]
+          .filter(Boolean)
+          .join(" · ")
+      )
+    ),
+  ]
+    .filter((e) => !isNaN(Date.parse(e.date)))
+    .sort((a, b) => Date.parse(b.date) - Date.parse(a.date));
+
+// 🔹 Keep entries of the chosen types (all when none are chosen) dated
+// within from..to (YYYY-MM-DD, both inclusive, either may be blank)
+export const filterTimeline = (entries, { types, from, to }) =>
+  entries.filter(
+    (e) =>
+      (!types.length || types.includes(e.type)) &&
+      (!from || !dayjs(e.date).isBefore(dayjs(from), "day")) &&
+      (!to || !dayjs(e.date).isAfter(dayjs(to), "day"))
+  );
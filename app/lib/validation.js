@@ -0,0 +1,437 @@
+// lib/validation.js
+// One set of rules per domain entity, shared by the forms (field-level error
+// messages) and the stores (last check before anything reaches `db`).
+// `validate` also normalizes values — trims text, turns a typed "1,500.50"
+// into 150050 centavos (lib/money.js) — so stores write what was validated,
+// not the raw form input.
+// Maximum text lengths come from the collection schema (lib/schema.js).
+
+import { COLLECTIONS } from "./schema";
+import { formatMoney, toAmount } from "./money";
+
+/* ----------------------------------------------------------
+    Field builders
+---------------------------------------------------------- */
+
+const text = (label, options = {}) => ({ type: "string", label, ...options });
+const money = (label, options = {}) => ({
+  type: "money",
+  label,
+  min: 0,
+  ...options,
+});
+const integer = (label, options = {}) => ({
+  type: "integer",
+  label,
+  ...options,
+});
+const date = (label, options = {}) => ({ type: "date", label, ...options });
+const flag = (label, options = {}) => ({ type: "boolean", label, ...options });
+
+const PHONE = /^\+?[\d\s()-]{7,20}$/;
+const phone = (label, options = {}) =>
+  text(label, {
+    pattern: PHONE,
+    patternMessage: `${label} should be a valid phone number`,
+    ...options,
+  });
+
+const required = { required: true };
+
+// Kinds of patient attachment (lib/attachments.js)
+export const ATTACHMENT_TAGS = ["x-ray", "photo", "document", "other"];
+
+// Medical history flags and grading (lib/clinicalAlerts.js). "none" turns
+// off the flag a condition's name would otherwise suggest.
+export const ALERT_TYPES = [
+  "allergy",
+  "bleeding",
+  "pregnancy",
+  "heart",
+  "anticoagulant",
+];
+export const SEVERITIES = ["mild", "moderate", "severe"];
+export const CONDITION_STATUSES = ["active", "controlled", "resolved"];
+
+// Stored family links (lib/family.js); a child is the other end of "guardian"
+export const RELATIONSHIP_TYPES = ["guardian", "spouse"];
+
+// HMO claim lifecycle, in order (lib/hmo.js)
+export const CLAIM_STATUSES = ["submitted", "approved", "denied", "paid"];
+
+/* ----------------------------------------------------------
+    Entities
+---------------------------------------------------------- */
+
+export const ENTITIES = {
+  patient: {
+    collectionId: "patients",
+    fields: {
+      patientName: text("Full name", required),
+      contact: phone("Contact number", required),
+      birthdate: date("Birthdate", { notFuture: true }),
+      gender: text("Gender"),
+      civilStatus: text("Civil status"),
+      occupation: text("Occupation"),
+      address: text("Address"),
+      emergencyToContact: text("Emergency contact name"),
+      emergencyToContactNumber: phone("Emergency contact number"),
+      note: text("Note"),
+      hmoProviderId: text("HMO"),
+      hmoMemberId: text("HMO member ID"),
+      hmoValidUntil: date("HMO valid until"),
+    },
+    check: ({ hmoProviderId, hmoMemberId }) =>
+      hmoProviderId && !hmoMemberId
+        ? { hmoMemberId: "Enter the HMO member ID" }
+        : {},
+  },
+
+  transaction: {
+    collectionId: "transactions",
+    fields: {
+      serviceId: text("Service", {
+        required: true,
+        requiredMessage: "Choose a service",
+      }),
+      paymentType: text("Payment type", {
+        required: true,
+        requiredMessage: "Choose a payment type",
+        oneOf: ["full", "installment"],
+      }),
+      totalAmount: money("Amount", required),
+      paid: money("Amount paid"),
+      remaining: money("Remaining balance"),
+      initialPay: money("Initial payment"),
+    },
+    // An installment plan starts with a down payment below the full price
+    // (only checked by the form, which is where initialPay is entered)
+    check: ({ paymentType, totalAmount, initialPay }) => {
+      if (paymentType !== "installment" || initialPay === undefined) {
+        return null;
+      }
+      if (!(initialPay > 0)) return { initialPay: "Enter the initial payment" };
+      if (initialPay >= totalAmount) {
+        return {
+          initialPay:
+            "Initial payment covers the full price — use Full Payment instead",
+        };
+      }
+      return null;
+    },
+  },
+
+  installment: {
+    collectionId: "installments",
+    fields: {
+      amount: money("Amount", { required: true, positive: true }),
+      dateTransact: date("Payment date", required),
+      remaining: money("Remaining balance"),
+      note: text("Note"),
+    },
+    // Callers pass the plan's outstanding balance as `balance`
+    check: ({ amount, balance }) =>
+      balance !== undefined && amount > balance
+        ? {
+            amount: `Amount exceeds the remaining balance of ${formatMoney(
+              balance
+            )}`,
+          }
+        : null,
+  },
+
+  expense: {
+    collectionId: "expenses",
+    fields: {
+      title: text("Title", required),
+      category: text("Category"),
+      amount: money("Amount", { required: true, positive: true }),
+      dateSpent: date("Date", { notFuture: true }),
+    },
+  },
+
+  service: {
+    collectionId: "services",
+    fields: {
+      serviceName: text("Service name", required),
+      serviceDescription: text("Description"),
+      servicePrice: money("Price", required),
+    },
+  },
+
+  appointment: {
+    collectionId: "schedules",
+    fields: {
+      title: text("Title", required),
+      date: date("Date & time", required),
+      duration: integer("Duration", { required: true, min: 5, max: 480 }),
+      public: flag("Public"),
+    },
+  },
+
+  chart: {
+    collectionId: "dentalchart",
+    fields: {
+      toothNumber: text("Tooth", required),
+      status: text("Status", required),
+      note: text("Note"),
+    },
+  },
+
+  note: {
+    collectionId: "notes",
+    fields: {
+      name: text("Title", required),
+      description: text("Description"),
+    },
+  },
+
+  medicalhistory: {
+    collectionId: "medicalhistory",
+    fields: {
+      medicalName: text("Condition", required),
+      description: text("Description"),
+      diagnosisDate: date("Diagnosis date", { notFuture: true }),
+      severity: text("Severity", { oneOf: SEVERITIES }),
+      status: text("Status", { oneOf: CONDITION_STATUSES }),
+      alertType: text("Alert", { oneOf: [...ALERT_TYPES, "none"] }),
+    },
+  },
+
+  treatmentplan: {
+    collectionId: "treatmentplans",
+    fields: {
+      treatmentNote: text("Treatment", required),
+      treatmentDate: date("Treatment date"),
+    },
+  },
+
+  recallrule: {
+    collectionId: "recallrules",
+    fields: {
+      name: text("Name", required),
+      intervalMonths: integer("Interval (months)", {
+        required: true,
+        min: 1,
+        max: 60,
+      }),
+    },
+    // A clinic-wide rule counts from the service, so it needs one
+    check: ({ serviceId, patientId }) =>
+      serviceId || patientId
+        ? {}
+        : { serviceId: "Pick a service, or a patient for a personal recall" },
+  },
+
+  relationship: {
+    collectionId: "relationships",
+    fields: {
+      patientId: text("Patient", required),
+      relatedId: text("Family member", {
+        required: true,
+        requiredMessage: "Pick a family member",
+      }),
+      relation: text("Relation", {
+        required: true,
+        oneOf: RELATIONSHIP_TYPES,
+      }),
+    },
+    check: ({ patientId, relatedId }) =>
+      patientId && patientId === relatedId
+        ? { relatedId: "A patient can't be linked to themselves" }
+        : {},
+  },
+
+  hmoprovider: {
+    collectionId: "hmoproviders",
+    fields: {
+      name: text("HMO name", required),
+      contact: phone("Contact number"),
+    },
+  },
+
+  // What an HMO pays of a service: a share of the price, up to a cap
+  coveragerule: {
+    collectionId: "coveragerules",
+    fields: {
+      providerId: text("HMO", {
+        required: true,
+        requiredMessage: "Pick an HMO",
+      }),
+      serviceId: text("Service", {
+        required: true,
+        requiredMessage: "Choose a service",
+      }),
+      percent: integer("Covered (%)", { required: true, min: 1, max: 100 }),
+      maxAmount: money("Cap per visit"),
+    },
+  },
+
+  claim: {
+    collectionId: "claims",
+    fields: {
+      amount: money("Claimed amount", { required: true, positive: true }),
+      status: text("Status", { required: true, oneOf: CLAIM_STATUSES }),
+      approvedAmount: money("Approved amount"),
+      paidAmount: money("Amount paid"),
+      reference: text("Reference no."),
+      note: text("Note"),
+    },
+    // The HMO never approves or pays more than was claimed
+    check: ({ amount, approvedAmount, paidAmount }) => {
+      if (approvedAmount > amount) {
+        return { approvedAmount: "Approved amount exceeds the claim" };
+      }
+      if (paidAmount > (approvedAmount ?? amount)) {
+        return { paidAmount: "Amount paid exceeds the approved amount" };
+      }
+      return {};
+    },
+  },
+
+  attachment: {
+    collectionId: "attachments",
+    fields: {
+      name: text("File name", required),
+      tag: text("Type", { required: true, oneOf: ATTACHMENT_TAGS }),
+      toothNumber: text("Tooth", {
+        pattern: /^([1-4][1-8]|[5-8][1-5])$/,
+        patternMessage: "Tooth should be an FDI number like 11 or 48",
+      }),
+      note: text("Note"),
+    },
+  },
+};
+
+// Section stores are created per collection (stores/createSectionStore.js)
+export const ENTITY_FOR_COLLECTION = Object.fromEntries(
+  Object.entries(ENTITIES).map(([entity, { collectionId }]) => [
+    collectionId,
+    entity,
+  ])
+);
+
+/* ----------------------------------------------------------
+    Validation
+---------------------------------------------------------- */
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === "string" && value.trim() === "");
+
+const maxLengthOf = (collectionId, key) =>
+  COLLECTIONS[collectionId]?.attributes.find(
+    (a) => a.key === key && a.type === "string"
+  )?.size;
+
+const toNumber = (value) =>
+  typeof value === "number"
+    ? value
+    : parseFloat(String(value).replace(/[\s,]/g, ""));
+
+// 🔹 Normalize one field; returns [value, error]
+const checkField = (field, raw, maxLength) => {
+  if (isEmpty(raw)) {
+    return field.required
+      ? [raw, field.requiredMessage || `${field.label} is required`]
+      : [field.type === "string" ? "" : null, null];
+  }
+
+  switch (field.type) {
+    case "integer": {
+      const value = toNumber(raw);
+      if (!isFinite(value)) return [raw, `${field.label} must be a number`];
+      if (!Number.isInteger(value)) {
+        return [value, `${field.label} must be a whole number`];
+      }
+      if (field.positive && value <= 0) {
+        return [value, `${field.label} must be greater than 0`];
+      }
+      if (field.min !== undefined && value < field.min) {
+        return [value, `${field.label} must be at least ${field.min}`];
+      }
+      if (field.max !== undefined && value > field.max) {
+        return [value, `${field.label} must be at most ${field.max}`];
+      }
+      return [value, null];
+    }
+
+    case "money": {
+      const value = toAmount(raw);
+      if (!isFinite(value)) return [raw, `${field.label} isn't a valid amount`];
+      if (!Number.isInteger(value)) {
+        return [value, `${field.label} must be a whole number of cents`];
+      }
+      if (field.positive && value <= 0) {
+        return [value, `${field.label} must be greater than 0`];
+      }
+      if (field.min !== undefined && value < field.min) {
+        return [
+          value,
+          `${field.label} can't be below ${formatMoney(field.min)}`,
+        ];
+      }
+      return [value, null];
+    }
+
+    case "date": {
+      const time = Date.parse(raw);
+      if (isNaN(time)) return [raw, `${field.label} is not a valid date`];
+      if (field.notFuture && time > Date.now()) {
+        return [raw, `${field.label} can't be in the future`];
+      }
+      return [raw, null];
+    }
+
+    case "boolean":
+      return [!!raw, null];
+
+    default: {
+      const value = String(raw).trim();
+      if (maxLength && value.length > maxLength) {
+        return [value, `${field.label} is too long (max ${maxLength})`];
+      }
+      if (field.oneOf && !field.oneOf.includes(value)) {
+        return [
+          value,
+          `${field.label} must be one of ${field.oneOf.join(", ")}`,
+        ];
+      }
+      if (field.pattern && !field.pattern.test(value)) {
+        return [value, field.patternMessage || `${field.label} is invalid`];
+      }
+      return [value, null];
+    }
+  }
+};
+
+// 🔹 Validate and normalize a payload. Returns { valid, errors, data } where
+// errors maps field -> message and data is the payload with normalized
+// values. Fields the entity doesn't describe pass through untouched.
+// `partial` (updates) only checks the fields present in `values`.
+export const validate = (entity, values = {}, { partial = false } = {}) => {
+  const { collectionId, fields, check } = ENTITIES[entity];
+  const data = { ...values };
+  const errors = {};
+
+  Object.entries(fields).forEach(([key, field]) => {
+    if (partial && !(key in values)) return;
+    const [value, error] = checkField(
+      field,
+      values[key],
+      maxLengthOf(collectionId, key)
+    );
+    if (key in values || !isEmpty(value)) data[key] = value;
+    if (error) errors[key] = error;
+  });
+
+  if (check && !Object.keys(errors).length) {
+    Object.assign(errors, check(data) || {});
+  }
+
+  return { valid: !Object.keys(errors).length, errors, data };
+};
+
+// First message, for places that can only show one (toasts)
+export const firstError = (errors) => Object.values(errors || {})[0] || null;
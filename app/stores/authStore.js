@@ -1,20 +1,40 @@
 // stores/authStore.js
 import { create } from "zustand";
-import { account } from "../lib/appwrite";
-import { ID } from "appwrite";
+import { auth, ID } from "../lib/db";
+import { can, resolveRole } from "../lib/permissions";
+import { clearSectionCache } from "../lib/sectionCache";
+import { useOutboxStore } from "./useOutboxStore";
+import { useDeletionJournalStore } from "./useDeletionJournalStore";
 import toast from "react-hot-toast";
 
+const withRole = (user) => ({ current: user, role: resolveRole(user) });
+
+// 📡 Offline work kept in localStorage until it reaches the server: queued
+// writes and conflicts (outbox) and interrupted patient deletions (journal).
+// It holds patient data, so a session can only be ended once it is empty.
+const pendingOfflineWork = () => {
+  const { queue, conflicts } = useOutboxStore.getState();
+  const { jobs } = useDeletionJournalStore.getState();
+  return queue.length + conflicts.length + Object.keys(jobs).length;
+};
+
+const clearOfflineWork = () => {
+  useOutboxStore.persist.clearStorage();
+  useDeletionJournalStore.persist.clearStorage();
+};
+
 export const useAuthStore = create((set) => ({
   current: null,
+  role: null, // "admin" | "dentist" | "receptionist" (see lib/permissions.js)
   loading: true,
 
   register: async (email, password) => {
     try {
-      await account.create(ID.unique(), email, password);
+      await auth.create(ID.unique(), email, password);
       toast.success("Account created 🎉");
-      await account.createEmailPasswordSession(email, password);
-      const user = await account.get();
-      set({ current: user });
+      await auth.createEmailPasswordSession(email, password);
+      const user = await auth.get();
+      set(withRole(user));
       return user;
     } catch (error) {
       toast.error(error?.message || "Signup failed ❌");
@@ -24,9 +44,9 @@ export const useAuthStore = create((set) => ({
 
   login: async (email, password) => {
     try {
-      await account.createEmailPasswordSession(email, password);
-      const user = await account.get();
-      set({ current: user });
+      await auth.createEmailPasswordSession(email, password);
+      const user = await auth.get();
+      set(withRole(user));
       toast.success("Welcome back 👋");
       return user;
     } catch (error) {
@@ -36,21 +56,43 @@ export const useAuthStore = create((set) => ({
   },
 
   logout: async () => {
+    const pending = pendingOfflineWork();
+    if (pending) {
+      toast.error(
+        `${pending} change(s) haven't reached the server yet. Reconnect and let them sync (or resolve the conflicts) before logging out.`
+      );
+      return false;
+    }
     try {
-      await account.deleteSession("current");
-      set({ current: null });
+      // Wipe cached records first, even if ending the session fails
+      clearSectionCache();
+      clearOfflineWork();
+      await auth.deleteSession("current");
+      set(withRole(null));
       toast("Logged out 👋");
+      return true;
     } catch (error) {
       toast.error(error?.message || "Logout failed ❌");
+      return false;
     }
   },
 
   getCurrentUser: async () => {
     try {
-      const user = await account.get();
-      set({ current: user, loading: false });
+      const user = await auth.get();
+      set({ ...withRole(user), loading: false });
     } catch {
-      set({ current: null, loading: false });
+      // Session ended (expired or signed out elsewhere): drop cached records.
+      // Unsynced work is kept to be replayed after signing in again.
+      clearSectionCache();
+      if (!pendingOfflineWork()) clearOfflineWork();
+      set({ ...withRole(null), loading: false });
     }
   },
 }));
+
+// 🔐 Permission check bound to the signed-in user's role
+export const useCan = () => {
+  const role = useAuthStore((state) => state.role);
+  return (permission) => can(role, permission);
+};
@@ -1,15 +1,38 @@
 import { create } from "zustand";
 import { persist } from "zustand/middleware";
-import { databases } from "../lib/appwrite";
-import { Query, ID } from "appwrite";
+import { db, Query, ID } from "../lib/db";
+import { listAll } from "../lib/paginate";
+import { ENTITY_FOR_COLLECTION, firstError, validate } from "../lib/validation";
+import { onSectionCacheClear, scopedStorage } from "../lib/sectionCache";
+import { updateChecked } from "../lib/concurrency";
+import { useAuthStore } from "./authStore";
 import toast from "react-hot-toast";
 
-const DATABASE_ID = process.env.NEXT_PUBLIC_DATABASE_ID;
+// 🔹 Run the collection's rules (lib/validation.js); toasts the first problem
+// and returns the normalized payload, or null when the form is invalid
+const checkForm = (collectionId, values, options) => {
+  const entity = ENTITY_FOR_COLLECTION[collectionId];
+  if (!entity) return values;
+  const { valid, errors, data } = validate(entity, values, options);
+  if (!valid) toast.error(firstError(errors));
+  return valid ? data : null;
+};
 
-export const createSectionStore = (collectionId, label) =>
-  create(
+// Cached per signed-in user and patient, see lib/sectionCache.js
+export const createSectionStore = (collectionId, label) => {
+  // Caches from before scoping were shared by every user and patient
+  if (typeof window !== "undefined") {
+    localStorage.removeItem(`${collectionId}-store`);
+  }
+
+  // Patient the persisted copy belongs to; null while switching patients so
+  // the emptied list is not written over the next patient's cache
+  let cachedPatientId = null;
+
+  const store = create(
     persist(
       (set, get) => ({
+        patientId: null, // whose records `items` holds
         items: [],
         loading: false,
         error: null,
@@ -17,13 +40,22 @@ export const createSectionStore = (collectionId, label) =>
         fetchItems: async (patientId) => {
           if (!patientId) return;
           set({ loading: true, error: null });
+
+          // Never show the previous patient's records, even for a moment:
+          // swap to this patient's cached copy (if any) before fetching
+          if (get().patientId !== patientId) {
+            cachedPatientId = null;
+            set({ patientId, items: [] });
+            cachedPatientId = patientId;
+            await store.persist.rehydrate();
+          }
+
           try {
-            const res = await databases.listDocuments(
-              DATABASE_ID,
-              collectionId,
-              [Query.equal("patientId", patientId), Query.limit(1000)]
-            );
-            set({ items: res.documents });
+            const items = await listAll(collectionId, [
+              Query.equal("patientId", patientId),
+            ]);
+            // Another patient was opened while this one was loading
+            if (get().patientId === patientId) set({ items });
           } catch (err) {
             console.error(`Error fetching ${label}:`, err);
             set({ error: err.message || "Failed to load data" });
@@ -34,16 +66,14 @@ export const createSectionStore = (collectionId, label) =>
         },
 
         // 🔹 Add item (dynamic form)
-        addItem: async (patientId, data) => {
-          if (!data || typeof data !== "object") {
-            return toast.error("Invalid form data");
+        addItem: async (patientId, values) => {
+          if (!values || typeof values !== "object") {
+            toast.error("Invalid form data");
+            return null;
           }
 
-          // Basic validation
-          const hasAnyValue = Object.values(data).some(
-            (v) => v !== "" && v !== null && v !== undefined
-          );
-          if (!hasAnyValue) return toast.error("Please fill in the form.");
+          const data = checkForm(collectionId, values);
+          if (!data) return null;
 
           set({ loading: true });
           try {
@@ -52,8 +82,7 @@ export const createSectionStore = (collectionId, label) =>
               ...data, // ✅ merge dynamic form fields
             };
 
-            const doc = await databases.createDocument(
-              DATABASE_ID,
+            const doc = await db.createDocument(
               collectionId,
               ID.unique(),
               payload
@@ -61,23 +90,28 @@ export const createSectionStore = (collectionId, label) =>
 
             set({ items: [doc, ...get().items] });
             toast.success(`${label} added!`);
+            return doc;
           } catch (err) {
             console.error(`Add ${label} failed:`, err);
             toast.error(`Failed to add ${label}`);
+            return null;
           } finally {
             set({ loading: false });
           }
         },
 
         // 🔹 Update item
-        updateItem: async (id, data) => {
-          if (!id || !data) return;
+        updateItem: async (id, values) => {
+          if (!id || !values) return null;
+          const data = checkForm(collectionId, values, { partial: true });
+          if (!data) return null;
+
           set({ loading: true });
           try {
-            const updated = await databases.updateDocument(
-              DATABASE_ID,
+            const base = get().items.find((i) => i.$id === id) || { $id: id };
+            const { doc: updated, discarded } = await updateChecked(
               collectionId,
-              id,
+              base,
               data
             );
             set({
@@ -85,10 +119,14 @@ export const createSectionStore = (collectionId, label) =>
                 i.$id === id ? { ...i, ...updated } : i
               ),
             });
-            toast.success(`${label} updated!`);
+            toast.success(
+              discarded ? "Kept the other version" : `${label} updated!`
+            );
+            return updated;
           } catch (err) {
             console.error(`Update ${label} failed:`, err);
             toast.error(`Failed to update ${label}`);
+            return null;
           } finally {
             set({ loading: false });
           }
@@ -98,7 +136,7 @@ export const createSectionStore = (collectionId, label) =>
         deleteItem: async (id) => {
           set({ loading: true });
           try {
-            await databases.deleteDocument(DATABASE_ID, collectionId, id);
+            await db.deleteDocument(collectionId, id);
             set({ items: get().items.filter((i) => i.$id !== id) });
             toast.success(`${label} deleted`);
           } catch (err) {
@@ -109,10 +147,32 @@ export const createSectionStore = (collectionId, label) =>
           }
         },
 
-        clear: () => set({ items: [], error: null }),
+        clear: () => {
+          cachedPatientId = null;
+          set({ patientId: null, items: [], error: null });
+        },
       }),
       {
         name: `${collectionId}-store`,
+        storage: scopedStorage(() => [
+          useAuthStore.getState().current?.$id,
+          cachedPatientId,
+        ]),
+        partialize: (state) => ({
+          patientId: state.patientId,
+          items: state.items,
+        }),
+        skipHydration: true,
+        // Ignore a cached copy that arrives after another patient was opened
+        merge: (persisted, current) =>
+          persisted?.patientId === current.patientId
+            ? { ...current, ...persisted }
+            : current,
       }
     )
   );
+
+  onSectionCacheClear(() => store.getState().clear());
+
+  return store;
+};
@@ -0,0 +1,131 @@
+import { create } from "zustand";
+import toast from "react-hot-toast";
+import { Query } from "../lib/db";
+import { listAll } from "../lib/paginate";
+import { firstError, validate } from "../lib/validation";
+import { updateChecked } from "../lib/concurrency";
+import { onSectionCacheClear } from "../lib/sectionCache";
+import { isNetworkError } from "../lib/adapters/offlineAdapter";
+import {
+  checkFile,
+  createAttachment,
+  deleteAttachment,
+} from "../lib/attachments";
+
+const COLLECTION_ID = "attachments";
+
+const byNewest = (a, b) => b.$createdAt.localeCompare(a.$createdAt);
+
+// Attachments of the open patient. Unlike the other sections nothing is
+// cached in localStorage: the files need a connection anyway.
+export const useAttachmentStore = create((set, get) => ({
+  patientId: null,
+  items: [],
+  loading: false,
+  uploading: null, // { done, total, progress } while files are uploading
+
+  fetchItems: async (patientId) => {
+    if (!patientId) return;
+    if (get().patientId !== patientId) set({ patientId, items: [] });
+    set({ loading: true });
+    try {
+      const items = await listAll(COLLECTION_ID, [
+        Query.equal("patientId", patientId),
+      ]);
+      if (get().patientId === patientId) set({ items: items.sort(byNewest) });
+    } catch (err) {
+      console.error("Error fetching attachments:", err);
+      toast.error("Failed to load attachments");
+    } finally {
+      set({ loading: false });
+    }
+  },
+
+  // 🔹 Upload files one at a time with the same tag/tooth/note; returns the
+  // created records (files that fail are reported and skipped)
+  upload: async (patientId, fileList, values) => {
+    const pending = [...fileList];
+    const problems = pending.map(checkFile).filter(Boolean);
+    if (problems.length) {
+      toast.error(problems[0]);
+      return [];
+    }
+
+    const created = [];
+    set({ uploading: { done: 0, total: pending.length, progress: 0 } });
+    for (const [i, file] of pending.entries()) {
+      const { valid, errors, data } = validate("attachment", {
+        ...values,
+        name: file.name,
+      });
+      if (!valid) {
+        toast.error(firstError(errors));
+        break;
+      }
+      try {
+        const doc = await createAttachment(patientId, file, data, {
+          onProgress: (progress) =>
+            set({ uploading: { done: i, total: pending.length, progress } }),
+        });
+        created.push(doc);
+        if (get().patientId === patientId) {
+          set({ items: [doc, ...get().items] });
+        }
+      } catch (err) {
+        console.error("Upload failed:", err);
+        toast.error(
+          isNetworkError(err)
+            ? "You're offline — attachments can only be uploaded online"
+            : `Couldn't upload ${file.name}`
+        );
+        if (isNetworkError(err)) break;
+      }
+    }
+    set({ uploading: null });
+    if (created.length) toast.success(`${created.length} file(s) attached`);
+    return created;
+  },
+
+  // 🔹 Change tag, tooth or note
+  updateItem: async (id, values) => {
+    const { valid, errors, data } = validate("attachment", values, {
+      partial: true,
+    });
+    if (!valid) {
+      toast.error(firstError(errors));
+      return null;
+    }
+    try {
+      const base = get().items.find((i) => i.$id === id) || { $id: id };
+      const { doc, discarded } = await updateChecked(COLLECTION_ID, base, data);
+      set({
+        items: get().items.map((i) => (i.$id === id ? { ...i, ...doc } : i)),
+      });
+      toast.success(
+        discarded ? "Kept the other version" : "Attachment updated"
+      );
+      return doc;
+    } catch (err) {
+      console.error("Update attachment failed:", err);
+      toast.error("Failed to update attachment");
+      return null;
+    }
+  },
+
+  deleteItem: async (attachment) => {
+    try {
+      await deleteAttachment(attachment);
+      set({ items: get().items.filter((i) => i.$id !== attachment.$id) });
+      toast.success("Attachment deleted");
+      return true;
+    } catch (err) {
+      console.error("Delete attachment failed:", err);
+      toast.error("Delete failed");
+      return false;
+    }
+  },
+
+  clear: () => set({ patientId: null, items: [], uploading: null }),
+}));
+
+onSectionCacheClear(() => useAttachmentStore.getState().clear());
@@ -0,0 +1,87 @@
+"use client";
+
+import { create } from "zustand";
+import { Query } from "../lib/db";
+import { listPage } from "../lib/paginate";
+import { AUDIT_COLLECTION_ID } from "../lib/adapters/auditAdapter";
+import toast from "react-hot-toast";
+
+const EMPTY_FILTERS = {
+  user: "",
+  patient: "",
+  collectionId: "",
+  from: "",
+  to: "",
+};
+
+const buildQueries = ({ user, patient, collectionId, from, to }) => [
+  Query.orderDesc("at"),
+  ...(user ? [Query.equal("userEmail", user)] : []),
+  ...(patient ? [Query.contains("patientName", patient)] : []),
+  ...(collectionId ? [Query.equal("collectionId", collectionId)] : []),
+  ...(from
+    ? [Query.greaterThanEqual("at", new Date(`${from}T00:00:00`).toISOString())]
+    : []),
+  ...(to
+    ? [Query.lessThanEqual("at", new Date(`${to}T23:59:59.999`).toISOString())]
+    : []),
+];
+
+// 🕵️ Audit trail (written by lib/adapters/auditAdapter.js), newest first
+export const useAuditStore = create((set, get) => ({
+  logs: [],
+  total: 0,
+  cursor: null,
+  hasMore: false,
+  loading: false,
+  loadingMore: false,
+  filters: EMPTY_FILTERS,
+
+  setFilters: (patch) =>
+    set((state) => ({ filters: { ...state.filters, ...patch } })),
+
+  resetFilters: () => set({ filters: EMPTY_FILTERS }),
+
+  fetchLogs: async () => {
+    set({ loading: true });
+    try {
+      const page = await listPage(
+        AUDIT_COLLECTION_ID,
+        buildQueries(get().filters)
+      );
+      set({
+        logs: page.documents,
+        total: page.total,
+        cursor: page.cursor,
+        hasMore: page.hasMore,
+        loading: false,
+      });
+    } catch (err) {
+      console.error("Error fetching audit log:", err);
+      toast.error("Failed to load audit log");
+      set({ loading: false });
+    }
+  },
+
+  fetchMoreLogs: async () => {
+    const { hasMore, loadingMore, cursor, filters } = get();
+    if (!hasMore || loadingMore) return;
+
+    set({ loadingMore: true });
+    try {
+      const page = await listPage(AUDIT_COLLECTION_ID, buildQueries(filters), {
+        cursor,
+      });
+      set((state) => ({
+        logs: [...state.logs, ...page.documents],
+        cursor: page.cursor,
+        hasMore: page.hasMore,
+        loadingMore: false,
+      }));
+    } catch (err) {
+      console.error("Error fetching audit log:", err);
+      toast.error("Failed to load more entries");
+      set({ loadingMore: false });
+    }
+  },
+}));
@@ -0,0 +1,99 @@
+"use client";
+
+import { create } from "zustand";
+import { persist } from "zustand/middleware";
+import { db, ID, Query } from "../lib/db";
+import { listAll } from "../lib/paginate";
+import { updateChecked } from "../lib/concurrency";
+import toast from "react-hot-toast";
+
+export const BRANCHES_COLLECTION_ID = "branches";
+
+// 🏥 Clinic branches and the one this workstation is working in. An empty
+// activeBranchId means "All branches" (consolidated): nothing is filtered.
+// The selection is persisted so each workstation reopens on its own branch.
+export const useBranchStore = create(
+  persist(
+    (set, get) => ({
+      branches: [],
+      activeBranchId: "",
+      loading: false,
+
+      fetchBranches: async () => {
+        set({ loading: true });
+        try {
+          const branches = await listAll(BRANCHES_COLLECTION_ID, [
+            Query.orderAsc("name"),
+          ]);
+          set((state) => ({
+            branches,
+            loading: false,
+            // Forget a branch that no longer exists
+            activeBranchId: branches.some((b) => b.$id === state.activeBranchId)
+              ? state.activeBranchId
+              : "",
+          }));
+        } catch (err) {
+          console.error("Error fetching branches:", err);
+          set({ loading: false });
+        }
+      },
+
+      addBranch: async (data) => {
+        try {
+          const branch = await db.createDocument(
+            BRANCHES_COLLECTION_ID,
+            ID.unique(),
+            data
+          );
+          set((state) => ({
+            branches: [...state.branches, branch].sort((a, b) =>
+              a.name.localeCompare(b.name)
+            ),
+          }));
+          toast.success("Branch added");
+          return branch;
+        } catch (err) {
+          console.error("Error adding branch:", err);
+          toast.error("Failed to add branch");
+          return null;
+        }
+      },
+
+      updateBranch: async (id, data) => {
+        try {
+          const base = get().branches.find((b) => b.$id === id) || {
+            $id: id,
+          };
+          const { doc: res, discarded } = await updateChecked(
+            BRANCHES_COLLECTION_ID,
+            base,
+            data
+          );
+          set((state) => ({
+            branches: state.branches.map((b) =>
+              b.$id === id ? { ...b, ...res } : b
+            ),
+          }));
+          toast.success(
+            discarded ? "Kept the other version" : "Branch updated"
+          );
+          return true;
+        } catch (err) {
+          console.error("Error updating branch:", err);
+          toast.error("Failed to update branch");
+          return false;
+        }
+      },
+
+      setActiveBranch: (activeBranchId) => set({ activeBranchId }),
+
+      getBranchName: (id) =>
+        get().branches.find((b) => b.$id === id)?.name || "Unassigned",
+    }),
+    {
+      name: "branch-store",
+      partialize: (state) => ({ activeBranchId: state.activeBranchId }),
+    }
+  )
+);
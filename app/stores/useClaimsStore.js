@@ -0,0 +1,92 @@
+"use client";
+
+import { create } from "zustand";
+import toast from "react-hot-toast";
+import { db } from "../lib/db";
+import { listAll, listWhereIn } from "../lib/paginate";
+import { firstError, validate } from "../lib/validation";
+import {
+  CLAIM_STATUS_LABELS,
+  CLAIM_TRANSITIONS,
+  claimUpdate,
+} from "../lib/hmo";
+
+const CLAIMS_COLLECTION_ID = "claims";
+const TRANSACTIONS_COLLECTION_ID = "transactions";
+
+// 🧾 HMO claims tracker (Reports › HMO Claims), see lib/hmo.js
+export const useClaimsStore = create((set, get) => ({
+  claims: [],
+  loading: false,
+
+  fetchClaims: async () => {
+    set({ loading: true });
+    try {
+      const filed = await listAll(CLAIMS_COLLECTION_ID);
+      // A claim whose transaction was trashed or deleted is owed nothing
+      const transactions = await listWhereIn(
+        TRANSACTIONS_COLLECTION_ID,
+        "$id",
+        filed.map((c) => c.transactionId)
+      );
+      const live = new Set(transactions.map((t) => t.$id));
+      const claims = filed.filter((c) => live.has(c.transactionId));
+      set({
+        claims: claims.sort((a, b) =>
+          (b.submittedAt || "").localeCompare(a.submittedAt || "")
+        ),
+      });
+    } catch (err) {
+      console.error("Fetch claims failed:", err);
+      toast.error("Failed to load HMO claims");
+    } finally {
+      set({ loading: false });
+    }
+  },
+
+  // 🔹 Move a claim along (approve, deny, mark paid). `values` may carry the
+  // approved or paid amount, a reference number and a note.
+  setStatus: async (claim, status, values = {}) => {
+    if (!CLAIM_TRANSITIONS[claim.status]?.includes(status)) {
+      toast.error(
+        `A ${CLAIM_STATUS_LABELS[
+          claim.status
+        ].toLowerCase()} claim can't be ${status}`
+      );
+      return null;
+    }
+
+    const { valid, errors, data } = validate("claim", {
+      amount: claim.amount,
+      status,
+      approvedAmount: values.approvedAmount ?? claim.approvedAmount,
+      paidAmount: values.paidAmount,
+      reference: values.reference ?? claim.reference,
+      note: values.note ?? claim.note,
+    });
+    if (!valid) {
+      toast.error(firstError(errors));
+      return null;
+    }
+
+    try {
+      const res = await db.updateDocument(CLAIMS_COLLECTION_ID, claim.$id, {
+        ...claimUpdate(claim, status, {
+          approvedAmount: data.approvedAmount ?? undefined,
+          paidAmount: data.paidAmount ?? undefined,
+        }),
+        reference: data.reference || null,
+        note: data.note || null,
+      });
+      set({
+        claims: get().claims.map((c) => (c.$id === res.$id ? res : c)),
+      });
+      toast.success(`Claim ${CLAIM_STATUS_LABELS[status].toLowerCase()}`);
+      return res;
+    } catch (err) {
+      console.error("Update claim failed:", err);
+      toast.error("Failed to update the claim");
+      return null;
+    }
+  },
+}));
@@ -0,0 +1,24 @@
+"use client";
+
+import { create } from "zustand";
+
+// ⚠️ Edits that collided with someone else's save (see lib/concurrency.js),
+// waiting for the user to pick a version in ConflictDialog. Oldest first.
+export const useConflictStore = create((set, get) => ({
+  conflicts: [],
+
+  // Resolves with "mine" or "theirs" once the user decides
+  ask: (conflict) =>
+    new Promise((resolve) =>
+      set((state) => ({
+        conflicts: [...state.conflicts, { ...conflict, resolve }],
+      }))
+    ),
+
+  answer: (choice) => {
+    const [current, ...rest] = get().conflicts;
+    if (!current) return;
+    set({ conflicts: rest });
+    current.resolve(choice);
+  },
+}));
@@ -0,0 +1,51 @@
+"use client";
+
+import { create } from "zustand";
+import { persist } from "zustand/middleware";
+
+// 🗑️ In-flight patient deletions (see lib/cascadeDelete.js). Persisted so a
+// delete interrupted by an error or a reload can still be resumed or rolled
+// back instead of leaving half the patient's records behind.
+export const useDeletionJournalStore = create(
+  persist(
+    (set, get) => ({
+      jobs: {}, // patientId -> job
+
+      saveJob: (job) =>
+        set((state) => ({ jobs: { ...state.jobs, [job.patientId]: job } })),
+
+      updateJob: (patientId, updater) =>
+        set((state) =>
+          state.jobs[patientId]
+            ? {
+                jobs: {
+                  ...state.jobs,
+                  [patientId]: updater(state.jobs[patientId]),
+                },
+              }
+            : state
+        ),
+
+      markDeleted: (patientId, recordId) =>
+        get().updateJob(patientId, (job) => ({
+          ...job,
+          deleted: [...job.deleted, recordId],
+        })),
+
+      markRestored: (patientId, recordId) =>
+        get().updateJob(patientId, (job) => ({
+          ...job,
+          deleted: job.deleted.filter((id) => id !== recordId),
+        })),
+
+      removeJob: (patientId) =>
+        set((state) => {
+          const { [patientId]: _, ...jobs } = state.jobs;
+          return { jobs };
+        }),
+    }),
+    {
+      name: "deletion-journal-store",
+    }
+  )
+);
@@ -1,10 +1,11 @@
 "use client";
 import { create } from "zustand";
-import { databases, ID } from "@/app/lib/appwrite";
-import { Query } from "appwrite";
+import { db, ID, Query } from "@/app/lib/db";
+import { listAll } from "@/app/lib/paginate";
+import { updateChecked } from "@/app/lib/concurrency";
+import { firstError, validate } from "@/app/lib/validation";
 import toast from "react-hot-toast";
 
-const DATABASE_ID = process.env.NEXT_PUBLIC_DATABASE_ID;
 const COLLECTION_ID = "dentalchart";
 
 export const useDentalChartStore = create((set, get) => ({
@@ -15,13 +16,12 @@ export const useDentalChartStore = create((set, get) => ({
   fetchItems: async (patientId) => {
     set({ loading: true });
     try {
-      const res = await databases.listDocuments(DATABASE_ID, COLLECTION_ID, [
+      const items = await listAll(COLLECTION_ID, [
         Query.equal("patientId", String(patientId)),
-        Query.limit(100),
       ]);
 
       // Assuming each document is a record for one tooth (e.g., tooth 45 status)
-      set({ items: res.documents, loading: false });
+      set({ items, loading: false });
     } catch (err) {
       console.error("Fetch error:", err);
       set({ items: [] });
@@ -38,39 +38,37 @@ export const useDentalChartStore = create((set, get) => ({
     // check if tooth already exists
     const existing = items.find((x) => x.toothNumber === tn);
 
-    const data = {
-      status: String(status),
-      // Add new fields to the data object
-      note: String(note),
-    };
+    const { valid, errors, data } = validate("chart", {
+      toothNumber: tn,
+      status,
+      note,
+    });
+    if (!valid) {
+      toast.error(firstError(errors));
+      return false;
+    }
+    delete data.toothNumber;
 
     try {
       if (existing) {
         // 👉 update existing tooth
-        await databases.updateDocument(
-          DATABASE_ID,
-          COLLECTION_ID,
-          existing.$id,
-          data // <--- Use the combined data object
-        );
+        await updateChecked(COLLECTION_ID, existing, data);
       } else {
         // 👉 create new tooth record
-        await databases.createDocument(
-          DATABASE_ID,
-          COLLECTION_ID,
-          ID.unique(),
-          {
-            patientId: String(patientId),
-            toothNumber: tn,
-            ...data, // <--- Spread the new data fields
-          }
-        );
+        await db.createDocument(COLLECTION_ID, ID.unique(), {
+          patientId: String(patientId),
+          toothNumber: tn,
+          ...data, // <--- Spread the new data fields
+        });
       }
 
       // refresh chart
       await get().fetchItems(patientId);
+      return true;
     } catch (err) {
       console.error("Update error:", err);
+      toast.error("Failed to update tooth");
+      return false;
     }
   },
 
@@ -79,7 +77,7 @@ export const useDentalChartStore = create((set, get) => ({
     // Accept the Appwrite document ID
     set({ loading: true });
     try {
-      await databases.deleteDocument(DATABASE_ID, COLLECTION_ID, toothId);
+      await db.deleteDocument(COLLECTION_ID, toothId);
       // After deleting, refresh the chart
       // You'll need the patientId to refetch, or manage state locally
       // For simplicity, let's assume we pass patientId or find it.
@@ -0,0 +1,89 @@
+"use client";
+
+import { create } from "zustand";
+import toast from "react-hot-toast";
+import { db } from "../lib/db";
+import { firstError, validate } from "../lib/validation";
+import { onSectionCacheClear } from "../lib/sectionCache";
+import {
+  fetchFamily,
+  guardiansIn,
+  linkFamilyMember,
+  needsGuardian,
+  relationshipData,
+} from "../lib/family";
+
+const COLLECTION_ID = "relationships";
+
+// 👪 Family of the open patient (patient details), see lib/family.js
+export const useFamilyStore = create((set, get) => ({
+  patientId: null,
+  family: [], // [{ link, relation, member }]
+  loading: false,
+
+  fetchFamily: async (patientId) => {
+    if (!patientId) return;
+    if (get().patientId !== patientId) set({ patientId, family: [] });
+    set({ loading: true });
+    try {
+      const family = await fetchFamily(patientId);
+      if (get().patientId === patientId) set({ family });
+    } catch (err) {
+      console.error("Error fetching family:", err);
+      toast.error("Failed to load family members");
+    } finally {
+      set({ loading: false });
+    }
+  },
+
+  // 🔹 Record that `memberId` is `patientId`'s `relation` (guardian, child
+  // or spouse). Returns the link, or null.
+  link: async (patientId, memberId, relation) => {
+    const { valid, errors } = validate(
+      "relationship",
+      relationshipData(patientId, memberId, relation)
+    );
+    if (!valid) {
+      toast.error(firstError(errors));
+      return null;
+    }
+    try {
+      const link = await linkFamilyMember(patientId, memberId, relation);
+      if (get().patientId === patientId) get().fetchFamily(patientId);
+      toast.success("Family member linked");
+      return link;
+    } catch (err) {
+      console.error("Link family member failed:", err);
+      toast.error("Failed to link family member");
+      return null;
+    }
+  },
+
+  // 🔹 Remove a link of the open patient. A minor's last guardian stays
+  // until another one is linked.
+  unlink: async (patient, entry) => {
+    const { family } = get();
+    if (
+      entry.relation === "guardian" &&
+      needsGuardian(patient.birthdate) &&
+      guardiansIn(family).length === 1
+    ) {
+      toast.error("Patients under 18 need a guardian: link another first");
+      return false;
+    }
+    try {
+      await db.deleteDocument(COLLECTION_ID, entry.link.$id);
+      set({ family: family.filter((f) => f.link.$id !== entry.link.$id) });
+      toast.success("Family link removed");
+      return true;
+    } catch (err) {
+      console.error("Unlink family member failed:", err);
+      toast.error("Failed to remove family link");
+      return false;
+    }
+  },
+
+  clear: () => set({ patientId: null, family: [] }),
+}));
+
+onSectionCacheClear(() => useFamilyStore.getState().clear());
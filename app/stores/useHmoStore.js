@@ -0,0 +1,131 @@
+"use client";
+
+import { create } from "zustand";
+import toast from "react-hot-toast";
+import { db, ID } from "../lib/db";
+import { listAll } from "../lib/paginate";
+import { firstError, validate } from "../lib/validation";
+
+const PROVIDERS_COLLECTION_ID = "hmoproviders";
+const RULES_COLLECTION_ID = "coveragerules";
+
+const check = (entity, values) => {
+  const { valid, errors, data } = validate(entity, values);
+  if (!valid) toast.error(firstError(errors));
+  return valid ? data : null;
+};
+
+// 🏥 HMO providers and what they cover (Settings › HMO, patient records,
+// new transactions), see lib/hmo.js
+export const useHmoStore = create((set, get) => ({
+  providers: [],
+  rules: [],
+  loading: false,
+
+  fetchHmo: async () => {
+    set({ loading: true });
+    try {
+      const [providers, rules] = await Promise.all([
+        listAll(PROVIDERS_COLLECTION_ID),
+        listAll(RULES_COLLECTION_ID),
+      ]);
+      set({
+        providers: providers.sort((a, b) => a.name.localeCompare(b.name)),
+        rules,
+      });
+    } catch (err) {
+      console.error("Fetch HMO providers failed:", err);
+      toast.error("Failed to load HMO providers");
+    } finally {
+      set({ loading: false });
+    }
+  },
+
+  providerName: (id) =>
+    get().providers.find((p) => p.$id === id)?.name || "Unknown HMO",
+
+  saveProvider: async (id, values) => {
+    const data = check("hmoprovider", values);
+    if (!data) return null;
+    try {
+      const provider = id
+        ? await db.updateDocument(PROVIDERS_COLLECTION_ID, id, data)
+        : await db.createDocument(PROVIDERS_COLLECTION_ID, ID.unique(), data);
+      set({
+        providers: [
+          ...get().providers.filter((p) => p.$id !== provider.$id),
+          provider,
+        ].sort((a, b) => a.name.localeCompare(b.name)),
+      });
+      toast.success(id ? "HMO updated" : "HMO added");
+      return provider;
+    } catch (err) {
+      console.error("Save HMO provider failed:", err);
+      toast.error("Failed to save HMO");
+      return null;
+    }
+  },
+
+  // Its coverage rules go with it; patients keep the id on their record
+  deleteProvider: async (id) => {
+    try {
+      const rules = get().rules.filter((r) => r.providerId === id);
+      await Promise.all(
+        rules.map((r) => db.deleteDocument(RULES_COLLECTION_ID, r.$id))
+      );
+      await db.deleteDocument(PROVIDERS_COLLECTION_ID, id);
+      set({
+        providers: get().providers.filter((p) => p.$id !== id),
+        rules: get().rules.filter((r) => r.providerId !== id),
+      });
+      toast.success("HMO deleted");
+      return true;
+    } catch (err) {
+      console.error("Delete HMO provider failed:", err);
+      toast.error("Failed to delete HMO");
+      return false;
+    }
+  },
+
+  // One rule per provider and service: saving over an existing pair edits it
+  saveRule: async (values) => {
+    const data = check("coveragerule", values);
+    if (!data) return null;
+    const existing = get().rules.find(
+      (r) => r.providerId === data.providerId && r.serviceId === data.serviceId
+    );
+    const fields = {
+      providerId: data.providerId,
+      serviceId: data.serviceId,
+      percent: data.percent,
+      maxAmount: data.maxAmount || null,
+    };
+    try {
+      const rule = existing
+        ? await db.updateDocument(RULES_COLLECTION_ID, existing.$id, fields)
+        : await db.createDocument(RULES_COLLECTION_ID, ID.unique(), fields);
+      set({
+        rules: [...get().rules.filter((r) => r.$id !== rule.$id), rule],
+      });
+      toast.success("Coverage saved");
+      return rule;
+    } catch (err) {
+      console.error("Save coverage rule failed:", err);
+      toast.error("Failed to save coverage");
+      return null;
+    }
+  },
+
+  deleteRule: async (id) => {
+    try {
+      await db.deleteDocument(RULES_COLLECTION_ID, id);
+      set({ rules: get().rules.filter((r) => r.$id !== id) });
+      toast.success("Coverage removed");
+      return true;
+    } catch (err) {
+      console.error("Delete coverage rule failed:", err);
+      toast.error("Failed to remove coverage");
+      return false;
+    }
+  },
+}));
@@ -0,0 +1,43 @@
+"use client";
+
+import { create } from "zustand";
+import { repairFinances, scanFinances } from "../lib/integrity";
+import toast from "react-hot-toast";
+
+// 🩺 Last financial integrity report and repair progress (lib/integrity.js)
+export const useIntegrityStore = create((set, get) => ({
+  report: null,
+  scanning: false,
+  repairing: false,
+  progress: null, // { done, total } while repairing
+
+  scan: async () => {
+    set({ scanning: true });
+    try {
+      set({ report: await scanFinances() });
+    } catch (err) {
+      console.error("Integrity scan failed:", err);
+      toast.error("Failed to check financial records");
+    } finally {
+      set({ scanning: false });
+    }
+  },
+
+  repair: async () => {
+    const issues = get().report?.issues || [];
+    set({ repairing: true, progress: null });
+    try {
+      const repaired = await repairFinances(issues, (done, total) =>
+        set({ progress: { done, total } })
+      );
+      toast.success(`Repaired ${repaired} record(s)`);
+    } catch (err) {
+      console.error("Integrity repair failed:", err);
+      toast.error("Repair stopped — run the check again to see what's left");
+    } finally {
+      set({ repairing: false, progress: null });
+    }
+    // Show what is still wrong (orphans, missing patients, ...)
+    await get().scan();
+  },
+}));
@@ -0,0 +1,72 @@
+"use client";
+
+import { create } from "zustand";
+import { persist } from "zustand/middleware";
+import { ID } from "appwrite";
+
+// 📡 Mutations made while offline, replayed in order once the connection is
+// back (see lib/adapters/offlineAdapter.js). Persisted so a reload or a closed
+// tab does not lose unsynced work.
+export const useOutboxStore = create(
+  persist(
+    (set, get) => ({
+      queue: [], // oldest first
+      conflicts: [], // entries the server refused or changed meanwhile
+      online: true,
+      syncing: false,
+
+      enqueue: (entry) => {
+        const queued = {
+          ...entry,
+          id: ID.unique(),
+          queuedAt: new Date().toISOString(),
+        };
+        set((state) => ({ queue: [...state.queue, queued] }));
+        return queued;
+      },
+
+      dequeue: (id) =>
+        set((state) => ({ queue: state.queue.filter((e) => e.id !== id) })),
+
+      // Queued changes to a document that was just written build on that write
+      rebase: (documentId, baseUpdatedAt) =>
+        set((state) => ({
+          queue: state.queue.map((e) =>
+            e.documentId === documentId ? { ...e, baseUpdatedAt } : e
+          ),
+        })),
+
+      addConflict: (entry, server, reason) =>
+        set((state) => ({
+          conflicts: [
+            ...state.conflicts,
+            {
+              id: ID.unique(),
+              entry,
+              server,
+              reason,
+              detectedAt: new Date().toISOString(),
+            },
+          ],
+        })),
+
+      dismissConflict: (id) =>
+        set((state) => ({
+          conflicts: state.conflicts.filter((c) => c.id !== id),
+        })),
+
+      isPending: (documentId) =>
+        get().queue.some((e) => e.documentId === documentId),
+
+      setOnline: (online) => set({ online }),
+      setSyncing: (syncing) => set({ syncing }),
+    }),
+    {
+      name: "outbox-store",
+      partialize: (state) => ({
+        queue: state.queue,
+        conflicts: state.conflicts,
+      }),
+    }
+  )
+);
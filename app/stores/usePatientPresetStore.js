@@ -0,0 +1,50 @@
+"use client";
+
+import { create } from "zustand";
+import { persist } from "zustand/middleware";
+import { useAuthStore } from "./authStore";
+
+// 🔍 Saved patient filters ("Seniors with balance", ...), kept on this device
+// per signed-in user
+const userKey = () => useAuthStore.getState().current?.$id || "anonymous";
+const NO_PRESETS = [];
+
+export const usePatientPresetStore = create(
+  persist(
+    (set) => ({
+      presets: {}, // userId -> [{ id, name, filters }]
+
+      savePreset: (name, filters) => {
+        const preset = { id: Date.now().toString(36), name, filters };
+        set((state) => {
+          const key = userKey();
+          const others = (state.presets[key] || []).filter(
+            (p) => p.name !== name
+          );
+          return { presets: { ...state.presets, [key]: [...others, preset] } };
+        });
+        return preset;
+      },
+
+      deletePreset: (id) =>
+        set((state) => {
+          const key = userKey();
+          return {
+            presets: {
+              ...state.presets,
+              [key]: (state.presets[key] || []).filter((p) => p.id !== id),
+            },
+          };
+        }),
+    }),
+    {
+      name: "patient-preset-store",
+    }
+  )
+);
+
+// 🔹 Presets of the signed-in user
+export const usePatientPresets = () => {
+  const userId = useAuthStore((s) => s.current?.$id) || "anonymous";
+  return usePatientPresetStore((s) => s.presets[userId]) || NO_PRESETS;
+};
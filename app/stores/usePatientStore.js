@@ -1,143 +1,401 @@
 "use client";
 
 import { create } from "zustand";
-import { databases, ID } from "../lib/appwrite";
-import { Query } from "appwrite";
+import { db, ID } from "../lib/db";
+import {
+  planPatientDeletion,
+  rollbackPatientDeletion,
+  runPatientDeletion,
+} from "../lib/cascadeDelete";
+import { softDeletePatient } from "../lib/softDelete";
+import { runPatientMerge } from "../lib/patientMerge";
+import { useDeletionJournalStore } from "./useDeletionJournalStore";
+import { applyChange, subscribeCollections } from "../lib/realtime";
+import { firstError, validate } from "../lib/validation";
+import { updateChecked } from "../lib/concurrency";
+import { nextChartNumber } from "../lib/chartNumbers";
+import { usePersonalizationStore } from "./usePersonalizationStore";
+import {
+  EMPTY_FILTERS,
+  fetchLastVisits,
+  isFiltered,
+  searchPatients,
+} from "../lib/patientSearch";
 import toast from "react-hot-toast";
 
-const DATABASE_ID = process.env.NEXT_PUBLIC_DATABASE_ID;
 const PATIENTS_COLLECTION_ID = "patients";
-const TRANSACTIONS_COLLECTION_ID = "transactions"; // 👈 add this
-const INSTALLMENTS_COLLECTION_ID = "installments"; // 👈 optional if used
+
+// Only the answer to the latest search is shown
+let searchId = 0;
+
+// Null when the counter can't be reached; the patient is saved anyway and
+// the number assigned later from their details
+const takeChartNumber = async () => {
+  try {
+    return await nextChartNumber(
+      usePersonalizationStore.getState().personalization
+    );
+  } catch (error) {
+    console.error("Error assigning chart number:", error);
+    return null;
+  }
+};
+
+// Adjust the server total only when the change actually adds/removes a row,
+// so our own writes echoed back by realtime are not counted twice
+const totalDelta = (patients, action, id) => {
+  const exists = patients.some((p) => p.$id === id);
+  if (action === "create" && !exists) return 1;
+  if (action === "delete" && exists) return -1;
+  return 0;
+};
 
 export const usePatientStore = create((set, get) => ({
   patients: [],
+  total: 0,
+  cursor: null,
+  hasMore: false,
   loading: false,
+  loadingMore: false,
+  filters: EMPTY_FILTERS, // search, filters and sort (lib/patientSearch.js)
+  lastVisits: {}, // patientId -> date of the latest past appointment
+  deleteProgress: null, // { done, total, label } while a delete runs
+  mergeProgress: null, // same, while a merge runs
 
-  // ✅ Fetch all patients
+  // ✅ Fetch the first page of patients matching the current filters
   fetchPatients: async () => {
+    const id = ++searchId;
     set({ loading: true });
     try {
-      const res = await databases.listDocuments(
-        DATABASE_ID,
-        PATIENTS_COLLECTION_ID,
-        [Query.limit(1000)]
-      );
-      set({ patients: res.documents, loading: false });
+      const page = await searchPatients(get().filters);
+      if (id !== searchId) return;
+      set({
+        patients: page.documents,
+        total: page.total,
+        cursor: page.cursor,
+        hasMore: page.hasMore,
+        lastVisits: {},
+        loading: false,
+      });
+      get().loadLastVisits(page.documents);
     } catch (error) {
+      if (id !== searchId) return;
       console.error("Error fetching patients:", error);
       toast.error("Failed to fetch patients");
       set({ loading: false });
     }
   },
 
+  // 🔍 Change some filters (or the sort) and search again
+  setFilters: (patch) => {
+    set((state) => ({ filters: { ...state.filters, ...patch } }));
+    return get().fetchPatients();
+  },
+
+  resetFilters: () => {
+    set({ filters: EMPTY_FILTERS });
+    return get().fetchPatients();
+  },
+
+  // 🗓️ Last visit of the given patients, for the list
+  loadLastVisits: async (patients) => {
+    if (!patients.length) return;
+    try {
+      const visits = await fetchLastVisits(patients.map((p) => p.$id));
+      set((state) => ({ lastVisits: { ...state.lastVisits, ...visits } }));
+    } catch (error) {
+      console.error("Error fetching last visits:", error);
+    }
+  },
+
+  // ✅ Append the next page ("load more" / infinite scroll)
+  fetchMorePatients: async () => {
+    const { hasMore, loadingMore, cursor, filters } = get();
+    if (!hasMore || loadingMore) return;
+
+    const id = searchId;
+    set({ loadingMore: true });
+    try {
+      const page = await searchPatients(filters, { cursor });
+      if (id !== searchId) return set({ loadingMore: false });
+      get().loadLastVisits(page.documents);
+      set((state) => ({
+        // Skip rows that already arrived through realtime
+        patients: page.documents.reduce(
+          (list, doc) => applyChange(list, "create", doc),
+          state.patients
+        ),
+        total: page.total,
+        cursor: page.cursor,
+        hasMore: page.hasMore,
+        loadingMore: false,
+      }));
+    } catch (error) {
+      console.error("Error fetching more patients:", error);
+      toast.error("Failed to load more patients");
+      set({ loadingMore: false });
+    }
+  },
+
   // ✅ Add new patient
   addPatient: async (patientData) => {
+    const { valid, errors, data } = validate("patient", patientData);
+    if (!valid) {
+      toast.error(firstError(errors));
+      return null;
+    }
+
     set({ loading: true });
     try {
-      const res = await databases.createDocument(
-        DATABASE_ID,
+      const chartNumber = await takeChartNumber();
+      const res = await db.createDocument(
         PATIENTS_COLLECTION_ID,
         ID.unique(),
-        patientData
+        chartNumber ? { ...data, chartNumber } : data
       );
 
       set((state) => ({
-        patients: [...state.patients, res],
+        patients: applyChange(state.patients, "create", res),
+        total: state.total + totalDelta(state.patients, "create", res.$id),
         loading: false,
       }));
 
-      toast.success("Patient added successfully!");
+      if (chartNumber) {
+        toast.success(`Patient added as ${chartNumber}`);
+      } else {
+        toast.success("Patient added successfully!");
+        toast("No chart number yet: assign it from the patient's details", {
+          icon: "🔢",
+        });
+      }
+      return res;
     } catch (error) {
       console.error("Error adding patient:", error);
       toast.error("Failed to add patient");
       set({ loading: false });
+      return null;
     }
   },
 
   // ✅ Update patient
   updatePatient: async (id, updates) => {
+    const { valid, errors, data } = validate("patient", updates, {
+      partial: true,
+    });
+    if (!valid) {
+      toast.error(firstError(errors));
+      return null;
+    }
+
     set({ loading: true });
     try {
-      const res = await databases.updateDocument(
-        DATABASE_ID,
+      const base = get().patients.find((p) => p.$id === id) || { $id: id };
+      const { doc: res, discarded } = await updateChecked(
         PATIENTS_COLLECTION_ID,
-        id,
-        updates
+        base,
+        data
       );
 
       set((state) => ({
-        patients: state.patients.map((p) => (p.$id === id ? res : p)),
+        patients: state.patients.map((p) =>
+          p.$id === id ? { ...p, ...res } : p
+        ),
         loading: false,
       }));
 
-      toast.success("Patient updated!");
+      toast.success(discarded ? "Kept the other version" : "Patient updated!");
+      return res;
     } catch (error) {
       console.error("Error updating patient:", error);
       toast.error("Failed to update patient");
       set({ loading: false });
+      return null;
+    }
+  },
+
+  // 🔢 Give a patient saved without one (offline, older records) a chart
+  // number, unless another workstation already did
+  assignChartNumber: async (id) => {
+    try {
+      const current = await db.getDocument(PATIENTS_COLLECTION_ID, id);
+      const res = current.chartNumber
+        ? current
+        : await db.updateDocument(PATIENTS_COLLECTION_ID, id, {
+            chartNumber: await nextChartNumber(
+              usePersonalizationStore.getState().personalization
+            ),
+          });
+      set((state) => ({
+        patients: state.patients.map((p) =>
+          p.$id === id ? { ...p, ...res } : p
+        ),
+      }));
+      toast.success(`Chart number ${res.chartNumber}`);
+      return res;
+    } catch (error) {
+      console.error("Error assigning chart number:", error);
+      toast.error("Failed to assign a chart number");
+      return null;
     }
   },
 
-  // ✅ Delete patient and related records
+  // ✅ Move patient (with their transactions/installments) to the trash
   deletePatient: async (id) => {
+    const patient = get().patients.find((p) => p.$id === id);
+    if (!patient) return false;
+
     set({ loading: true });
     try {
-      // 1️⃣ Fetch related transactions
-      const transactions = await databases.listDocuments(
-        DATABASE_ID,
-        TRANSACTIONS_COLLECTION_ID,
-        [Query.equal("patientId", id)]
-      );
+      await softDeletePatient(patient);
 
-      console.log(id, transactions);
-
-      // 2️⃣ Delete each transaction
-      await Promise.all(
-        transactions.documents.map((t) =>
-          databases.deleteDocument(
-            DATABASE_ID,
-            TRANSACTIONS_COLLECTION_ID,
-            t.$id
-          )
-        )
-      );
+      set((state) => ({
+        patients: state.patients.filter((p) => p.$id !== id),
+        total: Math.max(
+          state.total + totalDelta(state.patients, "delete", id),
+          0
+        ),
+        loading: false,
+      }));
+
+      toast.success("Patient moved to Trash 🗑️");
+      return true;
+    } catch (error) {
+      console.error("Error deleting patient:", error);
+      toast.error("Failed to delete patient");
+      set({ loading: false });
+      return false;
+    }
+  },
+
+  // 🔗 Merge a duplicate record into the one that is kept (see
+  // lib/patientMerge.js). Resolves to the updated survivor, or null.
+  mergePatients: async (survivor, duplicate) => {
+    set({ loading: true, mergeProgress: { done: 0, total: 0, label: "" } });
+    try {
+      const merged = await runPatientMerge(survivor, duplicate, {
+        onProgress: (mergeProgress) => set({ mergeProgress }),
+      });
+
+      set((state) => ({
+        patients: state.patients
+          .filter((p) => p.$id !== duplicate.$id)
+          .map((p) => (p.$id === merged.$id ? { ...p, ...merged } : p)),
+        total: Math.max(
+          state.total + totalDelta(state.patients, "delete", duplicate.$id),
+          0
+        ),
+        loading: false,
+        mergeProgress: null,
+      }));
+
+      toast.success(`Merged into ${survivor.patientName}`);
+      return merged;
+    } catch (error) {
+      console.error("Error merging patients:", error);
+      toast.error("Merge stopped part-way — run it again to finish");
+      set({ loading: false, mergeProgress: null });
+      return null;
+    }
+  },
+
+  // ✅ Permanently delete a patient and every related record (see
+  // lib/cascadeDelete.js). Resolves true when done; on failure the job stays
+  // in the journal so it can be resumed or rolled back.
+  purgePatient: async (patient) => {
+    const id = patient.$id;
+    const journal = useDeletionJournalStore.getState();
 
-      // 3️⃣ (Optional) Delete related installments too
-      try {
-        const installments = await databases.listDocuments(
-          DATABASE_ID,
-          INSTALLMENTS_COLLECTION_ID,
-          [Query.equal("patientId", id)]
-        );
-
-        await Promise.all(
-          installments.documents.map((i) =>
-            databases.deleteDocument(
-              DATABASE_ID,
-              INSTALLMENTS_COLLECTION_ID,
-              i.$id
-            )
-          )
-        );
-      } catch (e) {
-        console.warn("No installments collection or records found");
+    set({ loading: true, deleteProgress: { done: 0, total: 0, label: "" } });
+    try {
+      if (!journal.jobs[id]) {
+        journal.saveJob(await planPatientDeletion(patient));
       }
+    } catch (error) {
+      console.error("Error planning patient deletion:", error);
+      toast.error("Failed to delete patient");
+      set({ loading: false, deleteProgress: null });
+      return false;
+    }
+
+    return get().resumeDelete(id);
+  },
+
+  // 🔁 Continue an interrupted deletion from where it stopped
+  resumeDelete: async (id) => {
+    const journal = useDeletionJournalStore.getState();
+    const job = journal.jobs[id];
+    if (!job) return false;
 
-      // 4️⃣ Delete the patient document
-      await databases.deleteDocument(DATABASE_ID, PATIENTS_COLLECTION_ID, id);
+    set({ loading: true });
+    journal.updateJob(id, (j) => ({ ...j, status: "running", error: null }));
+    try {
+      await runPatientDeletion(job, {
+        onDeleted: (record) => journal.markDeleted(id, record.$id),
+        onProgress: (deleteProgress) => set({ deleteProgress }),
+      });
+      journal.removeJob(id);
 
-      // 5️⃣ Update local state
       set((state) => ({
         patients: state.patients.filter((p) => p.$id !== id),
+        total: Math.max(
+          state.total + totalDelta(state.patients, "delete", id),
+          0
+        ),
         loading: false,
+        deleteProgress: null,
       }));
 
-      toast.success("Patient and related records deleted 🗑️");
+      toast.success("Patient and related records permanently deleted");
+      return true;
     } catch (error) {
       console.error("Error deleting patient and related data:", error);
-      toast.error("Failed to delete patient");
-      set({ loading: false });
+      journal.updateJob(id, (j) => ({
+        ...j,
+        status: "failed",
+        error: error.message || "Delete failed",
+      }));
+      toast.error("Delete stopped part-way — resume or roll back");
+      set({ loading: false, deleteProgress: null });
+      return false;
     }
   },
+
+  // ↩️ Restore whatever an interrupted deletion already removed
+  rollbackDelete: async (id) => {
+    const journal = useDeletionJournalStore.getState();
+    const job = journal.jobs[id];
+    if (!job) return false;
+
+    set({ loading: true });
+    try {
+      await rollbackPatientDeletion(job, {
+        onRestored: (record) => journal.markRestored(id, record.$id),
+        onProgress: (deleteProgress) => set({ deleteProgress }),
+      });
+      journal.removeJob(id);
+      set({ loading: false, deleteProgress: null });
+      toast.success("Patient records restored");
+      return true;
+    } catch (error) {
+      console.error("Error rolling back patient deletion:", error);
+      toast.error("Rollback failed — try again");
+      set({ loading: false, deleteProgress: null });
+      return false;
+    }
+  },
+
+  // 📡 Patch the list with changes made on other workstations.
+  // Returns the unsubscribe function (call it on unmount). While filtered,
+  // new patients aren't added: they may not match.
+  subscribe: () =>
+    subscribeCollections([PATIENTS_COLLECTION_ID], (_, action, doc) => {
+      if (action === "create" && isFiltered(get().filters)) return;
+      set((state) => ({
+        patients: applyChange(state.patients, action, doc),
+        total: Math.max(
+          state.total + totalDelta(state.patients, action, doc.$id),
+          0
+        ),
+      }));
+    }),
 }));
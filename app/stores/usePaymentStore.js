@@ -1,56 +1,66 @@
 "use client";
 import { create } from "zustand";
-import { databases, ID } from "../lib/appwrite";
-import { Query } from "appwrite";
+import { db, ID, Query } from "../lib/db";
+import { listAll, listWhereIn } from "../lib/paginate";
+import { applyChange, subscribeCollections } from "../lib/realtime";
+import { sumMoney, toAmount } from "../lib/money";
 import toast from "react-hot-toast";
 
-const DATABASE_ID = process.env.NEXT_PUBLIC_DATABASE_ID;
 const TRANSACTIONS_COLLECTION_ID = "transactions";
 const INSTALLMENTS_COLLECTION_ID = "installments";
 
+// 💰 Totals derived from the patient's payments, in centavos (lib/money.js)
+const summarize = (transactions, installments) => {
+  const totalFull = sumMoney(transactions, "amount");
+  const totalInstallments = sumMoney(installments, "amount");
+
+  return {
+    // Optional: balance can come from treatment plan or a fixed value later
+    balance: totalFull + totalInstallments,
+    summary: {
+      totalPaid: sumMoney(transactions, "paid"),
+      totalRemaining: sumMoney(transactions, "remaining"),
+    },
+  };
+};
+
 export const usePaymentStore = create((set, get) => ({
   loading: false,
+  patientId: null,
   transactions: [],
   installments: [],
   balance: 0,
+  summary: { totalPaid: 0, totalRemaining: 0 },
 
   // 🔹 Fetch both full and installment payments for a patient
   fetchPayments: async (patientId) => {
     if (!patientId) return;
-    set({ loading: true });
+    set({ loading: true, patientId });
 
     try {
-      const [txnRes, instRes] = await Promise.all([
-        databases.listDocuments(DATABASE_ID, TRANSACTIONS_COLLECTION_ID, [
-          Query.equal("patientId", patientId),
-          [Query.limit(1000)],
-        ]),
-        databases.listDocuments(DATABASE_ID, INSTALLMENTS_COLLECTION_ID, [
+      const transactions = await listAll(TRANSACTIONS_COLLECTION_ID, [
+        Query.equal("patientId", patientId),
+      ]);
+      // Matched through the transactions they were paid against, plus any
+      // that carry only the patient's id
+      const [paidAgainst, legacy] = await Promise.all([
+        listWhereIn(
+          INSTALLMENTS_COLLECTION_ID,
+          "transactionId",
+          transactions.map((t) => t.$id)
+        ),
+        listAll(INSTALLMENTS_COLLECTION_ID, [
           Query.equal("patientId", patientId),
-          [Query.limit(1000)],
         ]),
       ]);
+      const installments = [
+        ...new Map([...paidAgainst, ...legacy].map((i) => [i.$id, i])).values(),
+      ];
 
-      const transactions = txnRes.documents || [];
-      const installments = instRes.documents || [];
-
-      // 💰 Calculate remaining balance (optional logic)
-      const totalFull = transactions.reduce(
-        (sum, t) => sum + parseFloat(t.amount || 0),
-        0
-      );
-      const totalInstallments = installments.reduce(
-        (sum, i) => sum + parseFloat(i.amount || 0),
-        0
-      );
-
-      const totalPaid = totalFull + totalInstallments;
-
-      // Optional: balance can come from treatment plan or a fixed value later
       set({
         transactions,
         installments,
-        balance: totalPaid,
+        ...summarize(transactions, installments),
         loading: false,
       });
     } catch (err) {
@@ -63,19 +73,22 @@ export const usePaymentStore = create((set, get) => ({
   // 🔹 Add a full payment
   addTransaction: async (patientId, amount, type = "Full Payment") => {
     try {
-      const doc = await databases.createDocument(
-        DATABASE_ID,
+      const doc = await db.createDocument(
         TRANSACTIONS_COLLECTION_ID,
         ID.unique(),
         {
           patientId,
           transactionsType: type,
-          amount: parseFloat(amount),
+          amount: toAmount(amount),
         }
       );
-      set((state) => ({
-        transactions: [...state.transactions, doc],
-      }));
+      set((state) => {
+        const transactions = applyChange(state.transactions, "create", doc);
+        return {
+          transactions,
+          ...summarize(transactions, state.installments),
+        };
+      });
       toast.success("Full payment added");
     } catch (err) {
       console.error(err);
@@ -86,23 +99,58 @@ export const usePaymentStore = create((set, get) => ({
   // 🔹 Add an installment payment
   addInstallment: async (patientId, amount, dateTransact) => {
     try {
-      const doc = await databases.createDocument(
-        DATABASE_ID,
+      const doc = await db.createDocument(
         INSTALLMENTS_COLLECTION_ID,
         ID.unique(),
         {
           patientId,
-          amount: parseFloat(amount),
+          amount: toAmount(amount),
           dateTransact,
         }
       );
-      set((state) => ({
-        installments: [...state.installments, doc],
-      }));
+      set((state) => {
+        const installments = applyChange(state.installments, "create", doc);
+        return {
+          installments,
+          ...summarize(state.transactions, installments),
+        };
+      });
       toast.success("Installment added");
     } catch (err) {
       console.error(err);
       toast.error("Failed to add installment");
     }
   },
+
+  // 📡 Patch the open patient's payments and totals with changes made on
+  // other workstations. Returns the unsubscribe function.
+  subscribe: () =>
+    subscribeCollections(
+      [TRANSACTIONS_COLLECTION_ID, INSTALLMENTS_COLLECTION_ID],
+      (collectionId, action, doc) => {
+        const { patientId, transactions } = get();
+        const ours =
+          (doc.patientId && doc.patientId === patientId) ||
+          (collectionId === INSTALLMENTS_COLLECTION_ID &&
+            transactions.some((t) => t.$id === doc.transactionId));
+        if (!ours) return;
+
+        set((state) => {
+          const transactions =
+            collectionId === TRANSACTIONS_COLLECTION_ID
+              ? applyChange(state.transactions, action, doc)
+              : state.transactions;
+          const installments =
+            collectionId === INSTALLMENTS_COLLECTION_ID
+              ? applyChange(state.installments, action, doc)
+              : state.installments;
+
+          return {
+            transactions,
+            installments,
+            ...summarize(transactions, installments),
+          };
+        });
+      }
+    ),
 }));
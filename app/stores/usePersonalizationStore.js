@@ -1,30 +1,60 @@
 "use client";
 
+import { useCallback } from "react";
 import { create } from "zustand";
-import { databases, ID } from "@/app/lib/appwrite";
+import { db, ID, Query } from "@/app/lib/db";
+import { useBranchStore } from "./useBranchStore";
+import { updateChecked } from "@/app/lib/concurrency";
+import { formatMoney, moneyFormat, setMoneyFormat } from "@/app/lib/money";
 import toast from "react-hot-toast";
 
-const DATABASE_ID = process.env.NEXT_PUBLIC_DATABASE_ID;
 const PERSONALIZATION_COLLECTION_ID = "personalization";
 
-export const usePersonalizationStore = create((set) => ({
+// 🏥 One record per branch (branchId set) plus a shared one (no branchId)
+// used for "All branches" and for branches that haven't customized yet
+const loadRecords = async () => {
+  const branchId = useBranchStore.getState().activeBranchId;
+  const response = await db.listDocuments(PERSONALIZATION_COLLECTION_ID, [
+    Query.limit(100),
+  ]);
+  const shared = response.documents.find((d) => !d.branchId) || null;
+  const own = branchId
+    ? response.documents.find((d) => d.branchId === branchId) || null
+    : shared;
+  return { branchId, shared, own };
+};
+
+// Set on the shared record only: stored amounts carry no currency, so
+// every branch has to count in the same one for totals to add up
+const MONEY_FIELDS = ["currency", "locale"];
+
+// 💱 Amounts always use the shared record's currency and locale, whichever
+// branch is showing
+const withMoneyFormat = (personalization, shared) => ({
+  personalization,
+  moneyFormat: setMoneyFormat({
+    currency: shared?.currency,
+    locale: shared?.locale,
+  }),
+});
+
+const omitMoneyFields = (data) =>
+  Object.fromEntries(
+    Object.entries(data).filter(([key]) => !MONEY_FIELDS.includes(key))
+  );
+
+export const usePersonalizationStore = create((set, get) => ({
   loading: false,
   personalization: null,
+  moneyFormat: moneyFormat(),
   error: null,
 
   // 🔹 Fetch personalization (single record)
   fetchPersonalization: async () => {
     set({ loading: true, error: null });
     try {
-      const response = await databases.listDocuments(
-        DATABASE_ID,
-        PERSONALIZATION_COLLECTION_ID,
-        []
-      );
-
-      // Expect only one document for personalization
-      const record = response.documents[0] || null;
-      set({ personalization: record, loading: false });
+      const { shared, own } = await loadRecords();
+      set({ ...withMoneyFormat(own || shared, shared), loading: false });
     } catch (err) {
       console.error("Error fetching personalization:", err);
       toast.error("Failed to load personalization settings.");
@@ -36,35 +66,37 @@ export const usePersonalizationStore = create((set) => ({
   savePersonalization: async (data) => {
     set({ loading: true });
     try {
-      const existing = await databases.listDocuments(
-        DATABASE_ID,
-        PERSONALIZATION_COLLECTION_ID,
-        []
-      );
+      const { branchId, shared, own } = await loadRecords();
 
       let result;
-      if (existing.documents.length > 0) {
+      if (own) {
         // Update existing record
-        const docId = existing.documents[0].$id;
-        result = await databases.updateDocument(
-          DATABASE_ID,
+        // Checked against the version shown when the form was opened
+        const shown = get().personalization;
+        if (branchId) data = omitMoneyFields(data);
+        const { doc, discarded } = await updateChecked(
           PERSONALIZATION_COLLECTION_ID,
-          docId,
+          shown?.$id === own.$id ? shown : own,
           data
         );
-        toast.success("Personalization updated!");
+        result = doc;
+        toast.success(
+          discarded ? "Kept the other version" : "Personalization updated!"
+        );
       } else {
-        // Create new record
-        result = await databases.createDocument(
-          DATABASE_ID,
+        // Create new record (for this branch, if one is selected)
+        result = await db.createDocument(
           PERSONALIZATION_COLLECTION_ID,
           ID.unique(),
-          data
+          branchId ? { ...omitMoneyFields(data), branchId } : data
         );
         toast.success("Personalization saved!");
       }
 
-      set({ personalization: result, loading: false });
+      set({
+        ...withMoneyFormat(result, branchId ? shared : result),
+        loading: false,
+      });
     } catch (err) {
       console.error("Error saving personalization:", err);
       toast.error("Failed to save personalization.");
@@ -72,3 +104,9 @@ export const usePersonalizationStore = create((set) => ({
     }
   },
 }));
+
+// 🔹 formatMoney for components: re-renders them when the currency changes
+export const useMoney = () => {
+  const format = usePersonalizationStore((s) => s.moneyFormat);
+  return useCallback((amount) => formatMoney(amount, format), [format]);
+};
@@ -0,0 +1,98 @@
+"use client";
+
+import { create } from "zustand";
+import toast from "react-hot-toast";
+import { db, ID } from "../lib/db";
+import { listAll } from "../lib/paginate";
+import { firstError, validate } from "../lib/validation";
+import { loadRecalls } from "../lib/recalls";
+
+const COLLECTION_ID = "recallrules";
+
+// Rules are checked whole: whether a rule needs a service depends on
+// whether it has a patient
+const checkRule = (values) => {
+  const { valid, errors, data } = validate("recallrule", values);
+  if (!valid) toast.error(firstError(errors));
+  return valid ? data : null;
+};
+
+// 🔁 Recall rules (Settings › Recalls, patient details) and the recall list
+// (Dashboard), see lib/recalls.js
+export const useRecallStore = create((set, get) => ({
+  rules: [],
+  recalls: [],
+  loadingRules: false,
+  loadingRecalls: false,
+
+  fetchRules: async () => {
+    set({ loadingRules: true });
+    try {
+      set({ rules: await listAll(COLLECTION_ID) });
+    } catch (err) {
+      console.error("Fetch recall rules failed:", err);
+      toast.error("Failed to load recall rules");
+    } finally {
+      set({ loadingRules: false });
+    }
+  },
+
+  fetchRecalls: async () => {
+    set({ loadingRecalls: true });
+    try {
+      set({ recalls: await loadRecalls() });
+    } catch (err) {
+      console.error("Loading recalls failed:", err);
+      toast.error("Failed to load recalls");
+    } finally {
+      set({ loadingRecalls: false });
+    }
+  },
+
+  addRule: async (values) => {
+    const data = checkRule(values);
+    if (!data) return null;
+    try {
+      const rule = await db.createDocument(COLLECTION_ID, ID.unique(), data);
+      set({ rules: [rule, ...get().rules] });
+      toast.success("Recall rule added");
+      return rule;
+    } catch (err) {
+      console.error("Add recall rule failed:", err);
+      toast.error("Failed to add recall rule");
+      return null;
+    }
+  },
+
+  updateRule: async (id, values) => {
+    const data = checkRule(values);
+    if (!data) return null;
+    try {
+      const rule = await db.updateDocument(COLLECTION_ID, id, {
+        name: data.name,
+        serviceId: data.serviceId || null,
+        intervalMonths: data.intervalMonths,
+      });
+      set({ rules: get().rules.map((r) => (r.$id === id ? rule : r)) });
+      toast.success("Recall rule updated");
+      return rule;
+    } catch (err) {
+      console.error("Update recall rule failed:", err);
+      toast.error("Failed to update recall rule");
+      return null;
+    }
+  },
+
+  deleteRule: async (id) => {
+    try {
+      await db.deleteDocument(COLLECTION_ID, id);
+      set({ rules: get().rules.filter((r) => r.$id !== id) });
+      toast.success("Recall rule deleted");
+      return true;
+    } catch (err) {
+      console.error("Delete recall rule failed:", err);
+      toast.error("Failed to delete recall rule");
+      return false;
+    }
+  },
+}));
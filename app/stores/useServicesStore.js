@@ -1,12 +1,12 @@
 "use client";
 
 import { create } from "zustand";
-import { ID } from "appwrite";
 import toast from "react-hot-toast";
-import { databases } from "../lib/appwrite";
+import { db, ID } from "../lib/db";
+import { listAll } from "../lib/paginate";
+import { firstError, validate } from "../lib/validation";
 
 // 🧩 Replace with your database & collection IDs
-const DATABASE_ID = process.env.NEXT_PUBLIC_DATABASE_ID;
 const COLLECTION_ID = "services";
 
 export const useServicesStore = create((set, get) => ({
@@ -17,8 +17,8 @@ export const useServicesStore = create((set, get) => ({
   fetchServices: async () => {
     set({ loading: true });
     try {
-      const res = await databases.listDocuments(DATABASE_ID, COLLECTION_ID);
-      set({ services: res.documents });
+      const services = await listAll(COLLECTION_ID);
+      set({ services });
     } catch (err) {
       console.error("Fetch services failed:", err);
       toast.error("Failed to load services");
@@ -27,36 +27,24 @@ export const useServicesStore = create((set, get) => ({
     }
   },
 
-  // ✅ Add a new service (with numeric validation)
+  // ✅ Add a new service (rules in lib/validation.js)
   addService: async (service) => {
-    try {
-      // normalize and validate price
-      const priceRaw = service.servicePrice ?? service.price ?? "";
-      const normalized = String(priceRaw).replace(/\s+/g, "").replace(",", ".");
-      const price = parseFloat(normalized);
-
-      if (!service.serviceName || !isFinite(price)) {
-        throw new Error("Please provide a valid service name and price");
-      }
-
-      const payload = {
-        serviceName: service.serviceName,
-        serviceDescription: service.serviceDescription || "",
-        servicePrice: price,
-      };
+    const { valid, errors, data } = validate("service", service);
+    if (!valid) {
+      toast.error(firstError(errors));
+      return null;
+    }
 
-      const res = await databases.createDocument(
-        DATABASE_ID,
-        COLLECTION_ID,
-        ID.unique(),
-        payload
-      );
+    try {
+      const res = await db.createDocument(COLLECTION_ID, ID.unique(), data);
 
       set({ services: [res, ...get().services] });
       toast.success("Service added successfully!");
+      return res;
     } catch (err) {
       console.error("Error adding service:", err);
-      toast.error(err.message || "Failed to add service");
+      toast.error("Failed to add service");
+      return null;
     }
   },
 
@@ -66,7 +54,7 @@ export const useServicesStore = create((set, get) => ({
       if (!window.confirm("Are you sure you want to delete this service?"))
         return;
 
-      await databases.deleteDocument(DATABASE_ID, COLLECTION_ID, id);
+      await db.deleteDocument(COLLECTION_ID, id);
       set({
         services: get().services.filter((s) => s.$id !== id),
       });
@@ -1,14 +1,56 @@
 "use client";
 
 import { create } from "zustand";
-import { databases, ID } from "../lib/appwrite";
+import { db, ID } from "../lib/db";
+import { listAll } from "../lib/paginate";
+import { applyChange, subscribeCollections } from "../lib/realtime";
+import {
+  softDelete,
+  softDeleteInstallment,
+  softDeleteTransaction,
+} from "../lib/softDelete";
+import { firstError, validate } from "../lib/validation";
+import { sumMoney } from "../lib/money";
 import toast from "react-hot-toast";
 
-const DATABASE_ID = process.env.NEXT_PUBLIC_DATABASE_ID;
 const TRANSACTIONS_COLLECTION_ID = "transactions";
 const INSTALLMENTS_COLLECTION_ID = "installments";
 const EXPENSES_COLLECTION_ID = "expenses"; // 🆕 Add this
 
+const hasBalance = (txn) => txn.remaining > 0;
+
+// A transaction can enter or leave the "with balance" list on any update
+const patchWithBalance = (list, action, doc) =>
+  action === "delete" || !hasBalance(doc)
+    ? list.filter((t) => t.$id !== doc.$id)
+    : applyChange(list, "create", doc);
+
+// Move a record to the trash, taking its dependents along (see softDelete.js)
+const trashRecord = (collectionId, doc) => {
+  if (collectionId === TRANSACTIONS_COLLECTION_ID) {
+    return softDeleteTransaction(doc);
+  }
+  if (collectionId === INSTALLMENTS_COLLECTION_ID) {
+    return softDeleteInstallment(doc);
+  }
+  return softDelete(collectionId, doc.$id);
+};
+
+const findDoc = (state, id) =>
+  [...state.transactions, ...state.installments, ...state.expenses].find(
+    (d) => d.$id === id
+  ) || { $id: id };
+
+// Drop a trashed record (and installments of a trashed transaction)
+const dropRecord = (state, id) => ({
+  transactions: state.transactions.filter((t) => t.$id !== id),
+  installments: state.installments.filter(
+    (i) => i.$id !== id && i.transactionId !== id
+  ),
+  expenses: state.expenses.filter((e) => e.$id !== id),
+  withBalancePatients: state.withBalancePatients.filter((t) => t.$id !== id),
+});
+
 export const useTransactionsStore = create((set, get) => ({
   loading: false,
   transactions: [],
@@ -20,12 +62,8 @@ export const useTransactionsStore = create((set, get) => ({
   getWithBalancePatients: async () => {
     set({ loading: true, error: null });
     try {
-      const res = await databases.listDocuments(
-        DATABASE_ID,
-        TRANSACTIONS_COLLECTION_ID,
-        []
-      );
-      const patients = res.documents.filter((txn) => txn.remaining > 0);
+      const docs = await listAll(TRANSACTIONS_COLLECTION_ID);
+      const patients = docs.filter(hasBalance);
       set({ withBalancePatients: patients, loading: false });
     } catch (err) {
       console.error("Error fetching patients with balance:", err);
@@ -39,16 +77,17 @@ export const useTransactionsStore = create((set, get) => ({
     set({ loading: true, error: null });
 
     try {
-      const [txnRes, instRes, expRes] = await Promise.all([
-        databases.listDocuments(DATABASE_ID, TRANSACTIONS_COLLECTION_ID, []),
-        databases.listDocuments(DATABASE_ID, INSTALLMENTS_COLLECTION_ID, []),
-        databases.listDocuments(DATABASE_ID, EXPENSES_COLLECTION_ID, []),
+      // Walk every page so report totals never miss records
+      const [transactions, installments, expenses] = await Promise.all([
+        listAll(TRANSACTIONS_COLLECTION_ID),
+        listAll(INSTALLMENTS_COLLECTION_ID),
+        listAll(EXPENSES_COLLECTION_ID),
       ]);
 
       set({
-        transactions: txnRes.documents || [],
-        installments: instRes.documents || [],
-        expenses: expRes.documents || [],
+        transactions,
+        installments,
+        expenses,
         loading: false,
       });
     } catch (err) {
@@ -59,74 +98,89 @@ export const useTransactionsStore = create((set, get) => ({
   },
 
   // 🔹 Add new full transaction
-  addTransaction: async (data) => {
+  addTransaction: async (values) => {
+    const { valid, errors, data } = validate("transaction", values);
+    if (!valid) {
+      toast.error(firstError(errors));
+      return null;
+    }
+
     try {
-      const doc = await databases.createDocument(
-        DATABASE_ID,
+      const doc = await db.createDocument(
         TRANSACTIONS_COLLECTION_ID,
         ID.unique(),
         data
       );
       set((state) => ({
-        transactions: [...state.transactions, doc],
+        transactions: applyChange(state.transactions, "create", doc),
       }));
       toast.success("Transaction added");
+      return doc;
     } catch (err) {
       console.error("Error adding transaction:", err);
       toast.error("Failed to add transaction");
+      return null;
     }
   },
 
   // 🔹 Add new installment
-  addInstallment: async (data) => {
+  addInstallment: async (values) => {
+    const { valid, errors, data } = validate("installment", values);
+    if (!valid) {
+      toast.error(firstError(errors));
+      return null;
+    }
+
     try {
-      const doc = await databases.createDocument(
-        DATABASE_ID,
+      const doc = await db.createDocument(
         INSTALLMENTS_COLLECTION_ID,
         ID.unique(),
         data
       );
       set((state) => ({
-        installments: [...state.installments, doc],
+        installments: applyChange(state.installments, "create", doc),
       }));
       toast.success("Installment added");
+      return doc;
     } catch (err) {
       console.error("Error adding installment:", err);
       toast.error("Failed to add installment");
+      return null;
     }
   },
 
   // 🔹 Add new expense
-  addExpense: async (data) => {
+  addExpense: async (values) => {
+    const { valid, errors, data } = validate("expense", values);
+    if (!valid) {
+      toast.error(firstError(errors));
+      return null;
+    }
+
     try {
-      const doc = await databases.createDocument(
-        DATABASE_ID,
+      const doc = await db.createDocument(
         EXPENSES_COLLECTION_ID,
         ID.unique(),
         data
       );
       set((state) => ({
-        expenses: [...state.expenses, doc],
+        expenses: applyChange(state.expenses, "create", doc),
       }));
       toast.success("Expense added");
+      return doc;
     } catch (err) {
       console.error("Error adding expense:", err);
       toast.error("Failed to add expense");
+      return null;
     }
   },
 
-  // 🔹 Delete transaction
+  // 🔹 Delete transaction (moves it and its installments to the trash)
   deleteTransaction: async (id) => {
     try {
-      await databases.deleteDocument(
-        DATABASE_ID,
-        TRANSACTIONS_COLLECTION_ID,
-        id
-      );
-      set((state) => ({
-        transactions: state.transactions.filter((t) => t.$id !== id),
-      }));
-      toast.success("Transaction deleted");
+      await trashRecord(TRANSACTIONS_COLLECTION_ID, findDoc(get(), id));
+      set((state) => dropRecord(state, id));
+      toast.success("Transaction moved to Trash");
     } catch (err) {
       console.error("Error deleting transaction:", err);
       toast.error("Failed to delete transaction");
@@ -136,15 +190,9 @@ export const useTransactionsStore = create((set, get) => ({
   // 🔹 Delete installment
   deleteInstallment: async (id) => {
     try {
-      await databases.deleteDocument(
-        DATABASE_ID,
-        INSTALLMENTS_COLLECTION_ID,
-        id
-      );
-      set((state) => ({
-        installments: state.installments.filter((i) => i.$id !== id),
-      }));
-      toast.success("Installment deleted");
+      await trashRecord(INSTALLMENTS_COLLECTION_ID, findDoc(get(), id));
+      set((state) => dropRecord(state, id));
+      toast.success("Installment moved to Trash");
     } catch (err) {
       console.error("Error deleting installment:", err);
       toast.error("Failed to delete installment");
@@ -154,11 +202,9 @@ export const useTransactionsStore = create((set, get) => ({
   // 🔹 Delete expense
   deleteExpense: async (id) => {
     try {
-      await databases.deleteDocument(DATABASE_ID, EXPENSES_COLLECTION_ID, id);
-      set((state) => ({
-        expenses: state.expenses.filter((e) => e.$id !== id),
-      }));
-      toast.success("Expense deleted");
+      await trashRecord(EXPENSES_COLLECTION_ID, findDoc(get(), id));
+      set((state) => dropRecord(state, id));
+      toast.success("Expense moved to Trash");
     } catch (err) {
       console.error("Error deleting expense:", err);
       toast.error("Failed to delete expense");
@@ -175,33 +221,52 @@ export const useTransactionsStore = create((set, get) => ({
           ? EXPENSES_COLLECTION_ID
           : TRANSACTIONS_COLLECTION_ID;
 
-      await databases.deleteDocument(DATABASE_ID, collectionId, id);
+      await trashRecord(collectionId, findDoc(get(), id));
+      set((state) => dropRecord(state, id));
 
-      set((state) => ({
-        transactions: state.transactions.filter((t) => t.$id !== id),
-        installments: state.installments.filter((i) => i.$id !== id),
-        expenses: state.expenses.filter((e) => e.$id !== id),
-      }));
-
-      toast.success(`${type} deleted successfully`);
+      toast.success(`${type} moved to Trash`);
     } catch (err) {
       console.error("Error deleting record:", err);
       toast.error("Failed to delete record");
     }
   },
 
-  // 🔹 Stats summary (Revenue + Expenses)
+  // 📡 Patch transactions, installments, expenses and the balance list with
+  // changes made on other workstations. Returns the unsubscribe function.
+  subscribe: () =>
+    subscribeCollections(
+      [
+        TRANSACTIONS_COLLECTION_ID,
+        INSTALLMENTS_COLLECTION_ID,
+        EXPENSES_COLLECTION_ID,
+      ],
+      (collectionId, action, doc) =>
+        set((state) => {
+          if (collectionId === INSTALLMENTS_COLLECTION_ID) {
+            return {
+              installments: applyChange(state.installments, action, doc),
+            };
+          }
+          if (collectionId === EXPENSES_COLLECTION_ID) {
+            return { expenses: applyChange(state.expenses, action, doc) };
+          }
+          return {
+            transactions: applyChange(state.transactions, action, doc),
+            withBalancePatients: patchWithBalance(
+              state.withBalancePatients,
+              action,
+              doc
+            ),
+          };
+        })
+    ),
+
+  // 🔹 Stats summary (Revenue + Expenses), in centavos
   getStats: () => {
     const { transactions, installments, expenses } = get();
 
-    const totalRevenue = [...transactions, ...installments].reduce(
-      (sum, p) => sum + parseFloat(p.amount || 0),
-      0
-    );
-    const totalExpenses = expenses.reduce(
-      (sum, e) => sum + parseFloat(e.amount || 0),
-      0
-    );
+    const totalRevenue = sumMoney([...transactions, ...installments], "amount");
+    const totalExpenses = sumMoney(expenses, "amount");
     const totalTransactions = transactions.length;
     const totalInstallments = installments.length;
     const totalExpenseItems = expenses.length;
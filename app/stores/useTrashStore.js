@@ -0,0 +1,188 @@
+"use client";
+
+import { create } from "zustand";
+import { db, Query } from "../lib/db";
+import { listAll } from "../lib/paginate";
+import {
+  DEFAULT_RETENTION_DAYS,
+  isExpired,
+  restoreDocument,
+} from "../lib/softDelete";
+import { usePatientStore } from "./usePatientStore";
+import toast from "react-hot-toast";
+
+export const TRASH_TYPES = [
+  { collectionId: "patients", label: "Patients" },
+  { collectionId: "transactions", label: "Transactions" },
+  { collectionId: "installments", label: "Installments" },
+  { collectionId: "expenses", label: "Expenses" },
+];
+
+const fetchTrashed = (collectionId) =>
+  listAll(
+    collectionId,
+    [Query.isNotNull("deletedAt"), Query.orderDesc("deletedAt")],
+    { includeDeleted: true }
+  );
+
+// Hard delete, ignoring documents that are already gone
+const destroy = async (collectionId, documentId) => {
+  try {
+    await db.deleteDocument(collectionId, documentId);
+  } catch (err) {
+    if (err.code !== 404) throw err;
+  }
+};
+
+// 🗑️ Trashed patients and financial records (see lib/softDelete.js)
+export const useTrashStore = create((set, get) => ({
+  items: { patients: [], transactions: [], installments: [], expenses: [] },
+  loading: false,
+  busyId: null,
+  purging: false,
+
+  fetchTrash: async () => {
+    set({ loading: true });
+    try {
+      const lists = await Promise.all(
+        TRASH_TYPES.map(({ collectionId }) => fetchTrashed(collectionId))
+      );
+      set({
+        items: Object.fromEntries(
+          TRASH_TYPES.map(({ collectionId }, i) => [collectionId, lists[i]])
+        ),
+        loading: false,
+      });
+    } catch (err) {
+      console.error("Error fetching trash:", err);
+      toast.error("Failed to load trash");
+      set({ loading: false });
+    }
+  },
+
+  // 🔹 Records that went to the trash together with a trashed parent are
+  // listed under that parent instead of on their own
+  getVisible: (collectionId) => {
+    const { items } = get();
+    const trashedWith = (list, id, deletedAt) =>
+      list.some((p) => p.$id === id && p.deletedAt === deletedAt);
+
+    return items[collectionId].filter((doc) => {
+      if (collectionId === "transactions") {
+        return !trashedWith(items.patients, doc.patientId, doc.deletedAt);
+      }
+      if (collectionId === "installments") {
+        return (
+          !trashedWith(items.patients, doc.patientId, doc.deletedAt) &&
+          !trashedWith(items.transactions, doc.transactionId, doc.deletedAt)
+        );
+      }
+      return true;
+    });
+  },
+
+  // 🔹 How many trashed records will come back with this one
+  countAttached: (collectionId, doc) => {
+    const { items } = get();
+    if (collectionId === "patients") {
+      const sameBatch = (d) => d.deletedAt === doc.deletedAt;
+      const transactions = items.transactions.filter(
+        (t) => t.patientId === doc.$id && sameBatch(t)
+      );
+      const txnIds = transactions.map((t) => t.$id);
+      const installments = items.installments.filter(
+        (i) =>
+          sameBatch(i) &&
+          (i.patientId === doc.$id || txnIds.includes(i.transactionId))
+      );
+      return transactions.length + installments.length;
+    }
+    if (collectionId === "transactions") {
+      return items.installments.filter(
+        (i) => i.transactionId === doc.$id && i.deletedAt === doc.deletedAt
+      ).length;
+    }
+    return 0;
+  },
+
+  restoreItem: async (collectionId, doc) => {
+    set({ busyId: doc.$id });
+    try {
+      await restoreDocument(collectionId, doc);
+      toast.success("Restored");
+      await get().fetchTrash();
+    } catch (err) {
+      console.error("Error restoring document:", err);
+      toast.error("Failed to restore");
+    } finally {
+      set({ busyId: null });
+    }
+  },
+
+  // 🔹 Permanently delete a trashed record and what depends on it
+  purgeItem: async (collectionId, doc, { silent = false } = {}) => {
+    set({ busyId: doc.$id });
+    try {
+      if (collectionId === "patients") {
+        // Journaled cascade: can be resumed or rolled back if it fails
+        const done = await usePatientStore.getState().purgePatient(doc);
+        if (!done) return false;
+      } else {
+        if (collectionId === "transactions") {
+          const installments = get().items.installments.filter(
+            (i) => i.transactionId === doc.$id
+          );
+          for (const i of installments) await destroy("installments", i.$id);
+          // Its HMO claim went to the trash with it (lib/softDelete.js)
+          const claims = await listAll(
+            "claims",
+            [Query.equal("transactionId", doc.$id)],
+            { includeDeleted: true }
+          );
+          for (const c of claims) await destroy("claims", c.$id);
+        }
+        await destroy(collectionId, doc.$id);
+        if (!silent) toast.success("Permanently deleted");
+      }
+      await get().fetchTrash();
+      return true;
+    } catch (err) {
+      console.error("Error purging document:", err);
+      toast.error("Failed to delete permanently");
+      return false;
+    } finally {
+      set({ busyId: null });
+    }
+  },
+
+  // 🔹 Purge everything trashed longer than the retention period
+  purgeExpired: async (retentionDays = DEFAULT_RETENTION_DAYS) => {
+    if (get().purging) return;
+    set({ purging: true });
+
+    try {
+      await get().fetchTrash();
+      let purged = 0;
+
+      // Parents first, so their cascade takes the children along
+      for (const { collectionId } of TRASH_TYPES) {
+        const expired = get()
+          .getVisible(collectionId)
+          .filter((doc) => isExpired(doc, retentionDays));
+        for (const doc of expired) {
+          if (await get().purgeItem(collectionId, doc, { silent: true })) {
+            purged++;
+          }
+        }
+      }
+
+      if (purged) {
+        toast(`Emptied ${purged} item(s) older than ${retentionDays} days`, {
+          icon: "🗑️",
+        });
+      }
+    } finally {
+      set({ purging: false });
+    }
+  },
+}));
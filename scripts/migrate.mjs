@@ -0,0 +1,423 @@
+// scripts/migrate.mjs
+// Provisions or upgrades the Appwrite database described in app/lib/schema.js:
+// creates the database, missing collections, attributes, indexes and storage
+// buckets, and reports anything that differs from the schema. Existing attributes are never
+// changed or dropped — Appwrite can't alter an attribute's type in place, so
+// drift is printed for someone to resolve by hand.
+//
+//   APPWRITE_API_KEY=... npm run db:migrate [-- --dry-run] [-- --permissions]
+//                                            [-- --convert-money]
+//
+// Reads NEXT_PUBLIC_APPWRITE_ENDPOINT, NEXT_PUBLIC_APPWRITE_PROJECT_ID and
+// NEXT_PUBLIC_DATABASE_ID (or the same names without NEXT_PUBLIC_) and needs
+// an API key with the databases.read / databases.write and buckets.read /
+// buckets.write scopes.
+//   --dry-run      only print what would change
+//   --permissions  also reset existing collections' permissions (and bucket
+//                  settings) to the schema
+//   --convert-money  once, on a database from before amounts were stored in
+//                  centavos: multiply every money attribute by 100. Each
+//                  document is marked as it is converted, so an interrupted
+//                  run can be repeated; the shared personalization record
+//                  remembers when all of it is done.
+
+import { Query } from "appwrite";
+import { BUCKETS, COLLECTIONS } from "../app/lib/schema.js";
+
+const env = (name) =>
+  process.env[name] || process.env[`NEXT_PUBLIC_${name}`] || "";
+
+const ENDPOINT = env("APPWRITE_ENDPOINT").replace(/\/$/, "");
+const PROJECT_ID = env("APPWRITE_PROJECT_ID");
+const DATABASE_ID = env("DATABASE_ID");
+const API_KEY = process.env.APPWRITE_API_KEY;
+
+const DRY_RUN = process.argv.includes("--dry-run");
+const SYNC_PERMISSIONS = process.argv.includes("--permissions");
+const CONVERT_MONEY = process.argv.includes("--convert-money");
+
+const ATTRIBUTE_TIMEOUT_MS = 120000;
+
+/* ----------------------------------------------------------
+    REST helpers
+---------------------------------------------------------- */
+
+class ApiError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.code = code;
+  }
+}
+
+const api = async (method, path, body) => {
+  const res = await fetch(`${ENDPOINT}${path}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      "X-Appwrite-Project": PROJECT_ID,
+      "X-Appwrite-Key": API_KEY,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) throw new ApiError(json.message || res.statusText, res.status);
+  return json;
+};
+
+// GET that returns null instead of throwing on 404
+const find = async (path) => {
+  try {
+    return await api("GET", path);
+  } catch (err) {
+    if (err.code === 404) return null;
+    throw err;
+  }
+};
+
+// Every attribute/index of a collection ([] while it doesn't exist yet)
+const listAll = async (path, field) =>
+  (await find(`${path}?queries[]=${encodeURIComponent(Query.limit(5000))}`))?.[
+    field
+  ] || [];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// 🔹 Write, or just describe the write on --dry-run
+const apply = async (description, method, path, body) => {
+  console.log(`  ${DRY_RUN ? "would" : "➕"} ${description}`);
+  if (!DRY_RUN) await api(method, path, body);
+};
+
+/* ----------------------------------------------------------
+    Steps
+---------------------------------------------------------- */
+
+const dbPath = `/databases/${DATABASE_ID}`;
+
+const ensureDatabase = async () => {
+  if (await find(dbPath)) return;
+  await apply(`create database "${DATABASE_ID}"`, "POST", "/databases", {
+    databaseId: DATABASE_ID,
+    name: DATABASE_ID,
+  });
+};
+
+const ensureCollection = async (collectionId, spec) => {
+  const path = `${dbPath}/collections/${collectionId}`;
+  const existing = await find(path);
+
+  if (!existing) {
+    await apply(
+      `create collection "${collectionId}"`,
+      "POST",
+      `${dbPath}/collections`,
+      {
+        collectionId,
+        name: spec.name,
+        permissions: spec.permissions,
+        documentSecurity: false,
+      }
+    );
+    return;
+  }
+
+  const same =
+    JSON.stringify([...existing.$permissions].sort()) ===
+    JSON.stringify([...spec.permissions].sort());
+  if (same) return;
+  if (SYNC_PERMISSIONS) {
+    await apply(`reset permissions of "${collectionId}"`, "PUT", path, {
+      name: existing.name,
+      permissions: spec.permissions,
+      documentSecurity: existing.documentSecurity,
+      enabled: existing.enabled,
+    });
+  } else {
+    console.log(
+      `  ⚠️ permissions differ from the schema (run with --permissions to reset)`
+    );
+  }
+};
+
+const attributeBody = ({ type, ...attr }) => {
+  const body = {
+    key: attr.key,
+    required: !!attr.required,
+    array: !!attr.array,
+  };
+  if (!attr.required && attr.default !== undefined) body.default = attr.default;
+  if (type === "string") body.size = attr.size;
+  if (type === "integer" || type === "float") {
+    if (attr.min !== undefined) body.min = attr.min;
+    if (attr.max !== undefined) body.max = attr.max;
+  }
+  return body;
+};
+
+const describeDrift = (attr, existing) => {
+  const drift = [];
+  if (existing.type !== attr.type) {
+    drift.push(`type is ${existing.type}, schema says ${attr.type}`);
+  }
+  if (attr.type === "string" && existing.size < attr.size) {
+    drift.push(`size is ${existing.size}, schema says ${attr.size}`);
+  }
+  if (!!existing.required !== !!attr.required) {
+    drift.push(
+      `required is ${!!existing.required}, schema says ${!!attr.required}`
+    );
+  }
+  return drift;
+};
+
+const ensureAttributes = async (collectionId, spec) => {
+  const path = `${dbPath}/collections/${collectionId}/attributes`;
+  const existing = await listAll(path, "attributes");
+  const byKey = new Map(existing.map((a) => [a.key, a]));
+  const created = [];
+
+  for (const attr of spec.attributes) {
+    const current = byKey.get(attr.key);
+    if (!current) {
+      await apply(
+        `add attribute ${attr.key} (${attr.type})`,
+        "POST",
+        `${path}/${attr.type}`,
+        attributeBody(attr)
+      );
+      created.push(attr.key);
+      continue;
+    }
+    describeDrift(attr, current).forEach((d) =>
+      console.log(`  ⚠️ ${attr.key}: ${d}`)
+    );
+    if (current.status === "failed") {
+      console.log(`  ⚠️ ${attr.key}: attribute failed to build, recreate it`);
+    }
+  }
+
+  const declared = new Set(spec.attributes.map((a) => a.key));
+  existing
+    .filter((a) => !declared.has(a.key))
+    .forEach((a) => console.log(`  ⚠️ ${a.key}: not in lib/schema.js`));
+
+  return created;
+};
+
+// Indexes can only be built once their attributes are available
+const waitForAttributes = async (collectionId, keys) => {
+  const path = `${dbPath}/collections/${collectionId}/attributes`;
+  const started = Date.now();
+
+  for (const key of keys) {
+    for (;;) {
+      const { status } = await api("GET", `${path}/${key}`);
+      if (status === "available") break;
+      if (status === "failed") {
+        throw new Error(`Attribute ${collectionId}.${key} failed to build`);
+      }
+      if (Date.now() - started > ATTRIBUTE_TIMEOUT_MS) {
+        throw new Error(`Timed out waiting for ${collectionId}.${key}`);
+      }
+      await sleep(1000);
+    }
+  }
+};
+
+const ensureIndexes = async (collectionId, spec) => {
+  const path = `${dbPath}/collections/${collectionId}/indexes`;
+  const existing = await listAll(path, "indexes");
+  // A key index doesn't serve searches, nor a fulltext index sorting
+  const covered = new Set(
+    existing.map((i) => `${i.type}:${i.attributes.join(",")}`)
+  );
+
+  for (const idx of spec.indexes) {
+    if (covered.has(`${idx.type}:${idx.attributes.join(",")}`)) continue;
+    await apply(
+      `add ${idx.type} index ${idx.key} on ${idx.attributes}`,
+      "POST",
+      path,
+      {
+        key: idx.key,
+        type: idx.type,
+        attributes: idx.attributes,
+        orders: idx.attributes.map(() => "ASC"),
+      }
+    );
+  }
+};
+
+// Buckets are created when missing; settings that differ are reported and
+// reset with --permissions, like collections
+const ensureBucket = async (bucketId, spec) => {
+  const path = `/storage/buckets/${bucketId}`;
+  const existing = await find(path);
+  const body = {
+    name: spec.name,
+    permissions: spec.permissions,
+    fileSecurity: false,
+    enabled: true,
+    maximumFileSize: spec.maximumFileSize,
+    allowedFileExtensions: spec.allowedFileExtensions,
+  };
+
+  if (!existing) {
+    await apply(`create bucket "${bucketId}"`, "POST", "/storage/buckets", {
+      bucketId,
+      ...body,
+    });
+    return;
+  }
+
+  const same =
+    JSON.stringify([...existing.$permissions].sort()) ===
+      JSON.stringify([...spec.permissions].sort()) &&
+    existing.maximumFileSize === spec.maximumFileSize &&
+    JSON.stringify([...existing.allowedFileExtensions].sort()) ===
+      JSON.stringify([...spec.allowedFileExtensions].sort());
+  if (same) return;
+  if (SYNC_PERMISSIONS) {
+    await apply(`reset settings of bucket "${bucketId}"`, "PUT", path, body);
+  } else {
+    console.log(
+      `  ⚠️ bucket settings differ from the schema (run with --permissions to reset)`
+    );
+  }
+};
+
+// 🔹 Pesos → centavos, for data written before lib/money.js. Existing float
+// attributes keep working (they hold whole numbers from now on), so only the
+// values change.
+const PERSONALIZATION = `${dbPath}/collections/personalization/documents`;
+const PAGE_SIZE = 100;
+
+// Same rounding as lib/money.js: drop float noise, then round half up
+const toCentavos = (value) =>
+  Math.sign(value) *
+  Math.round(Math.abs(Number((value * 100).toPrecision(12))));
+
+const documentPages = async function* (collectionId) {
+  const path = `${dbPath}/collections/${collectionId}/documents`;
+  let cursor = null;
+  for (;;) {
+    const queries = [Query.limit(PAGE_SIZE), Query.orderAsc("$id")];
+    if (cursor) queries.push(Query.cursorAfter(cursor));
+    const qs = queries
+      .map((q) => `queries[]=${encodeURIComponent(q)}`)
+      .join("&");
+    const { documents = [] } = (await find(`${path}?${qs}`)) || {};
+    if (documents.length) yield documents;
+    if (documents.length < PAGE_SIZE) return;
+    cursor = documents[documents.length - 1].$id;
+  }
+};
+
+const convertMoney = async () => {
+  console.log(`\n💱 converting amounts to centavos`);
+  const shared = (
+    await find(
+      `${PERSONALIZATION}?queries[]=${encodeURIComponent(
+        Query.isNull("branchId")
+      )}`
+    )
+  )?.documents[0];
+  if (shared?.minorUnits) {
+    console.log("  already converted, nothing to do");
+    return;
+  }
+
+  for (const [collectionId, spec] of Object.entries(COLLECTIONS)) {
+    const keys = spec.attributes.filter((a) => a.money).map((a) => a.key);
+    if (!keys.length) continue;
+
+    let count = 0;
+    let skipped = 0;
+    for await (const documents of documentPages(collectionId)) {
+      for (const doc of documents) {
+        // Converted by an earlier run that didn't finish
+        if (doc.minorUnits) {
+          skipped++;
+          continue;
+        }
+        const data = Object.fromEntries(
+          keys
+            .filter((key) => typeof doc[key] === "number")
+            .map((key) => [key, toCentavos(doc[key])])
+        );
+        if (!Object.keys(data).length) continue;
+        count++;
+        if (!DRY_RUN) {
+          await api(
+            "PATCH",
+            `${dbPath}/collections/${collectionId}/documents/${doc.$id}`,
+            { data: { ...data, minorUnits: true } }
+          );
+        }
+      }
+    }
+    const verb = DRY_RUN ? "would convert" : "➕ converted";
+    const resumed = skipped ? ` (${skipped} already converted)` : "";
+    console.log(`  ${verb} ${count} ${collectionId}${resumed}`);
+  }
+
+  if (DRY_RUN) return;
+  if (shared) {
+    await api("PATCH", `${PERSONALIZATION}/${shared.$id}`, {
+      data: { minorUnits: true },
+    });
+  } else {
+    await api("POST", PERSONALIZATION, {
+      documentId: "unique()",
+      data: { minorUnits: true },
+    });
+  }
+};
+
+/* ----------------------------------------------------------
+    Main
+---------------------------------------------------------- */
+
+const main = async () => {
+  const missing = [
+    ["endpoint", ENDPOINT],
+    ["project id", PROJECT_ID],
+    ["database id", DATABASE_ID],
+    ["APPWRITE_API_KEY", API_KEY],
+  ].filter(([, value]) => !value);
+  if (missing.length) {
+    console.error(`Missing ${missing.map(([name]) => name).join(", ")}`);
+    process.exit(1);
+  }
+
+  console.log(
+    `${
+      DRY_RUN ? "Checking" : "Migrating"
+    } ${ENDPOINT} · project ${PROJECT_ID} · database ${DATABASE_ID}`
+  );
+  await ensureDatabase();
+
+  for (const [collectionId, spec] of Object.entries(COLLECTIONS)) {
+    console.log(`\n📁 ${collectionId}`);
+    await ensureCollection(collectionId, spec);
+    const created = await ensureAttributes(collectionId, spec);
+    if (!DRY_RUN && created.length) {
+      await waitForAttributes(collectionId, created);
+    }
+    await ensureIndexes(collectionId, spec);
+  }
+
+  for (const [bucketId, spec] of Object.entries(BUCKETS)) {
+    console.log(`\n🗂️ bucket ${bucketId}`);
+    await ensureBucket(bucketId, spec);
+  }
+
+  if (CONVERT_MONEY) await convertMoney();
+
+  console.log(`\n✅ ${DRY_RUN ? "Dry run complete" : "Schema is up to date"}`);
+};
+
+main().catch((err) => {
+  console.error(`\n❌ ${err.message}`);
+  process.exit(1);
+});